@@ -1,24 +1,21 @@
 #!/usr/bin/env node
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
-const path = require('path');
+const { convert, close } = require('./lib');
+const { outputInDir, formatSize } = require('./lib/cli');
+const { parsePdfOptions } = require('./lib/pdf-options');
+const { listThemes, parseTheme } = require('./lib/themes');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 
-// Default options
-const options = {
-    format: 'A4',
-    margin: '20px',
-    landscape: false,
-    printBackground: true,
-    preferCSSPageSize: true
-};
+// Raw page options, validated with the same rules as the /convert/pdf API
+const pageOptions = {};
 
 let inputFile = '';
 let outputFile = '';
 let outputDir = '';
+let themeName = '';
 
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
@@ -28,11 +25,27 @@ for (let i = 0; i < args.length; i++) {
         showHelp();
         process.exit(0);
     } else if (arg === '--format' || arg === '-f') {
-        options.format = args[++i] || 'A4';
+        pageOptions.format = args[++i] || 'A4';
     } else if (arg === '--margin' || arg === '-m') {
-        options.margin = args[++i] || '20px';
+        pageOptions.margin = args[++i] || '20mm';
     } else if (arg === '--landscape' || arg === '-l') {
-        options.landscape = true;
+        pageOptions.orientation = 'landscape';
+    } else if (arg === '--scale' || arg === '-s') {
+        pageOptions.scale = args[++i];
+    } else if (arg === '--pages' || arg === '-p') {
+        pageOptions.pageRanges = args[++i] || '';
+    } else if (arg === '--prefer-css-page-size') {
+        pageOptions.preferCSSPageSize = true;
+    } else if (arg === '--no-background') {
+        pageOptions.printBackground = false;
+    } else if (arg === '--header') {
+        pageOptions.header = args[++i] || '';
+    } else if (arg === '--footer') {
+        pageOptions.footer = args[++i] || '';
+    } else if (arg === '--no-first-page-header') {
+        pageOptions.firstPageHeader = false;
+    } else if (arg === '--theme' || arg === '-t') {
+        themeName = args[++i] || '';
     } else if (arg === '--output' || arg === '-o') {
         outputFile = args[++i];
     } else if (arg === '--dir' || arg === '-d') {
@@ -54,27 +67,24 @@ if (!inputFile) {
     process.exit(1);
 }
 
+const { options, errors } = parsePdfOptions(pageOptions);
+if (errors) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(1);
+}
+
+const { theme, error: themeError } = parseTheme(themeName);
+if (themeError) {
+    console.error(`❌ ${themeError}`);
+    process.exit(1);
+}
+
 if (!outputFile) {
     outputFile = inputFile.replace(/\.(html|htm)$/i, '.pdf');
 }
 
 // Apply output directory if specified
-if (outputDir) {
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
-        try {
-            fs.mkdirSync(outputDir, { recursive: true });
-            console.log(`📁 Created output directory: ${outputDir}`);
-        } catch (error) {
-            console.error(`❌ Error creating directory: ${error.message}`);
-            process.exit(1);
-        }
-    }
-    
-    // Get just the filename from the output path
-    const filename = path.basename(outputFile);
-    outputFile = path.join(outputDir, filename);
-}
+outputFile = outputInDir(outputFile, outputDir);
 
 function showHelp() {
     console.log('📄 Advanced HTML to PDF Converter');
@@ -88,8 +98,18 @@ function showHelp() {
     console.log('  -o, --output <file>     Output PDF file path');
     console.log('  -d, --dir <directory>   Output directory for PDF file');
     console.log('  -f, --format <size>     Page format (A4, A3, Letter, Legal, etc.)');
-    console.log('  -m, --margin <size>     Page margins (e.g., 20px, 1in)');
+    console.log('  -m, --margin <size>     Page margins (e.g., 20mm, 1in, "10mm 20mm")');
     console.log('  -l, --landscape         Landscape orientation');
+    console.log('  -s, --scale <number>    Rendering scale between 0.1 and 2');
+    console.log('  -p, --pages <ranges>    Pages to print (e.g., 1-5,8)');
+    console.log('  --prefer-css-page-size  Let CSS @page size override the format');
+    console.log('  --no-background         Do not print background colors and images');
+    console.log('  --header <preset|html>  Running header (title, date, title-date, page-number,');
+    console.log('                          page-x-of-y, title-page-x-of-y or custom HTML)');
+    console.log('  --footer <preset|html>  Running footer (same presets as --header)');
+    console.log('  --no-first-page-header  Leave the header off the first page');
+    console.log(`  -t, --theme <name>      Document theme (${listThemes().map(item => item.name).join(', ')})`);
+    console.log('                          Without one, fragments get "default" and full pages keep their own styles');
     console.log('  -h, --help              Show this help message');
     console.log('');
     console.log('Examples:');
@@ -98,6 +118,8 @@ function showHelp() {
     console.log('  node convert-advanced.js document.html --dir ./pdfs/');
     console.log('  node convert-advanced.js document.html --format Letter --margin 1in --dir ./output/');
     console.log('  node convert-advanced.js document.html --landscape --format A3 --dir /path/to/pdfs/');
+    console.log('  node convert-advanced.js document.html --footer "Page {{pageNumber}} of {{totalPages}}"');
+    console.log('  node convert-advanced.js document.html --theme academic');
     console.log('');
 }
 
@@ -113,53 +135,30 @@ async function convertHtmlToPdf() {
         const htmlContent = fs.readFileSync(inputFile, 'utf-8');
 
         console.log(`🔄 Converting to PDF...`);
-        console.log(`   Format: ${options.format}`);
-        console.log(`   Margin: ${options.margin}`);
+        console.log(`   Format: ${options.format || `${options.width} x ${options.height}`}`);
+        console.log(`   Margin: ${Object.values(options.margin).join(' ')}`);
         console.log(`   Landscape: ${options.landscape ? 'Yes' : 'No'}`);
+        if (theme) {
+            console.log(`   Theme: ${theme}`);
+        }
         if (outputDir) {
             console.log(`   Output directory: ${outputDir}`);
         }
         
-        // Launch browser
-        const browser = await puppeteer.launch({
-            headless: 'new',
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-
-        const page = await browser.newPage();
-        
-        // Set content and wait for it to load
-        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-        
-        // Parse margin
-        const marginValue = options.margin;
-        const margin = {
-            top: marginValue,
-            right: marginValue,
-            bottom: marginValue,
-            left: marginValue
-        };
-        
-        // Generate PDF with editable text
-        const pdfBuffer = await page.pdf({
-            format: options.format,
-            landscape: options.landscape,
-            printBackground: options.printBackground,
-            margin: margin,
-            preferCSSPageSize: options.preferCSSPageSize
-        });
-
-        await browser.close();
+        // Validated again by the converter, with the same rules as the /convert/pdf API
+        const { data: pdfBuffer } = await convert(htmlContent, { from: 'html', to: 'pdf', options: { pdf: pageOptions, theme } });
 
         // Write PDF to file
         fs.writeFileSync(outputFile, pdfBuffer);
         
         console.log(`✅ PDF created successfully: ${outputFile}`);
-        console.log(`📊 File size: ${(pdfBuffer.length / 1024).toFixed(2)} KB`);
+        console.log(`📊 File size: ${formatSize(pdfBuffer.length)}`);
         
     } catch (error) {
         console.error('❌ Error converting HTML to PDF:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        await close();
     }
 }
 
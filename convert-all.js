@@ -1,479 +1,130 @@
 #!/usr/bin/env node
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const { marked } = require('marked');
-const sharp = require('sharp');
-
-// Create readline interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-// Helper function to prompt user for input
-function askQuestion(question) {
-    return new Promise((resolve) => {
-        rl.question(question, (answer) => {
-            resolve(answer.trim());
-        });
-    });
+const { getConverter } = require('./lib');
+const {
+    createPrompt, askInputFile, askOutputDir, askOutputFilename, confirmOverwrite, askPdfOptions, askTheme, askHighlight, readFrontMatter, runInteractive, formatSize
+} = require('./lib/cli');
+
+const prompt = createPrompt();
+
+// What each target format is called in the menu; formats added by plugins show their own name.
+// PDF page images are left to convert-pdf-to-images.js.
+const TARGET_LABELS = {
+    pdf: 'PDF',
+    html: 'HTML',
+    docx: 'Word',
+    image: 'Resize'
+};
+
+const FORMAT_LABELS = {
+    html: 'HTML',
+    markdown: 'Markdown',
+    pdf: 'PDF',
+    image: 'Image'
+};
+
+function label(labels, format) {
+    return labels[format] || format;
 }
 
-// Helper function to close readline interface
-function closeInterface() {
-    rl.close();
-}
+// Helper function to ask how to resize an image; returns the image-resize options or null
+async function askResizeOptions(outputFile) {
+    const width = await prompt.ask('Enter new width (or press Enter to keep aspect ratio): ');
+    const height = await prompt.ask('Enter new height (or press Enter to keep aspect ratio): ');
+    const quality = await prompt.ask('Enter quality (1-100, default 90): ') || '90';
+    const format = await prompt.ask('Enter format (jpeg/png/webp, default: same as input): ') || '';
 
-// HTML template for Markdown content
-function createHtmlTemplate(content, title = 'Document') {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 40px 20px;
-            background: white;
-        }
-        
-        h1, h2, h3, h4, h5, h6 {
-            color: #2c3e50;
-            margin-top: 30px;
-            margin-bottom: 15px;
-            font-weight: 600;
-        }
-        
-        h1 { font-size: 2.2em; border-bottom: 3px solid #3498db; padding-bottom: 10px; }
-        h2 { font-size: 1.8em; border-bottom: 2px solid #ecf0f1; padding-bottom: 8px; }
-        h3 { font-size: 1.4em; }
-        h4 { font-size: 1.2em; }
-        
-        p {
-            margin-bottom: 15px;
-            text-align: justify;
-        }
-        
-        ul, ol {
-            margin-bottom: 15px;
-            padding-left: 30px;
-        }
-        
-        li {
-            margin-bottom: 5px;
-        }
-        
-        blockquote {
-            border-left: 4px solid #3498db;
-            margin: 20px 0;
-            padding: 10px 20px;
-            background: #f8f9fa;
-            font-style: italic;
-        }
-        
-        code {
-            background: #f4f4f4;
-            padding: 2px 6px;
-            border-radius: 3px;
-            font-family: 'Courier New', monospace;
-            font-size: 0.9em;
-        }
-        
-        pre {
-            background: #2c3e50;
-            color: #ecf0f1;
-            padding: 15px;
-            border-radius: 5px;
-            overflow-x: auto;
-            margin: 20px 0;
-        }
-        
-        pre code {
-            background: none;
-            padding: 0;
-            color: inherit;
-        }
-        
-        table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 20px 0;
-            font-size: 0.9em;
-        }
-        
-        th, td {
-            border: 1px solid #ddd;
-            padding: 12px;
-            text-align: left;
-        }
-        
-        th {
-            background: #3498db;
-            color: white;
-            font-weight: bold;
-        }
-        
-        tr:nth-child(even) {
-            background: #f8f9fa;
-        }
-        
-        img {
-            max-width: 100%;
-            height: auto;
-            display: block;
-            margin: 20px auto;
-        }
-        
-        hr {
-            border: none;
-            border-top: 2px solid #ecf0f1;
-            margin: 30px 0;
-        }
-        
-        @media print {
-            body { margin: 0; padding: 20px; }
-            h1, h2, h3, h4, h5, h6 { page-break-after: avoid; }
-            pre, blockquote { page-break-inside: avoid; }
-        }
-    </style>
-</head>
-<body>
-    ${content}
-</body>
-</html>`;
+    if (!width && !height) {
+        console.log('❌ Please specify at least width or height.');
+        return null;
+    }
+
+    // Without a format, the output filename's extension decides
+    const outputExt = path.extname(outputFile).toLowerCase().slice(1);
+    const finalFormat = format || (['jpg', 'jpeg', 'png', 'webp'].includes(outputExt) ? outputExt : 'jpeg');
+    return { width, height, quality, format: finalFormat };
 }
 
 async function convertAll() {
-    try {
-        console.log('🔄 Universal Document Converter');
-        console.log('==============================\n');
-
-        // Get input file
-        let inputFile = '';
-        while (!inputFile) {
-            inputFile = await askQuestion('Enter the path to your file: ');
-            if (!inputFile) {
-                console.log('❌ Please enter a valid file path.\n');
-                continue;
-            }
-            
-            if (!fs.existsSync(inputFile)) {
-                console.log(`❌ File not found: ${inputFile}\n`);
-                inputFile = '';
-                continue;
-            }
-        }
-
-        // Get output directory
-        let outputDir = '';
-        while (!outputDir) {
-            outputDir = await askQuestion('Enter the output directory (or press Enter for current directory): ');
-            if (!outputDir) {
-                outputDir = '.';
-            }
-            
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(outputDir)) {
-                const createDir = await askQuestion(`Directory "${outputDir}" doesn't exist. Create it? (y/n): `);
-                if (createDir.toLowerCase() === 'y' || createDir.toLowerCase() === 'yes') {
-                    try {
-                        fs.mkdirSync(outputDir, { recursive: true });
-                        console.log(`✅ Created directory: ${outputDir}`);
-                    } catch (error) {
-                        console.log(`❌ Error creating directory: ${error.message}\n`);
-                        outputDir = '';
-                        continue;
-                    }
-                } else {
-                    outputDir = '';
-                    continue;
-                }
-            }
-        }
-
-        // Determine file type and available conversions
-        const fileExt = path.extname(inputFile).toLowerCase();
-        const fileName = path.basename(inputFile, fileExt);
-        
-        let availableConversions = [];
-        let fileType = '';
-
-        if (['.html', '.htm'].includes(fileExt)) {
-            fileType = 'HTML';
-            availableConversions = ['PDF', 'Word'];
-        } else if (['.md', '.markdown', '.txt'].includes(fileExt)) {
-            fileType = 'Markdown';
-            availableConversions = ['PDF', 'HTML', 'Word'];
-        } else if (['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp'].includes(fileExt)) {
-            fileType = 'Image';
-            availableConversions = ['Resize'];
-        } else {
-            console.log('❌ Unsupported file type. Supported formats: HTML, Markdown, Images');
-            closeInterface();
-            return;
-        }
-
-        console.log(`\n📁 File type detected: ${fileType}`);
-        console.log('Available conversions:');
-        availableConversions.forEach((conv, index) => {
-            console.log(`   ${index + 1}. ${conv}`);
-        });
-
-        // Get conversion choice
-        let conversionChoice = '';
-        while (!conversionChoice) {
-            const choice = await askQuestion(`\nSelect conversion (1-${availableConversions.length}): `);
-            const choiceNum = parseInt(choice);
-            if (choiceNum >= 1 && choiceNum <= availableConversions.length) {
-                conversionChoice = availableConversions[choiceNum - 1];
-            } else {
-                console.log('❌ Please select a valid option.\n');
-            }
-        }
-
-        // Get output filename
-        let outputFilename = '';
-        while (!outputFilename) {
-            let defaultName = '';
-            switch (conversionChoice) {
-                case 'PDF':
-                    defaultName = fileName + '.pdf';
-                    break;
-                case 'HTML':
-                    defaultName = fileName + '.html';
-                    break;
-                case 'Word':
-                    defaultName = fileName + '.docx';
-                    break;
-                case 'Resize':
-                    defaultName = fileName + '-resized' + fileExt;
-                    break;
-            }
-            
-            outputFilename = await askQuestion(`Enter output filename (or press Enter for "${defaultName}"): `);
-            if (!outputFilename) {
-                outputFilename = defaultName;
-            }
-        }
-
-        // Build full output path
-        const outputFile = path.join(outputDir, outputFilename);
-
-        // Check if output file already exists
-        if (fs.existsSync(outputFile)) {
-            const overwrite = await askQuestion(`File "${outputFile}" already exists. Overwrite? (y/n): `);
-            if (overwrite.toLowerCase() !== 'y' && overwrite.toLowerCase() !== 'yes') {
-                console.log('❌ Conversion cancelled.');
-                closeInterface();
-                return;
-            }
-        }
+    console.log('🔄 Universal Document Converter');
+    console.log('==============================\n');
+
+    const inputFile = await askInputFile(prompt, 'Enter the path to your file: ');
+    const outputDir = await askOutputDir(prompt);
+
+    // Determine file type and available conversions
+    const fileExt = path.extname(inputFile).toLowerCase();
+    const fileName = path.basename(inputFile, fileExt);
+    // The content decides, so misnamed files still get the right conversions (plain text has none)
+    const detected = getConverter().sniff({ buffer: fs.readFileSync(inputFile), originalname: inputFile });
+    const fileType = detected.format;
+    const availableConversions = getConverter().list()
+        .filter(conversion => conversion.from === fileType && conversion.to !== 'images');
+
+    if (availableConversions.length === 0) {
+        console.log('❌ Unsupported file type. Supported formats: HTML, Markdown, PDF, Images');
+        return false;
+    }
 
-        console.log('\n🔄 Converting...');
-        console.log(`   Input: ${inputFile}`);
-        console.log(`   Output: ${outputFile}`);
-        console.log(`   Conversion: ${fileType} → ${conversionChoice}`);
+    console.log(`\n📁 File type detected: ${label(FORMAT_LABELS, fileType)} (${Math.round(detected.confidence * 100)}% confidence)`);
+    console.log('Available conversions:');
+    availableConversions.forEach((conversion, index) => {
+        console.log(`   ${index + 1}. ${label(TARGET_LABELS, conversion.to)}`);
+    });
 
-        // Perform conversion
-        switch (conversionChoice) {
-            case 'PDF':
-                await convertToPdf(inputFile, outputFile, fileType);
-                break;
-            case 'HTML':
-                await convertToHtml(inputFile, outputFile);
-                break;
-            case 'Word':
-                await convertToWord(inputFile, outputFile, fileType);
-                break;
-            case 'Resize':
-                await resizeImage(inputFile, outputFile);
-                break;
-        }
-        
-        // Ask if user wants to convert another file
-        const convertAnother = await askQuestion('\nConvert another file? (y/n): ');
-        if (convertAnother.toLowerCase() === 'y' || convertAnother.toLowerCase() === 'yes') {
-            console.log('\n' + '='.repeat(50) + '\n');
-            await convertAll();
+    // Get conversion choice
+    let conversion = null;
+    while (!conversion) {
+        const choice = await prompt.ask(`\nSelect conversion (1-${availableConversions.length}): `);
+        const choiceNum = parseInt(choice);
+        if (choiceNum >= 1 && choiceNum <= availableConversions.length) {
+            conversion = availableConversions[choiceNum - 1];
         } else {
-            console.log('\n👋 Thanks for using Universal Document Converter!');
+            console.log('❌ Please select a valid option.\n');
         }
-        
-    } catch (error) {
-        console.error('\n❌ Error:', error.message);
-    } finally {
-        closeInterface();
-    }
-}
-
-async function convertToPdf(inputFile, outputFile, fileType) {
-    let htmlContent = '';
-    
-    if (fileType === 'HTML') {
-        htmlContent = fs.readFileSync(inputFile, 'utf-8');
-    } else if (fileType === 'Markdown') {
-        const markdownContent = fs.readFileSync(inputFile, 'utf-8');
-        htmlContent = marked.parse(markdownContent);
     }
-    
-    // Create full HTML document
-    const title = path.basename(inputFile, path.extname(inputFile));
-    const fullHtml = createHtmlTemplate(htmlContent, title);
-
-    // Launch browser
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
 
-    const page = await browser.newPage();
-    
-    // Set content and wait for it to load
-    await page.setContent(fullHtml, { waitUntil: 'networkidle0' });
-    
-    // Generate PDF
-    const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-            top: '20px',
-            right: '20px',
-            bottom: '20px',
-            left: '20px'
-        },
-        preferCSSPageSize: true
-    });
+    const defaultName = conversion.to === 'image' ? fileName + '-resized' + fileExt : `${fileName}.${conversion.to}`;
+    const outputFilename = await askOutputFilename(prompt, defaultName);
 
-    await browser.close();
-
-    // Write PDF to file
-    fs.writeFileSync(outputFile, pdfBuffer);
-    
-    console.log(`\n✅ PDF created successfully!`);
-    console.log(`📊 File size: ${(pdfBuffer.length / 1024).toFixed(2)} KB`);
-}
-
-async function convertToHtml(inputFile, outputFile) {
-    const markdownContent = fs.readFileSync(inputFile, 'utf-8');
-    const htmlContent = marked.parse(markdownContent);
-    
-    // Create full HTML document
-    const title = path.basename(inputFile, path.extname(inputFile));
-    const fullHtml = createHtmlTemplate(htmlContent, title);
-
-    // Write HTML to file
-    fs.writeFileSync(outputFile, fullHtml);
-    
-    console.log(`\n✅ HTML file created successfully!`);
-    console.log(`📊 File size: ${(fullHtml.length / 1024).toFixed(2)} KB`);
-}
-
-async function convertToWord(inputFile, outputFile, fileType) {
-    let htmlContent = '';
-    
-    if (fileType === 'HTML') {
-        htmlContent = fs.readFileSync(inputFile, 'utf-8');
-    } else if (fileType === 'Markdown') {
-        const markdownContent = fs.readFileSync(inputFile, 'utf-8');
-        htmlContent = marked.parse(markdownContent);
+    // Build full output path
+    const outputFile = path.join(outputDir, outputFilename);
+    if (!(await confirmOverwrite(prompt, outputFile))) {
+        return false;
     }
-    
-    // Note: This requires html-to-docx to be installed
-    try {
-        const htmlToDocx = require('html-to-docx');
-        const fileBuffer = await htmlToDocx(htmlContent, {
-            table: { row: { cantSplit: true } },
-            footer: false,
-            pageNumber: false,
-            margins: {
-                top: 1440,
-                right: 1440,
-                bottom: 1440,
-                left: 1440,
-                header: 720,
-                footer: 720,
-                gutter: 0
-            }
-        });
 
-        fs.writeFileSync(outputFile, fileBuffer);
-        
-        console.log(`\n✅ Word document created successfully!`);
-        console.log(`📊 File size: ${(fileBuffer.length / 1024).toFixed(2)} KB`);
-    } catch (error) {
-        console.log('\n❌ Word conversion failed. html-to-docx library may not be installed or compatible.');
-        console.log('💡 Try using Pandoc instead: pandoc input.md -o output.docx');
+    // Conversion specific options, asked the same way as the single-purpose scripts
+    let options = {};
+    if (conversion.to === 'pdf') {
+        options = { pdf: await askPdfOptions(prompt), theme: await askTheme(prompt) };
+    } else if (conversion.to === 'html') {
+        options = { theme: await askTheme(prompt) };
+    } else if (conversion.to === 'image') {
+        options = await askResizeOptions(outputFile);
+        if (!options) {
+            return;
+        }
     }
-}
-
-async function resizeImage(inputFile, outputFile) {
-    // Get resize parameters
-    const width = await askQuestion('Enter new width (or press Enter to keep aspect ratio): ');
-    const height = await askQuestion('Enter new height (or press Enter to keep aspect ratio): ');
-    const quality = await askQuestion('Enter quality (1-100, default 90): ') || '90';
-    const format = await askQuestion('Enter format (jpeg/png/webp, default: same as input): ') || '';
 
-    if (!width && !height) {
-        console.log('❌ Please specify at least width or height.');
-        return;
+    // Code blocks in Markdown are highlighted in every output; the front matter may already say how
+    if (fileType === 'markdown' && ['pdf', 'html', 'docx'].includes(conversion.to)) {
+        options = { ...options, ...await askHighlight(prompt, readFrontMatter(inputFile).highlight) };
     }
 
-    let sharpInstance = sharp(inputFile);
+    console.log('\n🔄 Converting...');
+    console.log(`   Input: ${inputFile}`);
+    console.log(`   Output: ${outputFile}`);
+    console.log(`   Conversion: ${label(FORMAT_LABELS, fileType)} → ${label(TARGET_LABELS, conversion.to)}`);
 
-    // Resize the image
-    if (width && height) {
-        sharpInstance = sharpInstance.resize(parseInt(width), parseInt(height));
-    } else if (width) {
-        sharpInstance = sharpInstance.resize(parseInt(width), null, { withoutEnlargement: true });
-    } else if (height) {
-        sharpInstance = sharpInstance.resize(null, parseInt(height), { withoutEnlargement: true });
-    }
-
-    // Convert to specified format
-    let outputBuffer;
-    const outputExt = path.extname(outputFile).toLowerCase();
-    const finalFormat = format || (outputExt === '.jpg' || outputExt === '.jpeg' ? 'jpeg' : 
-                                  outputExt === '.png' ? 'png' : 
-                                  outputExt === '.webp' ? 'webp' : 'jpeg');
+    const { data } = await getConverter().convert({ path: inputFile }, { conversion: conversion.id, options });
 
-    switch (finalFormat.toLowerCase()) {
-        case 'jpeg':
-        case 'jpg':
-            outputBuffer = await sharpInstance.jpeg({ quality: parseInt(quality) }).toBuffer();
-            break;
-        case 'png':
-            outputBuffer = await sharpInstance.png({ quality: parseInt(quality) }).toBuffer();
-            break;
-        case 'webp':
-            outputBuffer = await sharpInstance.webp({ quality: parseInt(quality) }).toBuffer();
-            break;
-        default:
-            console.log('❌ Unsupported format. Using JPEG.');
-            outputBuffer = await sharpInstance.jpeg({ quality: parseInt(quality) }).toBuffer();
-    }
+    fs.writeFileSync(outputFile, data);
 
-    // Write resized image to file
-    fs.writeFileSync(outputFile, outputBuffer);
-    
-    console.log(`\n✅ Image resized successfully!`);
-    console.log(`📊 File size: ${(outputBuffer.length / 1024).toFixed(2)} KB`);
+    console.log(`\n✅ ${conversion.to === 'image' ? 'Image resized' : 'File converted'} successfully!`);
+    console.log(`📊 File size: ${formatSize(data.length)}`);
 }
 
-// Handle Ctrl+C gracefully
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Conversion cancelled. Goodbye!');
-    closeInterface();
-    process.exit(0);
-});
-
 // Start the interactive conversion
-convertAll(); 
\ No newline at end of file
+runInteractive(prompt, { name: 'Universal Document Converter', failure: 'Error' }, convertAll);
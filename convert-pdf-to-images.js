@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { IMAGE_FORMATS } = require('./lib/image-pipeline');
+const { parseRasterOptions, rasterizePdf } = require('./lib/pdf-raster');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+
+if (args.length === 0) {
+    console.log('🖼️  PDF to Image Converter');
+    console.log('');
+    console.log('Usage: node convert-pdf-to-images.js <input.pdf> [--dir <directory>] [--pages <ranges>] [--dpi <dpi>]');
+    console.log('                                     [--format png|jpeg|webp] [--width <px>] [--height <px>] [--quality <1-100>]');
+    console.log('');
+    console.log('Writes one image per page, named <input>-page-<number>.<format>.');
+    console.log('Needs GraphicsMagick and Ghostscript installed.');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node convert-pdf-to-images.js report.pdf');
+    console.log('  node convert-pdf-to-images.js report.pdf --pages 1-3,5 --dpi 300');
+    console.log('  node convert-pdf-to-images.js report.pdf --pages 1 --format webp --width 320 --dir ./thumbs/');
+    console.log('');
+    process.exit(1);
+}
+
+let inputFile = '';
+let outputDir = '';
+// Raw options, validated with the same rules as the /convert-pdf-to-images API
+const rasterOptions = {};
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dir' || arg === '-d') {
+        outputDir = args[++i] || '';
+    } else if (arg === '--pages' || arg === '-p') {
+        rasterOptions.pages = args[++i] || '';
+    } else if (arg === '--dpi') {
+        rasterOptions.dpi = args[++i] || '';
+    } else if (arg === '--format' || arg === '-f') {
+        rasterOptions.format = args[++i] || '';
+    } else if (arg === '--width' || arg === '-w') {
+        rasterOptions.width = args[++i] || '';
+    } else if (arg === '--height') {
+        rasterOptions.height = args[++i] || '';
+    } else if (arg === '--quality' || arg === '-q') {
+        rasterOptions.quality = args[++i] || '';
+    } else if (arg.startsWith('--')) {
+        console.error(`❌ Unknown option: ${arg}`);
+        process.exit(1);
+    } else if (!inputFile) {
+        inputFile = arg;
+    }
+}
+
+const { options, errors } = parseRasterOptions(rasterOptions);
+if (errors) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(1);
+}
+
+// Images go next to the PDF unless a directory is given
+if (!outputDir) {
+    outputDir = path.dirname(inputFile);
+} else if (!fs.existsSync(outputDir)) {
+    try {
+        fs.mkdirSync(outputDir, { recursive: true });
+        console.log(`📁 Created output directory: ${outputDir}`);
+    } catch (error) {
+        console.error(`❌ Error creating directory: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+async function convertPdfToImages() {
+    try {
+        // Check if input file exists
+        if (!fs.existsSync(inputFile)) {
+            console.error(`❌ Error: Input file "${inputFile}" not found`);
+            process.exit(1);
+        }
+
+        console.log(`📖 Reading PDF file: ${inputFile}`);
+        const pdfBuffer = fs.readFileSync(inputFile);
+
+        console.log(`🔄 Rendering pages at ${options.dpi} DPI...`);
+        const { numPages, images } = await rasterizePdf(pdfBuffer, options);
+
+        const baseName = path.basename(inputFile, path.extname(inputFile));
+        const { extension } = IMAGE_FORMATS[options.format];
+        for (const image of images) {
+            const outputFile = path.join(outputDir, `${baseName}-page-${image.page}.${extension}`);
+            fs.writeFileSync(outputFile, image.data);
+            console.log(`✅ Page ${image.page}: ${outputFile} (${(image.data.length / 1024).toFixed(2)} KB)`);
+        }
+
+        console.log(`📊 ${images.length} of ${numPages} pages converted`);
+
+    } catch (error) {
+        console.error('❌ Error converting PDF to images:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the conversion
+convertPdfToImages();
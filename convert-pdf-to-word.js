@@ -2,192 +2,114 @@
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const { exec } = require('child_process');
-const util = require('util');
-
-const execAsync = util.promisify(exec);
-
-// Create readline interface for user input
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-// Helper function to prompt user for input
-function askQuestion(question) {
-    return new Promise((resolve) => {
-        rl.question(question, (answer) => {
-            resolve(answer.trim());
-        });
-    });
+const { parseHtmlOptions } = require('./lib/pdf-to-html');
+const { convertPdfToDocx } = require('./lib/pdf-to-docx');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+
+if (args.length === 0) {
+    console.log('📄 PDF to Word Converter');
+    console.log('');
+    console.log('Usage: node convert-pdf-to-word.js <input.pdf> [output.docx] [--dir <directory>]');
+    console.log('                                   [--no-images] [--image-max-width <px>] [--image-quality <1-100>]');
+    console.log('');
+    console.log('Headings, paragraphs, lists, tables and images are rebuilt from the PDF layout.');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node convert-pdf-to-word.js report.pdf');
+    console.log('  node convert-pdf-to-word.js report.pdf report.docx');
+    console.log('  node convert-pdf-to-word.js report.pdf --dir ./word/');
+    console.log('  node convert-pdf-to-word.js scan-heavy.pdf --image-max-width 800 --image-quality 70');
+    console.log('');
+    process.exit(1);
 }
 
-// Helper function to close readline interface
-function closeInterface() {
-    rl.close();
+let inputFile = '';
+let outputFile = '';
+let outputDir = '';
+// Raw options, validated with the same rules as the /convert-pdf-to-word API
+const htmlOptions = {};
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dir' || arg === '-d') {
+        outputDir = args[++i] || '';
+    } else if (arg === '--no-images') {
+        htmlOptions.images = 'none';
+    } else if (arg === '--image-max-width') {
+        htmlOptions.imageMaxWidth = args[++i] || '';
+    } else if (arg === '--image-quality') {
+        htmlOptions.imageQuality = args[++i] || '';
+    } else if (arg.startsWith('--')) {
+        console.error(`❌ Unknown option: ${arg}`);
+        process.exit(1);
+    } else if (!inputFile) {
+        inputFile = arg;
+    } else if (!outputFile) {
+        outputFile = arg;
+    }
 }
 
-// Check if Pandoc is installed
-async function checkPandoc() {
-    try {
-        await execAsync('pandoc --version');
-        return true;
-    } catch (error) {
-        return false;
+const { options, errors } = parseHtmlOptions(htmlOptions);
+if (errors) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(1);
+}
+
+if (!outputFile) {
+    outputFile = inputFile.replace(/\.pdf$/i, '') + '.docx';
+}
+
+// Apply output directory if specified
+if (outputDir) {
+    // Create directory if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+        try {
+            fs.mkdirSync(outputDir, { recursive: true });
+            console.log(`📁 Created output directory: ${outputDir}`);
+        } catch (error) {
+            console.error(`❌ Error creating directory: ${error.message}`);
+            process.exit(1);
+        }
     }
+
+    // Get just the filename from the output path
+    outputFile = path.join(outputDir, path.basename(outputFile));
 }
 
 async function convertPdfToWord() {
     try {
-        console.log('📄 PDF to Word Converter');
-        console.log('=======================\n');
-
-        // Check if Pandoc is installed
-        const pandocInstalled = await checkPandoc();
-        if (!pandocInstalled) {
-            console.log('❌ Pandoc is not installed.');
-            console.log('\nTo install Pandoc on macOS:');
-            console.log('  brew install pandoc');
-            console.log('\nOr download from: https://pandoc.org/installing.html');
-            console.log('\nAfter installing Pandoc, run this script again.');
-            closeInterface();
-            return;
+        // Check if input file exists
+        if (!fs.existsSync(inputFile)) {
+            console.error(`❌ Error: Input file "${inputFile}" not found`);
+            process.exit(1);
         }
 
-        // Get input file
-        let inputFile = '';
-        while (!inputFile) {
-            inputFile = await askQuestion('Enter the path to your PDF file: ');
-            if (!inputFile) {
-                console.log('❌ Please enter a valid file path.\n');
-                continue;
-            }
-            
-            if (!fs.existsSync(inputFile)) {
-                console.log(`❌ File not found: ${inputFile}\n`);
-                inputFile = '';
-                continue;
-            }
-            
-            // Check if it's a PDF file
-            const ext = path.extname(inputFile).toLowerCase();
-            if (ext !== '.pdf') {
-                console.log('⚠️  Warning: File does not have a .pdf extension. Continue anyway? (y/n): ');
-                const continueAnyway = await askQuestion('');
-                if (continueAnyway.toLowerCase() !== 'y' && continueAnyway.toLowerCase() !== 'yes') {
-                    inputFile = '';
-                    continue;
-                }
-            }
-        }
+        console.log(`📖 Reading PDF file: ${inputFile}`);
+        const pdfBuffer = fs.readFileSync(inputFile);
 
-        // Get output directory
-        let outputDir = '';
-        while (!outputDir) {
-            outputDir = await askQuestion('Enter the output directory (or press Enter for current directory): ');
-            if (!outputDir) {
-                outputDir = '.';
-            }
-            
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(outputDir)) {
-                const createDir = await askQuestion(`Directory "${outputDir}" doesn't exist. Create it? (y/n): `);
-                if (createDir.toLowerCase() === 'y' || createDir.toLowerCase() === 'yes') {
-                    try {
-                        fs.mkdirSync(outputDir, { recursive: true });
-                        console.log(`✅ Created directory: ${outputDir}`);
-                    } catch (error) {
-                        console.log(`❌ Error creating directory: ${error.message}\n`);
-                        outputDir = '';
-                        continue;
-                    }
-                } else {
-                    outputDir = '';
-                    continue;
-                }
-            }
-        }
+        console.log('🔄 Converting to Word document...');
+        const title = path.basename(inputFile, path.extname(inputFile));
+        const { docx, numPages, textLength } = await convertPdfToDocx(pdfBuffer, { ...options, title });
 
-        // Get output filename
-        let outputFilename = '';
-        while (!outputFilename) {
-            const defaultName = path.basename(inputFile, path.extname(inputFile)) + '.docx';
-            outputFilename = await askQuestion(`Enter output filename (or press Enter for "${defaultName}"): `);
-            if (!outputFilename) {
-                outputFilename = defaultName;
-            }
-            
-            // Add .docx extension if not provided
-            if (!outputFilename.toLowerCase().endsWith('.docx')) {
-                outputFilename += '.docx';
-            }
-        }
+        fs.writeFileSync(outputFile, docx);
 
-        // Build full output path
-        const outputFile = path.join(outputDir, outputFilename);
-
-        // Check if output file already exists
-        if (fs.existsSync(outputFile)) {
-            const overwrite = await askQuestion(`File "${outputFile}" already exists. Overwrite? (y/n): `);
-            if (overwrite.toLowerCase() !== 'y' && overwrite.toLowerCase() !== 'yes') {
-                console.log('❌ Conversion cancelled.');
-                closeInterface();
-                return;
-            }
+        console.log(`✅ Word document created successfully: ${outputFile}`);
+        console.log(`📄 Pages: ${numPages}, text extracted: ${textLength} characters`);
+        console.log(`📊 File size: ${(docx.length / 1024).toFixed(2)} KB`);
+        if (textLength === 0) {
+            console.log('⚠️  No text found. Scanned PDFs have no text layer to convert.');
         }
 
-        console.log('\n🔄 Converting PDF to Word document...');
-        console.log(`   Input: ${inputFile}`);
-        console.log(`   Output: ${outputFile}`);
-
-        // Convert PDF to Word using Pandoc
-        const command = `pandoc "${inputFile}" -o "${outputFile}"`;
-        
-        try {
-            const { stdout, stderr } = await execAsync(command);
-            
-            if (stderr) {
-                console.log('⚠️  Warning messages:', stderr);
-            }
-            
-            console.log(`\n✅ Word document created successfully!`);
-            console.log(`📁 Location: ${outputFile}`);
-            
-            // Check file size
-            const stats = fs.statSync(outputFile);
-            console.log(`📊 File size: ${(stats.size / 1024).toFixed(2)} KB`);
-            
-        } catch (error) {
-            console.error('\n❌ Error during conversion:', error.message);
-            console.log('\n💡 Tips:');
-            console.log('- Make sure the PDF is not password protected');
-            console.log('- Try with a simpler PDF first');
-            console.log('- Some PDFs with complex layouts may not convert perfectly');
-        }
-        
-        // Ask if user wants to convert another file
-        const convertAnother = await askQuestion('\nConvert another file? (y/n): ');
-        if (convertAnother.toLowerCase() === 'y' || convertAnother.toLowerCase() === 'yes') {
-            console.log('\n' + '='.repeat(50) + '\n');
-            await convertPdfToWord();
-        } else {
-            console.log('\n👋 Thanks for using PDF to Word Converter!');
-        }
-        
     } catch (error) {
-        console.error('\n❌ Error:', error.message);
-    } finally {
-        closeInterface();
+        console.error('❌ Error converting PDF to Word:', error.message);
+        console.log('💡 Make sure the PDF is not password protected');
+        process.exit(1);
     }
 }
 
-// Handle Ctrl+C gracefully
-process.on('SIGINT', () => {
-    console.log('\n\n👋 Conversion cancelled. Goodbye!');
-    closeInterface();
-    process.exit(0);
-});
-
-// Start the interactive conversion
-convertPdfToWord(); 
\ No newline at end of file
+// Run the conversion
+convertPdfToWord();
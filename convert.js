@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
-const path = require('path');
+const { convert, close } = require('./lib');
+const { outputInDir, formatSize } = require('./lib/cli');
+const { parsePdfOptions } = require('./lib/pdf-options');
+const { listThemes, parseTheme } = require('./lib/themes');
 
 // Get command line arguments
 const args = process.argv.slice(2);
@@ -11,6 +13,12 @@ if (args.length === 0) {
     console.log('📄 HTML to PDF Converter');
     console.log('');
     console.log('Usage: node convert.js <input.html> [output.pdf] [--dir <directory>]');
+    console.log('                       [--header <preset|html>] [--footer <preset|html>] [--no-first-page-header]');
+    console.log('                       [--theme <name>]');
+    console.log('');
+    console.log(`Themes: ${listThemes().map(item => item.name).join(', ')}`);
+    console.log('Header/footer presets: title, date, title-date, page-number, page-x-of-y, title-page-x-of-y');
+    console.log('Custom templates may use {{pageNumber}}, {{totalPages}}, {{title}} and {{date}}');
     console.log('');
     console.log('Examples:');
     console.log('  node convert.js document.html');
@@ -18,6 +26,8 @@ if (args.length === 0) {
     console.log('  node convert.js document.html --dir ./pdfs/');
     console.log('  node convert.js document.html output.pdf --dir /path/to/output/');
     console.log('  node convert.js /path/to/document.html /path/to/output.pdf');
+    console.log('  node convert.js document.html --header title-date --footer page-x-of-y --no-first-page-header');
+    console.log('  node convert.js notes.html --theme github');
     console.log('');
     process.exit(1);
 }
@@ -25,6 +35,8 @@ if (args.length === 0) {
 let inputFile = '';
 let outputFile = '';
 let outputDir = '';
+const headerFooter = {};
+let themeName = '';
 
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
@@ -32,6 +44,14 @@ for (let i = 0; i < args.length; i++) {
     
     if (arg === '--dir' || arg === '-d') {
         outputDir = args[++i] || '';
+    } else if (arg === '--header') {
+        headerFooter.header = args[++i] || '';
+    } else if (arg === '--footer') {
+        headerFooter.footer = args[++i] || '';
+    } else if (arg === '--no-first-page-header') {
+        headerFooter.firstPageHeader = false;
+    } else if (arg === '--theme') {
+        themeName = args[++i] || '';
     } else if (arg.startsWith('--')) {
         console.error(`❌ Unknown option: ${arg}`);
         process.exit(1);
@@ -42,27 +62,30 @@ for (let i = 0; i < args.length; i++) {
     }
 }
 
+// Headers and footers are drawn inside the page margins, so leave room for them
+const pageOptions = {
+    margin: headerFooter.header || headerFooter.footer ? '20mm 20px' : '20px',
+    preferCSSPageSize: true,
+    ...headerFooter
+};
+const { errors } = parsePdfOptions(pageOptions);
+if (errors) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(1);
+}
+
+const { theme, error: themeError } = parseTheme(themeName);
+if (themeError) {
+    console.error(`❌ ${themeError}`);
+    process.exit(1);
+}
+
 if (!outputFile) {
     outputFile = inputFile.replace(/\.(html|htm)$/i, '.pdf');
 }
 
 // Apply output directory if specified
-if (outputDir) {
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
-        try {
-            fs.mkdirSync(outputDir, { recursive: true });
-            console.log(`📁 Created output directory: ${outputDir}`);
-        } catch (error) {
-            console.error(`❌ Error creating directory: ${error.message}`);
-            process.exit(1);
-        }
-    }
-    
-    // Get just the filename from the output path
-    const filename = path.basename(outputFile);
-    outputFile = path.join(outputDir, filename);
-}
+outputFile = outputInDir(outputFile, outputDir);
 
 async function convertHtmlToPdf() {
     try {
@@ -80,41 +103,20 @@ async function convertHtmlToPdf() {
             console.log(`📁 Output directory: ${outputDir}`);
         }
         
-        // Launch browser
-        const browser = await puppeteer.launch({
-            headless: 'new',
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-
-        const page = await browser.newPage();
-        
-        // Set content and wait for it to load
-        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-        
-        // Generate PDF with editable text
-        const pdfBuffer = await page.pdf({
-            format: 'A4',
-            printBackground: true,
-            margin: {
-                top: '20px',
-                right: '20px',
-                bottom: '20px',
-                left: '20px'
-            },
-            preferCSSPageSize: true
-        });
-
-        await browser.close();
+        // Validated again by the converter, with the same rules as the /convert/pdf API
+        const { data: pdfBuffer } = await convert(htmlContent, { from: 'html', to: 'pdf', options: { pdf: pageOptions, theme } });
 
         // Write PDF to file
         fs.writeFileSync(outputFile, pdfBuffer);
         
         console.log(`✅ PDF created successfully: ${outputFile}`);
-        console.log(`📊 File size: ${(pdfBuffer.length / 1024).toFixed(2)} KB`);
+        console.log(`📊 File size: ${formatSize(pdfBuffer.length)}`);
         
     } catch (error) {
         console.error('❌ Error converting HTML to PDF:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        await close();
     }
 }
 
@@ -0,0 +1,188 @@
+// Batch conversion: many uploaded files, one target format, one ZIP back.
+// Each file goes through the converter registry, so it gets the same conversion
+// as its single-file route (or several in a row when no one conversion does it); the ZIP
+// also holds manifest.json saying what happened to every file.
+
+const path = require('path');
+const JSZip = require('jszip');
+const { canonicalFormat } = require('./converter');
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Helper function to turn an uploaded filename into a safe relative path inside the ZIP
+function safeRelativePath(name) {
+    const parts = String(name || '').replace(/\\/g, '/').split('/').filter(part => part && part !== '.' && part !== '..');
+    return parts.join('/') || 'document';
+}
+
+// Helper function to run `task` over `items` with at most `limit` running at once
+async function forEachLimit(items, limit, task) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await task(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+}
+
+// Resolve a target format name ("word" is accepted for docx); null if nothing converts to it
+function batchTarget(converter, name) {
+    const to = canonicalFormat(name);
+    return converter.targets().includes(to) ? to : null;
+}
+
+// Work out how one file converts to `to` and validate it with the shared `fields`.
+// `file` is { buffer, originalname, mimetype }. Returns { conversion, input } or { error }.
+function prepareBatchFile(converter, to, fields, file) {
+    try {
+        return converter.prepare(file, { to, options: fields });
+    } catch (error) {
+        // Uploads can't say what format they are, so there is no "from" to suggest
+        if (error.code === 'UNKNOWN_FORMAT') {
+            return { error: `Cannot convert this file type to ${to}` };
+        }
+        if (error.statusCode === 400) {
+            return { error: error.message };
+        }
+        throw error;
+    }
+}
+
+// Build the POST /batch handler.
+// `converter` is the app's converter (see converter.js); files are
+// expected in `req.files` and the target format in the `to` field. Up to
+// `concurrency` files convert at once and at most `maxFiles` are accepted.
+function createBatchHandler(converter, options = {}) {
+    const config = {
+        concurrency: options.concurrency || envInt('BATCH_CONCURRENCY', 4),
+        maxFiles: options.maxFiles || envInt('BATCH_MAX_FILES', 100)
+    };
+
+    return async (req, res) => {
+        try {
+            const fields = { ...req.query, ...req.body };
+            const files = req.files || [];
+            const to = batchTarget(converter, fields.to);
+
+            if (!to) {
+                return res.status(400).json({ error: `Invalid target format. Use one of: ${converter.targets().join(', ')}` });
+            }
+            if (files.length === 0) {
+                return res.status(400).json({ error: 'No files uploaded. Send them in the "files" field.' });
+            }
+            if (files.length > config.maxFiles) {
+                return res.status(400).json({ error: `Too many files: at most ${config.maxFiles} per batch` });
+            }
+
+            // Check every file first, so a request no file can be converted from is a plain 400
+            const entries = files.map((file) => {
+                const entry = { input: safeRelativePath(file.originalname), status: 'failed', output: null, size: null, error: null };
+                const upload = { buffer: file.buffer, originalname: path.basename(file.originalname), mimetype: file.mimetype };
+                // Reported in the manifest, so misnamed files are easy to spot
+                entry.detected = converter.sniff(upload);
+                const { conversion, input, error } = prepareBatchFile(converter, to, fields, upload);
+                if (error) {
+                    entry.error = error;
+                    return entry;
+                }
+                entry.conversion = conversion;
+                entry.type = conversion.id;
+                entry.job = input;
+                return entry;
+            });
+
+            if (entries.every(entry => !entry.job)) {
+                return res.status(400).json({
+                    error: 'None of the files can be converted',
+                    details: entries.map(entry => `${entry.input}: ${entry.error}`)
+                });
+            }
+
+            // Stop starting new conversions if the client goes away
+            let aborted = false;
+            res.on('close', () => {
+                aborted = !res.writableEnded;
+            });
+
+            await forEachLimit(entries.filter(entry => entry.job), config.concurrency, async (entry) => {
+                if (aborted) {
+                    entry.error = 'Batch was cancelled';
+                    return;
+                }
+                const startedAt = Date.now();
+                try {
+                    entry.result = await entry.conversion.run(entry.job);
+                    entry.status = 'converted';
+                } catch (error) {
+                    console.error(`Batch conversion of ${entry.input} failed:`, error.message);
+                    entry.error = error.message;
+                }
+                entry.durationMs = Date.now() - startedAt;
+            });
+
+            if (aborted) {
+                return;
+            }
+
+            // Outputs keep the input's folders and name, with the extension of the result.
+            // Names are given in upload order so clashes always resolve the same way.
+            const zip = new JSZip();
+            const usedNames = new Set();
+            for (const entry of entries.filter(item => item.result)) {
+                const parsed = path.posix.parse(entry.input);
+                const base = path.posix.join(parsed.dir, parsed.name);
+                const extension = path.extname(entry.result.filename);
+                let output = base + extension;
+                for (let copy = 2; usedNames.has(output); copy++) {
+                    output = `${base}-${copy}${extension}`;
+                }
+                usedNames.add(output);
+
+                zip.file(output, entry.result.data);
+                entry.output = output;
+                entry.size = entry.result.data.length;
+            }
+
+            const converted = entries.filter(entry => entry.status === 'converted').length;
+            const manifest = {
+                to,
+                createdAt: new Date().toISOString(),
+                total: entries.length,
+                converted,
+                failed: entries.length - converted,
+                files: entries.map(({ input, output, type, detected, status, size, error, durationMs }) => (
+                    { input, output, type: type || null, detected, status, size, error, durationMs: durationMs || 0 }
+                ))
+            };
+            zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="batch-${to}.zip"`);
+            res.setHeader('X-Batch-Converted', String(manifest.converted));
+            res.setHeader('X-Batch-Failed', String(manifest.failed));
+
+            zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+                .on('error', (error) => {
+                    console.error('Batch ZIP error:', error);
+                    res.destroy(error);
+                })
+                .pipe(res);
+
+        } catch (error) {
+            console.error('Batch error:', error);
+            res.status(500).json({ error: 'Failed to convert batch: ' + error.message });
+        }
+    };
+}
+
+module.exports = {
+    batchTarget,
+    prepareBatchFile,
+    forEachLimit,
+    createBatchHandler
+};
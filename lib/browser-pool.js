@@ -0,0 +1,498 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const { execSync } = require('child_process');
+
+// Chrome flags used for every pooled browser
+const CHROME_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-features=VizDisplayCompositor',
+    '--disable-extensions',
+    '--disable-plugins',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-field-trial-config',
+    '--disable-ipc-flooding-protection',
+    '--memory-pressure-off',
+    '--single-process',
+    '--disable-images',
+    '--disable-javascript',
+    '--max_old_space_size=4096',
+    '--disable-gpu-sandbox',
+    '--disable-background-networking',
+    '--disable-default-apps',
+    '--disable-sync',
+    '--metrics-recording-only',
+    '--no-default-browser-check',
+    '--safebrowsing-disable-auto-update',
+    '--disable-component-extensions-with-background-pages',
+    '--disable-background-mode',
+    '--disable-client-side-phishing-detection',
+    '--disable-hang-monitor',
+    '--disable-prompt-on-repost',
+    '--disable-domain-reliability',
+    '--disable-features=TranslateUI'
+];
+
+const MINIMAL_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage'
+];
+
+const CHROME_PATHS = {
+    linux: [
+        '/usr/bin/google-chrome-stable',
+        '/usr/bin/google-chrome',
+        '/usr/bin/chromium-browser',
+        '/usr/bin/chromium',
+        '/snap/bin/chromium',
+        '/opt/google/chrome/chrome',
+        '/usr/bin/google-chrome-beta',
+        '/usr/bin/google-chrome-unstable'
+    ],
+    darwin: [
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        '/Applications/Chromium.app/Contents/MacOS/Chromium'
+    ]
+};
+
+// Errors matching these mean the browser (or its connection) is gone
+const CRASH_PATTERNS = [
+    /Target closed/i,
+    /Session closed/i,
+    /Connection closed/i,
+    /Protocol error/i,
+    /Navigating frame was detached/i,
+    /Browser has disconnected/i
+];
+
+let bundledChromeChecked = false;
+
+// Helper function to make sure Puppeteer's bundled Chromium is available (once per process)
+function ensureBundledChromium() {
+    if (bundledChromeChecked || process.env.CHROME_BIN || process.platform !== 'linux') {
+        return;
+    }
+    bundledChromeChecked = true;
+
+    try {
+        console.log('Checking Puppeteer bundled Chromium...');
+        execSync('npx puppeteer browsers install chrome', { stdio: 'pipe' });
+        console.log('Puppeteer bundled Chromium installed successfully');
+    } catch (installError) {
+        console.log('Could not install Puppeteer bundled Chromium:', installError.message);
+    }
+}
+
+// Helper function to find a Chrome executable for the current environment
+function findChromeExecutable() {
+    if (process.env.CHROME_BIN) {
+        console.log('Using Chrome from CHROME_BIN environment variable:', process.env.CHROME_BIN);
+        return process.env.CHROME_BIN;
+    }
+
+    const possiblePaths = CHROME_PATHS[process.platform] || [];
+    for (const chromePath of possiblePaths) {
+        if (fs.existsSync(chromePath)) {
+            console.log('Found Chrome at:', chromePath);
+            return chromePath;
+        }
+    }
+
+    // If no Chrome found, let Puppeteer use its bundled Chromium
+    if (possiblePaths.length > 0) {
+        console.log('No system Chrome found, using Puppeteer bundled Chromium');
+    }
+    return undefined;
+}
+
+// Launch Chrome with environment-aware settings, falling back to simpler configurations
+async function launchBrowser() {
+    console.log('Launching Chrome for PDF generation...');
+    ensureBundledChromium();
+
+    const chromeOptions = {
+        headless: 'new',
+        args: CHROME_ARGS,
+        timeout: 30000,
+        protocolTimeout: 30000
+    };
+
+    const executablePath = findChromeExecutable();
+    if (executablePath) {
+        chromeOptions.executablePath = executablePath;
+    }
+
+    try {
+        const browser = await puppeteer.launch(chromeOptions);
+        console.log('Chrome launched successfully');
+        return browser;
+    } catch (launchError) {
+        console.log('Failed to launch with custom options, trying minimal configuration...');
+    }
+
+    // Try multiple fallback strategies
+    const fallbackStrategies = [
+        // Strategy 1: Minimal configuration
+        { headless: 'new', args: MINIMAL_ARGS },
+        // Strategy 2: Force download bundled Chromium
+        { headless: 'new', args: MINIMAL_ARGS, product: 'chrome' }
+    ];
+
+    let lastError;
+    for (let i = 0; i < fallbackStrategies.length; i++) {
+        try {
+            console.log(`Trying fallback strategy ${i + 1}...`);
+            const browser = await puppeteer.launch(fallbackStrategies[i]);
+            console.log(`Chrome launched with fallback strategy ${i + 1}`);
+            return browser;
+        } catch (strategyError) {
+            console.log(`Fallback strategy ${i + 1} failed:`, strategyError.message);
+            lastError = strategyError;
+        }
+    }
+
+    // Chrome version/cache issues: try whatever Chrome is on the PATH
+    if (process.platform === 'linux' &&
+        (lastError.message.includes('Could not find Chrome') || lastError.message.includes('cache path is incorrectly configured'))) {
+        console.log('Detected Chrome version/cache issue, trying system Chrome...');
+
+        const chromeCommands = ['google-chrome', 'google-chrome-stable', 'chromium-browser', 'chromium'];
+        for (const chromeCommand of chromeCommands) {
+            try {
+                execSync(`which ${chromeCommand}`, { stdio: 'pipe' });
+                console.log(`Found system Chrome: ${chromeCommand}`);
+
+                const browser = await puppeteer.launch({
+                    headless: 'new',
+                    executablePath: chromeCommand,
+                    args: MINIMAL_ARGS
+                });
+                console.log('System Chrome launched successfully');
+                return browser;
+            } catch (chromeError) {
+                console.log(`System Chrome ${chromeCommand} failed:`, chromeError.message);
+            }
+        }
+    }
+
+    throw new Error('Could not launch Chrome: ' + lastError.message);
+}
+
+// Helper function to build an error the HTTP layer can map to a status code
+function poolError(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Helper function to reject a promise that takes too long
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isCrashError(error) {
+    return CRASH_PATTERNS.some(pattern => pattern.test(error && error.message));
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Create a long-lived pool of isolated browser contexts.
+//
+// A single Chrome process is shared; each render borrows a browser context
+// (own cookies, cache and storage) from the pool. Contexts are recycled after
+// `maxRendersPerContext` renders and the whole browser after
+// `maxRendersPerBrowser`, so memory growth in Chrome stays bounded. Requests
+// beyond `size` wait in a queue of at most `maxQueue` entries; anything past
+// that is rejected straight away with a 503-style error.
+function createBrowserPool(options = {}) {
+    const config = {
+        size: options.size || envInt('PDF_POOL_SIZE', 2),
+        maxQueue: options.maxQueue || envInt('PDF_POOL_MAX_QUEUE', 50),
+        acquireTimeout: options.acquireTimeout || envInt('PDF_POOL_ACQUIRE_TIMEOUT', 60000),
+        maxRendersPerContext: options.maxRendersPerContext || envInt('PDF_POOL_CONTEXT_RENDERS', 25),
+        maxRendersPerBrowser: options.maxRendersPerBrowser || envInt('PDF_POOL_BROWSER_RENDERS', 500),
+        healthCheckInterval: options.healthCheckInterval || envInt('PDF_POOL_HEALTH_INTERVAL', 30000),
+        launch: options.launch || launchBrowser
+    };
+
+    let current = null;      // { browser, renders, active } for the browser new contexts come from
+    let launching = null;
+    let closed = false;
+    let busy = 0;
+    const idle = [];         // contexts ready for reuse
+    const waiting = [];      // queued acquire() calls
+    const counters = { launches: 0, renders: 0, crashes: 0, rejected: 0 };
+
+    async function getBrowser() {
+        if (current && current.browser.connected) {
+            return current;
+        }
+        if (!launching) {
+            launching = config.launch()
+                .then((browser) => {
+                    const record = { browser, renders: 0, active: 0 };
+                    browser.on('disconnected', () => handleDisconnect(record));
+                    counters.launches++;
+                    current = record;
+                    return record;
+                })
+                .finally(() => {
+                    launching = null;
+                });
+        }
+        return launching;
+    }
+
+    function handleDisconnect(record) {
+        if (current === record) {
+            console.log('Chrome disconnected, the pool will relaunch it on the next render');
+            current = null;
+        }
+        discardIdle(slot => slot.record === record);
+    }
+
+    function discardIdle(predicate) {
+        for (let i = idle.length - 1; i >= 0; i--) {
+            if (predicate(idle[i])) {
+                closeSlot(idle.splice(i, 1)[0]);
+            }
+        }
+    }
+
+    function closeSlot(slot) {
+        slot.context.close().catch(() => {});
+    }
+
+    async function closeRecord(record) {
+        try {
+            await record.browser.close();
+            console.log('Chrome browser closed');
+        } catch (closeError) {
+            console.error('Error closing browser:', closeError);
+        }
+    }
+
+    // Stop handing out contexts from this browser and close it once the last one comes back
+    function retire(record) {
+        if (current === record) {
+            current = null;
+        }
+        record.retired = true;
+        discardIdle(slot => slot.record === record);
+        if (record.active === 0) {
+            closeRecord(record);
+        }
+    }
+
+    async function takeSlot() {
+        while (idle.length > 0) {
+            const slot = idle.pop();
+            if (slot.record === current && slot.record.browser.connected) {
+                slot.record.active++;
+                return slot;
+            }
+            closeSlot(slot);
+        }
+
+        const record = await getBrowser();
+        const context = await record.browser.createBrowserContext();
+        record.active++;
+        return { context, record, renders: 0 };
+    }
+
+    function grant(waiter) {
+        clearTimeout(waiter.timer);
+        takeSlot().then(waiter.resolve, (error) => {
+            busy--;
+            waiter.reject(error);
+            dispatch();
+        });
+    }
+
+    function dispatch() {
+        while (!closed && busy < config.size && waiting.length > 0) {
+            busy++;
+            grant(waiting.shift());
+        }
+    }
+
+    async function acquire() {
+        if (closed) {
+            throw poolError('PDF renderer is shutting down', 'POOL_CLOSED', 503);
+        }
+
+        if (busy < config.size && waiting.length === 0) {
+            busy++;
+            try {
+                return await takeSlot();
+            } catch (error) {
+                busy--;
+                dispatch();
+                throw error;
+            }
+        }
+
+        // Back-pressure: refuse new work instead of queueing without bound
+        if (waiting.length >= config.maxQueue) {
+            counters.rejected++;
+            throw poolError('PDF renderer is busy, please retry shortly', 'POOL_QUEUE_FULL', 503);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                const index = waiting.indexOf(waiter);
+                if (index !== -1) {
+                    waiting.splice(index, 1);
+                }
+                counters.rejected++;
+                reject(poolError('Timed out waiting for a PDF renderer', 'POOL_TIMEOUT', 503));
+            }, config.acquireTimeout);
+            waiting.push(waiter);
+        });
+    }
+
+    function release(slot, broken) {
+        const record = slot.record;
+        record.active--;
+        record.renders++;
+        slot.renders++;
+        counters.renders++;
+
+        const reusable = !broken && !closed && !record.retired && record === current &&
+            record.browser.connected && slot.renders < config.maxRendersPerContext;
+        if (reusable) {
+            idle.push(slot);
+        } else {
+            closeSlot(slot);
+        }
+
+        if (!record.retired && record.renders >= config.maxRendersPerBrowser) {
+            console.log(`Recycling Chrome after ${record.renders} renders`);
+            retire(record);
+        } else if (record.retired && record.active === 0) {
+            closeRecord(record);
+        }
+
+        busy--;
+        dispatch();
+    }
+
+    async function renderOnce(fn) {
+        const slot = await acquire();
+        let page;
+        let broken = false;
+
+        try {
+            page = await slot.context.newPage();
+            return await fn(page);
+        } catch (error) {
+            broken = !slot.record.browser.connected || isCrashError(error);
+            if (broken) {
+                counters.crashes++;
+                error.browserCrashed = true;
+                console.log('Chrome crashed during render, recycling it:', error.message);
+                retire(slot.record);
+            }
+            throw error;
+        } finally {
+            if (page && !broken) {
+                await page.close().catch(() => {
+                    broken = true;
+                });
+            }
+            release(slot, broken);
+        }
+    }
+
+    // Borrow a fresh page, run `fn` with it and give the context back to the pool.
+    // A render that fails because Chrome crashed is retried once on a new browser.
+    async function withPage(fn) {
+        try {
+            return await renderOnce(fn);
+        } catch (error) {
+            if (!error.browserCrashed || closed) {
+                throw error;
+            }
+            return renderOnce(fn);
+        }
+    }
+
+    // Periodically make sure the idle browser still answers, relaunching it if not
+    async function healthCheck() {
+        const record = current;
+        if (!record || closed) {
+            return;
+        }
+        try {
+            await withTimeout(record.browser.version(), 5000, 'Chrome health check timed out');
+        } catch (error) {
+            console.log('Chrome failed health check, recycling:', error.message);
+            counters.crashes++;
+            const chromeProcess = record.browser.process();
+            retire(record);
+            if (chromeProcess && record.active === 0) {
+                chromeProcess.kill('SIGKILL');
+            }
+        }
+    }
+
+    const healthTimer = setInterval(healthCheck, config.healthCheckInterval);
+    healthTimer.unref();
+
+    function stats() {
+        return {
+            size: config.size,
+            busy,
+            idle: idle.length,
+            queued: waiting.length,
+            maxQueue: config.maxQueue,
+            browserRunning: Boolean(current && current.browser.connected),
+            ...counters
+        };
+    }
+
+    // Reject queued work and close every browser; used on shutdown
+    async function drain() {
+        closed = true;
+        clearInterval(healthTimer);
+        while (waiting.length > 0) {
+            const waiter = waiting.shift();
+            clearTimeout(waiter.timer);
+            waiter.reject(poolError('PDF renderer is shutting down', 'POOL_CLOSED', 503));
+        }
+        discardIdle(() => true);
+        if (launching) {
+            await launching.catch(() => {});
+        }
+        if (current) {
+            const record = current;
+            current = null;
+            await closeRecord(record);
+        }
+    }
+
+    return { withPage, stats, drain };
+}
+
+module.exports = {
+    createBrowserPool,
+    launchBrowser
+};
@@ -0,0 +1,283 @@
+// Shared pieces of the command line scripts: the prompts the interactive ones
+// ask, output paths and file sizes. The conversions themselves go through the
+// converter library (lib/index.js).
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { PRESETS } = require('./header-footer');
+const { parsePdfOptions } = require('./pdf-options');
+const { listThemes } = require('./themes');
+const { parseFrontMatter } = require('./front-matter');
+const { DEFAULT_SCHEME, listSchemes, parseHighlightOptions } = require('./highlight');
+const { close: closeConverter } = require('./index');
+
+// Create the prompt an interactive script asks its questions through
+function createPrompt() {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    // Helper function to prompt user for input
+    function ask(question) {
+        return new Promise((resolve) => {
+            rl.question(question, (answer) => {
+                resolve(answer.trim());
+            });
+        });
+    }
+
+    // Helper function to ask a yes/no question; anything but y/yes is no
+    async function confirm(question) {
+        const answer = (await ask(question)).toLowerCase();
+        return answer === 'y' || answer === 'yes';
+    }
+
+    function close() {
+        rl.close();
+    }
+
+    return { ask, confirm, close };
+}
+
+// Ask for a file that exists. With `extensions`, other extensions need confirming.
+async function askInputFile(prompt, question, extensions = null) {
+    while (true) {
+        const inputFile = await prompt.ask(question);
+        if (!inputFile) {
+            console.log('❌ Please enter a valid file path.\n');
+            continue;
+        }
+
+        if (!fs.existsSync(inputFile)) {
+            console.log(`❌ File not found: ${inputFile}\n`);
+            continue;
+        }
+
+        if (extensions && !extensions.includes(path.extname(inputFile).toLowerCase())) {
+            console.log(`⚠️  Warning: File does not have a ${extensions[0]} extension. Continue anyway? (y/n): `);
+            if (!(await prompt.confirm(''))) {
+                continue;
+            }
+        }
+        return inputFile;
+    }
+}
+
+// Ask for the output directory, offering to create it
+async function askOutputDir(prompt) {
+    while (true) {
+        const outputDir = await prompt.ask('Enter the output directory (or press Enter for current directory): ') || '.';
+        if (fs.existsSync(outputDir)) {
+            return outputDir;
+        }
+
+        if (await prompt.confirm(`Directory "${outputDir}" doesn't exist. Create it? (y/n): `)) {
+            try {
+                fs.mkdirSync(outputDir, { recursive: true });
+                console.log(`✅ Created directory: ${outputDir}`);
+                return outputDir;
+            } catch (error) {
+                console.log(`❌ Error creating directory: ${error.message}\n`);
+            }
+        }
+    }
+}
+
+// Ask for the output filename; `extension` (e.g. ".pdf") is added when missing
+async function askOutputFilename(prompt, defaultName, extension = '') {
+    let outputFilename = await prompt.ask(`Enter output filename (or press Enter for "${defaultName}"): `) || defaultName;
+    if (extension && !outputFilename.toLowerCase().endsWith(extension)) {
+        outputFilename += extension;
+    }
+    return outputFilename;
+}
+
+// Returns false when the output file exists and the user won't overwrite it
+async function confirmOverwrite(prompt, outputFile) {
+    if (!fs.existsSync(outputFile)) {
+        return true;
+    }
+    if (await prompt.confirm(`File "${outputFile}" already exists. Overwrite? (y/n): `)) {
+        return true;
+    }
+    console.log('❌ Conversion cancelled.');
+    return false;
+}
+
+// Ask for a running header/footer and, with `toc`, a table of contents.
+// `preset` holds page options the document already sets (its front matter); those
+// are kept and not asked for.
+// Returns the page options for the converter's `pdf` option, already validated.
+async function askPdfOptions(prompt, { toc: askToc = false, preset = {} } = {}) {
+    const presets = Object.keys(PRESETS).join(', ');
+    while (true) {
+        const header = preset.header !== undefined ? preset.header : await prompt.ask(`Header (${presets}, custom HTML, or press Enter for none): `);
+        const footer = preset.footer !== undefined ? preset.footer : await prompt.ask(`Footer (${presets}, custom HTML, or press Enter for none): `);
+
+        let firstPageHeader = preset.firstPageHeader !== undefined ? preset.firstPageHeader : true;
+        if (header && preset.firstPageHeader === undefined) {
+            const answer = (await prompt.ask('Show the header on the first page? (y/n): ')).toLowerCase();
+            firstPageHeader = answer !== 'n' && answer !== 'no';
+        }
+
+        let toc = preset.toc !== undefined ? preset.toc : false;
+        if (askToc && preset.toc === undefined && await prompt.confirm('Add a table of contents? (y/n): ')) {
+            const depth = await prompt.ask('Heading levels to include (1-6, default 3): ');
+            toc = { depth: depth || 3 };
+        }
+
+        // Headers and footers are drawn inside the page margins, so leave room for them
+        const pageOptions = {
+            margin: header || footer ? '20mm 20px' : '20px',
+            preferCSSPageSize: true,
+            ...preset,
+            header,
+            footer,
+            firstPageHeader,
+            toc
+        };
+        const { errors } = parsePdfOptions(pageOptions);
+        if (!errors) {
+            return pageOptions;
+        }
+        errors.forEach(error => console.log(`❌ ${error}`));
+        console.log('');
+    }
+}
+
+// Ask which theme the document should use, by number or name.
+// Returns the theme name, or `fallback` (null leaves it to the converter) when the user presses Enter.
+async function askTheme(prompt, fallback = null) {
+    const themes = listThemes();
+    console.log('\n🎨 Available themes:');
+    themes.forEach((theme, index) => {
+        console.log(`   ${index + 1}. ${theme.name}${theme.source === 'custom' ? ' (custom)' : ''}`);
+    });
+
+    while (true) {
+        const answer = await prompt.ask(`Select theme (1-${themes.length}) or press Enter for ${fallback || 'default'}: `);
+        if (!answer) {
+            return fallback;
+        }
+        const theme = themes[parseInt(answer) - 1] || themes.find(item => item.name === answer);
+        if (theme) {
+            return theme.name;
+        }
+        console.log('❌ Please select a valid theme.');
+    }
+}
+
+// Ask how fenced code blocks should be highlighted. `preset` holds what the document's
+// front matter already sets; that isn't asked for.
+// Returns the converter's `highlight` and `lineNumbers` options, already validated.
+async function askHighlight(prompt, preset = {}) {
+    let highlight = preset.highlight;
+    while (highlight === undefined) {
+        const answer = await prompt.ask(`Code highlighting scheme (e.g. github, monokai, nord; "none" for plain code) or press Enter for ${DEFAULT_SCHEME}: `) || DEFAULT_SCHEME;
+        const { errors } = parseHighlightOptions({ highlight: answer });
+        if (!errors) {
+            highlight = answer;
+        } else {
+            errors.forEach(error => console.log(`❌ ${error}`));
+            console.log(`   Schemes: ${listSchemes().join(', ')}\n`);
+        }
+    }
+    const lineNumbers = preset.lineNumbers !== undefined
+        ? preset.lineNumbers
+        : await prompt.confirm('Number the lines of code blocks? (y/n): ');
+    return { highlight, lineNumbers };
+}
+
+// Read a Markdown file's front matter and show what it sets; throws if it is invalid.
+// Returns { metadata, theme, highlight, pdf } (see front-matter.js).
+function readFrontMatter(file) {
+    const { frontMatter, error } = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+    if (error) {
+        throw new Error(error);
+    }
+    const { errors } = parseHighlightOptions({}, frontMatter.highlight);
+    if (errors) {
+        throw new Error('Invalid front matter: ' + errors.join('; '));
+    }
+
+    const settings = [
+        ...Object.entries(frontMatter.metadata),
+        ...(frontMatter.theme ? [['theme', frontMatter.theme]] : []),
+        ...Object.entries(frontMatter.highlight),
+        ...Object.entries(frontMatter.pdf)
+    ];
+    if (settings.length > 0) {
+        console.log('\n📋 Front matter:');
+        for (const [name, value] of settings) {
+            const text = Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : value;
+            console.log(`   ${name}: ${text}`);
+        }
+    }
+    return frontMatter;
+}
+
+// Run an interactive script: `convertOnce()` asks its questions and converts one
+// file (returning false if the user cancelled), then the user may go again.
+// `name` is used in the goodbye message and `failure` when a conversion throws.
+async function runInteractive(prompt, { name, failure }, convertOnce) {
+    // Handle Ctrl+C gracefully
+    process.on('SIGINT', () => {
+        console.log('\n\n👋 Conversion cancelled. Goodbye!');
+        prompt.close();
+        process.exit(0);
+    });
+
+    try {
+        while (await convertOnce() !== false) {
+            // Ask if user wants to convert another file
+            if (!(await prompt.confirm('\nConvert another file? (y/n): '))) {
+                console.log(`\n👋 Thanks for using ${name}!`);
+                break;
+            }
+            console.log('\n' + '='.repeat(50) + '\n');
+        }
+    } catch (error) {
+        console.error(`\n❌ ${failure}:`, error.message);
+    } finally {
+        prompt.close();
+        await closeConverter();
+    }
+}
+
+// Put `outputFile` in `outputDir` (created if missing) for the --dir option; exits if it can't
+function outputInDir(outputFile, outputDir) {
+    if (!outputDir) {
+        return outputFile;
+    }
+    if (!fs.existsSync(outputDir)) {
+        try {
+            fs.mkdirSync(outputDir, { recursive: true });
+            console.log(`📁 Created output directory: ${outputDir}`);
+        } catch (error) {
+            console.error(`❌ Error creating directory: ${error.message}`);
+            process.exit(1);
+        }
+    }
+    return path.join(outputDir, path.basename(outputFile));
+}
+
+function formatSize(bytes) {
+    return `${(bytes / 1024).toFixed(2)} KB`;
+}
+
+module.exports = {
+    createPrompt,
+    askInputFile,
+    askOutputDir,
+    askOutputFilename,
+    confirmOverwrite,
+    askPdfOptions,
+    askTheme,
+    askHighlight,
+    readFrontMatter,
+    runInteractive,
+    outputInDir,
+    formatSize
+};
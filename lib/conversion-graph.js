@@ -0,0 +1,90 @@
+// Routes through the conversion registry: when no single conversion goes from
+// one format to another, chain several (e.g. Markdown → PDF → page images).
+//
+// Formats are the nodes and conversions the edges, weighted by each
+// conversion's `cost` (printing a PDF in the browser costs more than rendering
+// Markdown). The cheapest route wins; between equally cheap ones, the one with
+// fewer steps, then the conversions registered first.
+
+// Helper function to compare two route lengths { cost, steps }
+function shorter(a, b) {
+    return a.cost < b.cost || (a.cost === b.cost && a.steps < b.steps);
+}
+
+// Cheapest chain of `conversions` from `from` to `to`. Returns a list of conversions or null.
+function cheapestPath(conversions, from, to) {
+    // Converting a format to itself (e.g. resizing an image) takes a conversion that
+    // does just that, not a round trip through other formats
+    if (from === to) {
+        const direct = conversions.filter(conversion => conversion.from === from && conversion.to === to);
+        return direct.length > 0 ? [direct.reduce((best, conversion) => (conversion.cost < best.cost ? conversion : best))] : null;
+    }
+
+    const best = new Map([[from, { cost: 0, steps: 0, path: [] }]]);   // format -> { cost, steps, path }
+    const done = new Set();
+
+    while (true) {
+        let next = null;
+        for (const [format, route] of best) {
+            if (!done.has(format) && (next === null || shorter(route, best.get(next)))) {
+                next = format;
+            }
+        }
+        if (next === null) {
+            return null;
+        }
+        const base = best.get(next);
+        if (next === to) {
+            return base.path;
+        }
+        done.add(next);
+
+        for (const conversion of conversions.filter(item => item.from === next)) {
+            const candidate = { cost: base.cost + conversion.cost, steps: base.steps + 1, path: [...base.path, conversion] };
+            const current = best.get(conversion.to);
+            if (!done.has(conversion.to) && (!current || shorter(candidate, current))) {
+                best.set(conversion.to, candidate);
+            }
+        }
+    }
+}
+
+// Find the route from `from` to `to`.
+// `via` forces steps, in order: each entry is a format to pass through or a
+// conversion (by id) to use. Returns a list of conversions or null when there is no route.
+function findRoute(conversions, from, to, via = []) {
+    const route = [];
+    let current = from;
+
+    for (const step of via) {
+        const forced = conversions.find(conversion => conversion.id === step);
+        const target = forced ? forced.from : step;
+        if (target !== current) {
+            const leg = cheapestPath(conversions, current, target);
+            if (!leg) {
+                return null;
+            }
+            route.push(...leg);
+        }
+        if (forced) {
+            route.push(forced);
+        }
+        current = forced ? forced.to : target;
+    }
+
+    if (current === to && route.length > 0) {
+        return route;
+    }
+    const leg = cheapestPath(conversions, current, to);
+    return leg ? [...route, ...leg] : null;
+}
+
+// Total cost of a route
+function routeCost(route) {
+    return route.reduce((total, conversion) => total + conversion.cost, 0);
+}
+
+module.exports = {
+    findRoute,
+    routeCost
+};
@@ -0,0 +1,379 @@
+// The conversions behind the single-file routes, background jobs, /batch and
+// the udc command line tool
+
+const path = require('path');
+const JSZip = require('jszip');
+const { parsePdfOptions } = require('./pdf-options');
+const { escapeHtml, insertToc } = require('./toc');
+const { IMAGE_FORMATS, normalizeFormat, processImage } = require('./image-pipeline');
+const { generateDocx } = require('./docx');
+const { parseMarkdownRequest, convertMarkdown } = require('./convert-md');
+const { parseHtmlOptions, convertPdfToHtml } = require('./pdf-to-html');
+const { convertPdfToDocx } = require('./pdf-to-docx');
+const { parseRasterOptions, rasterizePdf } = require('./pdf-raster');
+const { tableToCsv, tablesToJson, parseSidecarFormats } = require('./pdf-tables');
+const { parseTheme, renderTheme, applyTheme } = require('./themes');
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Styles for the conversion details around PDF to HTML output; the theme styles the rest
+const PDF_TO_HTML_STYLES = `<style>
+        .page-break { page-break-before: always; }
+        .pdf-page .page-number { text-align: center; color: #999; font-size: 0.8em; margin: 2em 0 1em; }
+        figure { margin: 1.5em 0; text-align: center; }
+        .metadata {
+            background: #f8f9fa;
+            padding: 15px;
+            border-radius: 5px;
+            margin-top: 2em;
+            font-size: 0.9em;
+            color: #666;
+        }
+        .conversion-info {
+            background: #e8f5e8;
+            padding: 10px;
+            border-radius: 5px;
+            margin-bottom: 2em;
+            border-left: 4px solid #27ae60;
+            font-size: 0.9em;
+        }
+    </style>`;
+
+// Helper function to wrap PDF to HTML output in a themed page with conversion details
+function createPdfToHtmlPage(pdfData, originalFilename, theme) {
+    const filenameWithoutExt = path.parse(originalFilename).name;
+    const name = escapeHtml(originalFilename);
+    const content = `<div class="conversion-info">
+            <strong>📄 Converted from PDF:</strong> ${name}<br>
+            <strong>📊 Pages:</strong> ${pdfData.numPages}<br>
+            <strong>📋 Tables:</strong> ${pdfData.tables.length}<br>
+            <strong>📅 Conversion Date:</strong> ${new Date().toLocaleDateString()}
+        </div>
+
+        ${pdfData.html}
+
+        <div class="metadata">
+            <strong>Original PDF Info:</strong><br>
+            • File: ${name}<br>
+            • Pages: ${pdfData.numPages}<br>
+            • Text extracted: ${pdfData.textLength} characters<br>
+            • Converted on: ${new Date().toLocaleString()}
+        </div>`;
+    return renderTheme(theme, { title: `${filenameWithoutExt} - Converted from PDF`, head: PDF_TO_HTML_STYLES, content });
+}
+
+// Option schemas shared by several conversions (see plugins.js for the format).
+// They describe the fields for GET /conversions and the CLIs; each parse() still
+// does the validation, with the same rules as before.
+const PDF_OPTIONS_SCHEMA = {
+    options: { type: 'json', description: 'PDF page options: format, orientation, margin, scale, header, footer, toc...' }
+};
+const THEME_OPTIONS_SCHEMA = {
+    theme: { type: 'string', description: 'Theme for the document: github, academic, print-minimal or a custom one (see GET /themes)' }
+};
+const HIGHLIGHT_OPTIONS_SCHEMA = {
+    highlight: { type: 'string', description: 'Colour scheme for fenced code blocks: github (default), monokai, nord... (see GET /highlight-schemes) or none' },
+    lineNumbers: { type: 'boolean', description: 'Number the lines of fenced code blocks' }
+};
+const IMAGE_OPTIONS_SCHEMA = {
+    images: { type: 'string', enum: ['inline', 'zip', 'none'], default: 'inline', description: 'Embedded images: inline data URIs, files in a ZIP, or left out' },
+    imageMaxWidth: { type: 'integer', min: 1, description: 'Scale embedded images down to this width (px)' },
+    imageQuality: { type: 'integer', min: 1, max: 100, description: 'Quality for re-encoded embedded images' }
+};
+const RESIZE_OPTIONS_SCHEMA = {
+    width: { type: 'integer', min: 1, description: 'Width in pixels' },
+    height: { type: 'integer', min: 1, description: 'Height in pixels' },
+    quality: { type: 'integer', min: 1, max: 100, default: 90, description: 'Output quality' },
+    format: { type: 'string', enum: ['jpeg', 'png', 'webp'], default: 'jpeg', description: 'Output format' }
+};
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif', 'image/svg+xml'];
+
+// Relative cost of each conversion, used to pick the route when formats are
+// converted in several steps: printing in the browser and rasterising cost the most
+const COSTS = {
+    'html-to-pdf': 5,
+    'html-to-word': 2,
+    'pdf-to-html': 3,
+    'pdf-to-word': 4,
+    'pdf-to-images': 4,
+    'image-resize': 1,
+    'markdown-to-html': 1,
+    'markdown-to-pdf': 5,
+    'markdown-to-word': 2
+};
+
+// Helper function to tell a complete HTML document from a fragment
+function isFullDocument(html) {
+    return /^\s*(<!doctype html|<html[\s>])/i.test(html);
+}
+
+// Build the conversion table, keyed by id; each conversion also names the
+// formats it converts `from` and `to`, their MIME types, its options and its
+// cost (see converter.js for the registry).
+// parse(fields, file) validates request fields the way the routes always have and
+// returns { input } or { error, details } for a 400; run(input, reportProgress) does the
+// work and returns { data, contentType, filename }. Inputs must survive JSON (see job-queue);
+// conversions that work page by page pass `reportProgress(fraction)` on to follow them.
+// `file` is { buffer, originalname, mimetype }. `generatePDF(html, filename, pdfOptions)`
+// and `renderMermaid(sources)` are supplied by the caller so PDFs and Mermaid diagrams
+// come from its browser pool.
+function createConversions(generatePDF, renderMermaid) {
+    const conversions = {
+        'html-to-pdf': {
+            from: 'html',
+            to: 'pdf',
+            inputTypes: ['text/html'],
+            outputType: 'application/pdf',
+            options: {
+                html: { type: 'string', description: 'HTML content (or upload the file)' },
+                filename: { type: 'string', default: 'converted.pdf', description: 'Name of the PDF' },
+                ...THEME_OPTIONS_SCHEMA,
+                ...PDF_OPTIONS_SCHEMA
+            },
+            failure: 'convert to PDF',
+            parse(fields) {
+                if (!fields.html) {
+                    return { error: 'HTML content is required' };
+                }
+                const { theme, error } = parseTheme(fields.theme);
+                if (error) {
+                    return { error };
+                }
+                const { options: pdfOptions, errors } = parsePdfOptions(fields.options);
+                if (errors) {
+                    return { error: 'Invalid PDF options: ' + errors.join('; '), details: errors };
+                }
+                return { input: { html: fields.html, filename: fields.filename || 'converted.pdf', pdfOptions, theme } };
+            },
+            async run({ html, filename, pdfOptions, theme }) {
+                const content = pdfOptions.toc ? insertToc(html, pdfOptions.toc, { withPageNumbers: true }) : html;
+                // Fragments are wrapped in the theme's layout; complete documents keep their
+                // own styling unless a theme was asked for
+                let page = content;
+                if (!isFullDocument(content)) {
+                    page = renderTheme(theme, { content });
+                } else if (theme) {
+                    page = applyTheme(content, theme);
+                }
+                const data = await generatePDF(page, filename, pdfOptions);
+                return { data, contentType: 'application/pdf', filename };
+            }
+        },
+
+        'html-to-word': {
+            from: 'html',
+            to: 'docx',
+            inputTypes: ['text/html'],
+            outputType: DOCX_CONTENT_TYPE,
+            options: {
+                html: { type: 'string', description: 'HTML content (or upload the file)' },
+                filename: { type: 'string', default: 'document.docx', description: 'Name of the document' }
+            },
+            failure: 'convert to Word',
+            parse(fields) {
+                if (!fields.html || !fields.html.trim()) {
+                    return { error: 'No HTML content provided' };
+                }
+                return { input: { html: fields.html, filename: fields.filename || 'document.docx' } };
+            },
+            async run({ html, filename }) {
+                console.log('Converting HTML to Word document...');
+                const data = await generateDocx(html);
+                return { data, contentType: DOCX_CONTENT_TYPE, filename };
+            }
+        },
+
+        'pdf-to-html': {
+            from: 'pdf',
+            to: 'html',
+            inputTypes: ['application/pdf'],
+            outputType: 'text/html',
+            options: {
+                tables: { type: 'string', description: 'Also export tables: csv, json or csv,json (answers with a ZIP)' },
+                pages: { type: 'boolean', default: false, description: 'Keep each PDF page as its own section' },
+                ...THEME_OPTIONS_SCHEMA,
+                ...IMAGE_OPTIONS_SCHEMA
+            },
+            failure: 'convert PDF to HTML',
+            parse(fields, file) {
+                if (!file) {
+                    return { error: 'No PDF file uploaded' };
+                }
+                // Optional CSV/JSON copies of the tables, sent with the HTML as a ZIP
+                const tableFormats = parseSidecarFormats(fields.tables);
+                if (!tableFormats) {
+                    return { error: 'Invalid tables option. Use "csv", "json" or "csv,json".' };
+                }
+                const { theme, error } = parseTheme(fields.theme);
+                if (error) {
+                    return { error };
+                }
+                // Image handling (inline data URIs or files in a ZIP) and page-preserving mode
+                const { options: htmlOptions, errors } = parseHtmlOptions(fields);
+                if (errors) {
+                    return { error: 'Invalid options: ' + errors.join('; '), details: errors };
+                }
+                return { input: { file, tableFormats, htmlOptions, theme } };
+            },
+            async run({ file, tableFormats, htmlOptions, theme }, reportProgress) {
+                const filenameWithoutExt = path.parse(file.originalname).name;
+                console.log('Converting PDF to HTML:', file.originalname);
+
+                // Rebuild headings, paragraphs and lists from the page layout
+                const pdfData = await convertPdfToHtml(file.buffer, htmlOptions, reportProgress);
+                const fullHtml = createPdfToHtmlPage(pdfData, file.originalname, theme);
+
+                if (tableFormats.length === 0 && htmlOptions.images !== 'zip') {
+                    return { data: Buffer.from(fullHtml, 'utf8'), contentType: 'text/html; charset=utf-8', filename: `${filenameWithoutExt}.html` };
+                }
+
+                const zip = new JSZip();
+                zip.file(`${filenameWithoutExt}.html`, fullHtml);
+                for (const image of pdfData.images) {
+                    zip.file(image.name, image.data);
+                }
+                if (tableFormats.includes('csv')) {
+                    for (const table of pdfData.tables) {
+                        zip.file(`tables/${table.id}.csv`, tableToCsv(table));
+                    }
+                }
+                if (tableFormats.includes('json')) {
+                    zip.file('tables/tables.json', tablesToJson(pdfData.tables));
+                }
+                const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+                return { data, contentType: 'application/zip', filename: `${filenameWithoutExt}.zip` };
+            }
+        },
+
+        'pdf-to-word': {
+            from: 'pdf',
+            to: 'docx',
+            inputTypes: ['application/pdf'],
+            outputType: DOCX_CONTENT_TYPE,
+            options: IMAGE_OPTIONS_SCHEMA,
+            failure: 'convert PDF to Word',
+            parse(fields, file) {
+                if (!file) {
+                    return { error: 'No PDF file uploaded' };
+                }
+                // Same image options as /convert-pdf-to-html; images always end up inside the document
+                const { options: htmlOptions, errors } = parseHtmlOptions(fields);
+                if (errors) {
+                    return { error: 'Invalid options: ' + errors.join('; '), details: errors };
+                }
+                return { input: { file, htmlOptions } };
+            },
+            async run({ file, htmlOptions }, reportProgress) {
+                const filenameWithoutExt = path.parse(file.originalname).name;
+                console.log('Converting PDF to Word:', file.originalname);
+
+                const { docx } = await convertPdfToDocx(file.buffer, { ...htmlOptions, title: filenameWithoutExt }, reportProgress);
+                return { data: docx, contentType: DOCX_CONTENT_TYPE, filename: `${filenameWithoutExt}.docx` };
+            }
+        },
+
+        'pdf-to-images': {
+            from: 'pdf',
+            to: 'images',
+            inputTypes: ['application/pdf'],
+            outputType: 'application/zip',
+            options: {
+                pages: { type: 'string', description: 'Pages to render, e.g. 1-3,5 (default: all)' },
+                dpi: { type: 'integer', min: 36, max: 600, default: 150, description: 'Rendering resolution' },
+                ...RESIZE_OPTIONS_SCHEMA,
+                format: { type: 'string', enum: ['png', 'jpeg', 'webp'], default: 'png', description: 'Image format' }
+            },
+            failure: 'convert PDF to images',
+            parse(fields, file) {
+                if (!file) {
+                    return { error: 'No PDF file uploaded' };
+                }
+                // Page selection, DPI and the same resize/quality/format options as /resize-image
+                const { options: rasterOptions, errors } = parseRasterOptions(fields);
+                if (errors) {
+                    return { error: 'Invalid options: ' + errors.join('; '), details: errors };
+                }
+                return { input: { file, rasterOptions } };
+            },
+            async run({ file, rasterOptions }, reportProgress) {
+                const filenameWithoutExt = path.parse(file.originalname).name;
+                console.log('Converting PDF to images:', file.originalname);
+
+                const { images } = await rasterizePdf(file.buffer, rasterOptions, reportProgress);
+                const { mimeType, extension } = IMAGE_FORMATS[rasterOptions.format];
+                const imageName = image => `${filenameWithoutExt}-page-${image.page}.${extension}`;
+
+                // One page comes back as the image itself, several as a ZIP
+                if (images.length === 1) {
+                    return { data: images[0].data, contentType: mimeType, filename: imageName(images[0]) };
+                }
+
+                const zip = new JSZip();
+                for (const image of images) {
+                    zip.file(imageName(image), image.data);
+                }
+                const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+                return { data, contentType: 'application/zip', filename: `${filenameWithoutExt}-pages.zip` };
+            }
+        },
+
+        'image-resize': {
+            from: 'image',
+            to: 'image',
+            inputTypes: IMAGE_MIME_TYPES,
+            outputType: 'image/jpeg',
+            options: RESIZE_OPTIONS_SCHEMA,
+            failure: 'resize image',
+            parse(fields, file) {
+                if (!file) {
+                    return { error: 'No image uploaded' };
+                }
+                const { width, height, quality = 90, format = 'jpeg' } = fields;
+                if (!width && !height) {
+                    return { error: 'Please specify at least width or height' };
+                }
+                if (!normalizeFormat(format)) {
+                    return { error: 'Unsupported format. Use jpeg, png, or webp.' };
+                }
+                return { input: { file, width, height, quality, format } };
+            },
+            async run({ file, width, height, quality, format }) {
+                const data = await processImage(file.buffer, { width, height, quality, format });
+                const { mimeType } = IMAGE_FORMATS[normalizeFormat(format)];
+                return { data, contentType: mimeType, filename: `resized-image.${format}` };
+            }
+        }
+    };
+
+    // Markdown goes through /convert-md synchronously; elsewhere the output type is part of the conversion type
+    for (const [type, output] of [['html', 'html'], ['pdf', 'pdf'], ['docx', 'word']]) {
+        conversions[`markdown-to-${output}`] = {
+            from: 'markdown',
+            to: type,
+            inputTypes: ['text/markdown', 'text/x-markdown'],
+            outputType: { html: 'text/html', pdf: 'application/pdf', docx: DOCX_CONTENT_TYPE }[type],
+            options: {
+                markdown: { type: 'string', description: 'Markdown content (or upload the file)' },
+                title: { type: 'string', description: 'Document title (default: the front matter title, then the file name)' },
+                filename: { type: 'string', description: 'Name of the download (default: the document title)' },
+                ...THEME_OPTIONS_SCHEMA,
+                ...HIGHLIGHT_OPTIONS_SCHEMA,
+                ...PDF_OPTIONS_SCHEMA
+            },
+            failure: 'convert markdown',
+            parse: fields => parseMarkdownRequest({ ...fields, type }),
+            run: input => convertMarkdown(input, generatePDF, renderMermaid)
+        };
+    }
+
+    for (const [id, conversion] of Object.entries(conversions)) {
+        conversion.id = id;
+        conversion.cost = COSTS[id];
+    }
+    return conversions;
+}
+
+module.exports = {
+    DOCX_CONTENT_TYPE,
+    createConversions
+};
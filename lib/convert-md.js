@@ -0,0 +1,133 @@
+// Markdown to HTML/PDF/DOCX conversion shared by server.js and the serverless api/index.js
+
+const { parsePdfOptions } = require('./pdf-options');
+const { insertToc } = require('./toc');
+const { generateDocx } = require('./docx');
+const { parseTheme, renderTheme } = require('./themes');
+const { parseFrontMatter, mergePdfOptions, metadataTags } = require('./front-matter');
+const { parseHighlightOptions, highlightStyles } = require('./highlight');
+const { renderMarkdown } = require('./markdown');
+const { downloadFilename, contentDisposition } = require('./download-name');
+
+const OUTPUT_TYPES = {
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+const DEFAULT_TITLE = 'Converted Markdown Document';
+const DEFAULT_FILENAME = 'converted-markdown';
+
+// Wrap rendered Markdown in the theme's layout, with the document's metadata and the code
+// highlighting styles in the <head>; every output type uses it so they all look alike
+function createMarkdownTemplate(content, { title = DEFAULT_TITLE, theme, metadata, highlight } = {}) {
+    const head = [metadataTags(metadata), highlightStyles(highlight)].filter(Boolean).join('\n');
+    return renderTheme(theme, { content, title, head });
+}
+
+// Validate a /convert-md request body.
+// Returns { input } for convertMarkdown(), or { error, details } for a 400 response.
+function parseMarkdownRequest(body = {}) {
+    const { markdown, type } = body;
+    if (!markdown || !type) {
+        return { error: 'Markdown content and type are required' };
+    }
+
+    if (!OUTPUT_TYPES[type]) {
+        return { error: 'Invalid type. Use "html", "pdf" or "docx".' };
+    }
+
+    // Front matter settings are the document's defaults; the request's own fields win
+    const { frontMatter, body: content, error: frontMatterError, details } = parseFrontMatter(markdown);
+    if (frontMatterError) {
+        return details ? { error: frontMatterError, details } : { error: frontMatterError };
+    }
+
+    const { theme, error } = parseTheme(body.theme);
+    if (error) {
+        return { error };
+    }
+
+    const { options: highlight, errors: highlightErrors } = parseHighlightOptions(body, frontMatter.highlight);
+    if (highlightErrors) {
+        return { error: 'Invalid highlight options: ' + highlightErrors.join('; '), details: highlightErrors };
+    }
+
+    const { options: pdfOptions, errors } = parsePdfOptions(mergePdfOptions(frontMatter.pdf, body.options));
+    if (errors) {
+        return { error: 'Invalid PDF options: ' + errors.join('; '), details: errors };
+    }
+
+    // Document title: the request's, the front matter's, then the file name; the HTML <title>
+    // and PDF/Word document properties use it
+    const title = [body.title, frontMatter.metadata.title, body.defaultTitle]
+        .find(value => typeof value === 'string' && value.trim()) || DEFAULT_TITLE;
+    const metadata = { ...frontMatter.metadata, title: title.trim() };
+    // Download name: the request's, else the document's title
+    const filename = downloadFilename(body.filename || (title !== DEFAULT_TITLE ? metadata.title : ''), OUTPUT_TYPES[type].extension, DEFAULT_FILENAME);
+
+    return { input: { markdown: content, type, pdfOptions, title: metadata.title, theme: theme || frontMatter.theme, metadata, highlight, filename } };
+}
+
+// Convert Markdown to the requested type. Mermaid diagrams are drawn with
+// `renderMermaid(sources)` when given (see diagrams.js).
+// Returns { data, contentType, filename }.
+async function convertMarkdown({ markdown, type, pdfOptions, title = DEFAULT_TITLE, theme, metadata = { title }, highlight, filename }, generatePDF, renderMermaid) {
+    const output = OUTPUT_TYPES[type];
+    filename = filename || `${DEFAULT_FILENAME}.${output.extension}`;
+
+    // Word ignores stylesheets and SVG, so it gets inline colours and images of the math and diagrams
+    let htmlContent = await renderMarkdown(markdown, { highlight, renderMermaid, docx: type === 'docx' });
+    if (pdfOptions.toc) {
+        htmlContent = insertToc(htmlContent, pdfOptions.toc, { withPageNumbers: type === 'pdf' });
+    }
+    const fullHtml = createMarkdownTemplate(htmlContent, { title, theme, metadata, highlight });
+
+    let data;
+    if (type === 'pdf') {
+        data = await generatePDF(fullHtml, filename, { ...pdfOptions, metadata });
+    } else if (type === 'docx') {
+        data = await generateDocx(fullHtml, metadata);
+    } else {
+        data = Buffer.from(fullHtml, 'utf8');
+    }
+
+    return { data, contentType: output.contentType, filename };
+}
+
+// Build the POST /convert-md handler.
+// `generatePDF(html, filename, pdfOptions)` and `renderMermaid(sources)` are supplied
+// by the app so each deployment can manage its own browser pool.
+function createConvertMarkdownHandler(generatePDF, renderMermaid) {
+    return async (req, res) => {
+        try {
+            const { input, error, details } = parseMarkdownRequest(req.body);
+            if (error) {
+                return res.status(400).json(details ? { error, details } : { error });
+            }
+
+            const { data, contentType, filename } = await convertMarkdown(input, generatePDF, renderMermaid);
+
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', contentDisposition(filename));
+            res.setHeader('Content-Length', data.length);
+
+            res.end(data);
+
+        } catch (error) {
+            console.error('Markdown conversion error:', error);
+            if (error.statusCode === 503) {
+                res.setHeader('Retry-After', '5');
+            }
+            res.status(error.statusCode || 500).json({ error: 'Failed to convert markdown: ' + error.message });
+        }
+    };
+}
+
+module.exports = {
+    OUTPUT_TYPES,
+    createMarkdownTemplate,
+    parseMarkdownRequest,
+    convertMarkdown,
+    createConvertMarkdownHandler
+};
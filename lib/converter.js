@@ -0,0 +1,514 @@
+// Converter core: a registry of conversions and convert(input, { from, to, options }).
+// server.js, /batch, the background jobs, udc and the interactive CLIs all convert
+// through here, and other services can embed it the same way (see lib/index.js).
+// Formats no single conversion connects are converted in several steps (see conversion-graph.js).
+
+const fs = require('fs');
+const path = require('path');
+const { createBrowserPool } = require('./browser-pool');
+const { createPdfGenerator } = require('./pdf-render');
+const { createMermaidRenderer } = require('./diagrams');
+const { createConversions } = require('./conversions');
+const { checkSchema, parseSchemaOptions, loadPlugins } = require('./plugins');
+const { findRoute } = require('./conversion-graph');
+const { SIGNED_FORMATS, sniffContent } = require('./sniff');
+
+// File extensions recognised for each input format; MIME types are the fallback
+const INPUT_EXTENSIONS = {
+    pdf: ['.pdf'],
+    html: ['.html', '.htm'],
+    // .txt too, as the page has always offered it for Markdown
+    markdown: ['.md', '.markdown', '.txt'],
+    image: ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.tif', '.tiff', '.avif', '.svg']
+};
+const INPUT_MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'text/html': 'html',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown'
+};
+
+// Other names accepted for formats in `from` and `to`
+const FORMAT_ALIASES = {
+    md: 'markdown',
+    htm: 'html',
+    word: 'docx',
+    jpg: 'jpeg'
+};
+
+// Image types accepted as `to`: page images (the "images" format) of that type
+const IMAGE_TARGETS = {
+    png: 'png',
+    jpeg: 'jpeg',
+    webp: 'webp'
+};
+
+// Formats whose content is passed to conversions as a text field named after the format
+const TEXT_FORMATS = ['html', 'markdown'];
+
+// Helper function to build an error the HTTP layer can map to a status code
+function converterError(message, code, statusCode, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+// Work out the format of a file from its name, then its MIME type (null if unsupported)
+function detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const format = Object.keys(INPUT_EXTENSIONS).find(name => INPUT_EXTENSIONS[name].includes(extension));
+    if (format) {
+        return format;
+    }
+
+    const mimeType = (file.mimetype || '').toLowerCase();
+    if (mimeType.startsWith('image/')) {
+        return 'image';
+    }
+    return INPUT_MIME_TYPES[mimeType] || null;
+}
+
+// Helper function to give sniffing a hint from the name: the format it says, "text" for
+// an extension no format uses (data.csv, app.py), or null when it says nothing
+function nameHint(file) {
+    return detectFormat(file) || (path.extname(file.originalname || '') ? 'text' : null);
+}
+
+// What an uploaded file is, from its content, with its name and MIME type as hints
+// for text: { format, mimeType, confidence, source } (see sniff.js)
+function sniffFormat(file) {
+    return sniffContent(file.buffer, nameHint(file));
+}
+
+// Helper function to resolve format aliases ("md" → "markdown", "word" → "docx")
+function canonicalFormat(name) {
+    const format = String(name || '').toLowerCase();
+    return FORMAT_ALIASES[format] || format;
+}
+
+// Helper function to turn the accepted input shapes into { buffer, originalname, mimetype }:
+// a Buffer, a string of content, { path }, or { buffer | text, filename, mimetype }
+async function readInput(input) {
+    if (Buffer.isBuffer(input)) {
+        return { buffer: input, originalname: '', mimetype: '' };
+    }
+    if (typeof input === 'string') {
+        return { buffer: Buffer.from(input, 'utf-8'), originalname: '', mimetype: '' };
+    }
+    if (input && typeof input.path === 'string') {
+        return { buffer: await fs.promises.readFile(input.path), originalname: path.basename(input.path), mimetype: input.mimetype || '' };
+    }
+    if (input && (Buffer.isBuffer(input.buffer) || typeof input.text === 'string')) {
+        const buffer = Buffer.isBuffer(input.buffer) ? input.buffer : Buffer.from(input.text, 'utf-8');
+        return { buffer, originalname: input.filename || input.originalname || '', mimetype: input.mimetype || '' };
+    }
+    throw converterError('Input must be a Buffer, a string, { path } or { buffer, filename }', 'BAD_INPUT', 400);
+}
+
+// Helper function to read `via` given as a list or a comma-separated string
+function parseVia(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const steps = Array.isArray(value) ? value : String(value).split(',');
+    return steps.map(step => canonicalFormat(String(step).trim())).filter(Boolean);
+}
+
+// Helper function to give text input sent as a field (e.g. `html`) the shape of an upload
+function textUpload(format, fields) {
+    return TEXT_FORMATS.includes(format) && typeof fields[format] === 'string'
+        ? { buffer: Buffer.from(fields[format], 'utf-8'), originalname: '', mimetype: '' }
+        : null;
+}
+
+// Helper function to build parse() for a conversion that only declares an options schema
+function schemaParser(conversion) {
+    return (fields, file) => {
+        const upload = file || textUpload(conversion.from, fields);
+        if (!upload) {
+            return { error: `No ${conversion.from} input given` };
+        }
+        const { options, errors } = parseSchemaOptions(conversion.options, fields);
+        if (errors) {
+            return { error: 'Invalid options: ' + errors.join('; '), details: errors };
+        }
+        return { input: { file: upload, options } };
+    };
+}
+
+// Create a converter.
+//
+// Every conversion in the registry is
+//   { id, from, to, inputTypes, outputType, options, cost, failure, parse(fields, file), run(input) }.
+// `from` and `to` are format names; `inputTypes` and `outputType` are MIME types,
+// and `extensions` (e.g. [".txt"]) lets uploads of a new format be recognised.
+// `cost` (default 1) weighs the conversion when routes of several steps are compared.
+// `options` is a schema of the request fields (see plugins.js). parse() validates
+// the request fields (the same names the HTTP API uses) and returns { input } or
+// { error, details }; without one, the schema is used. run(input, reportProgress) resolves
+// to { data, contentType, filename }, calling `reportProgress(fraction)` along the way if it can. The built-in conversions are registered
+// unless `builtins` is false, and plugins are loaded when `plugins` is true (or
+// the options for loadPlugins()); those that fail to load are listed by pluginErrors().
+//
+// PDFs are printed by `generatePDF(html, filename, pdfOptions)` and Mermaid diagrams
+// drawn by `renderMermaid(sources)` when given, otherwise on `browserPool`, otherwise
+// on a pool created on first use (with `pool` as its options) and closed by close().
+function createConverter(options = {}) {
+    const registry = new Map();   // id -> conversion
+    const plugins = [];
+    const pluginErrors = [];     // plugins that failed to load: { source, error }
+    let ownPool = null;
+    let poolGenerator = null;
+    let poolMermaidRenderer = null;
+
+    // Helper function to get the browser pool, starting our own if none was given
+    function browserPool() {
+        if (options.browserPool) {
+            return options.browserPool;
+        }
+        if (!ownPool) {
+            ownPool = createBrowserPool(options.pool);
+        }
+        return ownPool;
+    }
+
+    function generatePDF(html, filename, pdfOptions) {
+        if (options.generatePDF) {
+            return options.generatePDF(html, filename, pdfOptions);
+        }
+        if (!poolGenerator) {
+            poolGenerator = createPdfGenerator(browserPool());
+        }
+        return poolGenerator(html, filename, pdfOptions);
+    }
+
+    function renderMermaid(sources) {
+        if (options.renderMermaid) {
+            return options.renderMermaid(sources);
+        }
+        if (!poolMermaidRenderer) {
+            poolMermaidRenderer = createMermaidRenderer(browserPool());
+        }
+        return poolMermaidRenderer(sources);
+    }
+
+    // Add a conversion; one with the same id replaces the old one
+    function register(conversion) {
+        const { id, from, to, parse, run } = conversion || {};
+        if (!id || !from || !to || typeof run !== 'function' || (typeof parse !== 'function' && !conversion.options)) {
+            throw new Error('A conversion needs an id, from, to, run() and either parse() or an options schema');
+        }
+        const problems = conversion.options ? checkSchema(conversion.options) : [];
+        if (conversion.cost !== undefined && !(typeof conversion.cost === 'number' && conversion.cost > 0)) {
+            problems.push('cost must be a positive number');
+        }
+        if (problems.length > 0) {
+            throw new Error(`Conversion ${id}: ${problems.join('; ')}`);
+        }
+
+        const entry = {
+            failure: `convert ${from} to ${to}`,
+            inputTypes: [],
+            outputType: 'application/octet-stream',
+            extensions: [],
+            options: {},
+            cost: 1,
+            plugin: null,
+            ...conversion,
+            from: canonicalFormat(from),
+            to: canonicalFormat(to)
+        };
+        entry.parse = typeof parse === 'function' ? parse : schemaParser(entry);
+        registry.set(id, entry);
+        return api;
+    }
+
+    // Register a plugin's conversions (see plugins.js)
+    function use(plugin) {
+        const { name, version = null, source = null } = plugin || {};
+        const conversions = typeof plugin.conversions === 'function' ? plugin.conversions({ generatePDF }) : plugin.conversions;
+        if (!name || !Array.isArray(conversions)) {
+            throw new Error('A plugin needs a name and a list of conversions');
+        }
+        conversions.forEach(conversion => register({ ...conversion, plugin: name }));
+        plugins.push({ name, version, source, conversions: conversions.map(conversion => conversion.id) });
+        return api;
+    }
+
+    function get(id) {
+        return registry.get(id) || null;
+    }
+
+    // The conversion from one format to another, or null if there is none
+    function find(from, to) {
+        const source = canonicalFormat(from);
+        const target = canonicalFormat(to);
+        return [...registry.values()].find(conversion => conversion.from === source && conversion.to === target) || null;
+    }
+
+    // Everything about each conversion except its functions
+    function list() {
+        return [...registry.values()].map(({ id, from, to, inputTypes, outputType, options: schema, cost, plugin }) => (
+            { id, from, to, inputTypes, outputType, options: schema, cost, plugin }
+        ));
+    }
+
+    // Every format something can be converted to, plus the image types page images come in
+    function targets() {
+        const formats = new Set([...registry.values()].map(conversion => conversion.to));
+        if (formats.has('images')) {
+            Object.keys(IMAGE_TARGETS).forEach(type => formats.add(type));
+        }
+        return [...formats];
+    }
+
+    // The cheapest chain of conversions from one format to another, or null if there is none.
+    // `via` lists formats to pass through or conversion ids to use, in order (see conversion-graph.js).
+    function route(from, to, via = []) {
+        const conversions = [...registry.values()];
+        const known = new Set(conversions.flatMap(conversion => [conversion.id, conversion.from, conversion.to]));
+        const steps = parseVia(via);
+        const unknown = steps.find(step => !known.has(step));
+        if (unknown) {
+            throw converterError(`Unknown format or conversion in via: "${unknown}"`, 'UNSUPPORTED_CONVERSION', 400);
+        }
+        const target = canonicalFormat(to);
+        return findRoute(conversions, canonicalFormat(from), IMAGE_TARGETS[target] ? 'images' : target, steps);
+    }
+
+    // What an uploaded file is: { format, mimeType, confidence, source } (see sniff.js).
+    // Signatures decide over names; formats added by plugins are recognised by the
+    // extensions they declare, then by the MIME types conversions accept. Without
+    // a buffer (e.g. only a path to check), the name decides.
+    function sniff(file) {
+        const hint = detectFormat(file);
+        const sniffed = file.buffer ? sniffContent(file.buffer, nameHint(file)) : null;
+        if (sniffed && sniffed.source === 'signature') {
+            return sniffed;
+        }
+
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const mimeType = (file.mimetype || '').toLowerCase();
+        const conversions = [...registry.values()];
+        const declared = extension && conversions.find(conversion => conversion.extensions.includes(extension));
+        if (declared) {
+            return { format: declared.from, mimeType: declared.inputTypes[0] || mimeType || 'application/octet-stream', confidence: 0.6, source: 'extension' };
+        }
+        if (sniffed && sniffed.format) {
+            return sniffed;
+        }
+        // Binary content without a known signature isn't what its name says
+        if (hint && !sniffed) {
+            return { format: hint, mimeType: mimeType || 'application/octet-stream', confidence: 0.4, source: 'extension' };
+        }
+        const accepting = mimeType && conversions.find(conversion => conversion.inputTypes.includes(mimeType));
+        if (accepting) {
+            return { format: accepting.from, mimeType, confidence: 0.4, source: 'extension' };
+        }
+        return sniffed || { format: null, mimeType: mimeType || 'application/octet-stream', confidence: 0, source: 'extension' };
+    }
+
+    // The format of an uploaded file (see sniff()), or null if unsupported
+    function detect(file) {
+        return sniff(file).format;
+    }
+
+    // Helper function to pick the file extension for a format, for the files passed between steps
+    function formatExtension(format) {
+        const declared = [...registry.values()].find(conversion => conversion.from === format && conversion.extensions.length > 0);
+        return declared ? declared.extensions[0] : (INPUT_EXTENSIONS[format] || [`.${format}`])[0];
+    }
+
+    // Helper function to check a later step of a route before the steps before it have run,
+    // with a stand-in for the input they will produce
+    function checkStep(conversion, request) {
+        const standIn = { buffer: Buffer.alloc(0), originalname: 'document' + formatExtension(conversion.from), mimetype: conversion.inputTypes[0] || '' };
+        const stepRequest = TEXT_FORMATS.includes(conversion.from) ? { ...request, [conversion.from]: 'placeholder' } : request;
+        const { error, details } = conversion.parse(stepRequest, standIn);
+        if (error) {
+            throw converterError(`${conversion.id}: ${error}`, 'INVALID_OPTIONS', 400, details);
+        }
+    }
+
+    // Run a route of several conversions, each on the output of the one before.
+    // `input` is { route: [id], input, fields, name } as made by prepare(): the first
+    // step's input, the request fields for the others and the name for the files in between.
+    // It survives JSON, so routes can run as background jobs. `reportProgress(fraction)`
+    // is called as each step finishes, and in between by steps that report their own.
+    async function runRoute({ route: ids, input, fields, name }, reportProgress = () => {}) {
+        const steps = ids.map((id) => {
+            const conversion = get(id);
+            if (!conversion) {
+                throw converterError(`Unknown conversion "${id}"`, 'UNSUPPORTED_CONVERSION', 400);
+            }
+            return conversion;
+        });
+
+        // Each step takes an equal share of the progress
+        const stepProgress = index => fraction => reportProgress((index + Math.min(1, Math.max(0, fraction))) / steps.length);
+
+        let result = await steps[0].run(input, stepProgress(0));
+        reportProgress(1 / steps.length);
+        for (let index = 1; index < steps.length; index++) {
+            const conversion = steps[index];
+            const type = result.contentType.split(';')[0].trim().toLowerCase();
+            // e.g. PDF to HTML answers with a ZIP when asked for table exports
+            if (conversion.inputTypes.length > 0 && !conversion.inputTypes.includes(type)) {
+                throw converterError(`${steps[index - 1].id} produced ${type}, which ${conversion.id} cannot take`, 'ROUTE_FAILED', 400);
+            }
+            const file = { buffer: result.data, originalname: name + formatExtension(conversion.from), mimetype: type };
+            // Outputs are named after the original input unless a filename was asked for
+            const request = { filename: name + formatExtension(conversion.to), ...fields };
+            if (TEXT_FORMATS.includes(conversion.from)) {
+                request[conversion.from] = result.data.toString('utf-8');
+            }
+            const { input: stepInput, error, details } = conversion.parse(request, file);
+            if (error) {
+                throw converterError(`${conversion.id}: ${error}`, 'INVALID_OPTIONS', 400, details);
+            }
+            result = await conversion.run(stepInput, stepProgress(index));
+            reportProgress((index + 1) / steps.length);
+        }
+        return result;
+    }
+
+    // Helper function to present a route as one conversion
+    function routeConversion(steps) {
+        const first = steps[0];
+        const last = steps[steps.length - 1];
+        const ids = steps.map(conversion => conversion.id);
+        return {
+            id: ids.join('+'),
+            from: first.from,
+            to: last.to,
+            inputTypes: first.inputTypes,
+            outputType: last.outputType,
+            failure: `convert ${first.from} to ${last.to}`,
+            route: ids,
+            run: runRoute
+        };
+    }
+
+    // Validate a conversion without running it.
+    // `file` is { buffer, originalname, mimetype } (or null when the input is in the
+    // fields) and `request` is { conversion, from, to, via, options }: `conversion` picks
+    // one by id, otherwise `from` (detected when left out) and `to` do, through
+    // other formats when needed. `via` (also accepted among the options) forces steps.
+    // Returns { conversion, input, route, detected } for conversion.run(), with the ids
+    // of the conversions it runs and what the upload was sniffed as; throws a 400
+    // error when it can't, including when the upload isn't what the conversion takes.
+    function prepare(file, { conversion: id, from, to, via, options: fields = {} } = {}) {
+        const request = { ...fields };
+        delete request.via;
+        const detected = file ? sniff(file) : null;
+
+        let steps;
+        if (id) {
+            const conversion = get(id);
+            if (!conversion) {
+                throw converterError(`Unknown conversion "${id}"`, 'UNSUPPORTED_CONVERSION', 400);
+            }
+            steps = [conversion];
+        } else {
+            const source = from ? canonicalFormat(from) : detected && detected.format;
+            if (!source) {
+                throw converterError('Could not tell the input format; pass "from"', 'UNKNOWN_FORMAT', 400);
+            }
+            const target = canonicalFormat(to);
+            steps = route(source, target, via !== undefined ? via : fields.via);
+            if (!steps) {
+                throw converterError(`Cannot convert ${source} to ${target || '(no target given)'}`, 'UNSUPPORTED_CONVERSION', 400);
+            }
+            // "png" means page images as PNG
+            if (IMAGE_TARGETS[target] && request.format === undefined) {
+                request.format = IMAGE_TARGETS[target];
+            }
+        }
+
+        // The library takes PDF page options as `pdf`; the HTTP API calls them `options`
+        if (request.pdf !== undefined && request.options === undefined) {
+            request.options = request.pdf;
+        }
+        // Documents without a title of their own are named after the file
+        if (file && file.originalname) {
+            request.defaultTitle = path.parse(file.originalname).name;
+        }
+
+        const [first, ...rest] = steps;
+        // Text formats can't be told apart for sure, but a signature (or the lack of one) can
+        if (detected && detected.format !== first.from && (detected.source === 'signature' || SIGNED_FORMATS.includes(first.from))) {
+            const error = converterError(`Expected ${first.from} but the upload looks like ${detected.format || detected.mimeType}`, 'UNEXPECTED_TYPE', 400);
+            error.detected = detected;
+            throw error;
+        }
+        const firstRequest = file && TEXT_FORMATS.includes(first.from) ? { ...request, [first.from]: file.buffer.toString('utf-8') } : request;
+        const { input, error, details } = first.parse(firstRequest, file);
+        if (error) {
+            throw converterError(error, 'INVALID_OPTIONS', 400, details);
+        }
+        if (rest.length === 0) {
+            return { conversion: first, input, route: [first.id], detected };
+        }
+
+        // The input of a text format is only for the first step
+        const laterFields = { ...request };
+        delete laterFields[first.from];
+        rest.forEach(conversion => checkStep(conversion, laterFields));
+
+        const conversion = routeConversion(steps);
+        const name = (file && file.originalname && path.parse(file.originalname).name) || 'document';
+        return { conversion, input: { route: conversion.route, input, fields: laterFields, name }, route: conversion.route, detected };
+    }
+
+    // Convert `input` (see readInput) from one format to another.
+    // `from` defaults to the format of the input's filename. Resolves to
+    // { data, contentType, filename, conversion, route, detected }: the id of the
+    // conversion, the ids of the steps it took and what the input was sniffed as.
+    async function convert(input, request = {}) {
+        const file = await readInput(input);
+        const { conversion, input: prepared, route: steps, detected } = prepare(file, request);
+        const result = await conversion.run(prepared);
+        return { ...result, conversion: conversion.id, route: steps, detected };
+    }
+
+    // Close the browser pool if this converter started one
+    async function close() {
+        if (ownPool) {
+            const pool = ownPool;
+            ownPool = null;
+            poolGenerator = null;
+            poolMermaidRenderer = null;
+            await pool.drain();
+        }
+    }
+
+    function pluginList() {
+        return plugins.map(plugin => ({ ...plugin }));
+    }
+
+    // Plugins that failed to load when the converter was created, for the app to report
+    function pluginErrorList() {
+        return pluginErrors.map(failure => ({ ...failure }));
+    }
+
+    const api = { register, use, get, find, list, targets, route, sniff, detect, prepare, convert, runRoute, plugins: pluginList, pluginErrors: pluginErrorList, close };
+
+    if (options.builtins !== false) {
+        Object.values(createConversions(generatePDF, renderMermaid)).forEach(register);
+    }
+    if (options.plugins) {
+        pluginErrors.push(...loadPlugins(api, options.plugins === true ? {} : options.plugins).errors);
+    }
+    return api;
+}
+
+module.exports = {
+    detectFormat,
+    sniffFormat,
+    canonicalFormat,
+    createConverter
+};
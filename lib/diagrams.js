@@ -0,0 +1,184 @@
+// Diagrams in Markdown: fenced `mermaid` blocks and Graphviz `dot` (or `graphviz`)
+// blocks are drawn as inline SVG during the conversion; Word gets them as PNGs.
+//
+//   ```mermaid
+//   graph LR
+//     Upload --> Convert --> Download
+//   ```
+//
+// Mermaid needs a browser, so its diagrams are drawn in headless Chrome on the
+// PDF browser pool (see createMermaidRenderer()), all of a document's in one go;
+// where there is no browser, or it can't be had (Chrome won't start, the pool is
+// full or times out), they stay code blocks. Graphviz runs in-process
+// (a WebAssembly build), so it works everywhere. A diagram with a mistake is
+// shown as its code with the error under it rather than failing the conversion.
+
+// Fence languages and the diagram kind they are drawn as
+const DIAGRAM_LANGUAGES = {
+    mermaid: 'mermaid',
+    dot: 'graphviz',
+    graphviz: 'graphviz'
+};
+
+// SVG labels rather than HTML ones, so the same SVG can be rasterised for Word
+const MERMAID_CONFIG = {
+    startOnLoad: false,
+    securityLevel: 'strict',
+    htmlLabels: false,
+    flowchart: { htmlLabels: false }
+};
+
+// Widest a diagram is shown in Word: the text width of a Letter page with 1 inch margins
+const DOCX_MAX_WIDTH = 624;
+
+// Created on first use
+let vizInstance = null;
+
+// Helper function to escape text for HTML
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper function to tell which kind of diagram a fence language is; null for code
+function diagramKind(lang) {
+    const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+    return DIAGRAM_LANGUAGES[language] || null;
+}
+
+// Helper function to key a diagram by its kind and source
+function diagramKey(kind, source) {
+    return kind + '\n' + source;
+}
+
+// Build renderMermaid(sources), which draws Mermaid diagrams on a page borrowed
+// from `browserPool` (see browser-pool.js) and resolves to one { svg } or { error }
+// per source
+function createMermaidRenderer(browserPool) {
+    const script = require.resolve('mermaid/dist/mermaid.min.js');
+    return async function renderMermaid(sources) {
+        return browserPool.withPage(async (page) => {
+            await page.setContent('<!DOCTYPE html><html><body></body></html>');
+            await page.addScriptTag({ path: script });
+            return page.evaluate(async (sources, config) => {
+                window.mermaid.initialize(config);
+                const results = [];
+                for (const [index, source] of sources.entries()) {
+                    try {
+                        const { svg } = await window.mermaid.render(`mermaid-${index}`, source);
+                        results.push({ svg });
+                    } catch (error) {
+                        results.push({ error: error.message });
+                    }
+                }
+                return results;
+            }, sources, MERMAID_CONFIG);
+        });
+    };
+}
+
+// Helper function to draw a Graphviz diagram; resolves to { svg } or { error }
+async function renderGraphviz(source) {
+    if (!vizInstance) {
+        vizInstance = require('@viz-js/viz').instance();
+    }
+    const result = (await vizInstance).render(source, { format: 'svg' });
+    if (result.status !== 'success') {
+        return { error: result.errors.map(error => error.message).join('; ') || 'Graphviz failed' };
+    }
+    // Just the <svg>, without the XML declaration and doctype
+    return { svg: result.output.slice(result.output.indexOf('<svg')) };
+}
+
+// Helper function to work out the size a diagram is drawn at, in pixels
+function svgSize(svg) {
+    const root = (svg.match(/<svg\b[^>]*>/) || [''])[0];
+    const viewBox = (root.match(/viewBox="([^"]*)"/) || [])[1];
+    const [, , boxWidth, boxHeight] = viewBox ? viewBox.trim().split(/[\s,]+/).map(Number) : [];
+    // Graphviz gives points; Mermaid width="100%" with its real width as max-width
+    const length = (name) => {
+        const match = root.match(new RegExp(`\\s${name}="([\\d.]+)(pt|px)?"`));
+        if (match) {
+            return parseFloat(match[1]) * (match[2] === 'pt' ? 4 / 3 : 1);
+        }
+        const max = root.match(new RegExp(`max-${name}:\\s*([\\d.]+)px`));
+        return max ? parseFloat(max[1]) : null;
+    };
+
+    let width = length('width') || boxWidth || 300;
+    let height = length('height') || (boxWidth && boxHeight ? width * boxHeight / boxWidth : 150);
+    if (width > DOCX_MAX_WIDTH) {
+        height = height * DOCX_MAX_WIDTH / width;
+        width = DOCX_MAX_WIDTH;
+    }
+    return { width: Math.round(width), height: Math.round(height) };
+}
+
+// Find the diagrams in lexed Markdown (`walkTokens` is marked's, to reach nested blocks).
+// Returns [{ kind, source }] without repeats.
+function findDiagrams(tokens, walkTokens) {
+    const diagrams = new Map();
+    walkTokens(tokens, (token) => {
+        const kind = token.type === 'code' ? diagramKind(token.lang) : null;
+        if (kind) {
+            diagrams.set(diagramKey(kind, token.text), { kind, source: token.text });
+        }
+    });
+    return [...diagrams.values()];
+}
+
+// Draw diagrams found by findDiagrams(). Mermaid ones need `renderMermaid` (see
+// createMermaidRenderer()) and are skipped without it or when it fails. With `docx`,
+// diagrams are PNGs.
+// Returns a Map of diagram key to { html } or { error }.
+async function renderDiagrams(diagrams, { renderMermaid, docx = false } = {}) {
+    const rendered = new Map();
+    const mermaid = diagrams.filter(diagram => diagram.kind === 'mermaid');
+    if (mermaid.length > 0 && renderMermaid) {
+        try {
+            const results = await renderMermaid(mermaid.map(diagram => diagram.source));
+            mermaid.forEach((diagram, index) => rendered.set(diagramKey(diagram.kind, diagram.source), results[index]));
+        } catch (error) {
+            // The browser failing isn't the document's fault; its diagrams stay code
+            console.error('Could not draw Mermaid diagrams:', error.message);
+        }
+    }
+    for (const diagram of diagrams.filter(item => item.kind === 'graphviz')) {
+        rendered.set(diagramKey(diagram.kind, diagram.source), await renderGraphviz(diagram.source));
+    }
+
+    const { svgToPng } = docx ? require('./image-pipeline') : {};
+    for (const [key, result] of rendered) {
+        if (result.error) {
+            continue;
+        }
+        if (docx) {
+            const { src, width, height } = await svgToPng(result.svg, svgSize(result.svg));
+            rendered.set(key, { html: `<p style="text-align: center"><img src="${src}" alt="Diagram" style="width: ${width}px; height: ${height}px"></p>\n` });
+        } else {
+            const kind = key.slice(0, key.indexOf('\n'));
+            rendered.set(key, { html: `<div class="diagram diagram-${kind}" style="text-align: center; margin: 1em 0">${result.svg}</div>\n` });
+        }
+    }
+    return rendered;
+}
+
+// The HTML for a diagram's code block: the drawing, or the code (as `renderCode()` shows
+// it) with the error under it; null when it isn't a diagram or wasn't drawn
+function renderDiagramBlock(rendered, code, lang, renderCode) {
+    const kind = diagramKind(lang);
+    const result = kind ? rendered.get(diagramKey(kind, code)) : null;
+    if (!result) {
+        return null;
+    }
+    if (result.error) {
+        return renderCode(code, lang) + `<p class="diagram-error" style="color: #c00">Diagram error: ${escapeText(result.error)}</p>\n`;
+    }
+    return result.html;
+}
+
+module.exports = {
+    createMermaidRenderer,
+    findDiagrams,
+    renderDiagrams,
+    renderDiagramBlock
+};
@@ -0,0 +1,50 @@
+const htmlToDocx = require('html-to-docx');
+
+// Word document settings shared by every DOCX output
+const DOCX_OPTIONS = {
+    margins: {
+        top: 1440,    // 1 inch in twips
+        right: 1440,
+        bottom: 1440,
+        left: 1440
+    },
+    font: 'Calibri',
+    fontSize: 22,     // half-points, i.e. 11pt
+    table: {
+        row: {
+            cantSplit: true
+        }
+    },
+    header: false,
+    footer: false,
+    pageNumber: false
+};
+
+// Helper function to convert HTML to a Word document buffer; the document
+// properties come from `metadata` ({ title, author, subject, keywords, date })
+async function generateDocx(html, metadata = {}) {
+    const options = { ...DOCX_OPTIONS };
+    if (metadata.title) {
+        options.title = metadata.title;
+    }
+    if (metadata.author) {
+        options.creator = metadata.author;
+        options.lastModifiedBy = metadata.author;
+    }
+    if (metadata.subject) {
+        options.subject = metadata.subject;
+    }
+    if (metadata.keywords && metadata.keywords.length > 0) {
+        options.keywords = metadata.keywords;
+    }
+    const date = metadata.date ? new Date(metadata.date) : null;
+    if (date && !isNaN(date.getTime())) {
+        options.createdAt = date;
+    }
+    return htmlToDocx(html, null, options);
+}
+
+module.exports = {
+    DOCX_OPTIONS,
+    generateDocx
+};
@@ -0,0 +1,42 @@
+// Download names: turn a requested file name or a document title into a name that is
+// safe on disk and in a Content-Disposition header. No dependencies, so the simple
+// server can use it too.
+
+// Longest name kept, before the extension
+const MAX_NAME_LENGTH = 150;
+
+// Characters no file system or header likes: path separators, quotes, wildcards, control characters
+const UNSAFE_CHARACTERS = /[\\/:*?"<>|\u0000-\u001f\u007f]/g;
+
+// Build a download name from `name` (a file name or a title) with `extension`;
+// `fallback` is used when nothing usable is left of it. Only a matching extension is
+// dropped from `name`, so titles like "Version 2.0" stay whole.
+function downloadFilename(name, extension, fallback = 'converted') {
+    let base = String(name || '').split(/[\\/]/).pop();
+    if (base.toLowerCase().endsWith('.' + extension.toLowerCase())) {
+        base = base.slice(0, -extension.length - 1);
+    }
+    const safe = base
+        .replace(UNSAFE_CHARACTERS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_NAME_LENGTH)
+        .replace(/^[.\s]+|[.\s]+$/g, '');
+    return `${safe || fallback}.${extension}`;
+}
+
+// The Content-Disposition header for sending `filename`. Names that aren't plain ASCII
+// get an ASCII stand-in plus the real name in RFC 5987 form, which browsers prefer.
+function contentDisposition(filename, disposition = 'attachment') {
+    const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    if (ascii === filename) {
+        return `${disposition}; filename="${filename}"`;
+    }
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    return `${disposition}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+    downloadFilename,
+    contentDisposition
+};
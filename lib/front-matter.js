@@ -0,0 +1,144 @@
+// Front matter: a YAML block at the top of a Markdown file holding the document's
+// metadata and its conversion settings, so they travel with the document:
+//
+//   ---
+//   title: Quarterly Report
+//   author: Jane Doe
+//   date: 2024-03-31
+//   theme: academic
+//   format: Letter
+//   margin: 1in
+//   toc: true
+//   highlight: monokai
+//   ---
+//
+// Metadata (title, author, date, subject, keywords) ends up in the HTML <head> and
+// the PDF and Word document properties. Settings (theme, code highlighting and the
+// PDF page options) are defaults: anything the request sets itself wins. Other keys are ignored, so
+// files written for static site generators convert as they are.
+
+const yaml = require('js-yaml');
+const { escapeHtml } = require('./toc');
+const { parseTheme } = require('./themes');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const METADATA_KEYS = ['title', 'author', 'date', 'subject'];
+// PDF options a document may set for itself (see pdf-options.js)
+const PDF_KEYS = [
+    'format', 'width', 'height', 'orientation', 'landscape', 'margin', 'marginTop', 'marginRight', 'marginBottom', 'marginLeft',
+    'scale', 'printBackground', 'preferCSSPageSize', 'toc', 'outline', 'header', 'footer', 'firstPageHeader'
+];
+// Code highlighting options (see highlight.js), checked with the request's own
+const HIGHLIGHT_KEYS = ['highlight', 'lineNumbers'];
+
+// Helper function to read a metadata value as text
+function metadataText(value) {
+    return String(value).trim();
+}
+
+// Split a front matter block off the top of `markdown`.
+// Returns { frontMatter: { metadata, theme, highlight, pdf }, body } or { error, details } for a 400 response.
+function parseFrontMatter(markdown) {
+    const frontMatter = { metadata: {}, theme: null, highlight: {}, pdf: {} };
+    const match = FRONT_MATTER_PATTERN.exec(markdown);
+    if (!match) {
+        return { frontMatter, body: markdown };
+    }
+
+    let data;
+    try {
+        // No timestamps: dates stay as written
+        data = yaml.load(match[1] || '', { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+        return { error: 'Invalid front matter: ' + error.reason, details: [error.message] };
+    }
+    const body = markdown.slice(match[0].length);
+    if (data === undefined || data === null) {
+        return { frontMatter, body };
+    }
+    // Not settings but text between two horizontal rules
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return { frontMatter, body: markdown };
+    }
+
+    for (const key of METADATA_KEYS) {
+        if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+            frontMatter.metadata[key] = metadataText(data[key]);
+        }
+    }
+    // "description" is what most site generators call the subject
+    if (frontMatter.metadata.subject === undefined && data.description) {
+        frontMatter.metadata.subject = metadataText(data.description);
+    }
+    const keywords = data.keywords !== undefined ? data.keywords : data.tags;
+    if (keywords) {
+        frontMatter.metadata.keywords = (Array.isArray(keywords) ? keywords : String(keywords).split(','))
+            .map(keyword => metadataText(keyword))
+            .filter(Boolean);
+    }
+
+    const { theme, error } = parseTheme(data.theme);
+    if (error) {
+        return { error: 'Invalid front matter: ' + error };
+    }
+    frontMatter.theme = theme;
+
+    for (const key of HIGHLIGHT_KEYS) {
+        if (data[key] !== undefined && data[key] !== null) {
+            frontMatter.highlight[key] = data[key];
+        }
+    }
+
+    // Page options may sit at the top level or under "pdf"
+    const pdf = data.pdf && typeof data.pdf === 'object' && !Array.isArray(data.pdf) ? data.pdf : {};
+    for (const key of PDF_KEYS) {
+        if (pdf[key] !== undefined) {
+            frontMatter.pdf[key] = pdf[key];
+        } else if (data[key] !== undefined) {
+            frontMatter.pdf[key] = data[key];
+        }
+    }
+
+    return { frontMatter, body };
+}
+
+// Combine the document's PDF options with the request's (a JSON string or an object); the request wins.
+// Anything that isn't an object is passed through for parsePdfOptions() to report.
+function mergePdfOptions(documentOptions, requestOptions) {
+    let options = requestOptions === undefined || requestOptions === '' ? {} : requestOptions;
+    if (typeof options === 'string') {
+        try {
+            options = JSON.parse(options);
+        } catch (error) {
+            return requestOptions;
+        }
+    }
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        return requestOptions;
+    }
+    return { ...documentOptions, ...options };
+}
+
+// <meta> tags for a document's metadata, for the page <head>
+function metadataTags(metadata = {}) {
+    const tags = [];
+    if (metadata.author) {
+        tags.push(`<meta name="author" content="${escapeHtml(metadata.author)}">`);
+    }
+    if (metadata.date) {
+        tags.push(`<meta name="date" content="${escapeHtml(metadata.date)}">`);
+    }
+    if (metadata.subject) {
+        tags.push(`<meta name="description" content="${escapeHtml(metadata.subject)}">`);
+    }
+    if (metadata.keywords && metadata.keywords.length > 0) {
+        tags.push(`<meta name="keywords" content="${escapeHtml(metadata.keywords.join(', '))}">`);
+    }
+    return tags.map(tag => '    ' + tag).join('\n');
+}
+
+module.exports = {
+    parseFrontMatter,
+    mergePdfOptions,
+    metadataTags
+};
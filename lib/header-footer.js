@@ -0,0 +1,76 @@
+// Running header/footer templates for PDF output
+
+// Chrome fills elements with these class names on every page
+const PLACEHOLDERS = ['pageNumber', 'totalPages', 'title', 'date', 'url'];
+
+// Built-in templates, usable as either header or footer
+const PRESETS = {
+    'title': '<span class="title"></span>',
+    'date': '<span class="date"></span>',
+    'title-date': '<span class="title"></span><span style="float: right;" class="date"></span>',
+    'page-number': '<div style="text-align: center;"><span class="pageNumber"></span></div>',
+    'page-x-of-y': '<div style="text-align: right;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>',
+    'title-page-x-of-y': '<span class="title"></span><span style="float: right;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>'
+};
+
+const EMPTY_TEMPLATE = '<span></span>';
+
+// Helper function to expand {{pageNumber}}-style shorthands into Chrome's placeholder spans
+function expandPlaceholders(template, name, errors) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, placeholder) => {
+        if (!PLACEHOLDERS.includes(placeholder)) {
+            errors.push(`${name} uses unknown placeholder "${placeholder}". Use one of: ${PLACEHOLDERS.join(', ')}`);
+            return match;
+        }
+        return `<span class="${placeholder}"></span>`;
+    });
+}
+
+// Helper function to wrap a template in a full-width box lined up with the page margins.
+// Header/footer templates default to a near-invisible font size, so set a readable one.
+function wrapTemplate(content, margin) {
+    return `<div style="font-size: 9px; font-family: Arial, sans-serif; color: #555; width: 100%; ` +
+        `padding: 0 ${margin.right} 0 ${margin.left}; -webkit-print-color-adjust: exact;">${content}</div>`;
+}
+
+// Resolve a header or footer value: a preset name, custom HTML, or "none"
+function resolveTemplate(value, name, margin, errors) {
+    if (value === undefined || value === null || value === '' || value === false || value === 'none') {
+        return null;
+    }
+
+    const template = String(value);
+    if (PRESETS[template]) {
+        return wrapTemplate(PRESETS[template], margin);
+    }
+    if (!template.includes('<') && !template.includes('{{')) {
+        errors.push(`Unknown ${name} preset "${template}". Use one of: ${Object.keys(PRESETS).join(', ')}, or custom HTML`);
+        return null;
+    }
+
+    return wrapTemplate(expandPlaceholders(template, name, errors), margin);
+}
+
+// Build Puppeteer header/footer options from { header, footer }.
+// Returns the extra page.pdf() options, or {} when neither is requested.
+function buildHeaderFooter(input, margin, errors) {
+    const headerTemplate = resolveTemplate(input.header, 'header', margin, errors);
+    const footerTemplate = resolveTemplate(input.footer, 'footer', margin, errors);
+
+    if (!headerTemplate && !footerTemplate) {
+        return {};
+    }
+
+    return {
+        displayHeaderFooter: true,
+        headerTemplate: headerTemplate || EMPTY_TEMPLATE,
+        footerTemplate: footerTemplate || EMPTY_TEMPLATE
+    };
+}
+
+module.exports = {
+    PRESETS,
+    PLACEHOLDERS,
+    EMPTY_TEMPLATE,
+    buildHeaderFooter
+};
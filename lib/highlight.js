@@ -0,0 +1,289 @@
+// Syntax highlighting for fenced code blocks in Markdown, done on the server so
+// every output gets it: HTML and PDF pages carry the colour scheme's CSS, while
+// Word documents, which ignore stylesheets, get the same colours as inline styles.
+//
+//   ```js
+//   const answer = 42;
+//   ```
+//
+// Colour schemes are highlight.js's own stylesheets (github, monokai, nord, ...),
+// picked by name; "none" leaves code blocks to the theme. Blocks without a
+// language, or with one highlight.js doesn't know, are shown in the scheme's
+// colours without highlighting.
+
+const fs = require('fs');
+const path = require('path');
+const hljs = require('highlight.js');
+
+const DEFAULT_SCHEME = 'github';
+const NO_SCHEME = 'none';
+
+const STYLES_DIR = path.join(path.dirname(require.resolve('highlight.js/package.json')), 'styles');
+const SCHEME_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const TOKEN_PATTERN = /<span class="([^"]*)">|<\/span>|[^<]+/g;
+const COLOR_PATTERN = /#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\)|\b[a-z]+\b/i;
+
+// Line numbers and the scheme's background filling the whole <pre>, whatever the theme does to it
+const BLOCK_STYLES = `pre.highlighted { padding: 0; background: none; border: none; }
+pre.highlighted code.hljs { border-radius: 5px; }
+pre code.line-numbers { counter-reset: line; }
+pre code.line-numbers .line::before {
+    counter-increment: line;
+    content: counter(line);
+    display: inline-block;
+    width: 2em;
+    margin-right: 1em;
+    text-align: right;
+    opacity: 0.5;
+    user-select: none;
+}`;
+
+// Code blocks in Word documents: a paragraph per line, since the converter drops
+// the line breaks inside <pre>
+const DOCX_LINE_STYLE = 'font-family: Courier New; font-size: 10pt; margin: 0';
+const DOCX_LINE_NUMBER_COLOR = '#999999';
+
+// Parsed schemes, by name
+const schemeCache = new Map();
+
+// Helper function to escape code for HTML
+function escapeCode(code) {
+    return code.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Every colour scheme name, sorted
+function listSchemes() {
+    return fs.readdirSync(STYLES_DIR)
+        .filter(file => file.endsWith('.css') && !file.endsWith('.min.css'))
+        .map(file => path.basename(file, '.css'))
+        .sort();
+}
+
+// Helper function to check a scheme name against the installed stylesheets
+function schemeExists(name) {
+    return SCHEME_NAME_PATTERN.test(name) && fs.existsSync(path.join(STYLES_DIR, name + '.css'));
+}
+
+// Helper function to turn one CSS declaration block into the styles Word understands
+function parseDeclarations(block) {
+    const style = {};
+    for (const declaration of block.split(';')) {
+        const separator = declaration.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+        const property = declaration.slice(0, separator).trim().toLowerCase();
+        const value = declaration.slice(separator + 1).trim();
+        if (property === 'color') {
+            style.color = value;
+        } else if (property === 'background' || property === 'background-color') {
+            // "background" may also hold images and positions; only the colour matters
+            const color = value.replace(/url\([^)]*\)/gi, '').match(COLOR_PATTERN);
+            if (color) {
+                style.background = color[0];
+            }
+        } else if (property === 'font-weight') {
+            style.bold = value === 'bold' || value === 'bolder' || parseInt(value) >= 600;
+        } else if (property === 'font-style') {
+            style.italic = value === 'italic' || value === 'oblique';
+        } else if (property === 'text-decoration') {
+            style.underline = value.includes('underline');
+        }
+    }
+    return style;
+}
+
+// Helper function to read a scheme's stylesheet into { css, base, tokens }, where `base` is
+// the block's own colours and `tokens` maps class lists ("hljs-title.class_") to their styles.
+// Rules for nested selectors (".hljs-meta .hljs-keyword") are only used by the CSS.
+function loadScheme(name) {
+    if (schemeCache.has(name)) {
+        return schemeCache.get(name);
+    }
+
+    const css = fs.readFileSync(path.join(STYLES_DIR, name + '.css'), 'utf-8');
+    const scheme = { css, base: {}, tokens: new Map() };
+    const rules = css.replace(/\/\*[\s\S]*?\*\//g, '').matchAll(/([^{}]+)\{([^{}]*)\}/g);
+    for (const [, selectors, block] of rules) {
+        const style = parseDeclarations(block);
+        for (const selector of selectors.split(',').map(item => item.trim())) {
+            if (/^((pre\s+)?code)?\.hljs$/.test(selector)) {
+                Object.assign(scheme.base, style);
+            } else if (/^\.hljs-[\w-]+(\.[\w-]+)*$/.test(selector)) {
+                const key = selector.slice(1);
+                scheme.tokens.set(key, { ...scheme.tokens.get(key), ...style });
+            }
+        }
+    }
+
+    schemeCache.set(name, scheme);
+    return scheme;
+}
+
+// Helper function to check for a field that was left out
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Validate the highlighting fields of a request (`highlight` and `lineNumbers`); `defaults`
+// holds the document's own (from its front matter) for the fields the request leaves out.
+// Returns { options: { scheme, lineNumbers } } or { errors } for a 400 response.
+function parseHighlightOptions(fields = {}, defaults = {}) {
+    const errors = [];
+    const options = { scheme: DEFAULT_SCHEME, lineNumbers: false };
+    const highlight = isEmpty(fields.highlight) ? defaults.highlight : fields.highlight;
+    const lineNumbers = isEmpty(fields.lineNumbers) ? defaults.lineNumbers : fields.lineNumbers;
+
+    if (!isEmpty(highlight)) {
+        const name = String(highlight).trim();
+        if (highlight === false || name === 'false' || name === NO_SCHEME) {
+            options.scheme = NO_SCHEME;
+        } else if (schemeExists(name)) {
+            options.scheme = name;
+        } else {
+            errors.push(`Unknown highlight scheme "${name}". Use "${NO_SCHEME}" or one listed by GET /highlight-schemes`);
+        }
+    }
+
+    if (!isEmpty(lineNumbers)) {
+        if (lineNumbers === true || lineNumbers === 'true') {
+            options.lineNumbers = true;
+        } else if (lineNumbers === false || lineNumbers === 'false') {
+            options.lineNumbers = false;
+        } else {
+            errors.push('lineNumbers must be true or false');
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { options };
+}
+
+// Helper function to highlight code, or just escape it when its language is unknown.
+// Returns { html, language }.
+function highlightCode(code, lang) {
+    const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+    if (language && hljs.getLanguage(language)) {
+        return { html: hljs.highlight(code, { language, ignoreIllegals: true }).value, language };
+    }
+    return { html: escapeCode(code), language: null };
+}
+
+// Helper function to split highlighted HTML into lines, each a list of text runs with
+// the classes of the spans around them, so spans crossing line breaks can be reopened
+function splitLines(html) {
+    const lines = [[]];
+    const open = [];
+    for (const [token, classes] of html.matchAll(TOKEN_PATTERN)) {
+        if (classes !== undefined) {
+            open.push(classes.split(/\s+/).filter(Boolean));
+        } else if (token === '</span>') {
+            open.pop();
+        } else {
+            token.split('\n').forEach((text, index) => {
+                if (index > 0) {
+                    lines.push([]);
+                }
+                if (text) {
+                    lines[lines.length - 1].push({ text, classes: [...open] });
+                }
+            });
+        }
+    }
+    // Fenced code ends with a line break
+    if (lines.length > 1 && lines[lines.length - 1].length === 0) {
+        lines.pop();
+    }
+    return lines;
+}
+
+// Helper function to render one run back as nested spans
+function runHtml({ text, classes }) {
+    return classes.reduceRight((html, names) => `<span class="${names.join(' ')}">${html}</span>`, text);
+}
+
+// Render a fenced code block for an HTML page (and so a PDF); the scheme's CSS does the colouring
+function renderCodeBlock(code, lang, { lineNumbers = false } = {}) {
+    const { html, language } = highlightCode(code, lang);
+    const classes = ['hljs'];
+    if (language) {
+        classes.push('language-' + language);
+    }
+    let body = html;
+    if (lineNumbers) {
+        classes.push('line-numbers');
+        body = splitLines(html)
+            .map(line => `<span class="line">${line.map(runHtml).join('')}</span>`)
+            .join('\n');
+    }
+    return `<pre class="highlighted"><code class="${classes.join(' ')}">${body}\n</code></pre>\n`;
+}
+
+// Helper function to work out a run's style: its spans' styles, outermost first
+function runStyle(scheme, classes) {
+    const style = { ...scheme.base };
+    for (const names of classes) {
+        Object.assign(style, scheme.tokens.get(names[0]));
+        // Modifiers: "hljs-title class_" also uses the ".hljs-title.class_" rule
+        if (names.length > 1) {
+            Object.assign(style, scheme.tokens.get(names.join('.')));
+        }
+    }
+    return style;
+}
+
+// Helper function to render one run with inline styles for Word. Italics need an <i>
+// inside the coloured span, since font-style is ignored
+function inlineRunHtml(text, style) {
+    const css = [];
+    if (style.color) {
+        css.push(`color: ${style.color}`);
+    }
+    if (style.bold) {
+        css.push('font-weight: bold');
+    }
+    let html = text.replace(/ /g, '&nbsp;');
+    if (style.underline) {
+        html = `<u>${html}</u>`;
+    }
+    if (style.italic) {
+        html = `<i>${html}</i>`;
+    }
+    return css.length > 0 ? `<span style="${css.join('; ')}">${html}</span>` : html;
+}
+
+// Render a fenced code block for a Word document: a paragraph per line with the
+// scheme's colours inline
+function renderCodeBlockInline(code, lang, { scheme = DEFAULT_SCHEME, lineNumbers = false } = {}) {
+    const { html } = scheme === NO_SCHEME ? { html: escapeCode(code) } : highlightCode(code, lang);
+    const colors = scheme === NO_SCHEME ? { base: {}, tokens: new Map() } : loadScheme(scheme);
+    const background = colors.base.background ? `background-color: ${colors.base.background}; ` : '';
+    const lines = splitLines(html);
+    const width = String(lines.length).length;
+
+    return lines.map((line, index) => {
+        let content = line.map(run => inlineRunHtml(run.text, runStyle(colors, run.classes))).join('');
+        if (lineNumbers) {
+            const number = String(index + 1).padStart(width, ' ') + '  ';
+            content = inlineRunHtml(number, { color: DOCX_LINE_NUMBER_COLOR }) + content;
+        }
+        return `<p style="${background}${DOCX_LINE_STYLE}">${content || '&nbsp;'}</p>`;
+    }).join('\n') + '\n';
+}
+
+// The <style> for a page's <head>: the scheme's stylesheet plus the block and line number styles
+function highlightStyles({ scheme = DEFAULT_SCHEME } = {}) {
+    if (scheme === NO_SCHEME) {
+        return '';
+    }
+    return `<style>\n${loadScheme(scheme).css}\n${BLOCK_STYLES}\n</style>`;
+}
+
+module.exports = {
+    DEFAULT_SCHEME,
+    NO_SCHEME,
+    listSchemes,
+    parseHighlightOptions,
+    renderCodeBlock,
+    renderCodeBlockInline,
+    highlightStyles
+};
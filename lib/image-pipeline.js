@@ -0,0 +1,85 @@
+// Image resizing and format conversion shared by /resize-image, the PDF converters
+// and the images of math and diagrams in Word documents
+
+// Loaded on first use, so modules that only need the format tables, and conversions
+// that never touch an image, work where sharp's native binary isn't installed
+let sharpModule = null;
+
+// Helper function to load sharp
+function sharp(...args) {
+    if (!sharpModule) {
+        sharpModule = require('sharp');
+    }
+    return sharpModule(...args);
+}
+
+const IMAGE_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    png: { mimeType: 'image/png', extension: 'png' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+// Helper function to turn a format name into a key of IMAGE_FORMATS ("jpg" -> "jpeg"); null if unsupported
+function normalizeFormat(format) {
+    const name = String(format).toLowerCase();
+    if (name === 'jpg') {
+        return 'jpeg';
+    }
+    return IMAGE_FORMATS[name] ? name : null;
+}
+
+// Resize and re-encode an image. Resizing keeps the aspect ratio and never enlarges.
+// `input` is an encoded image, or raw pixels described by `raw: { width, height, channels }`.
+async function processImage(input, { width, height, quality = 90, format = 'jpeg', raw } = {}) {
+    let sharpInstance = sharp(input, raw ? { raw } : undefined);
+
+    // Resize the image with proper aspect ratio handling
+    if (width && height) {
+        // When both dimensions are specified, fit within bounds while maintaining aspect ratio
+        sharpInstance = sharpInstance.resize(parseInt(width), parseInt(height), {
+            fit: 'inside',  // Fit within bounds, don't crop
+            withoutEnlargement: true  // Don't make it bigger than original
+        });
+    } else if (width) {
+        sharpInstance = sharpInstance.resize(parseInt(width), null, {
+            withoutEnlargement: true
+        });
+    } else if (height) {
+        sharpInstance = sharpInstance.resize(null, parseInt(height), {
+            withoutEnlargement: true
+        });
+    }
+
+    // Convert to specified format
+    switch (normalizeFormat(format)) {
+        case 'jpeg':
+            return sharpInstance.jpeg({ quality: parseInt(quality) }).toBuffer();
+        case 'png':
+            return sharpInstance.png({ quality: parseInt(quality) }).toBuffer();
+        case 'webp':
+            return sharpInstance.webp({ quality: parseInt(quality) }).toBuffer();
+        default: {
+            const error = new Error('Unsupported format. Use jpeg, png, or webp.');
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+}
+
+// Rasterise SVG markup to a PNG, for documents that can't show SVG (Word).
+// `width` and `height` are the size it is shown at, in pixels; it is drawn at `scale`
+// times that so it stays sharp when printed.
+// Returns { src, width, height } where `src` is a data URI for an <img>.
+async function svgToPng(svg, { width, height, scale = 3 }) {
+    const sized = svg.replace(/<svg\b([^>]*)>/, (match, attributes) =>
+        `<svg${attributes.replace(/\s(width|height)="[^"]*"/g, '')} width="${Math.round(width * scale)}" height="${Math.round(height * scale)}">`);
+    const png = await sharp(Buffer.from(sized)).png().toBuffer();
+    return { src: `data:image/png;base64,${png.toString('base64')}`, width, height };
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    normalizeFormat,
+    processImage,
+    svgToPng
+};
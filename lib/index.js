@@ -0,0 +1,46 @@
+// Universal Document Converter as a library.
+//
+//   const { convert, close } = require('universal-document-converter');
+//   const { data, filename } = await convert({ path: 'notes.md' }, { to: 'pdf', options: { pdf: { toc: true } } });
+//   await close();
+//
+// convert() uses a shared converter created on first use, with its own
+// browser pool for PDFs and Mermaid diagrams and any plugins found (see
+// plugins.js); close() shuts it down so the process can exit.
+// Services that want their own pool or extra conversions use createConverter().
+
+const { detectFormat, sniffFormat, canonicalFormat, createConverter } = require('./converter');
+
+let defaultConverter = null;
+
+// The shared converter behind convert()
+function getConverter() {
+    if (!defaultConverter) {
+        defaultConverter = createConverter({ plugins: true });
+    }
+    return defaultConverter;
+}
+
+// Convert `input` (a Buffer, a string, { path } or { buffer | text, filename })
+// with the shared converter; see createConverter() for the request fields
+function convert(input, request) {
+    return getConverter().convert(input, request);
+}
+
+async function close() {
+    if (defaultConverter) {
+        const converter = defaultConverter;
+        defaultConverter = null;
+        await converter.close();
+    }
+}
+
+module.exports = {
+    convert,
+    close,
+    getConverter,
+    createConverter,
+    detectFormat,
+    sniffFormat,
+    canonicalFormat
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FINISHED = ['completed', 'failed'];
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Helper function to build an error the HTTP layer can map to a status code
+function queueError(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Helper function to serialize job input, keeping uploaded files as base64
+function encodeInput(input) {
+    return JSON.stringify(input, function (key, value) {
+        const original = this[key];
+        return Buffer.isBuffer(original) ? { $buffer: original.toString('base64') } : value;
+    });
+}
+
+function decodeInput(text) {
+    return JSON.parse(text, (key, value) => (
+        value && typeof value === 'object' && typeof value.$buffer === 'string' ? Buffer.from(value.$buffer, 'base64') : value
+    ));
+}
+
+// Helper function to turn a timestamp into an ISO string for the API (null stays null)
+function isoTime(time) {
+    return time ? new Date(time).toISOString() : null;
+}
+
+// Create a background job queue.
+//
+// `handlers` maps a job type to `async (input, reportProgress) => ({ data, contentType, filename })`.
+// Jobs wait in an in-process queue and run `concurrency` at a time. A failed
+// attempt is retried after `retryDelay` ms, doubling each time, up to
+// `maxAttempts`; errors with a 4xx statusCode are bad input and fail straight
+// away. Finished jobs and their results are dropped `resultTtl` ms after they
+// finish. With `storeDir`, jobs, inputs and results are also kept on disk, so
+// queued work resumes and finished results stay downloadable after a restart.
+// `onFinish(job, callback)` is called when a job completes or finally fails,
+// with the job as the API shows it and the callback given to submit().
+function createJobQueue(handlers, options = {}) {
+    const config = {
+        concurrency: options.concurrency || envInt('JOB_CONCURRENCY', 2),
+        maxAttempts: options.maxAttempts || envInt('JOB_MAX_ATTEMPTS', 3),
+        retryDelay: options.retryDelay || envInt('JOB_RETRY_DELAY', 2000),
+        resultTtl: options.resultTtl || envInt('JOB_RESULT_TTL', 60 * 60 * 1000),
+        maxQueue: options.maxQueue || envInt('JOB_MAX_QUEUE', 500),
+        storeDir: options.storeDir || process.env.JOB_STORE_DIR || null,
+        onFinish: options.onFinish || null
+    };
+
+    const jobs = new Map();  // id -> job record
+    const queue = [];        // ids of jobs waiting to run, oldest first
+    let running = 0;
+    let closed = false;
+    const counters = { submitted: 0, completed: 0, failed: 0, retried: 0, expired: 0 };
+
+    function storePath(id, suffix) {
+        return path.join(config.storeDir, id + suffix);
+    }
+
+    // Write the job record (everything except its input and result data)
+    function save(job) {
+        if (!config.storeDir) {
+            return;
+        }
+        const { input, data, retryTimer, ...record } = job;
+        fs.writeFileSync(storePath(job.id, '.json'), JSON.stringify(record));
+    }
+
+    function removeFile(file) {
+        try {
+            fs.unlinkSync(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Could not remove job file:', error.message);
+            }
+        }
+    }
+
+    function removeJob(job) {
+        clearTimeout(job.retryTimer);
+        jobs.delete(job.id);
+        if (config.storeDir) {
+            ['.json', '.input', '.result'].forEach(suffix => removeFile(storePath(job.id, suffix)));
+        }
+    }
+
+    // Pick up jobs left by a previous run; anything that was running starts again
+    function loadStore() {
+        fs.mkdirSync(config.storeDir, { recursive: true });
+        const now = Date.now();
+        const pending = [];
+
+        for (const file of fs.readdirSync(config.storeDir).filter(name => name.endsWith('.json'))) {
+            let job;
+            try {
+                job = JSON.parse(fs.readFileSync(path.join(config.storeDir, file), 'utf8'));
+            } catch (error) {
+                console.error(`Skipping unreadable job file ${file}:`, error.message);
+                continue;
+            }
+
+            if (job.expiresAt && job.expiresAt <= now) {
+                removeJob(job);
+                continue;
+            }
+            jobs.set(job.id, job);
+            if (!FINISHED.includes(job.status)) {
+                try {
+                    job.input = decodeInput(fs.readFileSync(storePath(job.id, '.input'), 'utf8'));
+                    job.status = 'queued';
+                    pending.push(job);
+                } catch (error) {
+                    finish(job, 'failed', null, new Error('Job input was lost: ' + error.message));
+                }
+            }
+        }
+
+        pending.sort((a, b) => a.createdAt - b.createdAt).forEach(job => queue.push(job.id));
+        if (jobs.size > 0) {
+            console.log(`Loaded ${jobs.size} jobs from ${config.storeDir} (${pending.length} to run)`);
+        }
+    }
+
+    function finish(job, status, result, error) {
+        const now = Date.now();
+        job.status = status;
+        job.finishedAt = now;
+        job.expiresAt = now + config.resultTtl;
+        job.input = null;
+        counters[status]++;
+
+        if (result) {
+            job.progress = 1;
+            job.error = null;
+            job.result = { contentType: result.contentType, filename: result.filename, size: result.data.length };
+            if (config.storeDir) {
+                fs.writeFileSync(storePath(job.id, '.result'), result.data);
+            } else {
+                job.data = result.data;
+            }
+        } else {
+            job.error = error.message;
+        }
+
+        if (config.storeDir) {
+            removeFile(storePath(job.id, '.input'));
+        }
+        save(job);
+
+        if (config.onFinish) {
+            try {
+                config.onFinish(describe(job), job.callback);
+            } catch (hookError) {
+                console.error(`onFinish failed for job ${job.id}:`, hookError.message);
+            }
+        }
+    }
+
+    async function runJob(job) {
+        job.status = 'running';
+        job.attempts++;
+        job.progress = 0;
+        job.startedAt = job.startedAt || Date.now();
+        save(job);
+
+        try {
+            const result = await handlers[job.type](job.input, (progress) => {
+                job.progress = Math.min(1, Math.max(0, Number(progress) || 0));
+            });
+            finish(job, 'completed', result);
+        } catch (error) {
+            const badInput = error.statusCode >= 400 && error.statusCode < 500;
+            if (!badInput && !closed && job.attempts < config.maxAttempts) {
+                const delay = config.retryDelay * 2 ** (job.attempts - 1);
+                console.log(`Job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay}ms:`, error.message);
+                counters.retried++;
+                job.status = 'queued';
+                job.error = error.message;
+                job.retryAt = Date.now() + delay;
+                save(job);
+                job.retryTimer = setTimeout(() => {
+                    job.retryTimer = null;
+                    queue.push(job.id);
+                    dispatch();
+                }, delay);
+            } else {
+                console.error(`Job ${job.id} failed:`, error.message);
+                finish(job, 'failed', null, error);
+            }
+        } finally {
+            running--;
+            dispatch();
+        }
+    }
+
+    function dispatch() {
+        while (!closed && running < config.concurrency && queue.length > 0) {
+            const job = jobs.get(queue.shift());
+            if (job && job.status === 'queued') {
+                running++;
+                runJob(job);
+            }
+        }
+    }
+
+    // Queue a job; `input` is whatever the type's handler expects (Buffers allowed).
+    // `callback` ({ url, ... }) is kept with the job and handed to onFinish.
+    function submit(type, input, callback = null) {
+        if (closed) {
+            throw queueError('Job queue is shutting down', 'QUEUE_CLOSED', 503);
+        }
+        if (!handlers[type]) {
+            throw queueError(`Unknown job type "${type}"`, 'UNKNOWN_TYPE', 400);
+        }
+        const waiting = [...jobs.values()].filter(job => !FINISHED.includes(job.status)).length;
+        if (waiting >= config.maxQueue) {
+            throw queueError('Too many jobs waiting, please retry shortly', 'QUEUE_FULL', 503);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            progress: 0,
+            attempts: 0,
+            error: null,
+            result: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: null,
+            callback,
+            input
+        };
+        jobs.set(job.id, job);
+        if (config.storeDir) {
+            fs.writeFileSync(storePath(job.id, '.input'), encodeInput(input));
+        }
+        save(job);
+        counters.submitted++;
+
+        queue.push(job.id);
+        dispatch();
+        return describe(job);
+    }
+
+    // Public view of a job, as returned by the API
+    function describe(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            progress: job.progress,
+            attempts: job.attempts,
+            maxAttempts: config.maxAttempts,
+            error: job.error,
+            result: job.result,
+            callbackUrl: job.callback ? job.callback.url : null,
+            createdAt: isoTime(job.createdAt),
+            startedAt: isoTime(job.startedAt),
+            finishedAt: isoTime(job.finishedAt),
+            expiresAt: isoTime(job.expiresAt)
+        };
+    }
+
+    function get(id) {
+        const job = jobs.get(id);
+        return job ? describe(job) : null;
+    }
+
+    // Result of a completed job as { data, contentType, filename }, or null if there is none (yet)
+    function getResult(id) {
+        const job = jobs.get(id);
+        if (!job || job.status !== 'completed') {
+            return null;
+        }
+        const data = config.storeDir ? fs.readFileSync(storePath(job.id, '.result')) : job.data;
+        return { data, contentType: job.result.contentType, filename: job.result.filename };
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const job of [...jobs.values()]) {
+            if (job.expiresAt && job.expiresAt <= now) {
+                removeJob(job);
+                counters.expired++;
+            }
+        }
+    }
+
+    if (config.storeDir) {
+        loadStore();
+    }
+    const sweepTimer = setInterval(sweep, Math.min(config.resultTtl, 60000));
+    sweepTimer.unref();
+    dispatch();
+
+    function stats() {
+        const byStatus = { queued: 0, running: 0, completed: 0, failed: 0 };
+        for (const job of jobs.values()) {
+            byStatus[job.status]++;
+        }
+        return {
+            concurrency: config.concurrency,
+            persistent: Boolean(config.storeDir),
+            ...byStatus,
+            ...counters
+        };
+    }
+
+    // Stop starting new work; used on shutdown. Queued jobs stay in the store, if any.
+    function drain() {
+        closed = true;
+        clearInterval(sweepTimer);
+        for (const job of jobs.values()) {
+            clearTimeout(job.retryTimer);
+        }
+    }
+
+    return { submit, get, getResult, stats, drain };
+}
+
+module.exports = {
+    createJobQueue
+};
@@ -0,0 +1,36 @@
+// Markdown to HTML for every conversion: marked, plus the extras rendered on the
+// server so every output has them: highlighted code blocks (highlight.js), math
+// (math.js) and diagrams (diagrams.js). Word gets its own versions of all three,
+// since it ignores stylesheets and can't show SVG.
+
+const { Marked, Renderer } = require('marked');
+const { NO_SCHEME, renderCodeBlock, renderCodeBlockInline } = require('./highlight');
+const { mathExtension } = require('./math');
+const { findDiagrams, renderDiagrams, renderDiagramBlock } = require('./diagrams');
+
+// Render Markdown to HTML. `highlight` holds the code highlighting options (see
+// parseHighlightOptions()); `renderMermaid` draws Mermaid diagrams (see
+// createMermaidRenderer()), which stay code without it; `docx` renders for a Word document.
+async function renderMarkdown(markdown, { highlight = {}, renderMermaid, docx = false } = {}) {
+    const parser = new Marked(mathExtension({ docx }), { async: true });
+
+    // Diagrams are drawn first, all at once, so Mermaid only needs one browser page
+    const diagrams = await renderDiagrams(findDiagrams(parser.lexer(markdown), parser.walkTokens.bind(parser)), { renderMermaid, docx });
+
+    let renderCode;
+    if (docx) {
+        renderCode = (code, lang) => renderCodeBlockInline(code, lang, highlight);
+    } else if (highlight.scheme === NO_SCHEME) {
+        // Marked's own <pre><code class="language-...">
+        const plain = new Renderer();
+        renderCode = (code, lang) => plain.code(code, lang, false);
+    } else {
+        renderCode = (code, lang) => renderCodeBlock(code, lang, highlight);
+    }
+    parser.use({ renderer: { code: (code, lang) => renderDiagramBlock(diagrams, code, lang, renderCode) || renderCode(code, lang) } });
+    return parser.parse(markdown);
+}
+
+module.exports = {
+    renderMarkdown
+};
@@ -0,0 +1,149 @@
+// Math in Markdown: TeX between $...$ (inline) and $$...$$ (display), rendered on
+// the server with MathJax to SVG, so pages need no scripts, fonts or CDN and print
+// in the PDF as they show. Word can't show SVG, so there each formula is a PNG.
+//
+//   The area is $\pi r^2$, and
+//
+//   $$
+//   \int_0^1 x^2 \, dx = \frac{1}{3}
+//   $$
+//
+// As in Pandoc, inline math can't start or end with a space and the closing $
+// can't be followed by a digit, so "$5 and $10" stays text; \$ is a literal dollar.
+// Mistakes in the TeX show up in red in the formula rather than failing the conversion.
+
+// One ex in pixels, for sizing the formulas in Word (body text is 11pt)
+const EX_PX = 7;
+
+const DISPLAY_STYLE = 'display: block; text-align: center; margin: 1em 0; overflow-x: auto';
+
+const BLOCK_MATH_PATTERN = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/;
+const INLINE_DISPLAY_MATH_PATTERN = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$/;
+const INLINE_MATH_PATTERN = /^\$(?!\s)((?:\\[\s\S]|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+// Created on first use; loading MathJax's TeX packages takes a moment
+let mathJax = null;
+
+// Helper function to set up MathJax for TeX to SVG
+function getMathJax() {
+    if (!mathJax) {
+        const { mathjax } = require('mathjax-full/js/mathjax.js');
+        const { TeX } = require('mathjax-full/js/input/tex.js');
+        const { SVG } = require('mathjax-full/js/output/svg.js');
+        const { liteAdaptor } = require('mathjax-full/js/adaptors/liteAdaptor.js');
+        const { RegisterHTMLHandler } = require('mathjax-full/js/handlers/html.js');
+        const { AllPackages } = require('mathjax-full/js/input/tex/AllPackages.js');
+
+        const adaptor = liteAdaptor();
+        RegisterHTMLHandler(adaptor);
+        // Paths in every SVG rather than shared definitions, so each formula stands alone
+        const svg = new SVG({ fontCache: 'none' });
+        const document = mathjax.document('', { InputJax: new TeX({ packages: AllPackages }), OutputJax: svg });
+        // MathJax colours errors and draws table rules with CSS; those rules go into the SVGs
+        // that need them, leaving out the ones for its own page elements
+        const styles = [...adaptor.textContent(svg.styleSheet(document)).matchAll(/([^{}]+)\{([^{}]*)\}/g)]
+            .filter(([, selector]) => !/(^|[\s>,])mjx-|\[jax=/.test(selector))
+            .map(([, selector, block]) => `${selector.trim()} {${block.replace(/\s+/g, ' ')}}`)
+            .join(' ');
+        mathJax = { adaptor, document, styles };
+    }
+    return mathJax;
+}
+
+// Helper function to escape text for an HTML attribute
+function escapeAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Render TeX to an SVG element (as markup); `display` for formulas set on their own line
+function texToSvg(tex, display = false) {
+    const { adaptor, document, styles } = getMathJax();
+    const svg = adaptor.innerHTML(document.convert(tex.trim(), { display }))
+        .replace(/^<svg /, '<svg overflow="visible" ');
+    return /data-mml-node="(merror|mtable)"/.test(svg) ? svg.replace(/^<svg[^>]*>/, match => `${match}<style>${styles}</style>`) : svg;
+}
+
+// Helper function to rasterise a formula for Word.
+// Returns { src, width, height } with the size in pixels.
+function texToImage(tex, display = false) {
+    const svg = texToSvg(tex, display);
+    // MathJax sizes formulas in ex
+    const size = name => Math.max(1, Math.round(parseFloat((svg.match(new RegExp(`${name}="([\\d.]+)ex"`)) || [])[1]) * EX_PX || 1));
+    // Only Word output needs sharp
+    const { svgToPng } = require('./image-pipeline');
+    return svgToPng(svg, { width: size('width'), height: size('height') });
+}
+
+// Helper function to render a math token: inline SVG for pages, its PNG for Word
+function renderMathToken(token, block) {
+    if (token.image) {
+        const { src, width, height } = token.image;
+        const img = `<img src="${src}" alt="${escapeAttribute(token.text.trim())}" style="width: ${width}px; height: ${height}px">`;
+        return block ? `<p style="text-align: center">${img}</p>\n` : img;
+    }
+    const svg = texToSvg(token.text, token.display);
+    if (block) {
+        return `<div class="math math-display" style="${DISPLAY_STYLE}">${svg}</div>\n`;
+    }
+    return token.display
+        ? `<span class="math math-display" style="${DISPLAY_STYLE}">${svg}</span>`
+        : `<span class="math math-inline">${svg}</span>`;
+}
+
+// The marked extension for math; with `docx`, formulas are rendered as images
+// (which makes parsing asynchronous)
+function mathExtension({ docx = false } = {}) {
+    const extension = {
+        extensions: [
+            {
+                name: 'blockMath',
+                level: 'block',
+                start: src => {
+                    const match = src.match(/^ {0,3}\$\$/m);
+                    return match ? match.index : undefined;
+                },
+                tokenizer(src) {
+                    const match = BLOCK_MATH_PATTERN.exec(src);
+                    if (match) {
+                        return { type: 'blockMath', raw: match[0], text: match[1], display: true };
+                    }
+                },
+                renderer: token => renderMathToken(token, true)
+            },
+            {
+                name: 'inlineMath',
+                level: 'inline',
+                start: src => {
+                    const index = src.indexOf('$');
+                    return index === -1 ? undefined : index;
+                },
+                tokenizer(src) {
+                    const display = INLINE_DISPLAY_MATH_PATTERN.exec(src);
+                    if (display) {
+                        return { type: 'inlineMath', raw: display[0], text: display[1], display: true };
+                    }
+                    const match = INLINE_MATH_PATTERN.exec(src);
+                    if (match) {
+                        return { type: 'inlineMath', raw: match[0], text: match[1], display: false };
+                    }
+                },
+                renderer: token => renderMathToken(token, false)
+            }
+        ]
+    };
+
+    if (docx) {
+        extension.async = true;
+        extension.walkTokens = async token => {
+            if (token.type === 'blockMath' || token.type === 'inlineMath') {
+                token.image = await texToImage(token.text, token.display);
+            }
+        };
+    }
+    return extension;
+}
+
+module.exports = {
+    texToSvg,
+    mathExtension
+};
@@ -0,0 +1,194 @@
+// Embedded raster images in PDFs: where each one is drawn, its pixels, and
+// re-encoding through the shared sharp pipeline for the HTML output
+
+const crypto = require('crypto');
+const { pdfjsLib, forEachOperator } = require('./pdfjs');
+const { IMAGE_FORMATS, normalizeFormat, processImage } = require('./image-pipeline');
+
+const IMAGE_OPS = [
+    pdfjsLib.OPS.paintImageXObject,
+    pdfjsLib.OPS.paintJpegXObject,
+    pdfjsLib.OPS.paintInlineImageXObject
+];
+// pdf.js ImageKind values; this build does not export them
+const GRAYSCALE_1BPP = 1;
+const RGBA_32BPP = 3;
+// Images drawn smaller than this (in points) are bullets, icons and spacers
+const MIN_IMAGE_SIZE = 16;
+
+const IMAGE_MODES = ['inline', 'zip', 'none'];
+
+const DEFAULT_IMAGE_OPTIONS = {
+    images: 'inline',
+    imageFormat: 'auto',
+    imageMaxWidth: 1200,
+    imageQuality: 85
+};
+
+// Helper function to find where each image is drawn, in top-down page coordinates.
+// Images fill the unit square of the current transform.
+function findImages(operatorList, viewport) {
+    const images = [];
+
+    forEachOperator(operatorList, viewport, (fn, args, ctm) => {
+        if (!IMAGE_OPS.includes(fn)) {
+            return;
+        }
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(point => pdfjsLib.PDFJS.Util.applyTransform(point, ctm));
+        const xs = corners.map(point => point[0]);
+        const ys = corners.map(point => point[1]);
+        const image = {
+            x: Math.min(...xs),
+            right: Math.max(...xs),
+            top: Math.min(...ys),
+            bottom: Math.max(...ys),
+            // XObjects are referenced by id, inline images carry their data
+            source: args[0]
+        };
+        if (image.right - image.x >= MIN_IMAGE_SIZE && image.bottom - image.top >= MIN_IMAGE_SIZE) {
+            images.push(image);
+        }
+    });
+    return images;
+}
+
+// Helper function to describe pdf.js image data as raw pixels for sharp.
+// One-bit images (a set bit is white) are unpacked to 8-bit grey.
+function rawPixels({ width, height, kind, data }) {
+    if (kind === GRAYSCALE_1BPP) {
+        const rowBytes = (width + 7) >> 3;
+        const pixels = Buffer.alloc(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7))) {
+                    pixels[y * width + x] = 255;
+                }
+            }
+        }
+        return { pixels, raw: { width, height, channels: 1 } };
+    }
+
+    const channels = kind === RGBA_32BPP ? 4 : 3;
+    return {
+        pixels: Buffer.from(data.buffer, data.byteOffset, width * height * channels),
+        raw: { width, height, channels }
+    };
+}
+
+// Read the images drawn on a page with their pixels.
+// Call after page.getOperatorList(), which decodes them into page.objs;
+// images pdf.js could not decode are left out.
+function readPageImages(page, operatorList, viewport) {
+    const images = [];
+
+    for (const image of findImages(operatorList, viewport)) {
+        let imageData = image.source;
+        if (typeof imageData === 'string') {
+            imageData = page.objs.isResolved(imageData) ? page.objs.get(imageData) : null;
+        }
+        if (!imageData || !imageData.data || !imageData.width || !imageData.height) {
+            continue;
+        }
+
+        const { pixels, raw } = rawPixels(imageData);
+        images.push({
+            x: image.x,
+            right: image.right,
+            top: image.top,
+            bottom: image.bottom,
+            pixels,
+            raw,
+            hash: crypto.createHash('sha1').update(pixels).digest('hex')
+        });
+    }
+    return images;
+}
+
+// Validate image options for PDF ingestion.
+// Returns { options } or { errors } describing every invalid field.
+function parseImageOptions(input = {}) {
+    const errors = [];
+    const options = { ...DEFAULT_IMAGE_OPTIONS };
+
+    if (input.images !== undefined && input.images !== '') {
+        const mode = String(input.images).toLowerCase();
+        if (IMAGE_MODES.includes(mode)) {
+            options.images = mode;
+        } else {
+            errors.push('images must be "inline", "zip" or "none"');
+        }
+    }
+
+    if (input.imageFormat !== undefined && input.imageFormat !== '') {
+        const format = String(input.imageFormat).toLowerCase() === 'auto' ? 'auto' : normalizeFormat(input.imageFormat);
+        if (format) {
+            options.imageFormat = format;
+        } else {
+            errors.push('imageFormat must be auto, jpeg, png or webp');
+        }
+    }
+
+    if (input.imageMaxWidth !== undefined && input.imageMaxWidth !== '') {
+        const width = Number(input.imageMaxWidth);
+        if (Number.isInteger(width) && width >= 16 && width <= 5000) {
+            options.imageMaxWidth = width;
+        } else {
+            errors.push('imageMaxWidth must be a whole number of pixels between 16 and 5000');
+        }
+    }
+
+    if (input.imageQuality !== undefined && input.imageQuality !== '') {
+        const quality = Number(input.imageQuality);
+        if (Number.isInteger(quality) && quality >= 1 && quality <= 100) {
+            options.imageQuality = quality;
+        } else {
+            errors.push('imageQuality must be a whole number between 1 and 100');
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { options };
+}
+
+// Encode images read by readPageImages and set `src` on each: a data URI when
+// inlining, otherwise a relative path into the ZIP bundle. Identical images are
+// encoded once. Returns the files to bundle as [{ name, data, mimeType }].
+async function encodeImages(images, options) {
+    const files = [];
+    const sources = new Map();
+
+    for (const image of images) {
+        if (!sources.has(image.hash)) {
+            // Photos compress best as JPEG; keep transparency and line art lossless
+            let format = options.imageFormat;
+            if (format === 'auto') {
+                format = image.raw.channels === 3 ? 'jpeg' : 'png';
+            }
+
+            const data = await processImage(image.pixels, {
+                raw: image.raw,
+                width: options.imageMaxWidth,
+                quality: options.imageQuality,
+                format
+            });
+            const { mimeType, extension } = IMAGE_FORMATS[format];
+
+            if (options.images === 'zip') {
+                const name = `images/image-${files.length + 1}.${extension}`;
+                files.push({ name, data, mimeType });
+                sources.set(image.hash, name);
+            } else {
+                sources.set(image.hash, `data:${mimeType};base64,${data.toString('base64')}`);
+            }
+        }
+        image.src = sources.get(image.hash);
+        image.pixels = null;
+    }
+    return files;
+}
+
+module.exports = {
+    DEFAULT_IMAGE_OPTIONS,
+    readPageImages,
+    parseImageOptions,
+    encodeImages
+};
@@ -0,0 +1,401 @@
+// Layout analysis for PDF ingestion.
+// pdf.js reports text as positioned runs; this groups them into lines in reading
+// order (following text columns), picks out tables and images and drops running
+// headers and footers.
+
+const { pdfjsLib, loadPdfDocument } = require('./pdfjs');
+const { readRules, coverageGaps, detectTables } = require('./pdf-tables');
+const { readPageImages } = require('./pdf-images');
+
+// Runs on one baseline further apart than this (in ems) are separate fragments
+const FRAGMENT_GAP = 0.8;
+// Runs further apart than this (in ems) are separate words
+const WORD_GAP = 0.15;
+// Runs whose baselines differ by less than this (in ems) share a line
+const BASELINE_TOLERANCE = 0.4;
+// Share of the page height at the top and bottom searched for running headers/footers
+// (about 0.75in on a Letter page)
+const MARGIN_ZONE = 0.07;
+// Running headers and footers are short; longer lines are always body text
+const MAX_RUNNING_LENGTH = 80;
+// Share of the pages a line must repeat on to count as running (at least 3 pages when there are 3)
+const RUNNING_SHARE = 0.6;
+
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+const ITALIC_FONT_PATTERN = /italic|oblique/i;
+
+// Helper function to find the weight and style of every font used on a page.
+// pdf.js only loads fonts into commonObjs while building the operator list.
+async function loadPageFonts(page, operatorList) {
+    const fonts = {};
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+        if (operatorList.fnArray[i] !== pdfjsLib.OPS.setFont) {
+            continue;
+        }
+        const id = operatorList.argsArray[i][0];
+        if (fonts[id]) {
+            continue;
+        }
+
+        const font = await new Promise(resolve => page.commonObjs.get(id, resolve));
+        if (font && typeof font === 'object') {
+            const name = font.name || '';
+            fonts[id] = {
+                bold: Boolean(font.bold || font.black) || BOLD_FONT_PATTERN.test(name),
+                italic: Boolean(font.italic) || ITALIC_FONT_PATTERN.test(name),
+                monospace: Boolean(font.isMonospace)
+            };
+        }
+    }
+    return fonts;
+}
+
+// Read the text runs of a page in top-down page coordinates
+async function readPageRuns(page, viewport, fonts) {
+    const content = await page.getTextContent();
+    const runs = [];
+
+    for (const item of content.items) {
+        if (!item.str || !item.str.trim()) {
+            continue;
+        }
+
+        const transform = pdfjsLib.PDFJS.Util.transform(viewport.transform, item.transform);
+        const fontSize = Math.hypot(transform[2], transform[3]) || item.height;
+        // Fonts that are not embedded get a shared name from pdf.js, so fall back to the name itself
+        const style = content.styles[item.fontName] || {};
+        const font = fonts[item.fontName] || {
+            bold: BOLD_FONT_PATTERN.test(item.fontName),
+            italic: ITALIC_FONT_PATTERN.test(item.fontName),
+            monospace: style.fontFamily === 'monospace'
+        };
+
+        runs.push({
+            text: item.str,
+            x: transform[4],
+            right: transform[4] + item.width,
+            y: transform[5],
+            fontSize,
+            bold: font.bold,
+            italic: font.italic,
+            monospace: font.monospace
+        });
+    }
+    return runs;
+}
+
+// Helper function to group runs sharing a baseline, splitting them where the gap is wide
+function groupFragments(runs) {
+    const bands = [];
+    for (const run of runs.slice().sort((a, b) => a.y - b.y || a.x - b.x)) {
+        const band = bands[bands.length - 1];
+        if (band && Math.abs(run.y - band.y) < Math.min(run.fontSize, band.fontSize) * BASELINE_TOLERANCE) {
+            band.runs.push(run);
+        } else {
+            bands.push({ y: run.y, fontSize: run.fontSize, runs: [run] });
+        }
+    }
+
+    const fragments = [];
+    for (const band of bands) {
+        let fragment = null;
+        for (const run of band.runs.sort((a, b) => a.x - b.x)) {
+            if (fragment && run.x - fragment.right <= FRAGMENT_GAP * run.fontSize) {
+                fragment.runs.push(run);
+                fragment.right = Math.max(fragment.right, run.right);
+                if (run.fontSize > fragment.fontSize) {
+                    fragment.fontSize = run.fontSize;
+                    fragment.y = run.y;
+                }
+            } else {
+                fragment = { runs: [run], x: run.x, right: run.right, y: run.y, fontSize: run.fontSize };
+                fragments.push(fragment);
+            }
+        }
+    }
+    return fragments;
+}
+
+// Helper function to check that two groups of fragments sit beside each other on the page
+function sideBySide(left, right) {
+    const span = fragments => [
+        Math.min(...fragments.map(fragment => fragment.y - fragment.fontSize)),
+        Math.max(...fragments.map(fragment => fragment.y))
+    ];
+    const [leftTop, leftBottom] = span(left);
+    const [rightTop, rightBottom] = span(right);
+    const overlap = Math.min(leftBottom, rightBottom) - Math.max(leftTop, rightTop);
+    return overlap > Math.min(leftBottom - leftTop, rightBottom - rightTop) * 0.5;
+}
+
+// Find the vertical gutters between text columns.
+// A gutter is a strip crossed by almost no text with several lines on both sides.
+function findGutters(fragments) {
+    if (fragments.length < 6) {
+        return [];
+    }
+
+    const sizes = fragments.map(fragment => fragment.fontSize).sort((a, b) => a - b);
+    const emSize = sizes[Math.floor(sizes.length / 2)];
+
+    // Full-width titles may cross a gutter, so allow a few
+    return coverageGaps(fragments, Math.floor(fragments.length * 0.1), emSize).filter(gutter => {
+        const leftSide = fragments.filter(fragment => fragment.right <= gutter.start + 1);
+        const rightSide = fragments.filter(fragment => fragment.x >= gutter.end - 1);
+        return leftSide.length >= 3 && rightSide.length >= 3 && sideBySide(leftSide, rightSide);
+    });
+}
+
+// Put fragments in reading order: each column top to bottom, restarting the
+// columns below anything that spans them (titles, wide tables)
+function orderFragments(fragments, gutters) {
+    const ordered = [];
+    let section = [];
+
+    const flush = () => {
+        section.sort((a, b) => a.column - b.column || a.y - b.y || a.x - b.x);
+        ordered.push(...section);
+        section = [];
+    };
+
+    for (const fragment of fragments.slice().sort((a, b) => a.y - b.y || a.x - b.x)) {
+        const spansGutter = gutters.some(gutter => fragment.x < gutter.end - 1 && fragment.right > gutter.start + 1);
+        fragment.column = spansGutter ? 0 : gutters.filter(gutter => fragment.x >= gutter.end - 1).length;
+        if (spansGutter) {
+            flush();
+            ordered.push(fragment);
+        } else {
+            section.push(fragment);
+        }
+    }
+    flush();
+    return ordered;
+}
+
+// Helper function to join the runs of a line into text plus bold/italic segments
+function joinRuns(runs) {
+    const segments = [];
+    let previous = null;
+
+    for (const run of runs) {
+        let text = run.text.replace(/\s+/g, ' ');
+        const last = segments[segments.length - 1];
+        if (previous && run.x - previous.right > WORD_GAP * run.fontSize &&
+            !/\s$/.test(last.text) && !/^\s/.test(text)) {
+            text = ' ' + text;
+        }
+
+        if (last && last.bold === run.bold && last.italic === run.italic) {
+            last.text += text;
+        } else {
+            segments.push({ text, bold: run.bold, italic: run.italic });
+        }
+        previous = run;
+    }
+
+    segments[0].text = segments[0].text.trimStart();
+    segments[segments.length - 1].text = segments[segments.length - 1].text.trimEnd();
+    const trimmed = segments.filter(segment => segment.text !== '');
+    return { text: trimmed.map(segment => segment.text).join(''), segments: trimmed };
+}
+
+// Helper function to build a line from fragments on the same baseline and column
+function buildLine(fragments, pageNumber) {
+    fragments.sort((a, b) => a.x - b.x);
+    const runs = [].concat(...fragments.map(fragment => fragment.runs));
+    const main = fragments.reduce((largest, fragment) => (fragment.fontSize > largest.fontSize ? fragment : largest));
+
+    // The size most of the text is set in, so a drop cap or footnote mark does not count
+    const sizeWeights = new Map();
+    for (const run of runs) {
+        sizeWeights.set(run.fontSize, (sizeWeights.get(run.fontSize) || 0) + run.text.trim().length);
+    }
+    const fontSize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    return {
+        page: pageNumber,
+        column: fragments[0].column,
+        x: Math.min(...fragments.map(fragment => fragment.x)),
+        right: Math.max(...fragments.map(fragment => fragment.right)),
+        y: main.y,
+        top: main.y - main.fontSize,
+        fontSize,
+        bold: runs.every(run => run.bold),
+        italic: runs.every(run => run.italic),
+        monospace: runs.every(run => run.monospace),
+        // Text of each fragment, so a header split across columns on one page still matches
+        pieces: fragments.map(fragment => joinRuns(fragment.runs).text),
+        ...joinRuns(runs)
+    };
+}
+
+// Helper function to stand a table or image in the reading order like a fragment
+function blockFragment(key, block) {
+    return { [key]: block, x: block.x, right: block.right, y: block.top, fontSize: 0 };
+}
+
+// Helper function to build the item standing in for a table or image in the line list
+function blockLine(fragment, pageNumber) {
+    const block = fragment.table || fragment.image;
+    return {
+        page: pageNumber,
+        column: fragment.column,
+        x: block.x,
+        right: block.right,
+        y: block.bottom,
+        top: block.top,
+        ...(fragment.table ? { table: block } : { image: block })
+    };
+}
+
+// Everything in the line list except tables and images is a line of text
+function isTextLine(line) {
+    return !line.table && !line.image;
+}
+
+// Turn a page's runs into lines in reading order.
+// Tables and images come out as single items with a `table` or `image` property in their place.
+function layoutLines(runs, rules, pageNumber, images = []) {
+    const fragments = groupFragments(runs);
+    for (const fragment of fragments) {
+        fragment.text = joinRuns(fragment.runs).text;
+        fragment.bold = fragment.runs.every(run => run.bold);
+    }
+
+    // Table columns would look like text columns, so take tables out first
+    const { tables, remaining } = detectTables(fragments, rules);
+    const blocks = tables.map(table => blockFragment('table', table))
+        .concat(images.map(image => blockFragment('image', image)));
+    const ordered = orderFragments(remaining.concat(blocks), findGutters(remaining));
+
+    const lines = [];
+    let group = [];
+    for (const fragment of ordered) {
+        const first = group[0];
+        if (first && (fragment.table || fragment.image || fragment.column !== first.column ||
+            Math.abs(fragment.y - first.y) >= Math.min(fragment.fontSize, first.fontSize) * BASELINE_TOLERANCE)) {
+            lines.push(buildLine(group, pageNumber));
+            group = [];
+        }
+        if (fragment.table || fragment.image) {
+            lines.push(blockLine(fragment, pageNumber));
+        } else {
+            group.push(fragment);
+        }
+    }
+    if (group.length > 0) {
+        lines.push(buildLine(group, pageNumber));
+    }
+
+    // Paragraph detection needs to know where each column's text ends
+    const textLines = lines.filter(isTextLine);
+    const columnRight = {};
+    for (const line of textLines) {
+        columnRight[line.column] = Math.max(columnRight[line.column] || 0, line.right);
+    }
+    for (const line of textLines) {
+        line.columnRight = columnRight[line.column];
+    }
+    return lines;
+}
+
+// Helper function to say whether a line sits in the top or bottom margin zone
+function marginZone(line, page) {
+    if (line.top < page.height * MARGIN_ZONE) {
+        return 'top';
+    }
+    if (line.y > page.height * (1 - MARGIN_ZONE)) {
+        return 'bottom';
+    }
+    return null;
+}
+
+// Drop running headers, footers and page numbers: short text in the margin zones, no
+// larger than body text, that repeats (ignoring digits) on most of the pages.
+// Logos repeated in the margin zones go the same way.
+function stripRunningLines(pages) {
+    if (pages.length < 2) {
+        return;
+    }
+
+    const sizeWeights = new Map();
+    for (const line of [].concat(...pages.map(page => page.lines)).filter(isTextLine)) {
+        const size = Math.round(line.fontSize);
+        sizeWeights.set(size, (sizeWeights.get(size) || 0) + line.text.length);
+    }
+    const bodySize = sizeWeights.size > 0 ? [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0][0] : 0;
+
+    const zoneOf = (line, page) => {
+        if (line.image) {
+            return marginZone(line, page);
+        }
+        return !line.table && Math.round(line.fontSize) <= bodySize && line.text.trim().length <= MAX_RUNNING_LENGTH
+            ? marginZone(line, page)
+            : null;
+    };
+    const keysOf = (line, zone) => (line.image ? [zone + ':image:' + line.image.hash] : line.pieces.map(piece => zone + ':' + piece.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ')));
+
+    const counts = new Map();
+    for (const page of pages) {
+        const keys = new Set();
+        for (const line of page.lines) {
+            const zone = zoneOf(line, page);
+            if (zone) {
+                keysOf(line, zone).forEach(key => keys.add(key));
+            }
+        }
+        for (const key of keys) {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    }
+
+    const threshold = Math.min(pages.length, Math.max(3, Math.ceil(pages.length * RUNNING_SHARE)));
+    for (const page of pages) {
+        page.lines = page.lines.filter(line => {
+            const zone = zoneOf(line, page);
+            return !zone || keysOf(line, zone).some(key => counts.get(key) < threshold);
+        });
+    }
+}
+
+// Read a PDF into pages of lines in reading order.
+// Each line carries its position, font size, weight and bold/italic text segments;
+// tables appear as items with a `table` property instead. With `images: true`,
+// embedded images appear as items with an `image` property holding their raw pixels.
+// `onProgress(fraction)` is called as each page is read.
+async function readPdfLayout(pdfBuffer, { images = false, onProgress = () => {} } = {}) {
+    const doc = await loadPdfDocument(pdfBuffer);
+    const pages = [];
+
+    try {
+        for (let number = 1; number <= doc.numPages; number++) {
+            const page = await doc.getPage(number);
+            const viewport = page.getViewport(1);
+            const operatorList = await page.getOperatorList();
+            const fonts = await loadPageFonts(page, operatorList);
+            const runs = await readPageRuns(page, viewport, fonts);
+            const pageImages = images ? readPageImages(page, operatorList, viewport) : [];
+
+            pages.push({
+                number,
+                width: viewport.width,
+                height: viewport.height,
+                lines: layoutLines(runs, readRules(operatorList, viewport), number, pageImages)
+            });
+            page.cleanup();
+            onProgress(number / doc.numPages);
+        }
+    } finally {
+        doc.destroy();
+    }
+
+    stripRunningLines(pages);
+    return { numPages: pages.length, pages };
+}
+
+module.exports = {
+    isTextLine,
+    stripRunningLines,
+    readPdfLayout
+};
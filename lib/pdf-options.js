@@ -0,0 +1,207 @@
+// Page options shared by every PDF path (HTTP API and CLIs) so they render identically
+
+const { buildHeaderFooter } = require('./header-footer');
+const { parseTocOptions } = require('./toc');
+
+const PAPER_FORMATS = ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+
+const DEFAULT_PDF_OPTIONS = {
+    format: 'A4',
+    landscape: false,
+    margin: {
+        top: '20mm',
+        right: '20mm',
+        bottom: '20mm',
+        left: '20mm'
+    },
+    scale: 1,
+    pageRanges: '',
+    preferCSSPageSize: false,
+    printBackground: true
+};
+
+// Units understood by Chrome's page.pdf(); a bare number means pixels
+const LENGTH_PATTERN = /^\d+(\.\d+)?(px|in|cm|mm)?$/i;
+// Pages count from 1; Chrome only finds a 0 once it is printing
+const PAGE_RANGES_PATTERN = /^[1-9]\d*(-([1-9]\d*)?)?(,[1-9]\d*(-([1-9]\d*)?)?)*$/;
+const ZERO_PAGE_PATTERN = /(^|[,-])0+($|[,-])/;
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Helper function to check page ranges like "1-5, 8, 11-"; returns them without spaces
+function parsePageRanges(value, name, errors) {
+    const ranges = String(value).replace(/\s+/g, '');
+    if (PAGE_RANGES_PATTERN.test(ranges)) {
+        return ranges;
+    }
+    if (/^[\d,-]+$/.test(ranges) && ZERO_PAGE_PATTERN.test(ranges)) {
+        errors.push(`${name} can't include page 0; pages count from 1`);
+    } else {
+        errors.push(`${name} must look like "1-5, 8, 11-13"`);
+    }
+    return undefined;
+}
+
+// Helper function to read booleans that may arrive as form strings
+function parseBoolean(value, name, errors) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    if (value === 'true' || value === '1' || value === 'yes') {
+        return true;
+    }
+    if (value === 'false' || value === '0' || value === 'no') {
+        return false;
+    }
+    errors.push(`${name} must be true or false`);
+    return undefined;
+}
+
+function parseLength(value, name, errors) {
+    const length = String(value).trim();
+    if (!LENGTH_PATTERN.test(length)) {
+        errors.push(`${name} must be a length such as 20mm, 1in, 2.5cm or 96px (got "${value}")`);
+        return undefined;
+    }
+    return length.toLowerCase();
+}
+
+// Accepts "20mm", CSS-style shorthand ("10mm 20mm") or { top, right, bottom, left }
+function parseMargin(value, errors) {
+    const margin = { ...DEFAULT_PDF_OPTIONS.margin };
+
+    if (typeof value === 'object' && value !== null) {
+        for (const side of Object.keys(value)) {
+            if (!MARGIN_SIDES.includes(side)) {
+                errors.push(`Unknown margin side "${side}". Use top, right, bottom or left`);
+                continue;
+            }
+            margin[side] = parseLength(value[side], `margin.${side}`, errors);
+        }
+        return margin;
+    }
+
+    const parts = String(value).trim().split(/\s+/);
+    if (parts.length > 4) {
+        errors.push('margin accepts at most four values (top right bottom left)');
+        return margin;
+    }
+
+    const [top, right = top, bottom = top, left = right] = parts.map(part => parseLength(part, 'margin', errors));
+    return { top, right, bottom, left };
+}
+
+// Validate user supplied PDF options.
+// Returns { options } ready for page.pdf(), or { errors } describing every invalid field.
+function parsePdfOptions(input = {}) {
+    const errors = [];
+    const options = {
+        ...DEFAULT_PDF_OPTIONS,
+        margin: { ...DEFAULT_PDF_OPTIONS.margin }
+    };
+
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (error) {
+            return { errors: ['PDF options must be a JSON object'] };
+        }
+    }
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['PDF options must be an object'] };
+    }
+
+    if (input.format !== undefined && input.format !== '') {
+        const format = PAPER_FORMATS.find(name => name.toLowerCase() === String(input.format).toLowerCase());
+        if (format) {
+            options.format = format;
+        } else {
+            errors.push(`Unsupported page format "${input.format}". Use one of: ${PAPER_FORMATS.join(', ')}`);
+        }
+    }
+
+    // A custom page size overrides the named format
+    if (input.width !== undefined || input.height !== undefined) {
+        if (input.width === undefined || input.height === undefined) {
+            errors.push('width and height must be given together');
+        } else {
+            options.width = parseLength(input.width, 'width', errors);
+            options.height = parseLength(input.height, 'height', errors);
+            delete options.format;
+        }
+    }
+
+    if (input.orientation !== undefined) {
+        const orientation = String(input.orientation).toLowerCase();
+        if (orientation === 'portrait' || orientation === 'landscape') {
+            options.landscape = orientation === 'landscape';
+        } else {
+            errors.push('orientation must be "portrait" or "landscape"');
+        }
+    }
+    if (input.landscape !== undefined) {
+        options.landscape = parseBoolean(input.landscape, 'landscape', errors);
+    }
+
+    if (input.margin !== undefined) {
+        options.margin = parseMargin(input.margin, errors);
+    }
+    for (const side of MARGIN_SIDES) {
+        const key = 'margin' + side[0].toUpperCase() + side.slice(1);
+        if (input[key] !== undefined) {
+            options.margin[side] = parseLength(input[key], key, errors);
+        }
+    }
+
+    if (input.scale !== undefined) {
+        const scale = Number(input.scale);
+        if (Number.isFinite(scale) && scale >= 0.1 && scale <= 2) {
+            options.scale = scale;
+        } else {
+            errors.push('scale must be a number between 0.1 and 2');
+        }
+    }
+
+    if (input.pageRanges !== undefined && input.pageRanges !== '') {
+        const pageRanges = parsePageRanges(input.pageRanges, 'pageRanges', errors);
+        if (pageRanges) {
+            options.pageRanges = pageRanges;
+        }
+    }
+
+    if (input.preferCSSPageSize !== undefined) {
+        options.preferCSSPageSize = parseBoolean(input.preferCSSPageSize, 'preferCSSPageSize', errors);
+    }
+    if (input.printBackground !== undefined) {
+        options.printBackground = parseBoolean(input.printBackground, 'printBackground', errors);
+    }
+
+    // An opt-in table of contents also turns on PDF bookmarks unless told otherwise
+    options.toc = parseTocOptions(input.toc, errors);
+    if (input.outline !== undefined) {
+        options.outline = parseBoolean(input.outline, 'outline', errors);
+    } else if (options.toc) {
+        options.outline = true;
+    }
+    if (options.outline) {
+        // Chrome builds the outline from the tagged heading structure
+        options.tagged = true;
+    }
+
+    // Header/footer templates are placed inside the margins, so resolve them last
+    Object.assign(options, buildHeaderFooter(input, options.margin, errors));
+    if (input.firstPageHeader !== undefined) {
+        const firstPageHeader = parseBoolean(input.firstPageHeader, 'firstPageHeader', errors);
+        if (firstPageHeader === false && input.header && input.header !== 'none') {
+            options.skipFirstPageHeader = true;
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { options };
+}
+
+module.exports = {
+    PAPER_FORMATS,
+    parsePageRanges,
+    DEFAULT_PDF_OPTIONS,
+    parsePdfOptions
+};
@@ -0,0 +1,143 @@
+// PDF pages rendered to images with pdf2pic (GraphicsMagick + Ghostscript), then
+// resized and encoded by the same sharp pipeline as /resize-image
+
+const { fromBuffer } = require('pdf2pic');
+const { loadPdfDocument } = require('./pdfjs');
+const { parsePageRanges } = require('./pdf-options');
+const { normalizeFormat, processImage } = require('./image-pipeline');
+
+const DEFAULT_RASTER_OPTIONS = {
+    // Page ranges such as "1-3,5,8-"; empty means every page
+    pages: '',
+    dpi: 150,
+    format: 'png',
+    quality: 90
+};
+
+const MIN_DPI = 36;
+const MAX_DPI = 600;
+const MAX_DIMENSION = 10000;
+
+// Helper function to read a whole number option within bounds
+function parseWholeNumber(value, name, min, max, errors) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        errors.push(`${name} must be a whole number between ${min} and ${max}`);
+        return undefined;
+    }
+    return number;
+}
+
+// Validate rasterization options.
+// Returns { options } or { errors } describing every invalid field.
+function parseRasterOptions(input = {}) {
+    const errors = [];
+    const options = { ...DEFAULT_RASTER_OPTIONS };
+
+    if (input.pages !== undefined && input.pages !== '') {
+        const pages = parsePageRanges(input.pages, 'pages', errors);
+        if (pages) {
+            options.pages = pages;
+        }
+    }
+
+    if (input.dpi !== undefined && input.dpi !== '') {
+        options.dpi = parseWholeNumber(input.dpi, 'dpi', MIN_DPI, MAX_DPI, errors);
+    }
+
+    if (input.format !== undefined && input.format !== '') {
+        const format = normalizeFormat(input.format);
+        if (format) {
+            options.format = format;
+        } else {
+            errors.push('format must be png, jpeg or webp');
+        }
+    }
+
+    // Optional resize after rendering, as for /resize-image
+    for (const name of ['width', 'height']) {
+        if (input[name] !== undefined && input[name] !== '') {
+            options[name] = parseWholeNumber(input[name], name, 1, MAX_DIMENSION, errors);
+        }
+    }
+
+    if (input.quality !== undefined && input.quality !== '') {
+        options.quality = parseWholeNumber(input.quality, 'quality', 1, 100, errors);
+    }
+
+    return errors.length > 0 ? { errors } : { options };
+}
+
+// Helper function to expand page ranges ("1-3,5,8-") into the page numbers that exist
+function selectPages(pageRanges, numPages) {
+    if (!pageRanges) {
+        return Array.from({ length: numPages }, (_, index) => index + 1);
+    }
+
+    const pages = new Set();
+    for (const range of pageRanges.split(',')) {
+        const [start, end] = range.split('-');
+        const first = Number(start);
+        let last = first;
+        if (end !== undefined) {
+            last = end === '' ? numPages : Number(end);
+        }
+        for (let number = Math.max(first, 1); number <= Math.min(last, numPages); number++) {
+            pages.add(number);
+        }
+    }
+    return [...pages].sort((a, b) => a - b);
+}
+
+// Render the selected pages of a PDF.
+// `options` come from parseRasterOptions(); `onProgress(fraction)` is called as each
+// page is done. Returns { numPages, images: [{ page, data }] }.
+async function rasterizePdf(pdfBuffer, options = DEFAULT_RASTER_OPTIONS, onProgress = () => {}) {
+    // pdf2pic always scales to a fixed size, so work out each page's own size at this DPI
+    const doc = await loadPdfDocument(pdfBuffer);
+    const numPages = doc.numPages;
+    const sizes = [];
+    try {
+        for (const number of selectPages(options.pages, numPages)) {
+            const page = await doc.getPage(number);
+            const viewport = page.getViewport(options.dpi / 72);
+            sizes.push({ number, width: Math.round(viewport.width), height: Math.round(viewport.height) });
+            page.cleanup();
+        }
+    } finally {
+        doc.destroy();
+    }
+
+    if (sizes.length === 0) {
+        const error = new Error(`No pages selected: the PDF has ${numPages} page${numPages === 1 ? '' : 's'}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const images = [];
+    for (const { number, width, height } of sizes) {
+        const render = fromBuffer(pdfBuffer, { density: options.dpi, format: 'png', width, height });
+        const { buffer } = await render(number, { responseType: 'buffer' });
+        // GraphicsMagick exits quietly with no output when Ghostscript is missing
+        if (!buffer || buffer.length === 0) {
+            throw new Error(`Page ${number} could not be rendered. Check that GraphicsMagick and Ghostscript are installed`);
+        }
+
+        const data = await processImage(buffer, {
+            width: options.width,
+            height: options.height,
+            quality: options.quality,
+            format: options.format
+        });
+        images.push({ page: number, data });
+        onProgress(images.length / sizes.length);
+    }
+
+    return { numPages, images };
+}
+
+module.exports = {
+    DEFAULT_RASTER_OPTIONS,
+    parseRasterOptions,
+    rasterizePdf
+};
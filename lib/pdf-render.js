@@ -0,0 +1,107 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { DEFAULT_PDF_OPTIONS } = require('./pdf-options');
+const { EMPTY_TEMPLATE } = require('./header-footer');
+const { fillTocPageNumbers } = require('./toc');
+
+// Helper function to find the first page Chrome will print for a page range
+function firstPrintedPage(pageRanges) {
+    if (!pageRanges) {
+        return 1;
+    }
+    return Math.min(...pageRanges.split(',').map(range => parseInt(range, 10)));
+}
+
+// Swap the first page's drawing for the one from `replacementBuffer`.
+// Only the content stream and resources move; the page object itself stays,
+// so links and outline entries pointing at it keep working.
+async function replaceFirstPageContent(pdfBuffer, replacementBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const replacementDoc = await PDFDocument.load(replacementBuffer);
+    const [replacementPage] = await pdfDoc.copyPages(replacementDoc, [0]);
+    const firstPage = pdfDoc.getPage(0);
+
+    firstPage.node.set(PDFName.of('Contents'), replacementPage.node.get(PDFName.of('Contents')));
+    firstPage.node.set(PDFName.of('Resources'), replacementPage.node.get(PDFName.of('Resources')));
+
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Write document properties ({ title, author, subject, keywords, date }) into a PDF.
+// Chrome only sets the title, from the page's <title>.
+async function setPdfMetadata(pdfBuffer, metadata) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    if (metadata.title) {
+        pdfDoc.setTitle(metadata.title);
+    }
+    if (metadata.author) {
+        pdfDoc.setAuthor(metadata.author);
+    }
+    if (metadata.subject) {
+        pdfDoc.setSubject(metadata.subject);
+    }
+    if (metadata.keywords && metadata.keywords.length > 0) {
+        pdfDoc.setKeywords(metadata.keywords);
+    }
+    const date = metadata.date ? new Date(metadata.date) : null;
+    if (date && !isNaN(date.getTime())) {
+        pdfDoc.setCreationDate(date);
+    }
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Print the loaded page to PDF using options from parsePdfOptions(), plus the
+// document's `metadata` when it has any
+async function renderPdf(page, pdfOptions = DEFAULT_PDF_OPTIONS) {
+    const { skipFirstPageHeader, toc, metadata, ...options } = pdfOptions;
+
+    if (toc) {
+        await fillTocPageNumbers(page, options);
+    }
+
+    let pdfBuffer = await page.pdf(options);
+    if (skipFirstPageHeader) {
+        // Chrome stamps the header on every page, so print the first page again without it
+        const firstPageBuffer = await page.pdf({
+            ...options,
+            headerTemplate: EMPTY_TEMPLATE,
+            pageRanges: String(firstPrintedPage(options.pageRanges))
+        });
+        pdfBuffer = await replaceFirstPageContent(pdfBuffer, firstPageBuffer);
+    }
+
+    return metadata ? setPdfMetadata(pdfBuffer, metadata) : pdfBuffer;
+}
+
+// Build generatePDF(htmlContent, filename, pdfOptions), which prints HTML to a
+// PDF buffer on a page borrowed from `browserPool` (see browser-pool.js)
+function createPdfGenerator(browserPool) {
+    return async function generatePDF(htmlContent, filename, pdfOptions = DEFAULT_PDF_OPTIONS) {
+        try {
+            return await browserPool.withPage(async (page) => {
+                // Set content and wait for it to load
+                await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+
+                console.log('Generating PDF...');
+                const pdfBuffer = await renderPdf(page, pdfOptions);
+
+                console.log('PDF generated successfully, size:', pdfBuffer.length, 'bytes');
+                return pdfBuffer;
+            });
+        } catch (error) {
+            console.error('PDF generation error:', error);
+
+            // Pool back-pressure errors carry their own status code
+            if (error.statusCode) {
+                throw error;
+            }
+            throw new Error('PDF generation failed: ' + error.message);
+        }
+    };
+}
+
+module.exports = {
+    createPdfGenerator,
+    renderPdf,
+    replaceFirstPageContent,
+    setPdfMetadata
+};
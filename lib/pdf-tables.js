@@ -0,0 +1,557 @@
+// Table detection for PDF ingestion.
+// Ruled tables come from the grid of lines drawn on the page; tables without
+// rules come from rows of text whose fragments line up in the same columns.
+
+const { pdfjsLib, forEachOperator } = require('./pdfjs');
+
+const OPS = pdfjsLib.OPS;
+const Util = pdfjsLib.PDFJS.Util;
+
+// Filled shapes thinner than this (in points) are rules rather than backgrounds
+const RULE_THICKNESS = 2;
+// Rule ends and crossings closer than this (in points) count as touching
+const RULE_TOLERANCE = 2;
+// Fewest rows of aligned text treated as a table
+const MIN_TABLE_ROWS = 3;
+// Rows further apart than this (in ems) end a table
+const ROW_GAP = 2.5;
+// Columns of body text have long lines; table cells rarely do
+const MAX_CELL_LENGTH = 20;
+
+const FILL_OPS = [OPS.fill, OPS.eoFill];
+const PAINT_OPS = [OPS.stroke, OPS.closeStroke, OPS.fill, OPS.eoFill, OPS.fillStroke,
+    OPS.eoFillStroke, OPS.closeFillStroke, OPS.closeEOFillStroke];
+const LIST_MARKER_PATTERN = /^([•◦▪▫‣⁃●○■□►➢✓·\-–—*]|\(?(\d{1,3}|[a-zA-Z]|[ivxlcdm]{1,6})[.)])$/;
+const SIDECAR_FORMATS = ['csv', 'json'];
+
+// Helper function to read the straight subpaths of a constructPath operation
+function readSubpaths(ops, coords, ctm) {
+    const point = (x, y) => Util.applyTransform([x, y], ctm);
+    const subpaths = [];
+    let current = null;
+    let k = 0;
+
+    for (const op of ops) {
+        if (op === OPS.rectangle) {
+            const [x, y, width, height] = coords.slice(k, k + 4);
+            const corners = [point(x, y), point(x + width, y), point(x + width, y + height), point(x, y + height)];
+            subpaths.push([...corners, corners[0]]);
+            current = null;
+            k += 4;
+        } else if (op === OPS.moveTo) {
+            current = [point(coords[k], coords[k + 1])];
+            subpaths.push(current);
+            k += 2;
+        } else if (op === OPS.lineTo) {
+            const next = point(coords[k], coords[k + 1]);
+            if (current) {
+                current.push(next);
+            } else {
+                current = [next];
+                subpaths.push(current);
+            }
+            k += 2;
+        } else if (op === OPS.curveTo || op === OPS.curveTo2 || op === OPS.curveTo3) {
+            // Curved outlines (rounded boxes, charts) are not table rules
+            if (current) {
+                current.curved = true;
+            }
+            k += op === OPS.curveTo ? 6 : 4;
+        } else if (op === OPS.closePath && current && current.length > 1) {
+            current.push(current[0]);
+        }
+    }
+    return subpaths.filter(subpath => !subpath.curved);
+}
+
+// Helper function to record a straight segment as a horizontal or vertical rule
+function addRule(a, b, rules) {
+    if (Math.abs(a[1] - b[1]) < 1 && Math.abs(a[0] - b[0]) >= RULE_TOLERANCE) {
+        rules.horizontal.push({ y: (a[1] + b[1]) / 2, start: Math.min(a[0], b[0]), end: Math.max(a[0], b[0]) });
+    } else if (Math.abs(a[0] - b[0]) < 1 && Math.abs(a[1] - b[1]) >= RULE_TOLERANCE) {
+        rules.vertical.push({ x: (a[0] + b[0]) / 2, start: Math.min(a[1], b[1]), end: Math.max(a[1], b[1]) });
+    }
+}
+
+// Helper function to turn painted subpaths into rules.
+// Stroked paths give one rule per straight edge; filled ones only count when thin.
+function paintRules(subpaths, stroked, rules) {
+    for (const points of subpaths) {
+        if (stroked) {
+            for (let i = 1; i < points.length; i++) {
+                addRule(points[i - 1], points[i], rules);
+            }
+            continue;
+        }
+
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        if (maxY - minY <= RULE_THICKNESS && maxX - minX > maxY - minY) {
+            addRule([minX, (minY + maxY) / 2], [maxX, (minY + maxY) / 2], rules);
+        } else if (maxX - minX <= RULE_THICKNESS && maxY - minY > maxX - minX) {
+            addRule([(minX + maxX) / 2, minY], [(minX + maxX) / 2, maxY], rules);
+        }
+    }
+}
+
+// Helper function to join rules that continue one another (borders are often drawn per cell)
+function mergeRules(rules, axis) {
+    const merged = [];
+    for (const rule of rules.sort((a, b) => a[axis] - b[axis] || a.start - b.start)) {
+        const match = merged.find(other => Math.abs(other[axis] - rule[axis]) <= 1 &&
+            rule.start <= other.end + RULE_TOLERANCE && rule.end >= other.start - RULE_TOLERANCE);
+        if (match) {
+            match.start = Math.min(match.start, rule.start);
+            match.end = Math.max(match.end, rule.end);
+        } else {
+            merged.push({ ...rule });
+        }
+    }
+    return merged;
+}
+
+// Collect the horizontal and vertical lines drawn on a page, in top-down page coordinates
+function readRules(operatorList, viewport) {
+    const rules = { horizontal: [], vertical: [] };
+    let subpaths = [];
+
+    forEachOperator(operatorList, viewport, (fn, args, ctm) => {
+        if (fn === OPS.constructPath) {
+            subpaths.push(...readSubpaths(args[0], args[1], ctm));
+        } else if (PAINT_OPS.includes(fn)) {
+            paintRules(subpaths, !FILL_OPS.includes(fn), rules);
+            subpaths = [];
+        } else if (fn === OPS.endPath) {
+            // Clipping paths are never painted
+            subpaths = [];
+        }
+    });
+
+    return {
+        horizontal: mergeRules(rules.horizontal, 'y'),
+        vertical: mergeRules(rules.vertical, 'x')
+    };
+}
+
+// Helper function to check whether a rule reaches a position along its length
+function covers(rule, position) {
+    return position >= rule.start - RULE_TOLERANCE && position <= rule.end + RULE_TOLERANCE;
+}
+
+// Helper function to merge positions closer than the rule tolerance
+function clusterPositions(positions) {
+    const clusters = [];
+    for (const position of positions.slice().sort((a, b) => a - b)) {
+        const last = clusters[clusters.length - 1];
+        if (last !== undefined && position - last <= RULE_TOLERANCE * 1.5) {
+            continue;
+        }
+        clusters.push(position);
+    }
+    return clusters;
+}
+
+// Group crossing rules; a group with rules both ways outlines one table grid
+function findRuledGrids(rules) {
+    const { horizontal, vertical } = rules;
+    const parent = [...horizontal, ...vertical].map((rule, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    horizontal.forEach((h, i) => {
+        vertical.forEach((v, j) => {
+            if (covers(h, v.x) && covers(v, h.y)) {
+                parent[find(i)] = find(horizontal.length + j);
+            }
+        });
+    });
+
+    const groups = new Map();
+    [...horizontal, ...vertical].forEach((rule, index) => {
+        const root = find(index);
+        if (!groups.has(root)) {
+            groups.set(root, { horizontal: [], vertical: [] });
+        }
+        groups.get(root)[index < horizontal.length ? 'horizontal' : 'vertical'].push(rule);
+    });
+
+    return [...groups.values()].filter(group => group.horizontal.length >= 2 && group.vertical.length >= 2);
+}
+
+// Helper function to join fragment text in reading order
+function fragmentsText(fragments) {
+    return fragments
+        .slice()
+        .sort((a, b) => (Math.abs(a.y - b.y) < Math.min(a.fontSize, b.fontSize) * 0.4 ? a.x - b.x : a.y - b.y))
+        .map(fragment => fragment.text)
+        .join(' ');
+}
+
+// Helper function to tell whether the first row is a header: bold where the rest is not
+function boldHeader(rows) {
+    const filled = row => row.filter(cell => cell.text !== '');
+    const first = filled(rows[0]);
+    return first.length > 0 && first.every(cell => cell.bold) &&
+        rows.slice(1).some(row => filled(row).some(cell => !cell.bold));
+}
+
+// Build a table from a ruled grid, placing each fragment in the cell holding its centre.
+// Neighbouring cells with no rule between them are merged into one spanning cell.
+function ruledTable(group, fragments) {
+    const ys = clusterPositions(group.horizontal.map(rule => rule.y));
+    const xs = clusterPositions(group.vertical.map(rule => rule.x));
+    if (ys.length < 3 || xs.length < 3) {
+        return null;
+    }
+
+    const hasVertical = (x, y) => group.vertical.some(rule => Math.abs(rule.x - x) <= RULE_TOLERANCE * 1.5 && covers(rule, y));
+    const hasHorizontal = (y, x) => group.horizontal.some(rule => Math.abs(rule.y - y) <= RULE_TOLERANCE * 1.5 && covers(rule, x));
+    const rowCount = ys.length - 1;
+    const columnCount = xs.length - 1;
+
+    const owners = ys.slice(1).map(() => new Array(columnCount).fill(null));
+    // A cell carries on into the next row unless a rule runs under its whole width
+    const rowBoundary = (row, firstColumn, lastColumn) => {
+        for (let c = firstColumn; c <= lastColumn; c++) {
+            if (owners[row][c] || hasHorizontal(ys[row], (xs[c] + xs[c + 1]) / 2)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    const rows = owners.map(() => []);
+    for (let r = 0; r < rowCount; r++) {
+        for (let c = 0; c < columnCount; c++) {
+            if (owners[r][c]) {
+                continue;
+            }
+            const middleY = (ys[r] + ys[r + 1]) / 2;
+            let lastColumn = c;
+            while (lastColumn + 1 < columnCount && !owners[r][lastColumn + 1] && !hasVertical(xs[lastColumn + 1], middleY)) {
+                lastColumn++;
+            }
+            let lastRow = r;
+            while (lastRow + 1 < rowCount && !rowBoundary(lastRow + 1, c, lastColumn)) {
+                lastRow++;
+            }
+
+            const cell = { fragments: [], colspan: lastColumn - c + 1, rowspan: lastRow - r + 1 };
+            for (let rr = r; rr <= lastRow; rr++) {
+                for (let cc = c; cc <= lastColumn; cc++) {
+                    owners[rr][cc] = cell;
+                }
+            }
+            rows[r].push(cell);
+        }
+    }
+
+    const used = new Set();
+    for (const fragment of fragments) {
+        const centerX = (fragment.x + fragment.right) / 2;
+        const centerY = fragment.y - fragment.fontSize * 0.35;
+        const r = ys.findIndex((y, index) => index < rowCount && centerY >= y && centerY < ys[index + 1]);
+        const c = xs.findIndex((x, index) => index < columnCount && centerX >= x && centerX < xs[index + 1]);
+        if (r !== -1 && c !== -1) {
+            owners[r][c].fragments.push(fragment);
+            used.add(fragment);
+        }
+    }
+
+    // A box around a paragraph or two is a frame, not a table
+    const cells = [].concat(...rows);
+    if (cells.filter(cell => cell.fragments.length > 0).length < 2) {
+        return null;
+    }
+
+    const tableRows = rows.map(row => row.map(cell => ({
+        text: fragmentsText(cell.fragments),
+        bold: cell.fragments.length > 0 && cell.fragments.every(fragment => fragment.bold),
+        colspan: cell.colspan,
+        rowspan: cell.rowspan
+    })));
+    const headerRows = boldHeader(tableRows) ? Math.max(...tableRows[0].map(cell => cell.rowspan)) : 0;
+
+    return {
+        x: xs[0],
+        right: xs[xs.length - 1],
+        top: ys[0],
+        bottom: ys[ys.length - 1],
+        rows: tableRows,
+        headerRows,
+        used
+    };
+}
+
+// Find vertical strips crossed by at most `allowance` fragments and at least
+// `minWidth` wide, between the leftmost and rightmost text
+function coverageGaps(fragments, allowance, minWidth) {
+    const left = Math.floor(Math.min(...fragments.map(fragment => fragment.x)));
+    const right = Math.ceil(Math.max(...fragments.map(fragment => fragment.right)));
+
+    const coverage = new Array(right - left + 1).fill(0);
+    for (const fragment of fragments) {
+        for (let x = Math.floor(fragment.x); x < Math.ceil(fragment.right); x++) {
+            coverage[x - left]++;
+        }
+    }
+
+    const gaps = [];
+    let start = null;
+    for (let i = 0; i <= coverage.length; i++) {
+        const open = i < coverage.length && coverage[i] <= allowance;
+        if (open && start === null) {
+            start = i;
+        }
+        if (!open && start !== null) {
+            if (start > 0 && i < coverage.length && i - start >= minWidth) {
+                gaps.push({ start: left + start, end: left + i });
+            }
+            start = null;
+        }
+    }
+    return gaps;
+}
+
+// Helper function to group fragments into rows by baseline
+function groupRows(fragments) {
+    const rows = [];
+    for (const fragment of fragments.slice().sort((a, b) => a.y - b.y || a.x - b.x)) {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(fragment.y - row.y) < Math.min(fragment.fontSize, row.fontSize) * 0.4) {
+            row.fragments.push(fragment);
+        } else {
+            rows.push({ y: fragment.y, fontSize: fragment.fontSize, fragments: [fragment] });
+        }
+    }
+    return rows;
+}
+
+// Helper function to find the cell covering a column, following colspans to the left
+function ownerAt(cells, index) {
+    for (let i = index; i >= 0; i--) {
+        if (cells[i]) {
+            return i + cells[i].colspan > index ? cells[i] : null;
+        }
+    }
+    return null;
+}
+
+// Build a table from consecutive rows of fragments that line up in columns.
+// Returns null when the rows look like a list or like columns of body text.
+function alignedTable(rows, horizontalRules) {
+    const fragments = [].concat(...rows.map(row => row.fragments));
+    const median = values => values.slice().sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    const emSize = median(fragments.map(fragment => fragment.fontSize));
+    const left = Math.min(...fragments.map(fragment => fragment.x));
+    const right = Math.max(...fragments.map(fragment => fragment.right));
+
+    // Markers set apart from their text form a list, not a table
+    const firstColumn = fragments.filter(fragment => fragment.x - left < emSize * 0.5);
+    if (firstColumn.filter(fragment => LIST_MARKER_PATTERN.test(fragment.text)).length >= firstColumn.length * 0.8) {
+        return null;
+    }
+
+    // A heading over several columns may cross a boundary, so allow a few
+    const boundaries = coverageGaps(fragments, Math.floor(rows.length * 0.25), emSize * 0.5);
+    const columnCount = boundaries.length + 1;
+    if (columnCount < 2 ||
+        (columnCount <= 3 && median(fragments.map(fragment => fragment.text.length)) >= MAX_CELL_LENGTH)) {
+        return null;
+    }
+    const columnOf = x => boundaries.filter(boundary => x > (boundary.start + boundary.end) / 2).length;
+
+    const grid = [];
+    for (const row of rows) {
+        const cells = new Array(columnCount).fill(null);
+        for (const fragment of row.fragments.sort((a, b) => a.x - b.x)) {
+            const first = columnOf(fragment.x);
+            const owner = ownerAt(cells, first);
+            if (owner) {
+                owner.text += ' ' + fragment.text;
+                owner.bold = owner.bold && fragment.bold;
+            } else {
+                cells[first] = { text: fragment.text, bold: fragment.bold, colspan: columnOf(fragment.right) - first + 1, rowspan: 1 };
+            }
+        }
+
+        // Nothing in the first column and tight spacing: cell text wrapping from the row above
+        const previous = grid[grid.length - 1];
+        if (previous && !cells[0] && row.y - previous.y <= row.fontSize * 1.6) {
+            cells.forEach((cell, index) => {
+                if (!cell) {
+                    return;
+                }
+                const target = ownerAt(previous.cells, index);
+                if (target) {
+                    target.text += ' ' + cell.text;
+                } else {
+                    previous.cells[index] = cell;
+                }
+            });
+            previous.y = row.y;
+            continue;
+        }
+        grid.push({ y: row.y, top: row.y - row.fontSize, cells });
+    }
+
+    // Fill empty positions so every row lines up, skipping those under a colspan
+    const tableRows = grid.map(row => {
+        const cells = [];
+        for (let c = 0; c < columnCount; c++) {
+            if (row.cells[c]) {
+                cells.push(row.cells[c]);
+            } else if (!ownerAt(row.cells, c)) {
+                cells.push({ text: '', bold: false, colspan: 1, rowspan: 1 });
+            }
+        }
+        return cells;
+    });
+
+    // Booktabs style: a rule under the first row only marks it as the header
+    const ruleBetween = (upper, lower) => horizontalRules.some(rule => rule.y > upper.y && rule.y < lower.top &&
+        rule.end - rule.start >= (right - left) * 0.5);
+    const headerRule = grid.length > 1 && ruleBetween(grid[0], grid[1]) &&
+        !grid.slice(2).some((row, index) => ruleBetween(grid[index + 1], row));
+    const headerRows = boldHeader(tableRows) || headerRule ? 1 : 0;
+
+    return {
+        x: left,
+        right,
+        top: Math.min(...fragments.map(fragment => fragment.y - fragment.fontSize)),
+        bottom: Math.max(...fragments.map(fragment => fragment.y)),
+        rows: tableRows,
+        headerRows,
+        used: new Set(fragments)
+    };
+}
+
+// Find runs of at least MIN_TABLE_ROWS closely spaced rows with text in several places
+function findAlignedTables(fragments, horizontalRules) {
+    const tables = [];
+    let run = [];
+
+    const flush = () => {
+        // Single fragments at the end cannot be told apart from the text after the table
+        while (run.length > 0 && run[run.length - 1].fragments.length < 2) {
+            run.pop();
+        }
+        if (run.length >= MIN_TABLE_ROWS) {
+            const table = alignedTable(run, horizontalRules);
+            if (table) {
+                tables.push(table);
+            }
+        }
+        run = [];
+    };
+
+    for (const row of groupRows(fragments)) {
+        const last = run[run.length - 1];
+        const close = last && row.y - last.y <= Math.max(row.fontSize, last.fontSize) * ROW_GAP;
+        if (!close) {
+            flush();
+        }
+
+        if (row.fragments.length >= 2) {
+            run.push(row);
+        } else if (run.length > 0 && row.fragments[0].x > Math.min(...run[0].fragments.map(fragment => fragment.x)) + row.fontSize) {
+            // Text wrapping inside a cell further right
+            run.push(row);
+        } else {
+            flush();
+        }
+    }
+    flush();
+    return tables;
+}
+
+// Find the tables on a page.
+// Returns { tables, remaining } where `remaining` holds the fragments outside every table.
+function detectTables(fragments, rules) {
+    const tables = [];
+    let remaining = fragments;
+
+    const take = table => {
+        tables.push(table);
+        remaining = remaining.filter(fragment => !table.used.has(fragment));
+        delete table.used;
+    };
+
+    for (const group of findRuledGrids(rules)) {
+        const table = ruledTable(group, remaining);
+        if (table) {
+            take(table);
+        }
+    }
+    if (remaining.length > 0) {
+        findAlignedTables(remaining, rules.horizontal).forEach(take);
+    }
+    return { tables, remaining };
+}
+
+// Lay a table out as a full grid of strings. Merged cells keep their text in the
+// top-left position and leave the positions they cover empty.
+function tableGrid(table) {
+    const grid = table.rows.map(() => []);
+    const merges = [];
+
+    table.rows.forEach((row, r) => {
+        let c = 0;
+        for (const cell of row) {
+            while (grid[r][c] !== undefined) {
+                c++;
+            }
+            for (let dr = 0; dr < cell.rowspan && r + dr < grid.length; dr++) {
+                for (let dc = 0; dc < cell.colspan; dc++) {
+                    grid[r + dr][c + dc] = dr === 0 && dc === 0 ? cell.text : '';
+                }
+            }
+            if (cell.rowspan > 1 || cell.colspan > 1) {
+                merges.push({ row: r, column: c, rowspan: cell.rowspan, colspan: cell.colspan });
+            }
+            c += cell.colspan;
+        }
+    });
+
+    const width = Math.max(...grid.map(row => row.length));
+    const rows = grid.map(row => Array.from({ length: width }, (value, index) => (row[index] === undefined ? '' : row[index])));
+    return { rows, merges };
+}
+
+// Helper function to quote a CSV field when it needs it
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+// Export one table as CSV (RFC 4180)
+function tableToCsv(table) {
+    return tableGrid(table).rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Export tables as JSON: each with its page, header row count, cell grid and merged cells
+function tablesToJson(tables) {
+    return JSON.stringify(tables.map(table => ({
+        id: table.id,
+        page: table.page,
+        headerRows: table.headerRows,
+        ...tableGrid(table)
+    })), null, 2);
+}
+
+// Parse the `tables` option ("csv", "json" or "csv,json").
+// Returns the list of formats, or null when it names an unknown one.
+function parseSidecarFormats(value) {
+    if (value === undefined || value === null || value === '' || value === 'none') {
+        return [];
+    }
+    const formats = String(value).toLowerCase().split(',').map(format => format.trim()).filter(Boolean);
+    return formats.every(format => SIDECAR_FORMATS.includes(format)) ? [...new Set(formats)] : null;
+}
+
+module.exports = {
+    readRules,
+    coverageGaps,
+    detectTables,
+    tableToCsv,
+    tablesToJson,
+    parseSidecarFormats
+};
@@ -0,0 +1,27 @@
+// PDF to Word conversion: the structure rebuilt by the PDF to HTML converter,
+// written out with html-to-docx
+
+const { DEFAULT_HTML_OPTIONS, convertPdfToHtml } = require('./pdf-to-html');
+const { generateDocx } = require('./docx');
+
+// Convert a PDF to a Word document buffer.
+// `options` come from parseHtmlOptions(); a document has nowhere to bundle image
+// files, so images are always embedded (or left out with images: 'none').
+// `onProgress(fraction)` follows the pages as they are read.
+// Returns { docx, numPages, textLength }.
+async function convertPdfToDocx(pdfBuffer, { title, ...options } = {}, onProgress) {
+    const pdfData = await convertPdfToHtml(pdfBuffer, {
+        ...DEFAULT_HTML_OPTIONS,
+        ...options,
+        images: options.images === 'none' ? 'none' : 'inline',
+        // Word repaginates the text itself
+        pages: false
+    }, onProgress);
+
+    const docx = await generateDocx(pdfData.html, { title });
+    return { docx, numPages: pdfData.numPages, textLength: pdfData.textLength };
+}
+
+module.exports = {
+    convertPdfToDocx
+};
@@ -0,0 +1,472 @@
+// PDF to HTML conversion.
+// Structure comes from the page layout rather than plain text: heading levels from
+// font size and weight, paragraphs from line spacing and indents, lists from markers,
+// tables from ruling lines and aligned text. Embedded images keep their place.
+
+const { isTextLine, readPdfLayout } = require('./pdf-layout');
+const { DEFAULT_IMAGE_OPTIONS, parseImageOptions, encodeImages } = require('./pdf-images');
+
+// Text at least this much larger than body text is a heading
+const HEADING_SCALE = 1.15;
+// Line gaps this much wider than the usual line spacing start a new paragraph
+const PARAGRAPH_GAP = 1.4;
+// Headings longer than this many lines are really large-print paragraphs
+const MAX_HEADING_LINES = 3;
+const MAX_BOLD_HEADING_LINES = 2;
+
+const BULLET_PATTERN = /^([•◦▪▫‣⁃●○■□►➢✓·]\s*|[-–—*]\s+)(?=\S)/;
+const ORDERED_PATTERN = /^\(?(\d{1,3}|[ivxlcdm]{1,6}|[IVXLCDM]{1,6}|[a-zA-Z])[.)]\s+(?=\S)/;
+const SENTENCE_END_PATTERN = /[.!?:;"”)]$/;
+
+const DEFAULT_HTML_OPTIONS = {
+    ...DEFAULT_IMAGE_OPTIONS,
+    // One <section> per PDF page instead of continuous text
+    pages: false
+};
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, function(m) { return map[m]; });
+}
+
+// Helper function to round font sizes so tiny rendering differences compare equal
+function roundSize(size) {
+    return Math.round(size * 2) / 2;
+}
+
+// Helper function to read a roman numeral (returns NaN if it is not one)
+function romanValue(numeral) {
+    const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+    const digits = numeral.toLowerCase().split('').map(digit => values[digit]);
+    const total = digits.reduce((sum, value, index) => (value < (digits[index + 1] || 0) ? sum - value : sum + value), 0);
+    return /^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/.test(numeral.toLowerCase()) ? total : NaN;
+}
+
+// Recognise a list marker at the start of a line.
+// Returns { ordered, style, start, length } or null.
+function listMarker(text) {
+    const bullet = text.match(BULLET_PATTERN);
+    if (bullet) {
+        return { ordered: false, length: bullet[0].length };
+    }
+
+    const ordered = text.match(ORDERED_PATTERN);
+    if (!ordered) {
+        return null;
+    }
+
+    const label = ordered[1];
+    const marker = { ordered: true, length: ordered[0].length };
+    if (/^\d+$/.test(label)) {
+        return { ...marker, style: '1', start: parseInt(label, 10) };
+    }
+    // A lone "i" is the start of a roman list; other single letters are alphabetic
+    if ((label.length > 1 || /^[iI]$/.test(label)) && !isNaN(romanValue(label))) {
+        return { ...marker, style: label === label.toLowerCase() ? 'i' : 'I', start: romanValue(label) };
+    }
+    if (label.length === 1) {
+        return { ...marker, style: label === label.toLowerCase() ? 'a' : 'A', start: label.toLowerCase().charCodeAt(0) - 96 };
+    }
+    return null;
+}
+
+// Work out body text size, heading sizes and normal line spacing for the whole document
+function documentStats(lines) {
+    const sizeWeights = new Map();
+    for (const line of lines) {
+        const size = roundSize(line.fontSize);
+        sizeWeights.set(size, (sizeWeights.get(size) || 0) + line.text.length);
+    }
+    const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const bodyLines = lines.filter(line => roundSize(line.fontSize) === bodySize);
+    const boldLength = bodyLines.filter(line => line.bold).reduce((total, line) => total + line.text.length, 0);
+    const bodyBold = boldLength > sizeWeights.get(bodySize) / 2;
+
+    // Each larger size is one heading level; bold body-size headings come after them
+    const headingSizes = [...sizeWeights.keys()]
+        .filter(size => size >= bodySize * HEADING_SCALE)
+        .sort((a, b) => b - a);
+
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+        const previous = lines[i - 1];
+        const line = lines[i];
+        const gap = line.y - previous.y;
+        if (line.page === previous.page && line.column === previous.column &&
+            roundSize(line.fontSize) === bodySize && roundSize(previous.fontSize) === bodySize &&
+            gap > 0 && gap < bodySize * 3) {
+            gaps.push(gap);
+        }
+    }
+    gaps.sort((a, b) => a - b);
+    const lineSpacing = gaps.length > 0 ? Math.min(gaps[Math.floor(gaps.length / 2)], bodySize * 2) : bodySize * 1.2;
+
+    return { bodySize, bodyBold, headingSizes, lineSpacing };
+}
+
+// Helper function to get the heading level a line is styled as (0 when it is body text)
+function headingLevel(line, stats) {
+    const size = roundSize(line.fontSize);
+    const index = stats.headingSizes.indexOf(size);
+    if (index !== -1) {
+        return Math.min(index + 1, 6);
+    }
+    if (size === stats.bodySize && line.bold && !stats.bodyBold &&
+        line.text.length <= 100 && !/[.,;]$/.test(line.text)) {
+        return Math.min(stats.headingSizes.length + 1, 6);
+    }
+    return 0;
+}
+
+// Helper function to collect a heading and the lines it wraps onto
+function headingLines(lines, start, stats) {
+    const first = lines[start];
+    const group = [first];
+    const bodySized = roundSize(first.fontSize) === stats.bodySize;
+    const maxLines = bodySized ? MAX_BOLD_HEADING_LINES : MAX_HEADING_LINES;
+
+    for (let i = start + 1; i < lines.length; i++) {
+        const previous = group[group.length - 1];
+        const line = lines[i];
+        if (line.page !== first.page || line.column !== first.column ||
+            roundSize(line.fontSize) !== roundSize(first.fontSize) || line.bold !== first.bold ||
+            line.y - previous.y > first.fontSize * 1.6) {
+            break;
+        }
+        group.push(line);
+        if (group.length > maxLines) {
+            return null;
+        }
+    }
+    return group;
+}
+
+// Decide whether `line` starts a new paragraph after `previous`
+function startsNewParagraph(previous, line, stats) {
+    if (line.page !== previous.page || line.column !== previous.column) {
+        // Text carried over to the next column or page continues mid-sentence
+        return SENTENCE_END_PATTERN.test(previous.text) || !/^\p{Ll}/u.test(line.text);
+    }
+    if (roundSize(line.fontSize) !== roundSize(previous.fontSize)) {
+        return true;
+    }
+
+    const gap = line.y - previous.y;
+    if (gap <= 0 || gap > stats.lineSpacing * PARAGRAPH_GAP) {
+        return true;
+    }
+    // First-line indent
+    if (line.x - previous.x > line.fontSize) {
+        return true;
+    }
+    // The previous line stopped well short of the column edge at the end of a sentence
+    return previous.right < previous.columnRight - previous.fontSize * 3 && SENTENCE_END_PATTERN.test(previous.text);
+}
+
+// Helper function to find which open list a wrapped line continues (-1 if none)
+function continuedListIndex(lists, previous, line, stats) {
+    const samePlace = line.page === previous.page && line.column === previous.column;
+    if (samePlace && line.y - previous.y > stats.lineSpacing * PARAGRAPH_GAP) {
+        return -1;
+    }
+    for (let i = lists.length - 1; i >= 0; i--) {
+        if (line.x > lists[i].x + line.fontSize * 0.5) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Helper function to get the item currently being filled in an open list
+function currentItem(list) {
+    return list.block.items[list.block.items.length - 1];
+}
+
+// Start a list item, nesting by marker indentation and starting a new list
+// when the marker kind changes
+function addListItem(blocks, lists, line, marker) {
+    const tolerance = line.fontSize * 0.5;
+    while (lists.length > 0 && line.x < lists[lists.length - 1].x - tolerance) {
+        lists.pop();
+    }
+
+    const item = { marker, parts: [{ type: 'text', lines: [line] }] };
+    const top = lists[lists.length - 1];
+    if (top && Math.abs(line.x - top.x) <= tolerance) {
+        if (top.block.ordered === marker.ordered && top.block.style === marker.style) {
+            top.block.items.push(item);
+            return;
+        }
+        lists.pop();
+    }
+
+    const block = { type: 'list', ordered: marker.ordered, style: marker.style, start: marker.start, items: [item] };
+    const parent = lists[lists.length - 1];
+    if (parent) {
+        currentItem(parent).parts.push(block);
+    } else {
+        blocks.push(block);
+    }
+    lists.push({ x: line.x, block });
+}
+
+// Group lines (already in reading order) into headings, paragraphs and lists
+function buildBlocks(lines, stats) {
+    const blocks = [];
+    let paragraph = null;
+    let lists = [];
+    let previous = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.table) {
+            blocks.push({ type: 'table', table: line.table });
+            paragraph = null;
+            lists = [];
+            previous = null;
+            continue;
+        }
+        if (line.image) {
+            blocks.push({ type: 'image', image: line.image, page: line.page });
+            paragraph = null;
+            lists = [];
+            previous = null;
+            continue;
+        }
+
+        const level = headingLevel(line, stats);
+        const heading = level ? headingLines(lines, i, stats) : null;
+        if (heading) {
+            blocks.push({ type: 'heading', level, lines: heading });
+            paragraph = null;
+            lists = [];
+            previous = heading[heading.length - 1];
+            i += heading.length - 1;
+            continue;
+        }
+
+        // "2. " at the start of a wrapped line is text, not a new list
+        const marker = listMarker(line.text);
+        const midSentence = paragraph && !startsNewParagraph(previous, line, stats) &&
+            !SENTENCE_END_PATTERN.test(previous.text);
+        const listIndex = lists.length > 0 ? continuedListIndex(lists, previous, line, stats) : -1;
+
+        if (marker && !midSentence) {
+            paragraph = null;
+            addListItem(blocks, lists, line, marker);
+        } else if (listIndex !== -1) {
+            lists = lists.slice(0, listIndex + 1);
+            const parts = currentItem(lists[listIndex]).parts;
+            const lastPart = parts[parts.length - 1];
+            if (lastPart.type === 'text') {
+                lastPart.lines.push(line);
+            } else {
+                parts.push({ type: 'text', lines: [line] });
+            }
+        } else if (paragraph && !startsNewParagraph(previous, line, stats)) {
+            paragraph.lines.push(line);
+        } else {
+            lists = [];
+            paragraph = { type: 'paragraph', lines: [line] };
+            blocks.push(paragraph);
+        }
+        previous = line;
+    }
+    return blocks;
+}
+
+// Helper function to drop the first `length` characters from a list of segments
+function dropPrefix(segments, length) {
+    const result = [];
+    let remaining = length;
+    for (const segment of segments) {
+        if (remaining >= segment.text.length) {
+            remaining -= segment.text.length;
+            continue;
+        }
+        result.push({ ...segment, text: segment.text.slice(remaining) });
+        remaining = 0;
+    }
+    if (result.length > 0) {
+        result[0].text = result[0].text.trimStart();
+    }
+    return result;
+}
+
+// Render lines as inline HTML, keeping bold/italic runs and rejoining words
+// hyphenated across line breaks
+function renderInline(lines, prefixLength = 0) {
+    const segments = [];
+
+    lines.forEach((line, index) => {
+        const lineSegments = index === 0 ? dropPrefix(line.segments, prefixLength) : line.segments.map(segment => ({ ...segment }));
+        if (lineSegments.length === 0) {
+            return;
+        }
+
+        const last = segments[segments.length - 1];
+        if (last) {
+            if (/\p{L}-$/u.test(last.text) && /^\p{Ll}/u.test(lineSegments[0].text)) {
+                last.text = last.text.slice(0, -1);
+            } else {
+                last.text += ' ';
+            }
+        }
+
+        for (const segment of lineSegments) {
+            const previous = segments[segments.length - 1];
+            if (previous && previous.bold === segment.bold && previous.italic === segment.italic) {
+                previous.text += segment.text;
+            } else {
+                segments.push(segment);
+            }
+        }
+    });
+
+    return segments.map(segment => {
+        let html = escapeHtml(segment.text);
+        if (segment.italic) {
+            html = `<em>${html}</em>`;
+        }
+        if (segment.bold) {
+            html = `<strong>${html}</strong>`;
+        }
+        return html;
+    }).join('');
+}
+
+// Helper function to render a list block and any lists nested in its items
+function renderList(list) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    let attributes = '';
+    if (list.ordered && list.style !== '1') {
+        attributes += ` type="${list.style}"`;
+    }
+    if (list.ordered && list.start !== 1) {
+        attributes += ` start="${list.start}"`;
+    }
+
+    const items = list.items.map(item => '<li>' + item.parts.map((part, index) => (
+        part.type === 'list' ? '\n' + renderList(part) + '\n' : renderInline(part.lines, index === 0 ? item.marker.length : 0)
+    )).join('') + '</li>');
+
+    return `<${tag}${attributes}>\n${items.join('\n')}\n</${tag}>`;
+}
+
+// Helper function to render a detected table, header rows in <thead>
+function renderTable(table) {
+    const renderRow = (row, tag) => '<tr>' + row.map(cell => {
+        let attributes = '';
+        if (cell.colspan > 1) {
+            attributes += ` colspan="${cell.colspan}"`;
+        }
+        if (cell.rowspan > 1) {
+            attributes += ` rowspan="${cell.rowspan}"`;
+        }
+        return `<${tag}${attributes}>${escapeHtml(cell.text)}</${tag}>`;
+    }).join('') + '</tr>';
+
+    let html = `<table id="${table.id}">\n`;
+    if (table.headerRows > 0) {
+        html += '<thead>\n' + table.rows.slice(0, table.headerRows).map(row => renderRow(row, 'th')).join('\n') + '\n</thead>\n';
+    }
+    html += '<tbody>\n' + table.rows.slice(table.headerRows).map(row => renderRow(row, 'td')).join('\n') + '\n</tbody>\n';
+    return html + '</table>';
+}
+
+// Render blocks from buildBlocks() as HTML
+function renderBlocks(blocks) {
+    return blocks.map(block => {
+        if (block.type === 'heading') {
+            const text = block.lines.map(line => line.text).join(' ');
+            return `<h${block.level}>${escapeHtml(text)}</h${block.level}>`;
+        }
+        if (block.type === 'list') {
+            return renderList(block);
+        }
+        if (block.type === 'table') {
+            return renderTable(block.table);
+        }
+        if (block.type === 'image') {
+            return `<figure><img src="${escapeHtml(block.image.src)}" alt="Image from page ${block.page}"></figure>`;
+        }
+        return `<p>${renderInline(block.lines)}</p>`;
+    }).join('\n');
+}
+
+// Helper function to wrap a page's blocks in a <section> anchored as #page-N.
+// Every page after the first starts a new printed page.
+function renderPage(page, blocks) {
+    const className = page.number > 1 ? 'pdf-page page-break' : 'pdf-page';
+    return `<section class="${className}" id="page-${page.number}" data-page-number="${page.number}">
+${renderBlocks(blocks)}
+<div class="page-number">${page.number}</div>
+</section>`;
+}
+
+// Validate options for convertPdfToHtml(): the image options plus `pages`.
+// Returns { options } or { errors } describing every invalid field.
+function parseHtmlOptions(input = {}) {
+    const result = parseImageOptions(input);
+    const errors = result.errors || [];
+
+    let pages = DEFAULT_HTML_OPTIONS.pages;
+    if (input.pages !== undefined && input.pages !== '') {
+        const value = String(input.pages).toLowerCase();
+        if (value === 'true' || value === '1' || value === 'yes') {
+            pages = true;
+        } else if (value !== 'false' && value !== '0' && value !== 'no') {
+            errors.push('pages must be true or false');
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { options: { ...result.options, pages } };
+}
+
+// Convert a PDF to an HTML fragment.
+// `options` come from parseHtmlOptions(). With `pages`, each PDF page becomes its
+// own <section>, so paragraphs running over a page break are split there.
+// Returns { html, numPages, textLength, tables, images }; each table has an id matching
+// its <table> element, its page number and its rows for CSV/JSON export. `images`
+// lists the files the HTML refers to when images are bundled rather than inlined.
+// `onProgress(fraction)` follows the pages as they are read.
+async function convertPdfToHtml(pdfBuffer, options = DEFAULT_HTML_OPTIONS, onProgress) {
+    const layout = await readPdfLayout(pdfBuffer, { images: options.images !== 'none', onProgress });
+    const lines = [].concat(...layout.pages.map(page => page.lines));
+    const textLines = lines.filter(isTextLine);
+    const images = await encodeImages(lines.filter(line => line.image).map(line => line.image), options);
+    const tables = lines.filter(line => line.table).map((line, index) => Object.assign(line.table, {
+        id: `table-${index + 1}`,
+        page: line.page
+    }));
+
+    const cellText = [].concat(...tables.map(table => [].concat(...table.rows).map(cell => cell.text)));
+    const textLength = textLines.reduce((total, line) => total + line.text.length, 0) +
+        cellText.reduce((total, text) => total + text.length, 0);
+
+    if (lines.length === 0) {
+        return { html: '<p>No text content found in the PDF.</p>', numPages: layout.numPages, textLength, tables, images };
+    }
+
+    // Heading levels come from the whole document even when pages are kept apart
+    const stats = textLines.length > 0 ? documentStats(textLines) : null;
+    const html = options.pages
+        ? layout.pages.map(page => renderPage(page, buildBlocks(page.lines, stats))).join('\n')
+        : renderBlocks(buildBlocks(lines, stats));
+    return { html, numPages: layout.numPages, textLength, tables, images };
+}
+
+module.exports = {
+    DEFAULT_HTML_OPTIONS,
+    parseHtmlOptions,
+    convertPdfToHtml
+};
@@ -0,0 +1,53 @@
+// pdf-parse ships its own build of pdf.js; reuse it when we need more than plain text
+const pdfjsLib = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// Workers need a script URL, which does not exist in Node
+pdfjsLib.PDFJS.disableWorker = true;
+// Fonts are only inspected, never drawn, and @font-face needs a DOM
+pdfjsLib.PDFJS.disableFontFace = true;
+pdfjsLib.PDFJS.verbosity = pdfjsLib.PDFJS.VERBOSITY_LEVELS.errors;
+
+// Open a PDF held in memory and return the pdf.js document proxy.
+// JPEGs are decoded by pdf.js itself because the native decoder needs a DOM.
+async function loadPdfDocument(buffer) {
+    return pdfjsLib.getDocument({
+        data: new Uint8Array(buffer),
+        nativeImageDecoderSupport: pdfjsLib.NativeImageDecoding.NONE
+    });
+}
+
+// Walk a page's operator list, calling `callback(fn, args, ctm)` for each operation.
+// `ctm` maps the operation's coordinates to top-down page coordinates.
+function forEachOperator(operatorList, viewport, callback) {
+    const stack = [];
+    let ctm = viewport.transform;
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+        const fn = operatorList.fnArray[i];
+        const args = operatorList.argsArray[i];
+
+        if (fn === pdfjsLib.OPS.save) {
+            stack.push(ctm);
+        } else if (fn === pdfjsLib.OPS.restore) {
+            ctm = stack.length > 0 ? stack.pop() : ctm;
+        } else if (fn === pdfjsLib.OPS.transform) {
+            ctm = pdfjsLib.PDFJS.Util.transform(ctm, args);
+        } else if (fn === pdfjsLib.OPS.paintFormXObjectBegin) {
+            // Form XObjects carry their own matrix and restore the state when they end
+            stack.push(ctm);
+            if (Array.isArray(args[0]) && args[0].length === 6) {
+                ctm = pdfjsLib.PDFJS.Util.transform(ctm, args[0]);
+            }
+        } else if (fn === pdfjsLib.OPS.paintFormXObjectEnd) {
+            ctm = stack.length > 0 ? stack.pop() : ctm;
+        } else {
+            callback(fn, args, ctm);
+        }
+    }
+}
+
+module.exports = {
+    pdfjsLib,
+    loadPdfDocument,
+    forEachOperator
+};
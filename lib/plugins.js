@@ -0,0 +1,164 @@
+// Converter plugins: extra formats added without touching this repo.
+//
+// A plugin is a module exporting
+//   { name, version?, conversions: [...] | ({ generatePDF }) => [...] }
+// where each conversion is registered like a built-in one (see converter.js).
+// A conversion declares its MIME types and an options schema; when it has no
+// parse() of its own, requests are validated against the schema and run() gets
+// { file, options }.
+//
+// Plugins are found in PLUGINS_DIR (default ./plugins: every .js file or folder
+// with an index.js/package.json), in the app's package.json dependencies named
+// udc-plugin-* or @scope/udc-plugin-*, and in the comma-separated UDC_PLUGINS list.
+
+const fs = require('fs');
+const path = require('path');
+
+const PLUGIN_PACKAGE_PATTERN = /^(@[^/]+\/)?udc-plugin-/;
+const OPTION_TYPES = ['string', 'number', 'integer', 'boolean', 'json'];
+
+// Helper function to read booleans that may arrive as form strings
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value).toLowerCase();
+    if (text === 'true' || text === '1' || text === 'yes') {
+        return true;
+    }
+    if (text === 'false' || text === '0' || text === 'no') {
+        return false;
+    }
+    return undefined;
+}
+
+// Check an options schema when a conversion is registered; returns a list of problems
+function checkSchema(schema) {
+    if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+        return ['options must be an object of { name: { type, description, default, ... } }'];
+    }
+    return Object.entries(schema)
+        .filter(([, spec]) => !spec || !OPTION_TYPES.includes(spec.type))
+        .map(([name]) => `option "${name}" needs a type: ${OPTION_TYPES.join(', ')}`);
+}
+
+// Validate request fields against an options schema.
+// Each entry is { type, description, default, required, enum, min, max }; fields not in
+// the schema are ignored. Returns { options } or { errors } describing every invalid field.
+function parseSchemaOptions(schema, fields = {}) {
+    const errors = [];
+    const options = {};
+
+    for (const [name, spec] of Object.entries(schema)) {
+        const raw = fields[name];
+        if (raw === undefined || raw === '') {
+            if (spec.required) {
+                errors.push(`${name} is required`);
+            } else if (spec.default !== undefined) {
+                options[name] = spec.default;
+            }
+            continue;
+        }
+
+        let value = raw;
+        if (spec.type === 'number' || spec.type === 'integer') {
+            value = Number(raw);
+            if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                errors.push(`${name} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}`);
+                continue;
+            }
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                errors.push(`${name} must be between ${spec.min !== undefined ? spec.min : '-∞'} and ${spec.max !== undefined ? spec.max : '∞'}`);
+                continue;
+            }
+        } else if (spec.type === 'boolean') {
+            value = parseBoolean(raw);
+            if (value === undefined) {
+                errors.push(`${name} must be true or false`);
+                continue;
+            }
+        } else if (spec.type === 'json') {
+            if (typeof raw === 'string') {
+                try {
+                    value = JSON.parse(raw);
+                } catch (error) {
+                    errors.push(`${name} must be valid JSON`);
+                    continue;
+                }
+            }
+        } else {
+            value = String(raw);
+        }
+
+        if (spec.enum && !spec.enum.includes(value)) {
+            errors.push(`${name} must be one of: ${spec.enum.join(', ')}`);
+            continue;
+        }
+        options[name] = value;
+    }
+
+    return errors.length > 0 ? { errors } : { options };
+}
+
+// List where plugins can be loaded from: absolute paths for the plugin directory,
+// package names for npm plugins
+function discoverPlugins(options = {}) {
+    const root = options.root || process.cwd();
+    const dir = options.dir || process.env.PLUGINS_DIR || path.join(root, 'plugins');
+    const sources = [];
+
+    if (fs.existsSync(dir)) {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            if (entry.name.startsWith('.') || entry.name.startsWith('_')) {
+                continue;
+            }
+            if ((entry.isFile() && entry.name.endsWith('.js')) || entry.isDirectory()) {
+                sources.push(path.resolve(dir, entry.name));
+            }
+        }
+    }
+
+    const packages = new Set(options.packages || (process.env.UDC_PLUGINS || '').split(',').map(name => name.trim()).filter(Boolean));
+    try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf-8'));
+        const dependencies = { ...manifest.dependencies, ...manifest.optionalDependencies };
+        Object.keys(dependencies).filter(name => PLUGIN_PACKAGE_PATTERN.test(name)).forEach(name => packages.add(name));
+    } catch (error) {
+        // No package.json next to the app; only the plugin directory and UDC_PLUGINS count
+    }
+    for (const name of packages) {
+        sources.push(name);
+    }
+
+    return sources;
+}
+
+// Load every discovered plugin into `converter`.
+// A plugin that fails to load is skipped, so one bad plugin doesn't stop the app; the
+// caller reports the errors.
+// Returns { loaded: [name], errors: [{ source, error }] }.
+function loadPlugins(converter, options = {}) {
+    const root = options.root || process.cwd();
+    const loaded = [];
+    const errors = [];
+
+    for (const source of discoverPlugins(options)) {
+        try {
+            const resolved = path.isAbsolute(source) ? require.resolve(source) : require.resolve(source, { paths: [root] });
+            const plugin = require(resolved);
+            converter.use({ ...plugin, source });
+            loaded.push(plugin.name);
+        } catch (error) {
+            errors.push({ source, error: error.message });
+        }
+    }
+
+    return { loaded, errors };
+}
+
+module.exports = {
+    checkSchema,
+    parseSchemaOptions,
+    discoverPlugins,
+    loadPlugins
+};
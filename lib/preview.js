@@ -0,0 +1,165 @@
+// Thumbnails of the first page of an uploaded HTML, Markdown, PDF or image file.
+// Documents become a PDF (HTML and Markdown through the app's Puppeteer path),
+// the first page is rendered with pdf2pic and everything is scaled with sharp.
+
+const path = require('path');
+const { parsePdfOptions } = require('./pdf-options');
+const { createMarkdownTemplate } = require('./convert-md');
+const { rasterizePdf } = require('./pdf-raster');
+const { IMAGE_FORMATS, normalizeFormat, processImage } = require('./image-pipeline');
+const { sniffFormat } = require('./converter');
+const { setDetectionHeaders } = require('./sniff');
+const { parseTheme, applyTheme } = require('./themes');
+const { parseFrontMatter } = require('./front-matter');
+const { parseHighlightOptions } = require('./highlight');
+const { renderMarkdown } = require('./markdown');
+
+const DEFAULT_PREVIEW_OPTIONS = {
+    width: 320,
+    format: 'png',
+    quality: 80
+};
+
+const MAX_PREVIEW_SIZE = 2000;
+
+// Validate preview options.
+// Returns { options } or { errors } describing every invalid field.
+function parsePreviewOptions(input = {}) {
+    const errors = [];
+    const options = { ...DEFAULT_PREVIEW_OPTIONS };
+
+    for (const name of ['width', 'height']) {
+        if (input[name] !== undefined && input[name] !== '') {
+            const size = Number(input[name]);
+            if (Number.isInteger(size) && size >= 16 && size <= MAX_PREVIEW_SIZE) {
+                options[name] = size;
+            } else {
+                errors.push(`${name} must be a whole number of pixels between 16 and ${MAX_PREVIEW_SIZE}`);
+            }
+        }
+    }
+    // A height on its own sets the size, rather than fitting inside the default width
+    if (input.height !== undefined && input.height !== '' && (input.width === undefined || input.width === '')) {
+        delete options.width;
+    }
+
+    if (input.format !== undefined && input.format !== '') {
+        const format = normalizeFormat(input.format);
+        if (format) {
+            options.format = format;
+        } else {
+            errors.push('format must be png, jpeg or webp');
+        }
+    }
+
+    if (input.quality !== undefined && input.quality !== '') {
+        const quality = Number(input.quality);
+        if (Number.isInteger(quality) && quality >= 1 && quality <= 100) {
+            options.quality = quality;
+        } else {
+            errors.push('quality must be a whole number between 1 and 100');
+        }
+    }
+
+    // Markdown is shown in the theme; HTML only when one is asked for
+    const { theme, error } = parseTheme(input.theme);
+    if (error) {
+        errors.push(error);
+    } else if (theme) {
+        options.theme = theme;
+    }
+
+    return errors.length > 0 ? { errors } : { options };
+}
+
+// Helper function to pick a rendering DPI that gives at least the thumbnail size
+// for a letter/A4-sized page (about 8 by 11 inches)
+function previewDpi({ width, height }) {
+    const dpi = Math.max(width ? width / 8 : 0, height ? height / 11 : 0);
+    return Math.min(600, Math.max(72, Math.ceil(dpi)));
+}
+
+// Render the thumbnail for an uploaded file of the given kind
+async function renderPreview(file, kind, options, generatePDF, renderMermaid) {
+    const resize = {
+        width: options.width,
+        height: options.height,
+        quality: options.quality,
+        format: options.format
+    };
+
+    if (kind === 'image') {
+        return processImage(file.buffer, resize);
+    }
+
+    let pdfBuffer = file.buffer;
+    if (kind !== 'pdf') {
+        const text = file.buffer.toString('utf-8');
+        let html = text;
+        if (kind === 'markdown') {
+            // Front matter isn't part of the page; its theme is used unless another was asked for
+            const parsed = parseFrontMatter(text);
+            const markdown = parsed.error ? text : parsed.body;
+            const theme = options.theme || (parsed.frontMatter && parsed.frontMatter.theme);
+            const { options: highlight } = parseHighlightOptions({}, parsed.frontMatter && parsed.frontMatter.highlight);
+            html = createMarkdownTemplate(await renderMarkdown(markdown, { highlight, renderMermaid }), { title: 'Preview', theme, highlight });
+        } else if (options.theme) {
+            html = applyTheme(text, options.theme);
+        }
+        // Only the first page is shown
+        const { options: pdfOptions } = parsePdfOptions({ pageRanges: '1' });
+        pdfBuffer = await generatePDF(html, 'preview.pdf', pdfOptions);
+    }
+
+    const { images } = await rasterizePdf(pdfBuffer, { pages: '1', dpi: previewDpi(options), ...resize });
+    return images[0].data;
+}
+
+// Build the POST /preview handler.
+// `generatePDF(html, filename, pdfOptions)` and `renderMermaid(sources)` are supplied
+// by the app so previews share its browser pool.
+function createPreviewHandler(generatePDF, renderMermaid) {
+    return async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            // The content decides, so misnamed files still get the right preview
+            const detected = sniffFormat(req.file);
+            const kind = detected.format;
+            if (!['html', 'markdown', 'pdf', 'image'].includes(kind)) {
+                return res.status(400).json({ error: 'Unsupported file type. Upload HTML, Markdown, PDF or an image.', detected });
+            }
+
+            const { options, errors } = parsePreviewOptions({ ...req.query, ...req.body });
+            if (errors) {
+                return res.status(400).json({ error: 'Invalid preview options: ' + errors.join('; '), details: errors });
+            }
+
+            const preview = await renderPreview(req.file, kind, options, generatePDF, renderMermaid);
+            const { mimeType, extension } = IMAGE_FORMATS[options.format];
+            const filename = `${path.parse(req.file.originalname || 'document').name}-preview.${extension}`;
+
+            setDetectionHeaders(res, detected);
+            res.setHeader('Content-Type', mimeType);
+            res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+            res.setHeader('Content-Length', preview.length);
+
+            res.end(preview);
+
+        } catch (error) {
+            console.error('Preview error:', error);
+            if (error.statusCode === 503) {
+                res.setHeader('Retry-After', '5');
+            }
+            res.status(error.statusCode || 500).json({ error: 'Failed to create preview: ' + error.message });
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PREVIEW_OPTIONS,
+    parsePreviewOptions,
+    createPreviewHandler
+};
@@ -0,0 +1,165 @@
+// Content sniffing for uploads: what a file is from its bytes rather than its name.
+// Binary formats (PDF, Word, images) are recognised by their signatures; text is
+// told apart as HTML or Markdown from its markup, and is plain "text" when it has
+// neither. A detection is
+//   { format, mimeType, confidence, source }
+// where `format` is the converter's name for it (null for binary files nothing converts
+// from; no built-in conversion takes "text"), `confidence` runs from 0 to 1 and
+// `source` is "signature", "content" or "extension".
+
+// Only the start of a file is looked at
+const SNIFF_BYTES = 64 * 1024;
+
+// Formats whose files always start with a signature, so a file without one isn't one of them
+const SIGNED_FORMATS = ['pdf', 'docx', 'image'];
+
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    html: 'text/html',
+    markdown: 'text/markdown',
+    text: 'text/plain'
+};
+
+// Image signatures: bytes at the start of the file
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] },
+    { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] }
+];
+
+const HTML_DOCUMENT_PATTERN = /^\s*(<!--[\s\S]*?-->\s*)*(<!doctype html|<html[\s>])/i;
+const SVG_PATTERN = /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i;
+const HTML_TAG_PATTERN = /<\/?(html|head|body|div|p|span|h[1-6]|table|thead|tbody|tr|td|th|ul|ol|li|a|img|br|hr|section|article|header|footer|nav|main|strong|em|b|i|pre|code|blockquote|style|script|meta|link|title|form|input|button)\b[^>]*>/gi;
+const MARKDOWN_LINE_PATTERNS = [
+    /^#{1,6}\s+\S/,                 // headings
+    /^\s*[-*+]\s+\S/,               // bullet lists
+    /^\s*\d+[.)]\s+\S/,             // numbered lists
+    /^>\s?/,                        // quotes
+    /^(```|~~~)/,                   // code fences
+    /^\s*\|?.*\|\s*:?-{3,}:?\s*\|/, // table rules
+    /^(-{3,}|\*{3,}|_{3,})\s*$/,    // horizontal rules
+    /^=+\s*$/                       // underlined headings
+];
+const MARKDOWN_INLINE_PATTERN = /\[[^\]\n]+\]\([^)\n]+\)|\*\*[^*\n]+\*\*|`[^`\n]+`/g;
+
+// Helper function to check for bytes at a position
+function hasBytes(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+// Helper function to build a detection with its confidence rounded for reporting
+function detection(format, mimeType, confidence, source) {
+    return { format, mimeType, confidence: Math.round(confidence * 100) / 100, source };
+}
+
+// Helper function to recognise a binary format by its signature; null if there is none
+function sniffSignature(buffer) {
+    // PDF readers accept a little junk before the header, so look a bit further in
+    const pdfHeader = buffer.subarray(0, 1024).indexOf('%PDF-');
+    if (pdfHeader !== -1) {
+        return detection('pdf', MIME_TYPES.pdf, pdfHeader === 0 ? 1 : 0.9, 'signature');
+    }
+
+    // Word documents are ZIPs whose entries live under word/
+    if (hasBytes(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+        const names = buffer.subarray(0, SNIFF_BYTES).toString('latin1');
+        if (names.includes('word/document.xml')) {
+            return detection('docx', MIME_TYPES.docx, 0.98, 'signature');
+        }
+        if (names.includes('word/')) {
+            return detection('docx', MIME_TYPES.docx, 0.8, 'signature');
+        }
+        return detection(null, 'application/zip', 0.9, 'signature');
+    }
+
+    const image = IMAGE_SIGNATURES.find(signature => hasBytes(buffer, signature.bytes));
+    if (image) {
+        return detection('image', image.mimeType, 1, 'signature');
+    }
+    // RIFF....WEBP and ....ftypavif
+    if (hasBytes(buffer, [0x52, 0x49, 0x46, 0x46]) && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return detection('image', 'image/webp', 1, 'signature');
+    }
+    if (buffer.toString('latin1', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(buffer.toString('latin1', 8, 12))) {
+        return detection('image', 'image/avif', 1, 'signature');
+    }
+    return null;
+}
+
+// Helper function to tell HTML from Markdown by their markup
+function sniffText(text, hint) {
+    if (SVG_PATTERN.test(text)) {
+        return detection('image', 'image/svg+xml', 0.95, 'signature');
+    }
+    if (HTML_DOCUMENT_PATTERN.test(text)) {
+        return detection('html', MIME_TYPES.html, 0.98, 'content');
+    }
+    // Named as some other kind of text (data.csv, app.py, config.yml): a comment line
+    // starting with "#" or a "- " in YAML doesn't make it Markdown
+    if (hint === 'text') {
+        return detection('text', MIME_TYPES.text, 0.7, 'extension');
+    }
+
+    const tags = (text.match(HTML_TAG_PATTERN) || []).length;
+    const lines = text.split(/\r?\n/);
+    const markdown = lines.filter(line => MARKDOWN_LINE_PATTERNS.some(pattern => pattern.test(line))).length
+        + (text.match(MARKDOWN_INLINE_PATTERN) || []).length;
+
+    // Markdown may contain some HTML, so HTML needs clearly more tags than Markdown markup
+    let sniffed;
+    if (tags >= 2 && tags > markdown * 2) {
+        sniffed = detection('html', MIME_TYPES.html, Math.min(0.9, 0.5 + tags / 20), 'content');
+    } else if (markdown > 0) {
+        sniffed = detection('markdown', MIME_TYPES.markdown, Math.min(0.9, 0.5 + markdown / 10), 'content');
+    } else if (hint === 'html' || hint === 'markdown') {
+        // Plain text reads the same either way; the name decides
+        return detection(hint, MIME_TYPES[hint], 0.4, 'extension');
+    } else {
+        // No markup at all: CSV, JSON, logs and the like aren't documents to convert
+        return detection('text', MIME_TYPES.text, 0.5, 'content');
+    }
+
+    // A name that agrees makes it more certain
+    if (hint === sniffed.format) {
+        sniffed.confidence = Math.min(0.99, sniffed.confidence + 0.1);
+    }
+    return sniffed;
+}
+
+// Work out what `buffer` contains. `hint` is the format its name or declared MIME
+// type suggests (or null), or "text" for a name no format uses; it only decides
+// between text formats when the markup doesn't.
+function sniffContent(buffer, hint = null) {
+    if (!buffer || buffer.length === 0) {
+        return hint ? detection(hint, MIME_TYPES[hint] || 'application/octet-stream', 0.2, 'extension') : detection(null, 'application/octet-stream', 0, 'extension');
+    }
+
+    const signed = sniffSignature(buffer);
+    if (signed) {
+        return signed;
+    }
+
+    // Text has no NUL bytes; anything else without a known signature can't be converted
+    const head = buffer.subarray(0, SNIFF_BYTES);
+    if (head.subarray(0, 8192).includes(0)) {
+        return detection(null, 'application/octet-stream', 0.8, 'content');
+    }
+    return sniffText(head.toString('utf-8').replace(/^\uFEFF/, ''), hint);
+}
+
+// Helper function to report a detection in the response headers
+function setDetectionHeaders(res, detected) {
+    res.setHeader('X-Detected-Type', detected.mimeType);
+    res.setHeader('X-Detected-Format', detected.format || 'unknown');
+    res.setHeader('X-Detected-Confidence', String(detected.confidence));
+}
+
+module.exports = {
+    SIGNED_FORMATS,
+    sniffContent,
+    setDetectionHeaders
+};
@@ -0,0 +1,132 @@
+// Themes: how converted documents look, picked by name instead of each route
+// carrying its own copy of the styles.
+//
+// A theme is a folder holding theme.css and, optionally, layout.html (themes
+// without one use the default theme's layout). Layouts are HTML pages with
+//   {{title}}    the document title (escaped)
+//   {{styles}}   the theme's CSS
+//   {{head}}     extra <head> content from the conversion (e.g. its own styles)
+//   {{content}}  the converted HTML
+// Built-in themes live in lib/themes; custom ones in THEMES_DIR (default
+// ./themes), where a folder with the same name as a built-in one replaces it.
+// Files are read on every use, so edits show up without a restart.
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./toc');
+
+const DEFAULT_THEME = 'default';
+const DEFAULT_TITLE = 'Converted Document';
+
+const BUILT_IN_DIR = path.join(__dirname, 'themes');
+const THEME_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const PLACEHOLDER_PATTERN = /\{\{(title|styles|head|content)\}\}/g;
+
+// Helper function to get the custom themes directory
+function customDir() {
+    return process.env.THEMES_DIR || path.join(process.cwd(), 'themes');
+}
+
+// Helper function to find a theme's folder: custom themes first, then built-in ones
+function themeDir(name) {
+    if (!THEME_NAME_PATTERN.test(name)) {
+        return null;
+    }
+    for (const dir of [customDir(), BUILT_IN_DIR]) {
+        if (fs.existsSync(path.join(dir, name, 'theme.css'))) {
+            return path.join(dir, name);
+        }
+    }
+    return null;
+}
+
+// Helper function to list the theme names in a directory
+function themeNames(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && THEME_NAME_PATTERN.test(entry.name) && fs.existsSync(path.join(dir, entry.name, 'theme.css')))
+        .map(entry => entry.name);
+}
+
+// Every available theme as [{ name, source }], where source is "built-in" or "custom"
+function listThemes() {
+    const themes = new Map();
+    for (const name of themeNames(BUILT_IN_DIR)) {
+        themes.set(name, { name, source: 'built-in' });
+    }
+    for (const name of themeNames(customDir())) {
+        themes.set(name, { name, source: 'custom' });
+    }
+    return [...themes.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Load a theme's CSS and layout; null if there is no such theme
+function loadTheme(name) {
+    const dir = themeDir(name);
+    if (!dir) {
+        return null;
+    }
+    const layoutFile = fs.existsSync(path.join(dir, 'layout.html'))
+        ? path.join(dir, 'layout.html')
+        : path.join(themeDir(DEFAULT_THEME), 'layout.html');
+    return {
+        name,
+        css: fs.readFileSync(path.join(dir, 'theme.css'), 'utf-8'),
+        layout: fs.readFileSync(layoutFile, 'utf-8')
+    };
+}
+
+// Helper function to load a theme or fail with a 400
+function requireTheme(name) {
+    const theme = loadTheme(name);
+    if (!theme) {
+        const error = new Error(`Unknown theme "${name}". Use one of: ${listThemes().map(item => item.name).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return theme;
+}
+
+// Validate a theme request field.
+// Returns { theme } (null when none was asked for) or { error } for a 400 response.
+function parseTheme(value) {
+    if (value === undefined || value === null || value === '') {
+        return { theme: null };
+    }
+    const name = String(value).trim();
+    if (!themeDir(name)) {
+        return { error: `Unknown theme "${name}". Use one of: ${listThemes().map(item => item.name).join(', ')}` };
+    }
+    return { theme: name };
+}
+
+// Wrap converted HTML in a theme's layout
+function renderTheme(name, { content = '', title = DEFAULT_TITLE, head = '' } = {}) {
+    const theme = requireTheme(name || DEFAULT_THEME);
+    const values = { title: escapeHtml(title), styles: theme.css, head, content };
+    // One pass, so placeholders inside the content are left alone
+    return theme.layout.replace(PLACEHOLDER_PATTERN, (match, key) => values[key]);
+}
+
+// Add a theme's CSS to a complete HTML document, after its own styles so the theme wins
+function applyTheme(html, name) {
+    const style = `<style>\n${requireTheme(name || DEFAULT_THEME).css}\n</style>\n`;
+    if (/<\/head>/i.test(html)) {
+        return html.replace(/<\/head>/i, match => style + match);
+    }
+    if (/<body[\s>]/i.test(html)) {
+        return html.replace(/<body[\s>]/i, match => `<head>\n${style}</head>\n` + match);
+    }
+    return style + html;
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    listThemes,
+    loadTheme,
+    parseTheme,
+    renderTheme,
+    applyTheme
+};
@@ -0,0 +1,259 @@
+// Table of contents generation for HTML/Markdown documents
+
+const DEFAULT_TOC_OPTIONS = {
+    depth: 3,
+    title: 'Contents'
+};
+
+const HEADING_PATTERN = /<h([1-6])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi;
+const ID_PATTERN = /\sid\s*=\s*["']([^"']+)["']/gi;
+
+const TOC_STYLES = `
+    .toc { margin: 1em 0 2em; page-break-after: always; }
+    .toc-title { font-size: 1.5em; font-weight: bold; margin-bottom: 0.5em; }
+    .toc ol { list-style: none; margin: 0; padding-left: 1.5em; }
+    .toc > ol { padding-left: 0; }
+    .toc li { margin: 0.3em 0; }
+    .toc a { display: flex; color: inherit; text-decoration: none; }
+    .toc .toc-text { flex: 1; }
+    .toc .toc-page { min-width: 2.5em; text-align: right; }
+    .toc.toc-with-pages .toc-text { border-bottom: 1px dotted #bbb; margin-right: 0.5em; }
+    @media screen { .toc { page-break-after: auto; } }
+`;
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, function(m) { return map[m]; });
+}
+
+// Helper function to get the visible text of a heading's inner HTML
+function headingText(innerHtml) {
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#039;': "'", '&nbsp;': ' ' };
+    return innerHtml
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|quot|nbsp|#39|#039);/g, entity => entities[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Turn heading text into a GitHub-style anchor ("Getting Started!" -> "getting-started")
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/\s+/g, '-') || 'section';
+}
+
+// Validate the `toc` option: true, false, or { depth, title }
+function parseTocOptions(value, errors) {
+    if (value === false || value === 'false' || value === undefined || value === null) {
+        return undefined;
+    }
+    if (value === true || value === 'true') {
+        return { ...DEFAULT_TOC_OPTIONS };
+    }
+    if (typeof value !== 'object') {
+        errors.push('toc must be true, false or an object like { "depth": 3 }');
+        return undefined;
+    }
+
+    const toc = { ...DEFAULT_TOC_OPTIONS };
+    if (value.depth !== undefined) {
+        const depth = Number(value.depth);
+        if (Number.isInteger(depth) && depth >= 1 && depth <= 6) {
+            toc.depth = depth;
+        } else {
+            errors.push('toc.depth must be a whole number from 1 to 6');
+        }
+    }
+    if (value.title !== undefined) {
+        toc.title = String(value.title);
+    }
+    return toc;
+}
+
+// Give every heading an id (keeping existing ones) and collect the heading tree
+function addHeadingIds(html) {
+    const usedIds = new Map();
+    // Ids the author set, anywhere in the document, are taken before any are made up
+    const takenIds = new Set(Array.from(html.matchAll(ID_PATTERN), match => match[1]));
+    const headings = [];
+
+    const withIds = html.replace(HEADING_PATTERN, (match, level, attrs = '', inner) => {
+        const text = headingText(inner);
+        const existingId = attrs.match(/\sid\s*=\s*["']([^"']+)["']/i);
+        let id;
+
+        if (existingId) {
+            id = existingId[1];
+        } else {
+            const slug = slugify(text);
+            let count = usedIds.get(slug) || 0;
+            id = count === 0 ? slug : `${slug}-${count}`;
+            while (takenIds.has(id)) {
+                count += 1;
+                id = `${slug}-${count}`;
+            }
+            usedIds.set(slug, count + 1);
+            takenIds.add(id);
+        }
+
+        headings.push({ level: Number(level), text, id });
+        return existingId ? match : `<h${level}${attrs} id="${id}">${inner}</h${level}>`;
+    });
+
+    return { html: withIds, headings };
+}
+
+// Helper function to render flat headings as nested ordered lists
+function renderTocList(entries) {
+    let html = '';
+    const stack = [];
+
+    for (const entry of entries) {
+        if (stack.length === 0 || entry.level > stack[stack.length - 1]) {
+            html += '<ol>';
+            stack.push(entry.level);
+        } else {
+            html += '</li>';
+            while (stack.length > 1 && entry.level < stack[stack.length - 1]) {
+                stack.pop();
+                html += '</ol>';
+                // Skipped a level on the way back up (h1, h3, h2): nest under the open item
+                if (entry.level > stack[stack.length - 1]) {
+                    html += '<ol>';
+                    stack.push(entry.level);
+                    break;
+                }
+                html += '</li>';
+            }
+        }
+
+        html += `<li><a href="#${escapeHtml(entry.id)}"><span class="toc-text">${escapeHtml(entry.text)}</span>` +
+            `<span class="toc-page" data-toc-target="${escapeHtml(entry.id)}"></span></a>`;
+    }
+
+    if (stack.length > 0) {
+        html += '</li>';
+        while (stack.length > 1) {
+            html += '</ol></li>';
+            stack.pop();
+        }
+        html += '</ol>';
+    }
+    return html;
+}
+
+// Insert a table of contents into an HTML fragment.
+// When the document opens with an <h1> title the TOC goes right after it.
+function insertToc(html, tocOptions = DEFAULT_TOC_OPTIONS, { withPageNumbers = false } = {}) {
+    const { html: withIds, headings } = addHeadingIds(html);
+
+    const leadingTitle = /^\s*<h1[\s>]/i.test(withIds);
+    const entries = headings
+        .slice(leadingTitle ? 1 : 0)
+        .filter(heading => heading.level <= tocOptions.depth);
+
+    if (entries.length === 0) {
+        return withIds;
+    }
+
+    // The title is a div, not a heading, so it stays out of the PDF outline
+    const toc = `<nav class="toc${withPageNumbers ? ' toc-with-pages' : ''}">
+<style>${TOC_STYLES}</style>
+<div class="toc-title">${escapeHtml(tocOptions.title)}</div>
+${renderTocList(entries)}
+</nav>`;
+
+    if (!leadingTitle) {
+        return toc + withIds;
+    }
+    const titleEnd = withIds.search(/<\/h1>/i) + '</h1>'.length;
+    return withIds.slice(0, titleEnd) + toc + withIds.slice(titleEnd);
+}
+
+// Work out which PDF page each heading id landed on.
+// Chrome writes a named destination for every internal link target, which gives
+// exact pages; headings without one fall back to searching the page text.
+async function findHeadingPages(pdfBuffer, targets) {
+    // Loaded here so modules that only need the HTML helpers (themes, front matter)
+    // don't pull in pdf.js, which the simple server doesn't ship
+    const { loadPdfDocument } = require('./pdfjs');
+    const doc = await loadPdfDocument(pdfBuffer);
+    const pages = {};
+
+    try {
+        const destinations = (await doc.getDestinations()) || {};
+        for (const target of targets) {
+            const destination = destinations[target.id];
+            if (destination && typeof destination[0] === 'object') {
+                pages[target.id] = (await doc.getPageIndex(destination[0])) + 1;
+            }
+        }
+
+        const missing = targets.filter(target => !pages[target.id]);
+        if (missing.length > 0) {
+            const pageTexts = [];
+            for (let i = 1; i <= doc.numPages; i++) {
+                const page = await doc.getPage(i);
+                const content = await page.getTextContent();
+                pageTexts.push(content.items.map(item => item.str).join(' ').replace(/\s+/g, ' '));
+            }
+
+            // The first page mentioning a heading is the TOC entry itself; the next is the heading
+            for (const target of missing) {
+                const matches = pageTexts
+                    .map((text, index) => (text.includes(target.text) ? index : -1))
+                    .filter(index => index !== -1);
+                if (matches.length > 1) {
+                    pages[target.id] = matches[1] + 1;
+                }
+            }
+        }
+    } finally {
+        doc.destroy();
+    }
+
+    return pages;
+}
+
+// Two-pass render: print once to learn where headings fall, then write the
+// page numbers into the TOC already loaded in `page`
+async function fillTocPageNumbers(page, pdfOptions) {
+    const targets = await page.$$eval('.toc [data-toc-target]', elements => elements.map(element => ({
+        id: element.getAttribute('data-toc-target'),
+        text: element.previousElementSibling ? element.previousElementSibling.textContent : ''
+    })));
+    if (targets.length === 0) {
+        return;
+    }
+
+    const firstPass = await page.pdf(pdfOptions);
+    const pages = await findHeadingPages(firstPass, targets);
+
+    await page.evaluate((pageNumbers) => {
+        for (const element of document.querySelectorAll('.toc [data-toc-target]')) {
+            const pageNumber = pageNumbers[element.getAttribute('data-toc-target')];
+            element.textContent = pageNumber ? String(pageNumber) : '';
+        }
+    }, pages);
+}
+
+module.exports = {
+    DEFAULT_TOC_OPTIONS,
+    escapeHtml,
+    slugify,
+    parseTocOptions,
+    addHeadingIds,
+    insertToc,
+    findHeadingPages,
+    fillTocPageNumbers
+};
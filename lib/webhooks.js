@@ -0,0 +1,325 @@
+// Signed webhook callbacks.
+//
+// Each delivery is a JSON POST. The body is signed with HMAC-SHA256 using the
+// shared secret, over "<timestamp>.<body>", and sent as
+//   X-Webhook-Signature: sha256=<hex>
+//   X-Webhook-Timestamp: <unix seconds>
+// Receivers should recompute the signature and reject old timestamps.
+//
+// Callbacks only go to public addresses: a host that resolves to a loopback,
+// private, link-local or otherwise internal address is refused when the URL is
+// given and again when each delivery connects, so a name that changes what it
+// resolves to can't be used to reach the server's own network. Hosts listed in
+// WEBHOOK_ALLOWED_HOSTS (e.g. "hooks.example.com,*.internal.example") are the
+// only ones accepted when it is set, and may be on any address.
+
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const EVENT_HEADER = 'X-Webhook-Event';
+const DELIVERY_HEADER = 'X-Webhook-Delivery';
+
+// Receivers answering with these are asked again later; any other 4xx is final
+const RETRY_STATUS_CODES = [408, 425, 429];
+
+// Addresses callbacks may not go to (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],       // "this" network
+    ['10.0.0.0', 8, 'ipv4'],      // private
+    ['100.64.0.0', 10, 'ipv4'],   // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],     // loopback
+    ['169.254.0.0', 16, 'ipv4'],  // link-local, including cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'],   // private
+    ['192.0.0.0', 24, 'ipv4'],    // protocol assignments
+    ['192.168.0.0', 16, 'ipv4'],  // private
+    ['198.18.0.0', 15, 'ipv4'],   // benchmarking
+    ['224.0.0.0', 3, 'ipv4'],     // multicast, reserved and broadcast
+    ['::', 128, 'ipv6'],          // unspecified
+    ['::1', 128, 'ipv6'],         // loopback
+    ['fc00::', 7, 'ipv6'],        // unique local
+    ['fe80::', 10, 'ipv6'],       // link-local
+    ['ff00::', 8, 'ipv6']         // multicast
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Helper function to read a comma-separated list of host names
+function envHosts(name) {
+    return (process.env[name] || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Helper function to build an error for a callback that may not be delivered
+function refusedError(message) {
+    const error = new Error(message);
+    error.code = 'CALLBACK_REFUSED';
+    return error;
+}
+
+// True if `address` is loopback, private, link-local or otherwise not on the public internet
+function isPrivateAddress(address) {
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return BLOCKED_ADDRESSES.check(address, type);
+}
+
+// Helper function to check a host name against an allowlist; "*.example.com" covers its subdomains
+function isAllowedHost(hostname, allowedHosts) {
+    return allowedHosts.some(entry => (
+        entry.startsWith('*.') ? hostname.endsWith(entry.slice(1)) : hostname === entry
+    ));
+}
+
+// Resolve the host of a callback URL to the address to connect to, as { address, family }.
+// Throws an error with code CALLBACK_REFUSED when the host may not be called back,
+// and the DNS error when it can't be resolved.
+async function resolveCallbackHost(url, allowedHosts) {
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const allowed = allowedHosts.length > 0 && isAllowedHost(hostname, allowedHosts);
+    if (allowedHosts.length > 0 && !allowed) {
+        throw refusedError(`${hostname} is not in WEBHOOK_ALLOWED_HOSTS`);
+    }
+
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    // Every address is checked, since the connection could use any of them
+    const blocked = allowed ? null : addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+        const target = net.isIP(hostname) ? hostname : `${hostname} (${blocked.address})`;
+        throw refusedError(`${target} is a private or local address`);
+    }
+    return addresses[0];
+}
+
+// Sign a webhook body sent at `timestamp` (unix seconds)
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return 'sha256=' + digest;
+}
+
+// Check a received webhook: the signature must match and the timestamp must be
+// within `tolerance` seconds of now. Meant for receivers (see webhook-receiver.js).
+function verifySignature(secret, timestamp, body, signature, tolerance = 300) {
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > tolerance || typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Validate a callback URL given with a request, resolving its host to check where it points.
+// `allowedHosts` defaults to WEBHOOK_ALLOWED_HOSTS. Resolves to { url } or { error }.
+async function parseCallbackUrl(value, { allowedHosts = envHosts('WEBHOOK_ALLOWED_HOSTS') } = {}) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch (error) {
+        return { error: 'callbackUrl must be an absolute http(s) URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: 'callbackUrl must be an absolute http(s) URL' };
+    }
+    if (url.username || url.password) {
+        return { error: 'callbackUrl must not contain credentials' };
+    }
+    try {
+        await resolveCallbackHost(url, allowedHosts);
+    } catch (error) {
+        return { error: error.code === 'CALLBACK_REFUSED' ? `callbackUrl is not allowed: ${error.message}` : `callbackUrl host could not be resolved (${error.code || error.message})` };
+    }
+    return { url: url.toString() };
+}
+
+// Create a webhook sender.
+//
+// send() returns straight away and delivers in the background. A delivery that
+// fails (network error, timeout, 5xx, 408/425/429) is retried after
+// `retryDelay` ms, doubling each time, up to `maxAttempts`. Every attempt is
+// recorded in a delivery log of the last `logSize` entries, and appended as a
+// JSON line to `logFile` when one is set. Each attempt resolves the host again and
+// connects to the address it checked; a refused address is not retried.
+function createWebhookSender(options = {}) {
+    const config = {
+        secret: options.secret || process.env.WEBHOOK_SECRET || '',
+        allowedHosts: options.allowedHosts || envHosts('WEBHOOK_ALLOWED_HOSTS'),
+        maxAttempts: options.maxAttempts || envInt('WEBHOOK_MAX_ATTEMPTS', 5),
+        retryDelay: options.retryDelay || envInt('WEBHOOK_RETRY_DELAY', 5000),
+        timeout: options.timeout || envInt('WEBHOOK_TIMEOUT', 10000),
+        logSize: options.logSize || envInt('WEBHOOK_LOG_SIZE', 1000),
+        logFile: options.logFile || null
+    };
+
+    const log = [];
+    const timers = new Set();
+    let closed = false;
+    const counters = { sent: 0, delivered: 0, failed: 0, retried: 0 };
+
+    function record(entry) {
+        log.push(entry);
+        if (log.length > config.logSize) {
+            log.shift();
+        }
+        if (config.logFile) {
+            fs.appendFile(config.logFile, JSON.stringify(entry) + '\n', (error) => {
+                if (error) {
+                    console.error('Could not write webhook log:', error.message);
+                }
+            });
+        }
+    }
+
+    // Helper function to POST a delivery to `address`, resolving to the status code.
+    // Redirects are not followed.
+    function request(url, address, headers, body) {
+        return new Promise((resolve, reject) => {
+            const client = url.protocol === 'https:' ? https : http;
+            const req = client.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                // Connect to the address that was checked, whatever the name resolves to by now
+                lookup: (hostname, lookupOptions, callback) => (
+                    lookupOptions.all ? callback(null, [address]) : callback(null, address.address, address.family)
+                ),
+                signal: AbortSignal.timeout(config.timeout)
+            }, (response) => {
+                // The body is not used, but reading it lets the connection be reused
+                response.resume();
+                response.on('end', () => resolve(response.statusCode));
+                response.on('error', reject);
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    // Make one attempt; resolves to { ok, retry, statusCode, error }
+    async function post(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            const url = new URL(delivery.url);
+            const address = await resolveCallbackHost(url, config.allowedHosts);
+            const status = await request(url, address, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'universal-document-converter-webhooks',
+                [EVENT_HEADER]: delivery.event,
+                [DELIVERY_HEADER]: delivery.id,
+                [TIMESTAMP_HEADER]: String(timestamp),
+                [SIGNATURE_HEADER]: signPayload(config.secret, timestamp, delivery.body)
+            }, delivery.body);
+
+            if (status >= 200 && status < 300) {
+                return { ok: true, statusCode: status };
+            }
+            return {
+                ok: false,
+                retry: status >= 500 || RETRY_STATUS_CODES.includes(status),
+                statusCode: status,
+                error: `Receiver answered ${status}`
+            };
+        } catch (error) {
+            if (error.code === 'CALLBACK_REFUSED') {
+                return { ok: false, retry: false, statusCode: null, error: error.message };
+            }
+            const message = error.name === 'AbortError' ? `No answer within ${config.timeout}ms` : error.message;
+            return { ok: false, retry: true, statusCode: null, error: message };
+        }
+    }
+
+    async function attempt(delivery) {
+        delivery.attempts++;
+        const startedAt = Date.now();
+        const outcome = await post(delivery);
+
+        const willRetry = !outcome.ok && outcome.retry && !closed && delivery.attempts < config.maxAttempts;
+        const delay = config.retryDelay * 2 ** (delivery.attempts - 1);
+        record({
+            deliveryId: delivery.id,
+            jobId: delivery.jobId,
+            event: delivery.event,
+            url: delivery.url,
+            attempt: delivery.attempts,
+            ok: outcome.ok,
+            statusCode: outcome.statusCode,
+            error: outcome.error || null,
+            durationMs: Date.now() - startedAt,
+            at: new Date(startedAt).toISOString(),
+            nextAttemptAt: willRetry ? new Date(Date.now() + delay).toISOString() : null
+        });
+
+        if (outcome.ok) {
+            counters.delivered++;
+        } else if (willRetry) {
+            counters.retried++;
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                attempt(delivery);
+            }, delay);
+            timers.add(timer);
+        } else {
+            counters.failed++;
+            console.error(`Webhook ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempt(s):`, outcome.error);
+        }
+    }
+
+    // Queue a delivery of `payload` for `event`; returns its delivery id.
+    // `jobId` ties the delivery to a job in the log.
+    function send(url, event, payload, jobId = null) {
+        if (!config.secret) {
+            throw new Error('Webhooks need WEBHOOK_SECRET to be set');
+        }
+        const delivery = {
+            id: crypto.randomUUID(),
+            jobId,
+            event,
+            url,
+            attempts: 0,
+            body: null
+        };
+        delivery.body = JSON.stringify({ id: delivery.id, event, createdAt: new Date().toISOString(), data: payload });
+        counters.sent++;
+        attempt(delivery);
+        return delivery.id;
+    }
+
+    // Delivery log entries, oldest first, optionally only those for one job
+    function deliveries(jobId) {
+        return jobId ? log.filter(entry => entry.jobId === jobId) : [...log];
+    }
+
+    function stats() {
+        return {
+            enabled: Boolean(config.secret),
+            pending: timers.size,
+            ...counters
+        };
+    }
+
+    // Stop retrying; used on shutdown
+    function close() {
+        closed = true;
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+    }
+
+    return { enabled: Boolean(config.secret), send, deliveries, stats, close };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    verifySignature,
+    isPrivateAddress,
+    parseCallbackUrl,
+    createWebhookSender
+};
@@ -3,7 +3,12 @@ const multer = require('multer');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
-const { marked } = require('marked');
+const { sniffContent, setDetectionHeaders } = require('./lib/sniff');
+const { parseTheme, renderTheme } = require('./lib/themes');
+const { parseFrontMatter, metadataTags } = require('./lib/front-matter');
+const { parseHighlightOptions, highlightStyles } = require('./lib/highlight');
+const { renderMarkdown } = require('./lib/markdown');
+const { downloadFilename, contentDisposition } = require('./lib/download-name');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,38 +32,13 @@ app.post('/convert', async (req, res) => {
             return res.status(400).json({ error: 'HTML content is required' });
         }
 
-        // Create a complete HTML document
-        const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Converted Document</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px; 
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        h1, h2, h3 { color: #333; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        img { max-width: 100%; height: auto; }
-        @media print {
-            body { margin: 0; padding: 10px; }
+        const { theme, error } = parseTheme(req.body.theme);
+        if (error) {
+            return res.status(400).json({ error });
         }
-    </style>
-</head>
-<body>
-    ${html}
-</body>
-</html>`;
+
+        // Create a complete HTML document
+        const fullHtml = renderTheme(theme, { content: html });
 
         // Set response headers for HTML download
         res.setHeader('Content-Type', 'text/html');
@@ -80,54 +60,42 @@ app.post('/upload', upload.single('htmlFile'), async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        const { theme, error } = parseTheme(req.body.theme);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
         const fileContent = req.file.buffer.toString('utf-8');
         const filename = req.file.originalname.replace(/\.[^/.]+$/, '.html');
-        const fileExt = path.extname(req.file.originalname).toLowerCase();
 
-        // Determine if it's HTML or Markdown
+        // Determine if it's HTML or Markdown from the content rather than the extension
+        const detected = sniffContent(req.file.buffer);
         let htmlContent;
-        if (['.html', '.htm'].includes(fileExt)) {
+        let page = { theme };
+        if (detected.format === 'html') {
             htmlContent = fileContent;
-        } else if (['.md', '.markdown', '.txt'].includes(fileExt)) {
-            htmlContent = marked.parse(fileContent);
+        } else if (detected.format === 'markdown') {
+            // Front matter gives the title and metadata and, unless one was asked for, the theme
+            const { frontMatter, body, error: frontMatterError, details } = parseFrontMatter(fileContent);
+            if (frontMatterError) {
+                return res.status(400).json(details ? { error: frontMatterError, details } : { error: frontMatterError });
+            }
+            const { options: highlight, errors } = parseHighlightOptions(req.body, frontMatter.highlight);
+            if (errors) {
+                return res.status(400).json({ error: 'Invalid highlight options: ' + errors.join('; '), details: errors });
+            }
+            htmlContent = await renderMarkdown(body, { highlight });
+            const head = [metadataTags(frontMatter.metadata), highlightStyles(highlight)].filter(Boolean).join('\n');
+            page = { theme: theme || frontMatter.theme, title: frontMatter.metadata.title, head };
         } else {
-            return res.status(400).json({ error: 'Unsupported file type. Please upload HTML or Markdown files.' });
+            return res.status(400).json({ error: 'Unsupported file type. Please upload HTML or Markdown files.', detected });
         }
 
         // Create a complete HTML document
-        const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Converted Document</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px; 
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-        h1, h2, h3 { color: #333; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        img { max-width: 100%; height: auto; }
-        @media print {
-            body { margin: 0; padding: 10px; }
-        }
-    </style>
-</head>
-<body>
-    ${htmlContent}
-</body>
-</html>`;
+        const fullHtml = renderTheme(page.theme, { content: htmlContent, title: page.title, head: page.head });
 
         // Set response headers for HTML download
+        setDetectionHeaders(res, detected);
         res.setHeader('Content-Type', 'text/html');
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
         res.setHeader('Content-Length', Buffer.byteLength(fullHtml, 'utf8'));
@@ -148,45 +116,34 @@ app.post('/convert-md', async (req, res) => {
             return res.status(400).json({ error: 'Markdown content and type are required' });
         }
 
-        const htmlContent = marked.parse(markdown);
-        const title = 'Converted Markdown Document';
+        const { theme, error } = parseTheme(req.body.theme);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        if (type === 'html') {
-            // Return HTML file
-            const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px; 
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
+        // Front matter gives the title and metadata and, unless one was asked for, the theme
+        const { frontMatter, body, error: frontMatterError, details } = parseFrontMatter(markdown);
+        if (frontMatterError) {
+            return res.status(400).json(details ? { error: frontMatterError, details } : { error: frontMatterError });
         }
-        h1, h2, h3 { color: #333; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        img { max-width: 100%; height: auto; }
-        @media print {
-            body { margin: 0; padding: 10px; }
+
+        const { options: highlight, errors } = parseHighlightOptions(req.body, frontMatter.highlight);
+        if (errors) {
+            return res.status(400).json({ error: 'Invalid highlight options: ' + errors.join('; '), details: errors });
         }
-    </style>
-</head>
-<body>
-    ${htmlContent}
-</body>
-</html>`;
 
+        const htmlContent = await renderMarkdown(body, { highlight });
+        const title = frontMatter.metadata.title || 'Converted Markdown Document';
+
+        if (type === 'html') {
+            // Return HTML file
+            const head = [metadataTags(frontMatter.metadata), highlightStyles(highlight)].filter(Boolean).join('\n');
+            const fullHtml = renderTheme(theme || frontMatter.theme, { content: htmlContent, title, head });
+
+            // Named as asked, else after the document's title
+            const filename = downloadFilename(req.body.filename || frontMatter.metadata.title, 'html', 'converted-markdown');
             res.setHeader('Content-Type', 'text/html');
-            res.setHeader('Content-Disposition', 'attachment; filename="converted-markdown.html"');
+            res.setHeader('Content-Disposition', contentDisposition(filename));
             res.send(fullHtml);
         } else {
             res.status(400).json({ error: 'Invalid type. Use "html".' });
@@ -4,288 +4,29 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
-const { marked } = require('marked');
-const htmlToDocx = require('html-to-docx');
-const sharp = require('sharp');
-const puppeteer = require('puppeteer');
-const pdfParse = require('pdf-parse');
+const { createBrowserPool } = require('./lib/browser-pool');
+const { createPdfGenerator } = require('./lib/pdf-render');
+const { createMermaidRenderer } = require('./lib/diagrams');
+const { createConverter, sniffFormat } = require('./lib/converter');
+const { setDetectionHeaders } = require('./lib/sniff');
+const { routeCost } = require('./lib/conversion-graph');
+const { listThemes, parseTheme, renderTheme, DEFAULT_THEME } = require('./lib/themes');
+const { parseFrontMatter, metadataTags } = require('./lib/front-matter');
+const { listSchemes, parseHighlightOptions, highlightStyles, DEFAULT_SCHEME } = require('./lib/highlight');
+const { renderMarkdown } = require('./lib/markdown');
+const { createPreviewHandler } = require('./lib/preview');
+const { createBatchHandler } = require('./lib/batch');
+const { contentDisposition } = require('./lib/download-name');
+const { createJobQueue } = require('./lib/job-queue');
+const { parseCallbackUrl, createWebhookSender } = require('./lib/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Helper function to generate PDF using Puppeteer with proper Chrome configuration
-async function generatePDF(htmlContent, filename) {
-    let browser;
-    try {
-        console.log('Launching Chrome for PDF generation...');
-        
-        // Pre-check: Ensure Puppeteer's bundled Chromium is available
-        if (!process.env.CHROME_BIN && process.platform === 'linux') {
-            try {
-                const { execSync } = require('child_process');
-                console.log('Checking Puppeteer bundled Chromium...');
-                execSync('npx puppeteer browsers install chrome', { stdio: 'pipe' });
-                console.log('Puppeteer bundled Chromium installed successfully');
-            } catch (installError) {
-                console.log('Could not install Puppeteer bundled Chromium:', installError.message);
-            }
-        }
-        
-        // Launch Chrome with environment-aware settings
-        const chromeOptions = {
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-gpu',
-                '--disable-web-security',
-                '--disable-features=VizDisplayCompositor',
-                '--disable-extensions',
-                '--disable-plugins',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-field-trial-config',
-                '--disable-ipc-flooding-protection',
-                '--memory-pressure-off',
-                '--single-process',
-                '--disable-images',
-                '--disable-javascript',
-                '--max_old_space_size=4096',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu-sandbox',
-                '--no-sandbox',
-                '--disable-background-networking',
-                '--disable-default-apps',
-                '--disable-sync',
-                '--metrics-recording-only',
-                '--no-default-browser-check',
-                '--no-first-run',
-                '--safebrowsing-disable-auto-update',
-                '--disable-component-extensions-with-background-pages',
-                '--disable-background-mode',
-                '--disable-client-side-phishing-detection',
-                '--disable-hang-monitor',
-                '--disable-prompt-on-repost',
-                '--disable-domain-reliability',
-                '--disable-features=TranslateUI',
-                '--disable-ipc-flooding-protection'
-            ],
-            timeout: 30000,
-            protocolTimeout: 30000
-        };
-
-        // Set executable path based on environment
-        if (process.env.CHROME_BIN) {
-            chromeOptions.executablePath = process.env.CHROME_BIN;
-            console.log('Using Chrome from CHROME_BIN environment variable:', process.env.CHROME_BIN);
-        } else if (process.platform === 'linux') {
-            // Try multiple possible Chrome paths for Linux environments
-            const possiblePaths = [
-                '/usr/bin/google-chrome-stable',
-                '/usr/bin/google-chrome',
-                '/usr/bin/chromium-browser',
-                '/usr/bin/chromium',
-                '/snap/bin/chromium',
-                '/opt/google/chrome/chrome',
-                '/usr/bin/google-chrome-beta',
-                '/usr/bin/google-chrome-unstable'
-            ];
-            
-            // Check if any of these paths exist
-            const fs = require('fs');
-            for (const chromePath of possiblePaths) {
-                if (fs.existsSync(chromePath)) {
-                    chromeOptions.executablePath = chromePath;
-                    console.log('Found Chrome at:', chromePath);
-                    break;
-                }
-            }
-            
-            // If no Chrome found, let Puppeteer use its bundled Chromium
-            if (!chromeOptions.executablePath) {
-                console.log('No system Chrome found, using Puppeteer bundled Chromium');
-                // Remove any existing executablePath to use bundled Chromium
-                delete chromeOptions.executablePath;
-            }
-        } else if (process.platform === 'darwin') {
-            // macOS paths
-            const possiblePaths = [
-                '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-                '/Applications/Chromium.app/Contents/MacOS/Chromium'
-            ];
-            
-            const fs = require('fs');
-            for (const chromePath of possiblePaths) {
-                if (fs.existsSync(chromePath)) {
-                    chromeOptions.executablePath = chromePath;
-                    console.log('Found Chrome at:', chromePath);
-                    break;
-                }
-            }
-            
-            // If no Chrome found, let Puppeteer use its bundled Chromium
-            if (!chromeOptions.executablePath) {
-                console.log('No system Chrome found, using Puppeteer bundled Chromium');
-                delete chromeOptions.executablePath;
-            }
-        }
-
-        try {
-            browser = await puppeteer.launch(chromeOptions);
-            console.log('Chrome launched successfully, creating page...');
-        } catch (launchError) {
-            console.log('Failed to launch with custom options, trying minimal configuration...');
-            
-            // Try multiple fallback strategies
-            const fallbackStrategies = [
-                // Strategy 1: Minimal configuration
-                {
-                    headless: 'new',
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage'
-                    ]
-                },
-                // Strategy 2: Force download bundled Chromium
-                {
-                    headless: 'new',
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage'
-                    ],
-                    product: 'chrome'
-                },
-                // Strategy 3: Use system Chrome without path
-                {
-                    headless: 'new',
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage'
-                    ]
-                }
-            ];
-            
-            let browserLaunched = false;
-            for (let i = 0; i < fallbackStrategies.length && !browserLaunched; i++) {
-                try {
-                    console.log(`Trying fallback strategy ${i + 1}...`);
-                    browser = await puppeteer.launch(fallbackStrategies[i]);
-                    console.log(`Chrome launched with fallback strategy ${i + 1}`);
-                    browserLaunched = true;
-                } catch (strategyError) {
-                    console.log(`Fallback strategy ${i + 1} failed:`, strategyError.message);
-                    if (i === fallbackStrategies.length - 1) {
-                        throw strategyError;
-                    }
-                }
-            }
-        }
-        
-        const page = await browser.newPage();
-        
-        // Set content and wait for it to load
-        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-        
-        console.log('Generating PDF...');
-        // Generate PDF
-        const pdfBuffer = await page.pdf({
-            format: 'A4',
-            margin: {
-                top: '20mm',
-                right: '20mm',
-                bottom: '20mm',
-                left: '20mm'
-            },
-            printBackground: true,
-            displayHeaderFooter: false
-        });
-
-        console.log('PDF generated successfully, size:', pdfBuffer.length, 'bytes');
-        return pdfBuffer;
-
-    } catch (error) {
-        console.error('PDF generation error:', error);
-        
-        // Check if it's the specific Chrome version error
-        if (error.message.includes('Could not find Chrome') || error.message.includes('cache path is incorrectly configured')) {
-            console.log('Detected Chrome version/cache issue, trying alternative approach...');
-            
-            try {
-                // Try with a completely different approach - use system Chrome
-                const { execSync } = require('child_process');
-                
-                // Check if we can use system Chrome directly
-                if (process.platform === 'linux') {
-                    const chromePaths = ['google-chrome', 'google-chrome-stable', 'chromium-browser', 'chromium'];
-                    for (const chromePath of chromePaths) {
-                        try {
-                            execSync(`which ${chromePath}`, { stdio: 'pipe' });
-                            console.log(`Found system Chrome: ${chromePath}`);
-                            
-                            // Try launching with system Chrome
-                            const systemChromeOptions = {
-                                headless: 'new',
-                                executablePath: chromePath,
-                                args: [
-                                    '--no-sandbox',
-                                    '--disable-setuid-sandbox',
-                                    '--disable-dev-shm-usage'
-                                ]
-                            };
-                            
-                            browser = await puppeteer.launch(systemChromeOptions);
-                            console.log('System Chrome launched successfully');
-                            
-                            const page = await browser.newPage();
-                            await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-                            
-                            const pdfBuffer = await page.pdf({
-                                format: 'A4',
-                                margin: {
-                                    top: '20mm',
-                                    right: '20mm',
-                                    bottom: '20mm',
-                                    left: '20mm'
-                                },
-                                printBackground: true,
-                                displayHeaderFooter: false
-                            });
-                            
-                            console.log('PDF generated successfully with system Chrome, size:', pdfBuffer.length, 'bytes');
-                            return pdfBuffer;
-                            
-                        } catch (chromeError) {
-                            console.log(`System Chrome ${chromePath} failed:`, chromeError.message);
-                            continue;
-                        }
-                    }
-                }
-            } catch (fallbackError) {
-                console.log('System Chrome fallback also failed:', fallbackError.message);
-            }
-        }
-        
-        throw new Error('PDF generation failed: ' + error.message);
-    } finally {
-        if (browser) {
-            try {
-                await browser.close();
-                console.log('Chrome browser closed');
-            } catch (closeError) {
-                console.error('Error closing browser:', closeError);
-            }
-        }
-    }
-}
+// Shared pool of Chrome contexts reused across PDF renders and Mermaid diagrams
+const browserPool = createBrowserPool();
+const generatePDF = createPdfGenerator(browserPool);
+const renderMermaid = createMermaidRenderer(browserPool);
 
 // Middleware
 app.use(cors());
@@ -296,6 +37,8 @@ app.use(express.static('.'));
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
+// Batch uploads keep any folders in the filenames so the ZIP can mirror them
+const batchUpload = multer({ storage: storage, preservePath: true });
 
 // Ensure uploads directory exists (only for local development)
 if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
@@ -309,150 +52,203 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
     }
 }
 
-// HTML to PDF conversion endpoint using Puppeteer
-app.post('/convert/pdf', async (req, res) => {
+// Helper function to keep the parts of an uploaded file a conversion needs
+function uploadedFile(file) {
+    return file ? { buffer: file.buffer, originalname: file.originalname, mimetype: file.mimetype } : null;
+}
+
+// Conversions that run inside their routes, as background jobs (POST /jobs) and in /batch,
+// including those added by plugins (see lib/plugins.js)
+const converter = createConverter({ generatePDF, renderMermaid, plugins: true });
+converter.pluginErrors().forEach(({ source, error }) => console.error(`Could not load plugin ${source}:`, error));
+
+// Helper function to send a conversion result as a download
+function sendResult(res, { data, contentType, filename }) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+    res.setHeader('Content-Length', data.length);
+    res.end(data);
+}
+
+// Helper function to validate a request for a conversion (see converter.prepare()).
+// Returns { conversion, input, route, detected }; answers 400 and returns null when the fields or upload are invalid.
+function prepareInput(res, request, file) {
     try {
-        const { html, filename = 'converted.pdf' } = req.body;
-        
-        if (!html) {
-            return res.status(400).json({ error: 'HTML content is required' });
+        return converter.prepare(uploadedFile(file), request);
+    } catch (error) {
+        if (error.statusCode !== 400) {
+            throw error;
+        }
+        const body = { error: error.message };
+        if (error.details) {
+            body.details = error.details;
         }
+        if (error.detected) {
+            body.detected = error.detected;
+        }
+        res.status(400).json(body);
+        return null;
+    }
+}
 
-        // Create a complete HTML document optimized for PDF generation
-        const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Converted Document</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px; 
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            color: #333;
+// Helper function to run a conversion within the request and send the result.
+// The conversions it took are listed in the X-Conversion-Route header, and what
+// the upload was sniffed as in the X-Detected-* headers.
+async function runConversion(res, failure, request, file) {
+    try {
+        const prepared = prepareInput(res, request, file);
+        if (!prepared) {
+            return;
         }
-        h1, h2, h3 { color: #333; margin-top: 1.5em; margin-bottom: 0.5em; }
-        h1 { font-size: 2em; }
-        h2 { font-size: 1.5em; }
-        h3 { font-size: 1.2em; }
-        p { margin-bottom: 1em; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; font-family: 'Courier New', monospace; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; margin: 1em 0; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; font-weight: bold; }
-        img { max-width: 100%; height: auto; margin: 10px 0; }
-        blockquote { border-left: 4px solid #ddd; padding-left: 15px; margin: 1em 0; color: #666; }
-        ul, ol { margin: 1em 0; padding-left: 2em; }
-        li { margin-bottom: 0.5em; }
-    </style>
-</head>
-<body>
-    <div class="content">
-        ${html}
-    </div>
-</body>
-</html>`;
-
-        // Generate PDF using the helper function
-        const pdfBuffer = await generatePDF(fullHtml, filename);
-
-        // Set response headers for PDF download
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Length', pdfBuffer.length);
-        
-        res.end(pdfBuffer);
+        const result = await prepared.conversion.run(prepared.input);
+        res.setHeader('X-Conversion-Route', prepared.route.join(','));
+        if (prepared.detected) {
+            setDetectionHeaders(res, prepared.detected);
+        }
+        sendResult(res, result);
 
     } catch (error) {
-        console.error('PDF conversion error:', error);
-        res.status(500).json({ error: 'Failed to convert to PDF: ' + error.message });
+        console.error(`Failed to ${failure}:`, error);
+        if (error.statusCode === 503) {
+            res.setHeader('Retry-After', '5');
+        }
+        res.status(error.statusCode || 500).json({ error: `Failed to ${failure}: ` + error.message });
     }
+}
+
+// Helper function to build a route that runs one conversion
+function conversionRoute(conversion) {
+    return (req, res) => runConversion(res, conversion.failure, { conversion: conversion.id, options: { ...req.query, ...req.body } }, req.file);
+}
+
+// Signed callbacks for jobs submitted with a callbackUrl; the delivery log sits next to the job store
+const webhooks = createWebhookSender({
+    logFile: process.env.JOB_STORE_DIR ? path.join(process.env.JOB_STORE_DIR, 'webhook-deliveries.log') : null
 });
 
-// Backward compatibility endpoint
-app.post('/convert', async (req, res) => {
-    // Redirect to the PDF endpoint
-    req.url = '/convert/pdf';
-    return app._router.handle(req, res);
+// Helper function to work out the server's public address for links sent in callbacks
+function publicBaseUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Tell the job's callback URL, if any, that it has finished
+function notifyJobFinished(job, callback) {
+    if (!callback) {
+        return;
+    }
+    const payload = {
+        job,
+        statusUrl: `${callback.baseUrl}/jobs/${job.id}`,
+        downloadUrl: job.status === 'completed' ? `${callback.baseUrl}/jobs/${job.id}/result` : null
+    };
+    webhooks.send(callback.url, `job.${job.status}`, payload, job.id);
+}
+
+// Background jobs run the same conversions outside the request;
+// conversions of several steps are queued as "route" jobs
+const jobQueue = createJobQueue({
+    ...Object.fromEntries(converter.list().map(({ id }) => [id, (input, reportProgress) => converter.get(id).run(input, reportProgress)])),
+    route: (input, reportProgress) => converter.runRoute(input, reportProgress)
+}, { onFinish: notifyJobFinished });
+
+// Endpoints from before /convert/:id, each running one registered conversion.
+// `upload` is the form field the file comes in, for conversions that take one.
+const NAMED_ROUTES = [
+    { path: '/convert/pdf', conversion: 'html-to-pdf' },
+    { path: '/convert-to-word', conversion: 'html-to-word' },
+    { path: '/resize-image', conversion: 'image-resize', upload: 'image' },
+    { path: '/convert-pdf-to-html', conversion: 'pdf-to-html', upload: 'pdf' },
+    { path: '/convert-pdf-to-word', conversion: 'pdf-to-word', upload: 'pdf' },
+    { path: '/convert-pdf-to-images', conversion: 'pdf-to-images', upload: 'pdf' }
+];
+for (const route of NAMED_ROUTES) {
+    const handlers = route.upload ? [upload.single(route.upload)] : [];
+    app.post(route.path, ...handlers, conversionRoute(converter.get(route.conversion)));
+}
+
+// Markdown to HTML/PDF/Word endpoint; `type` picks the conversion from Markdown
+app.post('/convert-md', (req, res) => {
+    const conversion = converter.find('markdown', req.body.type);
+    if (!conversion) {
+        const types = converter.list().filter(({ from }) => from === 'markdown').map(({ to }) => `"${to}"`);
+        return res.status(400).json({ error: req.body.markdown && req.body.type
+            ? `Invalid type. Use ${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}.`
+            : 'Markdown content and type are required' });
+    }
+    return conversionRoute(conversion)(req, res);
 });
 
-// Enhanced file upload endpoint (handles both HTML and Markdown)
-app.post('/upload', upload.single('htmlFile'), async (req, res) => {
+// Every registered conversion, plugins included: its formats, MIME types and options
+app.get('/conversions', (req, res) => {
+    res.json({
+        conversions: converter.list().map(conversion => ({ ...conversion, route: `/convert/${conversion.id}` })),
+        plugins: converter.plugins()
+    });
+});
+
+// Themes every conversion can be given with `theme`: built-in ones and those in THEMES_DIR
+app.get('/themes', (req, res) => {
+    res.json({ themes: listThemes(), default: DEFAULT_THEME });
+});
+
+// Colour schemes for the code blocks in Markdown, picked with `highlight` ("none" turns highlighting off)
+app.get('/highlight-schemes', (req, res) => {
+    res.json({ schemes: listSchemes(), default: DEFAULT_SCHEME });
+});
+
+// What an uploaded file is, judged by its content: { format, mimeType, confidence, source }
+// and the formats it can be converted to
+app.post('/detect', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const detected = converter.sniff(uploadedFile(req.file));
+    const targets = detected.format ? converter.targets().filter(to => converter.route(detected.format, to)) : [];
+    res.json({ filename: req.file.originalname, ...detected, targets });
+});
+
+// The route a conversion between two formats would take, e.g. ?from=markdown&to=png&via=html
+app.get('/conversions/route', (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        const steps = converter.route(req.query.from, req.query.to, req.query.via);
+        if (!steps) {
+            return res.status(400).json({ error: `Cannot convert ${req.query.from || '(no source given)'} to ${req.query.to || '(no target given)'}` });
         }
+        res.json({
+            route: steps.map(({ id, from, to, cost }) => ({ id, from, to, cost })),
+            cost: routeCost(steps)
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-        const fileContent = req.file.buffer.toString('utf-8');
-        const filename = req.file.originalname.replace(/\.[^/.]+$/, '.html');
-        const fileExt = path.extname(req.file.originalname).toLowerCase();
+// Run any registered conversion by id; the input is uploaded as `file`
+// (HTML and Markdown may also be sent as the `html`/`markdown` field)
+app.post('/convert/:id', upload.single('file'), (req, res, next) => {
+    const conversion = converter.get(req.params.id);
+    if (!conversion) {
+        return next();
+    }
+    return conversionRoute(conversion)(req, res);
+});
 
-        // Determine if it's HTML or Markdown
-        let htmlContent;
-        if (['.html', '.htm'].includes(fileExt)) {
-            htmlContent = fileContent;
-        } else if (['.md', '.markdown', '.txt'].includes(fileExt)) {
-            htmlContent = marked.parse(fileContent);
-        } else {
-            return res.status(400).json({ error: 'Unsupported file type. Please upload HTML or Markdown files.' });
-        }
+// Convert between any two formats, in several steps when no single conversion does it
+// (e.g. /convert/markdown/png). `via` forces steps: formats or conversion ids, comma-separated.
+app.post('/convert/:from/:to', upload.single('file'), (req, res) => {
+    const { from, to } = req.params;
+    return runConversion(res, `convert ${from} to ${to}`, { from, to, options: { ...req.query, ...req.body } }, req.file);
+});
 
-        // Create a complete HTML document optimized for printing
-        const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Converted Document</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px; 
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            color: #333;
-        }
-        h1, h2, h3 { color: #333; margin-top: 1.5em; margin-bottom: 0.5em; }
-        h1 { font-size: 2em; }
-        h2 { font-size: 1.5em; }
-        h3 { font-size: 1.2em; }
-        p { margin-bottom: 1em; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; font-family: 'Courier New', monospace; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; margin: 1em 0; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; font-weight: bold; }
-        img { max-width: 100%; height: auto; margin: 10px 0; }
-        blockquote { border-left: 4px solid #ddd; padding-left: 15px; margin: 1em 0; color: #666; }
-        ul, ol { margin: 1em 0; padding-left: 2em; }
-        li { margin-bottom: 0.5em; }
-        
-        /* Print styles */
-        @media print {
-            body { 
-                margin: 0; 
-                padding: 10px; 
-                font-size: 12pt;
-                line-height: 1.4;
-            }
-            h1 { font-size: 18pt; }
-            h2 { font-size: 16pt; }
-            h3 { font-size: 14pt; }
-            pre { white-space: pre-wrap; font-size: 10pt; }
-            code { font-size: 10pt; }
-            img { max-width: 100%; page-break-inside: avoid; }
-            table { page-break-inside: avoid; }
-            .no-print { display: none; }
-        }
-        
-        /* Print button styles */
+// Backward compatibility endpoint
+app.post('/convert', async (req, res) => {
+    // Redirect to the PDF endpoint
+    req.url = '/convert/pdf';
+    return app._router.handle(req, res);
+});
+
+// Print button on /upload pages; hidden when printing
+const PRINT_BUTTON_STYLES = `<style>
         .print-button {
             position: fixed;
             top: 20px;
@@ -470,489 +266,161 @@ app.post('/upload', upload.single('htmlFile'), async (req, res) => {
             background: #3730a3;
         }
         @media print {
-            .print-button { display: none; }
+            .no-print { display: none; }
         }
-    </style>
-</head>
-<body>
-    <button class="print-button no-print" onclick="window.print()">
-        🖨️ Print to PDF
-    </button>
-    <div class="content">
-        ${htmlContent}
-    </div>
-    <script>
-        // Auto-print after a short delay (optional)
-        // setTimeout(() => window.print(), 1000);
-    </script>
-</body>
-</html>`;
-
-        // Set response headers for HTML download
-        res.setHeader('Content-Type', 'text/html');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Length', Buffer.byteLength(fullHtml, 'utf8'));
-        
-        res.send(fullHtml);
-
-    } catch (error) {
-        console.error('File conversion error:', error);
-        res.status(500).json({ error: 'Failed to convert file: ' + error.message });
-    }
-});
+    </style>`;
 
-// Image resizing endpoint
-app.post('/resize-image', upload.single('image'), async (req, res) => {
+// Enhanced file upload endpoint (handles both HTML and Markdown)
+app.post('/upload', upload.single('htmlFile'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'No image uploaded' });
-        }
-
-        const { width, height, quality = 90, format = 'jpeg' } = req.body;
-        
-        if (!width && !height) {
-            return res.status(400).json({ error: 'Please specify at least width or height' });
-        }
-
-        let sharpInstance = sharp(req.file.buffer);
-
-        // Resize the image with proper aspect ratio handling
-        if (width && height) {
-            // When both dimensions are specified, fit within bounds while maintaining aspect ratio
-            sharpInstance = sharpInstance.resize(parseInt(width), parseInt(height), {
-                fit: 'inside',  // Fit within bounds, don't crop
-                withoutEnlargement: true  // Don't make it bigger than original
-            });
-        } else if (width) {
-            sharpInstance = sharpInstance.resize(parseInt(width), null, { 
-                withoutEnlargement: true 
-            });
-        } else if (height) {
-            sharpInstance = sharpInstance.resize(null, parseInt(height), { 
-                withoutEnlargement: true 
-            });
-        }
-
-        // Convert to specified format
-        let outputBuffer;
-        switch (format.toLowerCase()) {
-            case 'jpeg':
-            case 'jpg':
-                outputBuffer = await sharpInstance.jpeg({ quality: parseInt(quality) }).toBuffer();
-                break;
-            case 'png':
-                outputBuffer = await sharpInstance.png({ quality: parseInt(quality) }).toBuffer();
-                break;
-            case 'webp':
-                outputBuffer = await sharpInstance.webp({ quality: parseInt(quality) }).toBuffer();
-                break;
-            default:
-                return res.status(400).json({ error: 'Unsupported format. Use jpeg, png, or webp.' });
+            return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        // Set response headers
-        const mimeType = format === 'jpeg' || format === 'jpg' ? 'image/jpeg' : 
-                        format === 'png' ? 'image/png' : 'image/webp';
-        
-        res.setHeader('Content-Type', mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="resized-image.${format}"`);
-        res.setHeader('Content-Length', outputBuffer.length);
-        
-        res.end(outputBuffer);
-
-    } catch (error) {
-        console.error('Image resizing error:', error);
-        res.status(500).json({ error: 'Failed to resize image: ' + error.message });
-    }
-});
+        const fileContent = req.file.buffer.toString('utf-8');
+        const filename = req.file.originalname.replace(/\.[^/.]+$/, '.html');
 
-// Markdown to PDF/HTML endpoint
-app.post('/convert-md', async (req, res) => {
-    try {
-        const { markdown, type } = req.body;
-        if (!markdown || !type) {
-            return res.status(400).json({ error: 'Markdown content and type are required' });
+        const { theme, error } = parseTheme(req.body.theme);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        const htmlContent = marked.parse(markdown);
-        const title = 'Converted Markdown Document';
-
-        if (type === 'html') {
-            // Return HTML file
-            const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; margin: 40px; }
-        h1, h2, h3 { color: #333; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; }
-    </style>
-</head>
-<body>
-    ${htmlContent}
-</body>
-</html>`;
-
-            res.setHeader('Content-Type', 'text/html');
-            res.setHeader('Content-Disposition', 'attachment; filename="converted-markdown.html"');
-            res.send(fullHtml);
-        } else if (type === 'pdf') {
-            // Generate actual PDF using wkhtmltopdf
-            try {
-                const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 40px; 
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            color: #333;
-        }
-        h1, h2, h3 { color: #333; margin-top: 1.5em; margin-bottom: 0.5em; }
-        h1 { font-size: 2em; }
-        h2 { font-size: 1.5em; }
-        h3 { font-size: 1.2em; }
-        p { margin-bottom: 1em; }
-        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; font-family: 'Courier New', monospace; }
-        pre { background: #f4f4f4; padding: 15px; border-radius: 5px; overflow-x: auto; margin: 1em 0; }
-        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; font-weight: bold; }
-        img { max-width: 100%; height: auto; margin: 10px 0; }
-        blockquote { border-left: 4px solid #ddd; padding-left: 15px; margin: 1em 0; color: #666; }
-        ul, ol { margin: 1em 0; padding-left: 2em; }
-        li { margin-bottom: 0.5em; }
-    </style>
-</head>
-<body>
-    <div class="content">
-        ${htmlContent}
-    </div>
-</body>
-</html>`;
-
-                // Generate PDF using the helper function
-                const pdfBuffer = await generatePDF(fullHtml, 'converted-markdown.pdf');
-
-                // Set response headers for PDF download
-                res.setHeader('Content-Type', 'application/pdf');
-                res.setHeader('Content-Disposition', 'attachment; filename="converted-markdown.pdf"');
-                res.setHeader('Content-Length', pdfBuffer.length);
-                
-                res.end(pdfBuffer);
-
-            } catch (error) {
-                console.error('PDF generation error:', error);
-                res.status(500).json({ error: 'Failed to generate PDF: ' + error.message });
+        // Determine if it's HTML or Markdown from the content; the extension only breaks ties
+        const detected = sniffFormat(req.file);
+        let htmlContent;
+        let page = { theme };
+        if (detected.format === 'html') {
+            htmlContent = fileContent;
+        } else if (detected.format === 'markdown') {
+            // Front matter gives the title and metadata and, unless one was asked for, the theme
+            const { frontMatter, body, error: frontMatterError, details } = parseFrontMatter(fileContent);
+            if (frontMatterError) {
+                return res.status(400).json(details ? { error: frontMatterError, details } : { error: frontMatterError });
             }
+            const { options: highlight, errors } = parseHighlightOptions(req.body, frontMatter.highlight);
+            if (errors) {
+                return res.status(400).json({ error: 'Invalid highlight options: ' + errors.join('; '), details: errors });
+            }
+            htmlContent = await renderMarkdown(body, { highlight, renderMermaid });
+            const head = [metadataTags(frontMatter.metadata), highlightStyles(highlight)].filter(Boolean).join('\n');
+            page = { theme: theme || frontMatter.theme, title: frontMatter.metadata.title, head };
         } else {
-            res.status(400).json({ error: 'Invalid type. Use "html" or "pdf".' });
+            return res.status(400).json({ error: 'Unsupported file type. Please upload HTML or Markdown files.', detected });
         }
-    } catch (error) {
-        console.error('Markdown conversion error:', error);
-        res.status(500).json({ error: 'Failed to convert markdown: ' + error.message });
-    }
-});
 
-// PDF to HTML conversion endpoint
-app.post('/convert-pdf-to-html', upload.single('pdf'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No PDF file uploaded' });
-        }
+        // A themed page with a button for printing to PDF from the browser
+        const fullHtml = renderTheme(page.theme, {
+            title: page.title,
+            head: page.head ? PRINT_BUTTON_STYLES + '\n' + page.head : PRINT_BUTTON_STYLES,
+            content: `<button class="print-button no-print" onclick="window.print()">
+            🖨️ Print to PDF
+        </button>
+        ${htmlContent}`
+        });
 
-        const pdfBuffer = req.file.buffer;
-        const originalFilename = req.file.originalname;
-        const filenameWithoutExt = path.parse(originalFilename).name;
-
-        console.log('Converting PDF to HTML:', originalFilename);
-
-        // Parse PDF content
-        const pdfData = await pdfParse(pdfBuffer);
-        const textContent = pdfData.text;
-
-        // Convert text content to structured HTML
-        const htmlContent = convertTextToHTML(textContent);
-
-        // Create full HTML document
-        const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${filenameWithoutExt} - Converted from PDF</title>
-    <style>
-        body { 
-            font-family: Arial, sans-serif; 
-            line-height: 1.6; 
-            margin: 0 auto;
-            max-width: 800px;
-            padding: 40px 20px;
-            color: #333;
-            background: #fff;
-        }
-        h1, h2, h3, h4, h5, h6 { 
-            color: #2c3e50; 
-            margin-top: 1.5em; 
-            margin-bottom: 0.5em; 
-        }
-        h1 { font-size: 2.2em; border-bottom: 2px solid #3498db; padding-bottom: 10px; }
-        h2 { font-size: 1.8em; border-bottom: 1px solid #bdc3c7; padding-bottom: 5px; }
-        h3 { font-size: 1.4em; }
-        h4 { font-size: 1.2em; }
-        p { margin-bottom: 1em; text-align: justify; }
-        .page-break { page-break-before: always; }
-        .section { margin-bottom: 2em; }
-        .highlight { background-color: #f8f9fa; padding: 15px; border-left: 4px solid #3498db; margin: 1em 0; }
-        .metadata { 
-            background: #f8f9fa; 
-            padding: 15px; 
-            border-radius: 5px; 
-            margin-bottom: 2em; 
-            font-size: 0.9em; 
-            color: #666;
-        }
-        .conversion-info {
-            background: #e8f5e8;
-            padding: 10px;
-            border-radius: 5px;
-            margin-bottom: 2em;
-            border-left: 4px solid #27ae60;
-            font-size: 0.9em;
-        }
-    </style>
-</head>
-<body>
-    <div class="conversion-info">
-        <strong>📄 Converted from PDF:</strong> ${originalFilename}<br>
-        <strong>📊 Pages:</strong> ${pdfData.numpages}<br>
-        <strong>📅 Conversion Date:</strong> ${new Date().toLocaleDateString()}
-    </div>
-    
-    <div class="content">
-        ${htmlContent}
-    </div>
-    
-    <div class="metadata">
-        <strong>Original PDF Info:</strong><br>
-        • File: ${originalFilename}<br>
-        • Pages: ${pdfData.numpages}<br>
-        • Text extracted: ${textContent.length} characters<br>
-        • Converted on: ${new Date().toLocaleString()}
-    </div>
-</body>
-</html>`;
-
-        // Set response headers
+        // Set response headers for HTML download
+        setDetectionHeaders(res, detected);
         res.setHeader('Content-Type', 'text/html');
-        res.setHeader('Content-Disposition', `attachment; filename="${filenameWithoutExt}.html"`);
-        
-        res.send(fullHtml);
-
-    } catch (error) {
-        console.error('PDF to HTML conversion error:', error);
-        res.status(500).json({ error: 'Failed to convert PDF to HTML: ' + error.message });
-    }
-});
-
-// HTML to Word conversion endpoint
-app.post('/convert-to-word', async (req, res) => {
-    try {
-        const { html, filename = 'document.docx' } = req.body;
-        
-        if (!html || !html.trim()) {
-            return res.status(400).json({ error: 'No HTML content provided' });
-        }
-
-        console.log('Converting HTML to Word document...');
-
-        // Configure Word document options
-        const options = {
-            margin: {
-                top: 1440,    // 1 inch in twips
-                right: 1440,
-                bottom: 1440,
-                left: 1440
-            },
-            font: {
-                family: 'Calibri',
-                size: 11
-            },
-            table: {
-                row: {
-                    cantSplit: true
-                }
-            },
-            header: false,
-            footer: false,
-            pageNumber: false
-        };
-
-        // Convert HTML to Word document
-        const docxBuffer = await htmlToDocx(html, null, options);
-
-        // Set response headers for Word document download
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Length', docxBuffer.length);
+        res.setHeader('Content-Length', Buffer.byteLength(fullHtml, 'utf8'));
         
-        res.end(docxBuffer);
+        res.send(fullHtml);
 
     } catch (error) {
-        console.error('Word conversion error:', error);
-        res.status(500).json({ error: 'Failed to convert to Word: ' + error.message });
+        console.error('File conversion error:', error);
+        res.status(500).json({ error: 'Failed to convert file: ' + error.message });
     }
 });
 
-// Helper function to convert PDF text to structured HTML
-function convertTextToHTML(text) {
-    if (!text || text.trim() === '') {
-        return '<p>No text content found in the PDF.</p>';
-    }
+// First-page thumbnail of an uploaded HTML, Markdown, PDF or image file
+app.post('/preview', upload.single('file'), createPreviewHandler(generatePDF, renderMermaid));
 
-    // Split text into lines
-    const lines = text.split('\n').filter(line => line.trim() !== '');
-    
-    let html = '';
-    let inList = false;
-    let inParagraph = false;
+// Convert many uploaded files to one format; answers with a ZIP of the outputs and a manifest
+app.post('/batch', batchUpload.array('files'), createBatchHandler(converter));
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        // Skip empty lines
-        if (line === '') {
-            if (inParagraph) {
-                html += '</p>';
-                inParagraph = false;
-            }
-            if (inList) {
-                html += '</ul>';
-                inList = false;
-            }
-            continue;
+// Queue a conversion to run in the background.
+// `type` picks the conversion, or `from` and `to` (and `via`) a route as for /convert/:from/:to;
+// the other fields (and the `file` upload) are the same as for its route.
+// With `callbackUrl`, a signed webhook is POSTed there when the job finishes.
+app.post('/jobs', upload.single('file'), async (req, res) => {
+    try {
+        const fields = { ...req.query, ...req.body };
+        if (!converter.get(fields.type) && !(fields.to && !fields.type)) {
+            return res.status(400).json({ error: `Invalid job type. Use one of: ${converter.list().map(({ id }) => id).join(', ')}, or give "from" and "to"` });
         }
 
-        // Detect headers (lines that are shorter and end with common patterns)
-        if (isHeader(line, lines, i)) {
-            if (inParagraph) {
-                html += '</p>';
-                inParagraph = false;
-            }
-            if (inList) {
-                html += '</ul>';
-                inList = false;
-            }
-            
-            const headerLevel = getHeaderLevel(line);
-            html += `<h${headerLevel}>${escapeHtml(line)}</h${headerLevel}>`;
-            continue;
+        const request = fields.type ? { conversion: fields.type, options: fields } : { from: fields.from, to: fields.to, options: fields };
+        const prepared = prepareInput(res, request, req.file);
+        if (!prepared) {
+            return;
         }
 
-        // Detect list items
-        if (isListItem(line)) {
-            if (inParagraph) {
-                html += '</p>';
-                inParagraph = false;
+        let callback = null;
+        if (fields.callbackUrl) {
+            if (!webhooks.enabled) {
+                return res.status(400).json({ error: 'Callbacks are not enabled on this server (WEBHOOK_SECRET is not set)' });
             }
-            if (!inList) {
-                html += '<ul>';
-                inList = true;
+            const { url, error: callbackError } = await parseCallbackUrl(fields.callbackUrl);
+            if (callbackError) {
+                return res.status(400).json({ error: callbackError });
             }
-            const listItem = line.replace(/^[\s•\-\*]+/, '').trim();
-            html += `<li>${escapeHtml(listItem)}</li>`;
-            continue;
+            callback = { url, baseUrl: publicBaseUrl(req) };
         }
 
-        // Regular paragraph
-        if (!inParagraph) {
-            html += '<p>';
-            inParagraph = true;
+        const type = prepared.route.length > 1 ? 'route' : prepared.conversion.id;
+        const job = jobQueue.submit(type, prepared.input, callback);
+        res.setHeader('Location', `/jobs/${job.id}`);
+        res.status(202).json({ ...job, route: prepared.route, statusUrl: `/jobs/${job.id}`, resultUrl: `/jobs/${job.id}/result` });
+
+    } catch (error) {
+        console.error('Job submission error:', error);
+        if (error.statusCode === 503) {
+            res.setHeader('Retry-After', '5');
         }
-        html += escapeHtml(line) + ' ';
+        res.status(error.statusCode || 500).json({ error: 'Failed to queue job: ' + error.message });
     }
+});
 
-    // Close any open tags
-    if (inParagraph) {
-        html += '</p>';
-    }
-    if (inList) {
-        html += '</ul>';
+// Job status and progress
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found. It may have expired.' });
     }
+    res.json(job);
+});
 
-    return html || '<p>No content could be extracted from the PDF.</p>';
-}
+// Download the output of a completed job
+app.get('/jobs/:id/result', (req, res) => {
+    try {
+        const job = jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found. It may have expired.' });
+        }
+        if (job.status !== 'completed') {
+            const error = job.status === 'failed' ? `Job failed: ${job.error}` : `Job is ${job.status}, try again later`;
+            return res.status(409).json({ error, status: job.status });
+        }
+        sendResult(res, jobQueue.getResult(job.id));
 
-// Helper function to detect if a line is a header
-function isHeader(line, allLines, currentIndex) {
-    // Headers are usually shorter than regular text
-    if (line.length > 100) return false;
-    
-    // Check if it's followed by a longer line (indicating content)
-    if (currentIndex < allLines.length - 1) {
-        const nextLine = allLines[currentIndex + 1].trim();
-        if (nextLine.length > line.length * 2) return true;
+    } catch (error) {
+        console.error('Job result error:', error);
+        res.status(500).json({ error: 'Failed to read job result: ' + error.message });
     }
-    
-    // Common header patterns
-    const headerPatterns = [
-        /^[A-Z][A-Z\s]+$/, // ALL CAPS
-        /^[A-Z][a-z]+(\s+[A-Z][a-z]+)*$/, // Title Case
-        /^\d+\.\s+[A-Z]/, // Numbered sections
-        /^[IVX]+\.\s+[A-Z]/, // Roman numerals
-        /^Chapter\s+\d+/i, // Chapter headers
-        /^Section\s+\d+/i, // Section headers
-    ];
-    
-    return headerPatterns.some(pattern => pattern.test(line));
-}
-
-// Helper function to determine header level
-function getHeaderLevel(line) {
-    if (/^[A-Z][A-Z\s]+$/.test(line)) return 1; // ALL CAPS = H1
-    if (/^\d+\.\s+[A-Z]/.test(line)) return 2; // Numbered = H2
-    if (/^[IVX]+\.\s+[A-Z]/.test(line)) return 2; // Roman = H2
-    if (/^Chapter\s+\d+/i.test(line)) return 1; // Chapter = H1
-    if (/^Section\s+\d+/i.test(line)) return 2; // Section = H2
-    return 3; // Default = H3
-}
-
-// Helper function to detect list items
-function isListItem(line) {
-    const listPatterns = [
-        /^[\s]*[•\-\*]\s+/, // Bullet points
-        /^[\s]*\d+\.\s+/, // Numbered lists
-        /^[\s]*[a-z]\.\s+/, // Lettered lists
-    ];
-    return listPatterns.some(pattern => pattern.test(line));
-}
+});
 
-// Helper function to escape HTML
-function escapeHtml(text) {
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, function(m) { return map[m]; });
-}
+// Webhook delivery attempts for a job's callback
+app.get('/jobs/:id/deliveries', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found. It may have expired.' });
+    }
+    res.json({ callbackUrl: job.callbackUrl, deliveries: webhooks.deliveries(job.id) });
+});
 
 // Health check endpoint for Vercel
 app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'OK', message: 'Server is running' });
+    res.status(200).json({ status: 'OK', message: 'Server is running', pdfPool: browserPool.stats(), jobs: jobQueue.stats(), webhooks: webhooks.stats() });
 });
 
 // Root endpoint
@@ -1002,9 +470,21 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
 });
 
+// Close pooled Chrome instances before exiting
+function shutdown(signal) {
+    console.log(`${signal} received, shutting down...`);
+    server.close();
+    jobQueue.drain();
+    webhooks.close();
+    browserPool.drain().finally(() => process.exit(0));
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Export for Vercel
 module.exports = app; 
\ No newline at end of file
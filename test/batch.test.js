@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const JSZip = require('jszip');
+const { createConverter } = require('../lib/converter');
+const { batchTarget, forEachLimit, createBatchHandler } = require('../lib/batch');
+
+// A converter that only knows HTML to plain text, shouting it back
+function shoutingConverter() {
+    return createConverter({ builtins: false }).register({
+        id: 'html-to-text',
+        from: 'html',
+        to: 'text',
+        inputTypes: ['text/html'],
+        outputType: 'text/plain',
+        options: {},
+        async run({ file }) {
+            const text = file.buffer.toString('utf-8');
+            if (text.includes('explode')) {
+                throw new Error('Could not read the page');
+            }
+            return { data: Buffer.from(text.replace(/<[^>]+>/g, '').toUpperCase()), contentType: 'text/plain', filename: 'page.txt' };
+        }
+    });
+}
+
+// Helper function to build an upload as multer would
+function upload(originalname, content, mimetype = 'text/html') {
+    return { originalname, mimetype, buffer: Buffer.from(content) };
+}
+
+// Just the PNG signature, which is enough to be sniffed as an image
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Helper function to POST files to the batch handler on a throwaway server
+async function postBatch(converter, files, fields) {
+    const app = express();
+    app.post('/batch', express.json(), (req, res, next) => {
+        req.files = files;
+        next();
+    }, createBatchHandler(converter, { concurrency: 2 }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        });
+        const body = Buffer.from(await response.arrayBuffer());
+        return { response, body };
+    } finally {
+        server.close();
+    }
+}
+
+// Helper function to keep expected conversion failures out of the test output
+async function quietly(fn) {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.error = originalError;
+    }
+}
+
+test('targets are resolved through the converter', () => {
+    const converter = shoutingConverter();
+    assert.equal(batchTarget(converter, 'TEXT'), 'text');
+    assert.equal(batchTarget(converter, 'pdf'), null);
+});
+
+test('forEachLimit never runs more than the limit at once', async () => {
+    let running = 0;
+    let most = 0;
+    const done = [];
+    await forEachLimit([1, 2, 3, 4, 5], 2, async (item) => {
+        running++;
+        most = Math.max(most, running);
+        await new Promise(resolve => setTimeout(resolve, 2));
+        running--;
+        done.push(item);
+    });
+    assert.equal(most, 2);
+    assert.deepEqual(done.sort(), [1, 2, 3, 4, 5]);
+});
+
+test('a batch answers with a ZIP of the outputs and a manifest', async () => {
+    const files = [
+        upload('site/index.html', '<!DOCTYPE html><p>Home</p>'),
+        upload('other/index.html', '<!DOCTYPE html><p>Other</p>'),
+        upload('../escape/index.html', '<!DOCTYPE html><p>Same name</p>'),
+        upload('broken.html', '<!DOCTYPE html><p>explode</p>'),
+        upload('photo.png', PNG_SIGNATURE, 'image/png')
+    ];
+    const { response, body } = await quietly(() => postBatch(shoutingConverter(), files, { to: 'text' }));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-batch-converted'), '3');
+    assert.equal(response.headers.get('x-batch-failed'), '2');
+
+    const zip = await JSZip.loadAsync(body);
+    assert.deepEqual(Object.keys(zip.files).sort(), ['escape/', 'escape/index.txt', 'manifest.json', 'other/', 'other/index.txt', 'site/', 'site/index.txt']);
+    assert.equal(await zip.file('site/index.txt').async('string'), 'HOME');
+
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    assert.equal(manifest.to, 'text');
+    assert.deepEqual(manifest.files.map(({ input, status, output }) => ({ input, status, output })), [
+        { input: 'site/index.html', status: 'converted', output: 'site/index.txt' },
+        { input: 'other/index.html', status: 'converted', output: 'other/index.txt' },
+        { input: 'escape/index.html', status: 'converted', output: 'escape/index.txt' },
+        { input: 'broken.html', status: 'failed', output: null },
+        { input: 'photo.png', status: 'failed', output: null }
+    ]);
+    assert.equal(manifest.files[3].error, 'Could not read the page');
+    assert.equal(manifest.files[4].detected.format, 'image');
+});
+
+test('clashing output names get a number', async () => {
+    const files = [upload('page.html', '<p>One</p>'), upload('page.htm', '<p>Two</p>')];
+    const { body } = await postBatch(shoutingConverter(), files, { to: 'text' });
+    const zip = await JSZip.loadAsync(body);
+    assert.equal(await zip.file('page.txt').async('string'), 'ONE');
+    assert.equal(await zip.file('page-2.txt').async('string'), 'TWO');
+});
+
+test('a batch nothing can be converted from is a 400', async () => {
+    let { response, body } = await postBatch(shoutingConverter(), [upload('a.html', '<p>a</p>')], { to: 'pdf' });
+    assert.equal(response.status, 400);
+    assert.match(JSON.parse(body).error, /^Invalid target format/);
+
+    ({ response, body } = await postBatch(shoutingConverter(), [], { to: 'text' }));
+    assert.equal(response.status, 400);
+
+    ({ response, body } = await postBatch(shoutingConverter(), [upload('photo.png', PNG_SIGNATURE, 'image/png')], { to: 'text' }));
+    assert.equal(response.status, 400);
+    assert.deepEqual(JSON.parse(body), { error: 'None of the files can be converted', details: ['photo.png: Cannot convert image to text'] });
+});
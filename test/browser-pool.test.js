@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browser-pool');
+
+// Helper function to build a stand-in for a puppeteer Browser
+function fakeBrowser() {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.contexts = 0;
+    browser.closed = false;
+    browser.createBrowserContext = async () => {
+        browser.contexts++;
+        return {
+            newPage: async () => ({ close: async () => {} }),
+            close: async () => {}
+        };
+    };
+    browser.version = async () => 'fake';
+    browser.process = () => null;
+    browser.close = async () => {
+        browser.closed = true;
+        browser.connected = false;
+        browser.emit('disconnected');
+    };
+    return browser;
+}
+
+// Helper function to start a render that holds its page until release() is called
+async function holdPage(pool) {
+    let release;
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    const render = pool.withPage(() => new Promise(resolve => {
+        release = resolve;
+        started();
+    }));
+    await running;
+    return { render, release: () => release() };
+}
+
+// Helper function to create a pool whose browsers are fakes; returns { pool, browsers }
+function fakePool(options = {}) {
+    const browsers = [];
+    const pool = createBrowserPool({
+        launch: async () => {
+            const browser = fakeBrowser();
+            browsers.push(browser);
+            return browser;
+        },
+        ...options
+    });
+    return { pool, browsers };
+}
+
+test('withPage runs the callback on a page and reuses the browser', async () => {
+    const { pool, browsers } = fakePool();
+    assert.equal(await pool.withPage(async page => typeof page.close), 'function');
+    await pool.withPage(async () => {});
+    assert.equal(browsers.length, 1);
+    assert.equal(browsers[0].contexts, 1);
+    assert.equal(pool.stats().renders, 2);
+    await pool.drain();
+});
+
+test('contexts and browsers are recycled after their render limits', async () => {
+    const { pool, browsers } = fakePool({ maxRendersPerContext: 2, maxRendersPerBrowser: 3 });
+    for (let i = 0; i < 4; i++) {
+        await pool.withPage(async () => {});
+    }
+    assert.equal(browsers.length, 2);
+    assert.equal(browsers[0].contexts, 2);
+    assert.ok(browsers[0].closed);
+    await pool.drain();
+});
+
+test('requests past the queue limit are refused with a 503', async () => {
+    const { pool } = fakePool({ size: 1, maxQueue: 1 });
+    const blocker = await holdPage(pool);
+    const queued = pool.withPage(async () => 'queued');
+    await assert.rejects(pool.withPage(async () => {}), error => error.statusCode === 503 && error.code === 'POOL_QUEUE_FULL');
+    blocker.release();
+    await blocker.render;
+    assert.equal(await queued, 'queued');
+    assert.equal(pool.stats().rejected, 1);
+    await pool.drain();
+});
+
+test('queued requests time out with a 503', async () => {
+    const { pool } = fakePool({ size: 1, acquireTimeout: 20 });
+    const blocker = await holdPage(pool);
+    await assert.rejects(pool.withPage(async () => {}), error => error.code === 'POOL_TIMEOUT');
+    blocker.release();
+    await blocker.render;
+    await pool.drain();
+});
+
+test('a render that crashes Chrome is retried once on a new browser', async () => {
+    const { pool, browsers } = fakePool();
+    let attempts = 0;
+    const result = await pool.withPage(async () => {
+        attempts++;
+        if (attempts === 1) {
+            throw new Error('Protocol error: Target closed');
+        }
+        return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.equal(browsers.length, 2);
+    assert.equal(pool.stats().crashes, 1);
+    await pool.drain();
+});
+
+test('other errors are passed on without a retry', async () => {
+    const { pool } = fakePool();
+    let attempts = 0;
+    await assert.rejects(pool.withPage(async () => {
+        attempts++;
+        throw new Error('bad template');
+    }), /bad template/);
+    assert.equal(attempts, 1);
+    await pool.drain();
+});
+
+test('drain closes the browser and refuses new work', async () => {
+    const { pool, browsers } = fakePool();
+    await pool.withPage(async () => {});
+    await pool.drain();
+    assert.ok(browsers[0].closed);
+    await assert.rejects(pool.withPage(async () => {}), error => error.code === 'POOL_CLOSED');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findRoute } = require('../lib/conversion-graph');
+const { createConverter } = require('../lib/converter');
+
+// Helper function to describe an edge of the graph
+function edge(id, from, to, cost = 1) {
+    return { id, from, to, cost };
+}
+
+// Helper function to show a route as its conversion ids
+function ids(route) {
+    return route && route.map(conversion => conversion.id);
+}
+
+const GRAPH = [
+    edge('md-html', 'markdown', 'html', 1),
+    edge('md-pdf', 'markdown', 'pdf', 5),
+    edge('html-pdf', 'html', 'pdf', 3),
+    edge('pdf-images', 'pdf', 'images', 3),
+    edge('pdf-html', 'pdf', 'html', 2),
+    edge('html-docx', 'html', 'docx', 1),
+    edge('pdf-docx', 'pdf', 'docx', 2),
+    edge('image-image', 'image', 'image', 1)
+];
+
+test('the cheapest route wins over the one with fewer steps', () => {
+    assert.deepEqual(ids(findRoute(GRAPH, 'markdown', 'pdf')), ['md-html', 'html-pdf']);
+    assert.deepEqual(ids(findRoute(GRAPH, 'markdown', 'images')), ['md-html', 'html-pdf', 'pdf-images']);
+    assert.deepEqual(ids(findRoute(GRAPH, 'pdf', 'docx')), ['pdf-docx']);
+});
+
+test('equally cheap routes prefer fewer steps, then the conversion registered first', () => {
+    const graph = [edge('a-b', 'a', 'b'), edge('b-c', 'b', 'c'), edge('a-c', 'a', 'c', 2), edge('a-c-too', 'a', 'c', 2)];
+    assert.deepEqual(ids(findRoute(graph, 'a', 'c')), ['a-c']);
+});
+
+test('a format converts to itself only through a conversion that does just that', () => {
+    assert.deepEqual(ids(findRoute(GRAPH, 'image', 'image')), ['image-image']);
+    assert.equal(findRoute(GRAPH, 'html', 'html'), null);
+});
+
+test('unreachable formats have no route', () => {
+    assert.equal(findRoute(GRAPH, 'docx', 'pdf'), null);
+    assert.equal(findRoute(GRAPH, 'markdown', 'epub'), null);
+});
+
+test('via forces formats to pass through and conversions to use, in order', () => {
+    assert.deepEqual(ids(findRoute(GRAPH, 'markdown', 'docx', ['pdf'])), ['md-html', 'html-pdf', 'pdf-docx']);
+    assert.deepEqual(ids(findRoute(GRAPH, 'markdown', 'docx', ['md-pdf'])), ['md-pdf', 'pdf-docx']);
+    assert.deepEqual(ids(findRoute(GRAPH, 'markdown', 'html', ['pdf', 'pdf-html'])), ['md-html', 'html-pdf', 'pdf-html']);
+    // A forced step can end the route
+    assert.deepEqual(ids(findRoute(GRAPH, 'markdown', 'pdf', ['md-pdf'])), ['md-pdf']);
+    assert.equal(findRoute(GRAPH, 'markdown', 'pdf', ['docx']), null);
+});
+
+test('the built-in conversions route Markdown to page images through a PDF', () => {
+    const converter = createConverter();
+    assert.deepEqual(ids(converter.route('md', 'png')), ['markdown-to-pdf', 'pdf-to-images']);
+    assert.deepEqual(ids(converter.route('markdown', 'pdf', 'html')), ['markdown-to-html', 'html-to-pdf']);
+    assert.throws(() => converter.route('markdown', 'pdf', 'epub'), { code: 'UNSUPPORTED_CONVERSION', statusCode: 400 });
+
+    // Later steps' options are checked before anything runs
+    const notes = { buffer: Buffer.from('# Notes'), originalname: 'notes.md', mimetype: 'text/markdown' };
+    assert.throws(() => converter.prepare(notes, { to: 'png', options: { dpi: 5000 } }), { code: 'INVALID_OPTIONS', message: /^pdf-to-images: Invalid options: dpi must be/ });
+    const { route, input } = converter.prepare(notes, { to: 'jpg' });
+    assert.deepEqual(route, ['markdown-to-pdf', 'pdf-to-images']);
+    assert.equal(input.fields.format, 'jpeg');
+    assert.equal(input.name, 'notes');
+});
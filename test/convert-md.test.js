@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createConvertMarkdownHandler } = require('../lib/convert-md');
+const { downloadFilename, contentDisposition } = require('../lib/download-name');
+
+// Helper function to stand in for an Express response
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.end = body => { res.body = body; };
+    return res;
+}
+
+// Helper function to post a /convert-md body to the handler
+async function convertMd(body, generatePDF = async () => Buffer.from('%PDF')) {
+    const res = fakeResponse();
+    await createConvertMarkdownHandler(generatePDF)({ body }, res);
+    return res;
+}
+
+test('markdown and a known type are required', async () => {
+    assert.deepEqual((await convertMd({ type: 'html' })).body, { error: 'Markdown content and type are required' });
+    const res = await convertMd({ markdown: '# Hi', type: 'rtf' });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Invalid type. Use "html", "pdf" or "docx".' });
+});
+
+test('invalid PDF options are a 400 with details', async () => {
+    const res = await convertMd({ markdown: '# Hi', type: 'pdf', options: { scale: 5 } });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Invalid PDF options: scale must be a number between 0.1 and 2', details: ['scale must be a number between 0.1 and 2'] });
+});
+
+test('the download is named after the request, the title or the upload', async () => {
+    const named = async body => (await convertMd({ markdown: '# Hi', type: 'pdf', ...body })).headers['content-disposition'];
+    assert.equal(await named({}), 'attachment; filename="converted-markdown.pdf"');
+    assert.equal(await named({ filename: 'notes.pdf' }), 'attachment; filename="notes.pdf"');
+    assert.equal(await named({ title: 'Q3 Report' }), 'attachment; filename="Q3 Report.pdf"');
+    assert.equal(await named({ defaultTitle: 'minutes' }), 'attachment; filename="minutes.pdf"');
+    assert.equal(await named({ markdown: '---\ntitle: From Front Matter\n---\n# Hi' }), 'attachment; filename="From Front Matter.pdf"');
+    assert.equal(await named({ filename: '../../etc/"passwd"\r\n' }), 'attachment; filename="passwd.pdf"');
+});
+
+test('HTML output carries the name it was given', async () => {
+    const res = await convertMd({ markdown: '# Hello', type: 'html', filename: 'hello' });
+    assert.equal(res.headers['content-disposition'], 'attachment; filename="hello.html"');
+    assert.equal(res.headers['content-type'], 'text/html; charset=utf-8');
+    assert.match(res.body.toString(), /<h1[^>]*>Hello<\/h1>/);
+});
+
+test('downloadFilename keeps titles whole and strips unsafe characters', () => {
+    assert.equal(downloadFilename('Version 2.0', 'pdf'), 'Version 2.0.pdf');
+    assert.equal(downloadFilename('report.PDF', 'pdf'), 'report.pdf');
+    assert.equal(downloadFilename('a:b*c?', 'html'), 'a b c.html');
+    assert.equal(downloadFilename('...', 'html', 'fallback'), 'fallback.html');
+    assert.equal(downloadFilename('', 'docx'), 'converted.docx');
+});
+
+test('contentDisposition adds an RFC 5987 name for non-ASCII names', () => {
+    assert.equal(contentDisposition('report.pdf'), 'attachment; filename="report.pdf"');
+    assert.equal(contentDisposition('Café.pdf', 'inline'), 'inline; filename="Caf_.pdf"; filename*=UTF-8\'\'Caf%C3%A9.pdf');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConverter, detectFormat, canonicalFormat } = require('../lib/converter');
+
+// Helper function to build a conversion that appends its id to text input
+function textStep(id, from, to, run) {
+    return {
+        id,
+        from,
+        to,
+        inputTypes: [`text/${from}`],
+        outputType: `text/${to}`,
+        options: {},
+        run: run || (async ({ file }) => ({ data: Buffer.from(`${file.buffer}>${id}`), contentType: `text/${to}`, filename: `out.${to}` }))
+    };
+}
+
+test('conversions need an id, formats, run() and parse() or a schema', () => {
+    const converter = createConverter({ builtins: false });
+    assert.throws(() => converter.register({ id: 'x', from: 'a', to: 'b' }), /needs an id, from, to, run\(\)/);
+    assert.throws(() => converter.register({ ...textStep('x', 'a', 'b'), cost: 0 }), /Conversion x: cost must be a positive number/);
+    assert.throws(() => converter.register({ ...textStep('x', 'a', 'b'), options: { size: { type: 'colour' } } }), /^Error: Conversion x: /);
+});
+
+test('the registry finds conversions by id and by formats, aliases included', () => {
+    const converter = createConverter({ builtins: false })
+        .register(textStep('md-to-b', 'md', 'b'))
+        .register(textStep('a-to-word', 'a', 'word'));
+
+    assert.equal(converter.get('md-to-b').from, 'markdown');
+    assert.equal(converter.find('markdown', 'b').id, 'md-to-b');
+    assert.equal(converter.find('a', 'docx').id, 'a-to-word');
+    assert.equal(converter.find('b', 'a'), null);
+    assert.deepEqual(converter.list().map(({ id, from, to, cost }) => ({ id, from, to, cost })), [
+        { id: 'md-to-b', from: 'markdown', to: 'b', cost: 1 },
+        { id: 'a-to-word', from: 'a', to: 'docx', cost: 1 }
+    ]);
+    assert.deepEqual(converter.targets(), ['b', 'docx']);
+    // A conversion with the same id replaces the old one
+    converter.register(textStep('md-to-b', 'markdown', 'c'));
+    assert.equal(converter.find('markdown', 'c').id, 'md-to-b');
+    assert.equal(converter.list().length, 2);
+});
+
+test('formats come from names first, then MIME types', () => {
+    assert.equal(detectFormat({ originalname: 'notes.MD' }), 'markdown');
+    assert.equal(detectFormat({ originalname: 'scan', mimetype: 'image/tiff' }), 'image');
+    assert.equal(detectFormat({ originalname: 'page', mimetype: 'text/html' }), 'html');
+    assert.equal(detectFormat({ originalname: 'data.csv', mimetype: 'text/csv' }), null);
+    assert.equal(canonicalFormat('Word'), 'docx');
+    assert.equal(canonicalFormat('jpg'), 'jpeg');
+});
+
+test('convert() takes Buffers, strings, paths and uploads', async () => {
+    const converter = createConverter({ builtins: false }).register(textStep('html-to-b', 'html', 'b'));
+
+    const fromString = await converter.convert('<!DOCTYPE html><p>x</p>', { from: 'html', to: 'b' });
+    assert.equal(fromString.data.toString(), '<!DOCTYPE html><p>x</p>>html-to-b');
+    assert.equal(fromString.conversion, 'html-to-b');
+    assert.deepEqual(fromString.route, ['html-to-b']);
+
+    const fromUpload = await converter.convert({ text: '<!DOCTYPE html><p>y</p>', filename: 'page.html' }, { to: 'b' });
+    assert.equal(fromUpload.detected.format, 'html');
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'udc-converter-')), 'page.htm');
+    fs.writeFileSync(file, '<p>z</p>');
+    const fromPath = await converter.convert({ path: file }, { to: 'b' });
+    assert.equal(fromPath.data.toString(), '<p>z</p>>html-to-b');
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+
+    await assert.rejects(converter.convert(42, { to: 'b' }), { code: 'BAD_INPUT', statusCode: 400 });
+});
+
+test('prepare() explains what it cannot do with 400 errors', () => {
+    const converter = createConverter({ builtins: false })
+        .register(textStep('html-to-b', 'html', 'b'))
+        .register({ ...textStep('html-to-c', 'html', 'c'), options: { width: { type: 'number' } } });
+    const page = { buffer: Buffer.from('<!DOCTYPE html><p>x</p>'), originalname: 'page.html', mimetype: 'text/html' };
+
+    assert.throws(() => converter.prepare(page, { conversion: 'nope' }), { code: 'UNSUPPORTED_CONVERSION', statusCode: 400 });
+    assert.throws(() => converter.prepare(page, { to: 'pdf' }), { message: 'Cannot convert html to pdf', statusCode: 400 });
+    assert.throws(() => converter.prepare(null, { to: 'b' }), { code: 'UNKNOWN_FORMAT', statusCode: 400 });
+    assert.throws(() => converter.prepare(page, { to: 'c', options: { width: 'wide' } }), { code: 'INVALID_OPTIONS', statusCode: 400 });
+    assert.throws(() => converter.prepare(page, { to: 'b', via: 'nowhere' }), { message: 'Unknown format or conversion in via: "nowhere"' });
+
+    const pdf = { buffer: Buffer.from('%PDF-1.4\n'), originalname: 'page.html', mimetype: 'text/html' };
+    assert.throws(() => converter.prepare(pdf, { from: 'html', to: 'b' }), { code: 'UNEXPECTED_TYPE', message: 'Expected html but the upload looks like pdf' });
+});
+
+test('the built-in Markdown to HTML conversion runs without a browser', async () => {
+    const converter = createConverter();
+    const result = await converter.convert({ text: '# Notes\n\nSome *text*.', filename: 'notes.md' }, { to: 'html' });
+    assert.equal(result.conversion, 'markdown-to-html');
+    assert.equal(result.filename, 'notes.html');
+    assert.match(result.data.toString(), /<em>text<\/em>/);
+    await converter.close();
+});
+
+test('routes report progress per step, with each step\'s own progress in between', async () => {
+    const converter = createConverter({ builtins: false })
+        .register(textStep('a-to-b', 'a', 'b'))
+        .register(textStep('b-to-c', 'b', 'c', async ({ file }, reportProgress) => {
+            reportProgress(0.5);
+            return { data: Buffer.from(`${file.buffer}>b-to-c`), contentType: 'text/c', filename: 'out.c' };
+        }));
+
+    const { conversion, input } = converter.prepare({ buffer: Buffer.from('start'), originalname: 'doc.a', mimetype: 'text/a' }, { from: 'a', to: 'c' });
+    const progress = [];
+    const result = await conversion.run(input, fraction => progress.push(fraction));
+
+    assert.equal(result.data.toString(), 'start>a-to-b>b-to-c');
+    assert.deepEqual(progress, [0.5, 0.75, 1]);
+});
+
+test('runRoute works without a progress callback', async () => {
+    const converter = createConverter({ builtins: false })
+        .register(textStep('a-to-b', 'a', 'b'))
+        .register(textStep('b-to-c', 'b', 'c'));
+    const { input } = converter.prepare({ buffer: Buffer.from('start'), originalname: 'doc.a', mimetype: 'text/a' }, { from: 'a', to: 'c' });
+    const result = await converter.runRoute(input);
+    assert.equal(result.data.toString(), 'start>a-to-b>b-to-c');
+});
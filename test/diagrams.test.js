@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDiagrams, renderDiagrams } = require('../lib/diagrams');
+const { renderMarkdown } = require('../lib/markdown');
+
+// Word output rasterises diagrams with sharp, whose native binary not every machine has
+let sharpMissing = false;
+try {
+    require('sharp');
+} catch (error) {
+    sharpMissing = 'sharp is not installed';
+}
+
+const MERMAID = '```mermaid\ngraph LR\n  A --> B\n```\n';
+
+// Helper function to run something without its console.error output
+async function quietly(fn) {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.error = originalError;
+    }
+}
+
+test('diagrams are found once each, code blocks are skipped', () => {
+    const { marked } = require('marked');
+    const tokens = marked.lexer('```dot\ndigraph { a }\n```\n\n> ```graphviz\n> digraph { a }\n> ```\n\n```mermaid\ngraph LR\n```\n\n```js\nx\n```\n');
+    assert.deepEqual(findDiagrams(tokens, marked.walkTokens.bind(marked)), [
+        { kind: 'graphviz', source: 'digraph { a }' },
+        { kind: 'mermaid', source: 'graph LR' }
+    ]);
+});
+
+test('Graphviz diagrams become inline SVG', async () => {
+    const html = await renderMarkdown('```dot\ndigraph { markdown -> html }\n```\n');
+    assert.match(html, /^<div class="diagram diagram-graphviz" style="text-align: center; margin: 1em 0"><svg [\s\S]*<\/svg>\n<\/div>\n$/);
+    assert.ok(html.includes('>markdown</text>'));
+});
+
+test('a diagram with a mistake is shown as code with the error under it', async () => {
+    const html = await renderMarkdown('```dot\ndigraph { a -> }\n```\n', { highlight: { scheme: 'none' } });
+    assert.match(html, /^<pre><code class="language-dot">digraph \{ a -&gt; \}\n<\/code><\/pre>\n<p class="diagram-error" style="color: #c00">Diagram error: .+<\/p>\n$/);
+});
+
+test('Mermaid diagrams are drawn by renderMermaid, one call per document', async () => {
+    const calls = [];
+    const renderMermaid = async (sources) => {
+        calls.push(sources);
+        return sources.map(source => (source.includes('oops') ? { error: 'Parse error' } : { svg: '<svg width="10" height="10"></svg>' }));
+    };
+    const html = await renderMarkdown(MERMAID + '\n```mermaid\noops\n```\n', { renderMermaid, highlight: { scheme: 'none' } });
+    assert.deepEqual(calls, [['graph LR\n  A --> B', 'oops']]);
+    assert.equal(html,
+        '<div class="diagram diagram-mermaid" style="text-align: center; margin: 1em 0"><svg width="10" height="10"></svg></div>\n' +
+        '<pre><code class="language-mermaid">oops\n</code></pre>\n<p class="diagram-error" style="color: #c00">Diagram error: Parse error</p>\n');
+});
+
+test('Mermaid diagrams stay code without a browser', async () => {
+    assert.equal(await renderMarkdown(MERMAID, { highlight: { scheme: 'none' } }),
+        '<pre><code class="language-mermaid">graph LR\n  A --&gt; B\n</code></pre>\n');
+});
+
+test('Mermaid diagrams stay code when the browser fails, and the rest still converts', async () => {
+    const renderMermaid = async () => {
+        throw Object.assign(new Error('Browser pool is busy'), { statusCode: 503 });
+    };
+    const diagrams = [{ kind: 'mermaid', source: 'graph LR' }, { kind: 'graphviz', source: 'digraph { a }' }];
+    const rendered = await quietly(() => renderDiagrams(diagrams, { renderMermaid }));
+    assert.deepEqual([...rendered.keys()], ['graphviz\ndigraph { a }']);
+
+    const html = await quietly(() => renderMarkdown('# Title\n\n' + MERMAID, { renderMermaid, highlight: { scheme: 'none' } }));
+    assert.equal(html, '<h1>Title</h1>\n<pre><code class="language-mermaid">graph LR\n  A --&gt; B\n</code></pre>\n');
+});
+
+test('Word gets each diagram as a sized PNG', { skip: sharpMissing }, async () => {
+    const html = await renderMarkdown('```dot\ndigraph { a -> b }\n```\n', { docx: true });
+    assert.match(html, /^<p style="text-align: center"><img src="data:image\/png;base64,[^"]+" alt="Diagram" style="width: \d+px; height: \d+px"><\/p>\n$/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrontMatter, mergePdfOptions, metadataTags } = require('../lib/front-matter');
+
+test('metadata and settings are split off the top of the document', () => {
+    const { frontMatter, body } = parseFrontMatter([
+        '---',
+        'title: Quarterly Report',
+        'author: Jane Doe',
+        'date: 2024-03-31',
+        'tags: [finance, q1]',
+        'theme: academic',
+        'highlight: monokai',
+        'format: Letter',
+        'toc: true',
+        'layout: post',
+        '---',
+        '# Results',
+        ''
+    ].join('\n'));
+
+    assert.equal(body, '# Results\n');
+    assert.deepEqual(frontMatter, {
+        // Dates stay as written
+        metadata: { title: 'Quarterly Report', author: 'Jane Doe', date: '2024-03-31', keywords: ['finance', 'q1'] },
+        theme: 'academic',
+        highlight: { highlight: 'monokai' },
+        pdf: { format: 'Letter', toc: true }
+    });
+});
+
+test('site generator keys fill in the subject and keywords, and "pdf" holds page options', () => {
+    const { frontMatter } = parseFrontMatter('---\ndescription: A summary\nkeywords: one, two ,\npdf:\n  format: A5\nformat: Letter\nmargin: 1in\n---\nText');
+    assert.deepEqual(frontMatter.metadata, { subject: 'A summary', keywords: ['one', 'two'] });
+    assert.deepEqual(frontMatter.pdf, { format: 'A5', margin: '1in' });
+});
+
+test('documents without front matter are left alone', () => {
+    const markdown = '# Title\n\n---\n\nAfter a rule';
+    assert.deepEqual(parseFrontMatter(markdown), { frontMatter: { metadata: {}, theme: null, highlight: {}, pdf: {} }, body: markdown });
+    // Text between two rules isn't settings
+    const rules = '---\nJust a sentence.\n---\nMore text';
+    assert.equal(parseFrontMatter(rules).body, rules);
+    // An empty block is dropped
+    assert.equal(parseFrontMatter('\uFEFF---\n---\nText').body, 'Text');
+});
+
+test('broken YAML and unknown themes are errors', () => {
+    const invalid = parseFrontMatter('---\ntitle: [unclosed\n---\nText');
+    assert.match(invalid.error, /^Invalid front matter: /);
+    assert.equal(invalid.details.length, 1);
+    assert.match(parseFrontMatter('---\ntheme: neon\n---\n').error, /^Invalid front matter: Unknown theme "neon"/);
+});
+
+test('the request\'s PDF options win over the document\'s', () => {
+    assert.deepEqual(mergePdfOptions({ format: 'Letter', toc: true }, '{"format":"A4"}'), { format: 'A4', toc: true });
+    assert.deepEqual(mergePdfOptions({ format: 'Letter' }, undefined), { format: 'Letter' });
+    // Anything else is left for parsePdfOptions() to report
+    assert.equal(mergePdfOptions({ format: 'Letter' }, '{broken'), '{broken');
+    assert.deepEqual(mergePdfOptions({ format: 'Letter' }, [1]), [1]);
+});
+
+test('metadata becomes escaped <meta> tags', () => {
+    assert.equal(metadataTags({ title: 'Ignored here', author: 'Tom & Jerry', keywords: ['a', '"b"'] }),
+        '    <meta name="author" content="Tom &amp; Jerry">\n    <meta name="keywords" content="a, &quot;b&quot;">');
+    assert.equal(metadataTags(), '');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { buildHeaderFooter, EMPTY_TEMPLATE } = require('../lib/header-footer');
+const { parsePdfOptions } = require('../lib/pdf-options');
+const { renderPdf } = require('../lib/pdf-render');
+
+const MARGIN = { top: '20mm', right: '15mm', bottom: '20mm', left: '10mm' };
+
+// Helper function to make a PDF with `count` pages, each with a little drawing on it
+async function samplePdf(count) {
+    const pdfDoc = await PDFDocument.create();
+    for (let i = 0; i < count; i++) {
+        pdfDoc.addPage().drawRectangle({ x: 10, y: 10, width: 10, height: 10 });
+    }
+    return Buffer.from(await pdfDoc.save());
+}
+
+test('nothing is added without a header or footer', () => {
+    assert.deepEqual(buildHeaderFooter({}, MARGIN, []), {});
+    assert.deepEqual(buildHeaderFooter({ header: 'none', footer: '' }, MARGIN, []), {});
+});
+
+test('presets are wrapped in a box lined up with the margins', () => {
+    const options = buildHeaderFooter({ footer: 'page-x-of-y' }, MARGIN, []);
+    assert.equal(options.displayHeaderFooter, true);
+    assert.equal(options.headerTemplate, EMPTY_TEMPLATE);
+    assert.match(options.footerTemplate, /padding: 0 15mm 0 10mm/);
+    assert.match(options.footerTemplate, /<span class="pageNumber"><\/span> of <span class="totalPages"><\/span>/);
+});
+
+test('placeholders in custom templates become Chrome spans', () => {
+    const errors = [];
+    const options = buildHeaderFooter({ header: '<b>{{title}}</b> {{ pageNumber }}' }, MARGIN, errors);
+    assert.deepEqual(errors, []);
+    assert.match(options.headerTemplate, /<b><span class="title"><\/span><\/b> <span class="pageNumber"><\/span>/);
+});
+
+test('unknown presets and placeholders are reported', () => {
+    const errors = [];
+    buildHeaderFooter({ header: 'fancy', footer: '{{author}}' }, MARGIN, errors);
+    assert.match(errors[0], /Unknown header preset "fancy"/);
+    assert.match(errors[1], /footer uses unknown placeholder "author"/);
+});
+
+test('firstPageHeader: false only applies when there is a header', () => {
+    assert.equal(parsePdfOptions({ header: 'title', firstPageHeader: 'false' }).options.skipFirstPageHeader, true);
+    assert.equal(parsePdfOptions({ footer: 'title', firstPageHeader: false }).options.skipFirstPageHeader, undefined);
+});
+
+test('renderPdf prints the first page again without the header', async () => {
+    const { options } = parsePdfOptions({ header: 'title', firstPageHeader: false, pageRanges: '3-4' });
+    const calls = [];
+    const page = {
+        pdf: async (pdfOptions) => {
+            calls.push(pdfOptions);
+            return samplePdf(calls.length === 1 ? 2 : 1);
+        }
+    };
+    const pdfDoc = await PDFDocument.load(await renderPdf(page, options));
+    assert.equal(pdfDoc.getPageCount(), 2);
+    assert.equal(calls.length, 2);
+    assert.equal(calls[0].skipFirstPageHeader, undefined);
+    assert.equal(calls[1].headerTemplate, EMPTY_TEMPLATE);
+    assert.equal(calls[1].pageRanges, '3');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listSchemes, parseHighlightOptions, renderCodeBlock, renderCodeBlockInline, highlightStyles } = require('../lib/highlight');
+const { renderMarkdown } = require('../lib/markdown');
+
+test('highlight options default, validate and fall back to the document\'s', () => {
+    assert.deepEqual(parseHighlightOptions(), { options: { scheme: 'github', lineNumbers: false } });
+    assert.deepEqual(parseHighlightOptions({ highlight: 'monokai', lineNumbers: 'true' }), { options: { scheme: 'monokai', lineNumbers: true } });
+    assert.deepEqual(parseHighlightOptions({}, { highlight: false, lineNumbers: true }), { options: { scheme: 'none', lineNumbers: true } });
+    assert.deepEqual(parseHighlightOptions({ highlight: 'nord' }, { highlight: 'monokai' }).options.scheme, 'nord');
+    assert.deepEqual(parseHighlightOptions({ highlight: 'neon', lineNumbers: 'sometimes' }).errors, [
+        'Unknown highlight scheme "neon". Use "none" or one listed by GET /highlight-schemes',
+        'lineNumbers must be true or false'
+    ]);
+    // Scheme names can't reach outside highlight.js's styles
+    assert.ok(parseHighlightOptions({ highlight: '../../package' }).errors);
+});
+
+test('schemes are highlight.js\'s stylesheets', () => {
+    const schemes = listSchemes();
+    assert.ok(schemes.includes('github'));
+    assert.ok(schemes.includes('monokai'));
+    assert.match(highlightStyles({ scheme: 'monokai' }), /^<style>\n[\s\S]*\.hljs[\s\S]*pre\.highlighted/);
+    assert.equal(highlightStyles({ scheme: 'none' }), '');
+});
+
+test('code blocks are highlighted for pages, with line numbers on request', () => {
+    assert.equal(renderCodeBlock('const a = 1;', 'js'),
+        '<pre class="highlighted"><code class="hljs language-js"><span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;\n</code></pre>\n');
+
+    // Spans running over a line break are closed and reopened on each line
+    const numbered = renderCodeBlock('let b = `x\ny`;\n', 'javascript', { lineNumbers: true });
+    assert.ok(numbered.includes('<span class="line"><span class="hljs-keyword">let</span> b = <span class="hljs-string">`x</span></span>\n<span class="line"><span class="hljs-string">y`</span>;</span>'));
+    assert.match(numbered, /class="hljs language-javascript line-numbers"/);
+});
+
+test('unknown languages are escaped, not highlighted', () => {
+    assert.equal(renderCodeBlock('<b>x</b>', 'klingon'), '<pre class="highlighted"><code class="hljs">&lt;b&gt;x&lt;/b&gt;\n</code></pre>\n');
+});
+
+test('Word gets the scheme\'s colours inline, a paragraph per line', () => {
+    const html = renderCodeBlockInline('const a = 1;\n\nreturn;', 'js', { scheme: 'github', lineNumbers: true });
+    const lines = html.trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^<p style="background-color: #ffffff; font-family: Courier New; font-size: 10pt; margin: 0"><span style="color: #999999">1&nbsp;&nbsp;<\/span><span style="color: #d73a49">const<\/span>/);
+    // Empty lines keep their height
+    assert.match(lines[1], /<span style="color: #999999">2&nbsp;&nbsp;<\/span><\/p>$/);
+    assert.equal(renderCodeBlockInline('a < b', 'js', { scheme: 'none' }),
+        '<p style="font-family: Courier New; font-size: 10pt; margin: 0">a&nbsp;&lt;&nbsp;b</p>\n');
+});
+
+test('fenced code in Markdown is highlighted on the server', async () => {
+    const html = await renderMarkdown('```python\nprint(1)\n```\n', { highlight: { scheme: 'github' } });
+    assert.equal(html, '<pre class="highlighted"><code class="hljs language-python"><span class="hljs-built_in">print</span>(<span class="hljs-number">1</span>)\n</code></pre>\n');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../lib/job-queue');
+
+// Helper function to wait until a job has finished
+async function finished(queue, id) {
+    for (let tries = 0; tries < 200; tries++) {
+        const job = queue.get(id);
+        if (job.status === 'completed' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${id} did not finish`);
+}
+
+// Helper function to keep the queue's retry messages out of the test output
+async function quietly(fn) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+test('a job runs and its result can be downloaded', async () => {
+    const queue = createJobQueue({
+        echo: async input => ({ data: Buffer.from(input.text), contentType: 'text/plain', filename: 'echo.txt' })
+    });
+    // A free slot starts the job straight away
+    const { id, status } = queue.submit('echo', { text: 'hello' });
+    assert.equal(status, 'running');
+
+    const job = await finished(queue, id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.progress, 1);
+    assert.deepEqual(job.result, { contentType: 'text/plain', filename: 'echo.txt', size: 5 });
+    assert.equal(queue.getResult(id).data.toString(), 'hello');
+    queue.drain();
+});
+
+test('progress reported by a handler shows on the job while it runs', async () => {
+    let release;
+    const seen = [];
+    const queue = createJobQueue({
+        pages: async (input, reportProgress) => {
+            reportProgress(0.5);
+            await new Promise(resolve => { release = resolve; });
+            reportProgress(7);
+            seen.push(queue.get(id).progress);
+            return { data: Buffer.from('done'), contentType: 'text/plain', filename: 'done.txt' };
+        }
+    });
+    const { id } = queue.submit('pages', {});
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(queue.get(id).status, 'running');
+    assert.equal(queue.get(id).progress, 0.5);
+
+    release();
+    await finished(queue, id);
+    // Out of range values are clamped
+    assert.deepEqual(seen, [1]);
+    queue.drain();
+});
+
+test('failed attempts are retried, but bad input fails straight away', async () => {
+    let calls = 0;
+    const queue = createJobQueue({
+        flaky: async () => {
+            calls++;
+            if (calls < 3) {
+                throw new Error('Chrome crashed');
+            }
+            return { data: Buffer.from('ok'), contentType: 'text/plain', filename: 'ok.txt' };
+        },
+        invalid: async () => {
+            throw Object.assign(new Error('No pages selected'), { statusCode: 400 });
+        }
+    }, { retryDelay: 1, maxAttempts: 3 });
+
+    await quietly(async () => {
+        const flaky = await finished(queue, queue.submit('flaky', {}).id);
+        assert.equal(flaky.status, 'completed');
+        assert.equal(flaky.attempts, 3);
+
+        const invalid = await finished(queue, queue.submit('invalid', {}).id);
+        assert.equal(invalid.status, 'failed');
+        assert.equal(invalid.attempts, 1);
+        assert.equal(invalid.error, 'No pages selected');
+    });
+    assert.equal(queue.stats().retried, 2);
+    queue.drain();
+});
+
+test('unknown types and a full or closed queue are refused', () => {
+    const queue = createJobQueue({ wait: () => new Promise(() => {}) }, { concurrency: 1, maxQueue: 1 });
+    assert.throws(() => queue.submit('nope', {}), { code: 'UNKNOWN_TYPE', statusCode: 400 });
+    queue.submit('wait', {});
+    assert.throws(() => queue.submit('wait', {}), { code: 'QUEUE_FULL', statusCode: 503 });
+    queue.drain();
+    assert.throws(() => queue.submit('wait', {}), { code: 'QUEUE_CLOSED', statusCode: 503 });
+});
+
+test('onFinish gets the finished job and its callback', async () => {
+    const calls = [];
+    const queue = createJobQueue({
+        echo: async () => ({ data: Buffer.from('x'), contentType: 'text/plain', filename: 'x.txt' })
+    }, { onFinish: (job, callback) => calls.push({ job, callback }) });
+    const { id } = queue.submit('echo', {}, { url: 'https://example.com/hook' });
+    await finished(queue, id);
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].job.id, id);
+    assert.equal(calls[0].job.callbackUrl, 'https://example.com/hook');
+    assert.deepEqual(calls[0].callback, { url: 'https://example.com/hook' });
+    queue.drain();
+});
+
+test('with a store, queued jobs and their uploads survive a restart', async () => {
+    const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'udc-jobs-'));
+    try {
+        const first = createJobQueue({ echo: () => new Promise(() => {}) }, { storeDir, concurrency: 1 });
+        first.submit('echo', { file: Buffer.from('first') });
+        const { id } = first.submit('echo', { file: Buffer.from('second') });
+        first.drain();
+
+        const received = [];
+        const second = await quietly(() => createJobQueue({
+            echo: async input => {
+                received.push(input.file.toString());
+                return { data: input.file, contentType: 'text/plain', filename: 'out.txt' };
+            }
+        }, { storeDir }));
+        await finished(second, id);
+
+        assert.deepEqual(received.sort(), ['first', 'second']);
+        assert.equal(second.getResult(id).data.toString(), 'second');
+        second.drain();
+    } finally {
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    }
+});
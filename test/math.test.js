@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { texToSvg } = require('../lib/math');
+const { renderMarkdown } = require('../lib/markdown');
+
+// Word output rasterises formulas with sharp, whose native binary not every machine has
+let sharpMissing = false;
+try {
+    require('sharp');
+} catch (error) {
+    sharpMissing = 'sharp is not installed';
+}
+
+// Helper function to hide the SVG markup so the HTML around it can be compared
+function withoutSvg(html) {
+    return html.replace(/<svg[\s\S]*?<\/svg>/g, '<svg/>');
+}
+
+test('TeX becomes a standalone SVG', () => {
+    const svg = texToSvg('x^2');
+    assert.match(svg, /^<svg overflow="visible" style="vertical-align: [-\d.]+ex;" xmlns="http:\/\/www.w3.org\/2000\/svg" width="[\d.]+ex"/);
+    // No shared definitions or styles it doesn't need
+    assert.ok(!svg.includes('<use'));
+    assert.ok(!svg.includes('<style>'));
+});
+
+test('mistakes in the TeX are drawn in the formula, with the styles to show them', () => {
+    const svg = texToSvg('\\frac{1}');
+    assert.match(svg, /data-mml-node="merror"/);
+    assert.match(svg, /^<svg[^>]*><style>[^<]+<\/style>/);
+});
+
+test('inline and display math in Markdown', async () => {
+    const html = await renderMarkdown('Area $\\pi r^2$ and $$\\sum x$$ here.\n\n$$\nE = mc^2\n$$\n');
+    assert.equal(withoutSvg(html),
+        '<p>Area <span class="math math-inline"><svg/></span> and ' +
+        '<span class="math math-display" style="display: block; text-align: center; margin: 1em 0; overflow-x: auto"><svg/></span> here.</p>\n' +
+        '<div class="math math-display" style="display: block; text-align: center; margin: 1em 0; overflow-x: auto"><svg/></div>\n');
+});
+
+test('prices, spaced dollars and escaped dollars stay text', async () => {
+    assert.equal(await renderMarkdown('Costs $5 and $10, or $ 3 $ or \\$x$.'), '<p>Costs $5 and $10, or $ 3 $ or $x$.</p>\n');
+});
+
+test('math in code stays code', async () => {
+    assert.equal(await renderMarkdown('Use `$x$` or\n\n```\n$$y$$\n```\n', { highlight: { scheme: 'none' } }),
+        '<p>Use <code>$x$</code> or</p>\n<pre><code>$$y$$\n</code></pre>\n');
+});
+
+test('Word gets each formula as a sized PNG', { skip: sharpMissing }, async () => {
+    const html = await renderMarkdown('Area $\\pi r^2$.\n\n$$x$$\n', { docx: true });
+    assert.match(html, /<img src="data:image\/png;base64,[^"]+" alt="\\pi r\^2" style="width: \d+px; height: \d+px">/);
+    assert.match(html, /<p style="text-align: center"><img src="data:image\/png;base64,[^"]+" alt="x"/);
+});
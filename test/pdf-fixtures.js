@@ -0,0 +1,95 @@
+// PDFs for the tests, drawn with pdf-lib so no browser is needed.
+//
+//   await makePdf([
+//       [{ text: 'Title', x: 72, y: 72, size: 20, bold: true }, { text: 'Body', x: 72, y: 110 }],
+//       [{ text: 'Page two', x: 72, y: 72 }]
+//   ]);
+//
+// Each page is a list of text runs, rules given as { rule: [x1, y1, x2, y2] } and
+// images given as { image: pngBuffer, x, y, width, height }; y is measured from the
+// top of the page.
+
+const zlib = require('zlib');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+
+const PAGE_SIZE = [612, 792];
+
+// Build a PDF from a list of pages; returns a Buffer
+async function makePdf(pages, { size = PAGE_SIZE } = {}) {
+    const pdfDoc = await PDFDocument.create();
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const italic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+
+    const embedded = new Map();
+    for (const runs of pages) {
+        const page = pdfDoc.addPage(size);
+        for (const run of runs) {
+            if (run.image) {
+                if (!embedded.has(run.image)) {
+                    embedded.set(run.image, await pdfDoc.embedPng(run.image));
+                }
+                page.drawImage(embedded.get(run.image), { x: run.x, y: size[1] - run.y - run.height, width: run.width, height: run.height });
+                continue;
+            }
+            if (run.rule) {
+                const [x1, y1, x2, y2] = run.rule;
+                page.drawLine({ start: { x: x1, y: size[1] - y1 }, end: { x: x2, y: size[1] - y2 }, thickness: 0.5 });
+                continue;
+            }
+            const fontSize = run.size || 11;
+            page.drawText(run.text, {
+                x: run.x,
+                y: size[1] - run.y - fontSize,
+                size: fontSize,
+                font: run.bold ? bold : run.italic ? italic : regular
+            });
+        }
+    }
+    return Buffer.from(await pdfDoc.save());
+}
+
+// Helper function to build a PNG chunk
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32 ? zlib.crc32(body) : crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Helper function to compute a CRC-32 where zlib has none (Node before 20.15)
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Build an RGB PNG of one colour ([r, g, b]), without needing sharp
+function solidPng(width, height, color) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bits per channel
+    header[9] = 2;  // RGB
+    const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array.from({ length: width }, () => color).flat())]);
+    const pixels = zlib.deflateSync(Buffer.concat(Array.from({ length: height }, () => row)));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', pixels),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    PAGE_SIZE,
+    makePdf,
+    solidPng
+};
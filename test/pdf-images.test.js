@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImageOptions, encodeImages, DEFAULT_IMAGE_OPTIONS } = require('../lib/pdf-images');
+const { readPdfLayout } = require('../lib/pdf-layout');
+const { makePdf, solidPng } = require('./pdf-fixtures');
+
+// Encoding needs sharp's native binary, which not every machine has
+let sharpMissing = false;
+try {
+    require('sharp');
+} catch (error) {
+    sharpMissing = 'sharp is not installed';
+}
+
+const RED = solidPng(40, 30, [255, 0, 0]);
+const BLUE = solidPng(40, 30, [0, 0, 255]);
+
+// Helper function to read the images of a PDF in reading order
+async function pdfImages(pages) {
+    const layout = await readPdfLayout(await makePdf(pages), { images: true });
+    return [].concat(...layout.pages.map(page => page.lines.filter(line => line.image).map(line => line.image)));
+}
+
+test('image options default and validate', () => {
+    assert.deepEqual(parseImageOptions(), { options: DEFAULT_IMAGE_OPTIONS });
+    assert.deepEqual(parseImageOptions({ images: 'ZIP', imageFormat: 'jpg', imageMaxWidth: '800' }).options,
+        { ...DEFAULT_IMAGE_OPTIONS, images: 'zip', imageFormat: 'jpeg', imageMaxWidth: 800 });
+    assert.deepEqual(parseImageOptions({ images: 'all', imageFormat: 'gif', imageMaxWidth: 8, imageQuality: 0 }).errors, [
+        'images must be "inline", "zip" or "none"',
+        'imageFormat must be auto, jpeg, png or webp',
+        'imageMaxWidth must be a whole number of pixels between 16 and 5000',
+        'imageQuality must be a whole number between 1 and 100'
+    ]);
+});
+
+test('embedded images are read with their place and pixels', async () => {
+    const images = await pdfImages([[
+        { text: 'Above', x: 72, y: 72 },
+        { image: RED, x: 72, y: 100, width: 200, height: 150 },
+        { text: 'Below', x: 72, y: 280 }
+    ]]);
+    assert.equal(images.length, 1);
+    const [image] = images;
+    assert.deepEqual(image.raw, { width: 40, height: 30, channels: 3 });
+    assert.equal(Math.round(image.x), 72);
+    assert.equal(Math.round(image.right), 272);
+    assert.equal(Math.round(image.top), 100);
+    assert.deepEqual([...image.pixels.subarray(0, 3)], [255, 0, 0]);
+});
+
+test('tiny images such as bullets are skipped', async () => {
+    const images = await pdfImages([[{ image: RED, x: 72, y: 100, width: 8, height: 8 }, { text: 'Item', x: 90, y: 100 }]]);
+    assert.equal(images.length, 0);
+});
+
+test('the same image drawn twice has the same hash', async () => {
+    const images = await pdfImages([
+        [{ image: RED, x: 72, y: 100, width: 100, height: 75 }, { image: BLUE, x: 72, y: 300, width: 100, height: 75 }],
+        [{ image: RED, x: 72, y: 100, width: 100, height: 75 }]
+    ]);
+    assert.equal(images.length, 3);
+    assert.equal(images[0].hash, images[2].hash);
+    assert.notEqual(images[0].hash, images[1].hash);
+});
+
+test('images are encoded once and bundled for ZIP output', { skip: sharpMissing }, async () => {
+    const images = await pdfImages([
+        [{ image: RED, x: 72, y: 100, width: 100, height: 75 }],
+        [{ image: RED, x: 72, y: 100, width: 100, height: 75 }]
+    ]);
+    const files = await encodeImages(images, { ...DEFAULT_IMAGE_OPTIONS, images: 'zip' });
+    assert.equal(files.length, 1);
+    assert.equal(files[0].name, 'images/image-1.jpg');
+    assert.deepEqual(images.map(image => image.src), ['images/image-1.jpg', 'images/image-1.jpg']);
+});
+
+test('inline images become data URIs', { skip: sharpMissing }, async () => {
+    const images = await pdfImages([[{ image: BLUE, x: 72, y: 100, width: 100, height: 75 }]]);
+    const files = await encodeImages(images, { ...DEFAULT_IMAGE_OPTIONS, imageFormat: 'png' });
+    assert.deepEqual(files, []);
+    assert.match(images[0].src, /^data:image\/png;base64,/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stripRunningLines, readPdfLayout } = require('../lib/pdf-layout');
+const { makePdf } = require('./pdf-fixtures');
+
+const PAGE = { width: 612, height: 792 };
+
+// Helper function to make a line of body-size text with its baseline at `y`
+function line(text, y, fontSize = 11) {
+    return { text, pieces: [text], y, top: y - fontSize, fontSize };
+}
+
+// Helper function to make `count` pages from a function giving each page's lines
+function pages(count, linesOf) {
+    return Array.from({ length: count }, (value, index) => ({ ...PAGE, number: index + 1, lines: linesOf(index + 1) }));
+}
+
+// Helper function to list the text left on each page
+function texts(result) {
+    return result.map(page => page.lines.map(item => item.text));
+}
+
+test('headers and page numbers repeated on most pages are dropped', () => {
+    const result = pages(4, number => [line('Acme Annual Report', 30), line('Body text', 300), line(`Page ${number} of 4`, 770)]);
+    stripRunningLines(result);
+    assert.deepEqual(texts(result), [['Body text'], ['Body text'], ['Body text'], ['Body text']]);
+});
+
+test('lines repeated on only two pages of a longer document stay', () => {
+    const result = pages(5, number => [line('Body text', 300), ...(number <= 2 ? [line('Total: 12', 775)] : [])]);
+    stripRunningLines(result);
+    assert.deepEqual(texts(result)[0], ['Body text', 'Total: 12']);
+    assert.deepEqual(texts(result)[1], ['Body text', 'Total: 12']);
+});
+
+test('repeated body lines outside the narrow margin zones stay', () => {
+    // 0.1 of the page from the top and bottom: inside the old zone, outside the new one
+    const result = pages(3, () => [line('Section overview', 80), line('Total: 12', 712)]);
+    stripRunningLines(result);
+    assert.deepEqual(texts(result), [['Section overview', 'Total: 12'], ['Section overview', 'Total: 12'], ['Section overview', 'Total: 12']]);
+});
+
+test('long lines in the margins are body text', () => {
+    const sentence = 'This paragraph happens to start every page of the document right at the very top edge.';
+    const result = pages(3, () => [line(sentence, 20), line('Body', 300)]);
+    stripRunningLines(result);
+    assert.deepEqual(texts(result)[2], [sentence, 'Body']);
+});
+
+test('text larger than the body, like a repeated title, stays', () => {
+    const result = pages(3, () => [line('Chapter', 30, 24), line('Body text that is long enough to set the body size', 300)]);
+    stripRunningLines(result);
+    assert.equal(texts(result)[0][0], 'Chapter');
+});
+
+test('a single page is left alone', () => {
+    const result = pages(1, () => [line('Page 1', 770)]);
+    stripRunningLines(result);
+    assert.deepEqual(texts(result), [['Page 1']]);
+});
+
+test('readPdfLayout reads lines in order and strips running lines', async () => {
+    const pdf = await makePdf([1, 2, 3].map(number => [
+        { text: 'Acme Report', x: 72, y: 20, size: 9 },
+        { text: `Heading ${number}`, x: 72, y: 100, size: 16 },
+        { text: 'First body line of the page.', x: 72, y: 140 },
+        { text: 'Second body line of the page.', x: 72, y: 156 },
+        { text: String(number), x: 300, y: 765, size: 9 }
+    ]));
+    const layout = await readPdfLayout(pdf);
+    assert.equal(layout.numPages, 3);
+    const [heading, first, second] = layout.pages[1].lines;
+    assert.equal(layout.pages[1].lines.length, 3);
+    assert.equal(heading.text, 'Heading 2');
+    assert.equal(Math.round(heading.fontSize), 16);
+    assert.equal(first.text, 'First body line of the page.');
+    assert.equal(second.text, 'Second body line of the page.');
+});
+
+test('readPdfLayout reports progress page by page', async () => {
+    const pdf = await makePdf([1, 2, 3, 4].map(number => [{ text: `Page ${number} text.`, x: 72, y: 100 }]));
+    const progress = [];
+    await readPdfLayout(pdf, { onProgress: fraction => progress.push(fraction) });
+    assert.deepEqual(progress, [0.25, 0.5, 0.75, 1]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePdfOptions, DEFAULT_PDF_OPTIONS } = require('../lib/pdf-options');
+
+test('no options gives the defaults', () => {
+    const { options } = parsePdfOptions();
+    assert.equal(options.format, 'A4');
+    assert.equal(options.landscape, false);
+    assert.deepEqual(options.margin, DEFAULT_PDF_OPTIONS.margin);
+    assert.equal(options.printBackground, true);
+});
+
+test('formats are matched case-insensitively', () => {
+    assert.equal(parsePdfOptions({ format: 'letter' }).options.format, 'Letter');
+    assert.match(parsePdfOptions({ format: 'B5' }).errors[0], /Unsupported page format "B5"/);
+});
+
+test('a custom size replaces the format and needs both sides', () => {
+    const { options } = parsePdfOptions({ width: '8.5in', height: '11IN' });
+    assert.equal(options.width, '8.5in');
+    assert.equal(options.height, '11in');
+    assert.equal(options.format, undefined);
+    assert.deepEqual(parsePdfOptions({ width: '8in' }).errors, ['width and height must be given together']);
+});
+
+test('orientation and landscape set the page orientation', () => {
+    assert.equal(parsePdfOptions({ orientation: 'Landscape' }).options.landscape, true);
+    assert.equal(parsePdfOptions({ landscape: 'true' }).options.landscape, true);
+    assert.deepEqual(parsePdfOptions({ orientation: 'sideways' }).errors, ['orientation must be "portrait" or "landscape"']);
+    assert.deepEqual(parsePdfOptions({ landscape: 'maybe' }).errors, ['landscape must be true or false']);
+});
+
+test('margins accept one to four values, an object or single sides', () => {
+    assert.deepEqual(parsePdfOptions({ margin: '1in' }).options.margin, { top: '1in', right: '1in', bottom: '1in', left: '1in' });
+    assert.deepEqual(parsePdfOptions({ margin: '10mm 20mm' }).options.margin, { top: '10mm', right: '20mm', bottom: '10mm', left: '20mm' });
+    assert.deepEqual(parsePdfOptions({ margin: '1mm 2mm 3mm' }).options.margin, { top: '1mm', right: '2mm', bottom: '3mm', left: '2mm' });
+    assert.deepEqual(parsePdfOptions({ margin: { top: '5mm' } }).options.margin, { ...DEFAULT_PDF_OPTIONS.margin, top: '5mm' });
+    assert.equal(parsePdfOptions({ marginLeft: '2cm' }).options.margin.left, '2cm');
+});
+
+test('invalid margins are reported', () => {
+    assert.match(parsePdfOptions({ margin: 'wide' }).errors[0], /margin must be a length/);
+    assert.match(parsePdfOptions({ margin: '1 2 3 4 5' }).errors[0], /at most four values/);
+    assert.match(parsePdfOptions({ margin: { inside: '1in' } }).errors[0], /Unknown margin side "inside"/);
+});
+
+test('scale must be between 0.1 and 2', () => {
+    assert.equal(parsePdfOptions({ scale: '1.5' }).options.scale, 1.5);
+    assert.deepEqual(parsePdfOptions({ scale: 3 }).errors, ['scale must be a number between 0.1 and 2']);
+});
+
+test('page ranges are checked and spaces removed', () => {
+    assert.equal(parsePdfOptions({ pageRanges: '1-5, 8, 11-' }).options.pageRanges, '1-5,8,11-');
+    assert.deepEqual(parsePdfOptions({ pageRanges: 'first' }).errors, ['pageRanges must look like "1-5, 8, 11-13"']);
+    assert.deepEqual(parsePdfOptions({ pageRanges: '0-2' }).errors, ['pageRanges can\'t include page 0; pages count from 1']);
+    assert.deepEqual(parsePdfOptions({ pageRanges: '2, 4-00' }).errors, ['pageRanges can\'t include page 0; pages count from 1']);
+    // Page 10 isn't page 0
+    assert.equal(parsePdfOptions({ pageRanges: '10-20' }).options.pageRanges, '10-20');
+});
+
+test('options may arrive as a JSON string', () => {
+    assert.equal(parsePdfOptions('{"format":"A3"}').options.format, 'A3');
+    assert.deepEqual(parsePdfOptions('{oops').errors, ['PDF options must be a JSON object']);
+    assert.deepEqual(parsePdfOptions('[1]').errors, ['PDF options must be an object']);
+});
+
+test('every invalid field is reported at once', () => {
+    const { errors } = parsePdfOptions({ format: 'B5', scale: 0, printBackground: 'often' });
+    assert.equal(errors.length, 3);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRasterOptions, rasterizePdf, DEFAULT_RASTER_OPTIONS } = require('../lib/pdf-raster');
+const { makePdf } = require('./pdf-fixtures');
+
+test('raster options default and validate', () => {
+    assert.deepEqual(parseRasterOptions(), { options: DEFAULT_RASTER_OPTIONS });
+    assert.deepEqual(parseRasterOptions({ pages: '1-2, 5', dpi: '300', format: 'jpg', width: 800 }).options,
+        { ...DEFAULT_RASTER_OPTIONS, pages: '1-2,5', dpi: 300, format: 'jpeg', width: 800 });
+});
+
+test('every invalid raster option is reported', () => {
+    assert.deepEqual(parseRasterOptions({ pages: 'odd', dpi: 1000, format: 'tiff', height: 0, quality: 101 }).errors, [
+        'pages must look like "1-5, 8, 11-13"',
+        'dpi must be a whole number between 36 and 600',
+        'format must be png, jpeg or webp',
+        'height must be a whole number between 1 and 10000',
+        'quality must be a whole number between 1 and 100'
+    ]);
+    assert.deepEqual(parseRasterOptions({ pages: '0' }).errors, ['pages can\'t include page 0; pages count from 1']);
+});
+
+test('selecting only pages past the end is a 400', async () => {
+    const pdf = await makePdf([[{ text: 'Only page', x: 72, y: 72 }]]);
+    await assert.rejects(rasterizePdf(pdf, { ...DEFAULT_RASTER_OPTIONS, pages: '3-' }),
+        error => error.statusCode === 400 && error.message === 'No pages selected: the PDF has 1 page');
+});
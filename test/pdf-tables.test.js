@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tableToCsv, tablesToJson, parseSidecarFormats } = require('../lib/pdf-tables');
+const { convertPdfToHtml } = require('../lib/pdf-to-html');
+const { makePdf } = require('./pdf-fixtures');
+
+// Helper function to lay out rows of cells at the given column positions
+function cells(rows, columns, top, lineHeight = 18) {
+    return [].concat(...rows.map((row, r) => row.map((text, c) => ({ text, x: columns[c], y: top + r * lineHeight }))));
+}
+
+// Helper function to draw a grid of rules around rows starting at `top`
+function grid(rowCount, columns, right, top, lineHeight = 18) {
+    const rules = [];
+    const bottom = top + rowCount * lineHeight;
+    for (let r = 0; r <= rowCount; r++) {
+        rules.push({ rule: [columns[0] - 4, top - 4 + r * lineHeight, right, top - 4 + r * lineHeight] });
+    }
+    for (const x of columns.concat(right + 4)) {
+        rules.push({ rule: [x - 4, top - 4, x - 4, bottom - 4] });
+    }
+    return rules;
+}
+
+test('text aligned in columns becomes a table', async () => {
+    const pdf = await makePdf([[
+        { text: 'Quarterly figures', x: 72, y: 72 },
+        ...cells([['Region', 'Sales', 'Growth'], ['North', '120', '4%'], ['South', '95', '2%'], ['West', '130', '7%']], [72, 250, 400], 110),
+        { text: 'Figures are unaudited.', x: 72, y: 220 }
+    ]]);
+    const { html, tables } = await convertPdfToHtml(pdf);
+    assert.equal(tables.length, 1);
+    assert.match(html, /<p>Quarterly figures<\/p>/);
+    assert.match(html, /<table[^>]*>[\s\S]*North[\s\S]*<\/table>/);
+    assert.match(html, /<p>Figures are unaudited\.<\/p>/);
+    assert.equal(tableToCsv(tables[0]), 'Region,Sales,Growth\r\nNorth,120,4%\r\nSouth,95,2%\r\nWest,130,7%\r\n');
+});
+
+test('a ruled grid becomes a table with its cells', async () => {
+    const columns = [72, 200, 330];
+    const pdf = await makePdf([[
+        ...grid(3, columns, 460, 110),
+        ...cells([['Name', 'Role', 'Team'], ['Ada', 'Engineer', 'Core'], ['Lin', 'Designer', 'Web']], columns, 110)
+    ]]);
+    const { tables } = await convertPdfToHtml(pdf);
+    assert.equal(tables.length, 1);
+    const [json] = JSON.parse(tablesToJson(tables));
+    assert.equal(json.page, 1);
+    assert.deepEqual(json.rows, [['Name', 'Role', 'Team'], ['Ada', 'Engineer', 'Core'], ['Lin', 'Designer', 'Web']]);
+});
+
+test('plain paragraphs are not tables', async () => {
+    const pdf = await makePdf([[
+        { text: 'One line of ordinary text.', x: 72, y: 100 },
+        { text: 'Another line right under it.', x: 72, y: 114 },
+        { text: 'And a third to make a paragraph.', x: 72, y: 128 }
+    ]]);
+    const { tables } = await convertPdfToHtml(pdf);
+    assert.equal(tables.length, 0);
+});
+
+test('CSV fields with commas, quotes or line breaks are quoted', () => {
+    const table = { rows: [[{ text: 'a,b', rowspan: 1, colspan: 1 }, { text: 'say "hi"', rowspan: 1, colspan: 1 }]] };
+    assert.equal(tableToCsv(table), '"a,b","say ""hi"""\r\n');
+});
+
+test('merged cells keep their text in the top-left position', () => {
+    const table = {
+        id: 'table-1',
+        page: 2,
+        headerRows: 1,
+        rows: [
+            [{ text: 'Name', rowspan: 1, colspan: 1 }, { text: 'Scores', rowspan: 1, colspan: 2 }],
+            [{ text: 'Ada', rowspan: 1, colspan: 1 }, { text: '9', rowspan: 1, colspan: 1 }, { text: '8', rowspan: 1, colspan: 1 }]
+        ]
+    };
+    const [json] = JSON.parse(tablesToJson([table]));
+    assert.deepEqual(json.rows, [['Name', 'Scores', ''], ['Ada', '9', '8']]);
+    assert.deepEqual(json.merges, [{ row: 0, column: 1, rowspan: 1, colspan: 2 }]);
+});
+
+test('parseSidecarFormats accepts csv and json only', () => {
+    assert.deepEqual(parseSidecarFormats(undefined), []);
+    assert.deepEqual(parseSidecarFormats('none'), []);
+    assert.deepEqual(parseSidecarFormats('CSV, json,csv'), ['csv', 'json']);
+    assert.equal(parseSidecarFormats('xlsx'), null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { convertPdfToDocx } = require('../lib/pdf-to-docx');
+const { makePdf } = require('./pdf-fixtures');
+
+// Helper function to read a part of a Word document
+async function docxPart(docx, name) {
+    const zip = await JSZip.loadAsync(docx);
+    return zip.file(name).async('string');
+}
+
+test('a PDF becomes a Word document with its text and structure', async () => {
+    const pdf = await makePdf([[
+        { text: 'Project Plan', x: 72, y: 72, size: 24 },
+        { text: 'The plan covers three phases.', x: 72, y: 120 },
+        { text: '•', x: 80, y: 140 },
+        { text: 'Design', x: 95, y: 140 },
+        { text: '•', x: 80, y: 156 },
+        { text: 'Build', x: 95, y: 156 }
+    ], [
+        { text: 'Second page text.', x: 72, y: 72 }
+    ]]);
+    const { docx, numPages, textLength } = await convertPdfToDocx(pdf, { title: 'plan' });
+    assert.equal(numPages, 2);
+    assert.ok(textLength > 40);
+
+    const document = await docxPart(docx, 'word/document.xml');
+    for (const text of ['Project Plan', 'The plan covers three phases.', 'Design', 'Build', 'Second page text.']) {
+        assert.ok(document.includes(text), `missing "${text}"`);
+    }
+    assert.match(document, /<w:numPr>/);
+    assert.match(await docxPart(docx, 'docProps/core.xml'), /<dc:title>plan<\/dc:title>/);
+});
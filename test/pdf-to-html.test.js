@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertPdfToHtml, parseHtmlOptions, DEFAULT_HTML_OPTIONS } = require('../lib/pdf-to-html');
+const { makePdf } = require('./pdf-fixtures');
+
+// Helper function to convert a PDF drawn from `pages` to HTML
+async function toHtml(pages, options = {}) {
+    return convertPdfToHtml(await makePdf(pages), { ...DEFAULT_HTML_OPTIONS, ...options });
+}
+
+// A short document: a title, a section heading, a paragraph over two lines and a list
+const REPORT = [
+    { text: 'Annual Report', x: 72, y: 72, size: 24 },
+    { text: 'Overview', x: 72, y: 120, size: 16 },
+    { text: 'The year went well for every team and the budget', x: 72, y: 150 },
+    { text: 'stayed within the limits we set in January.', x: 72, y: 164 },
+    { text: 'Next the highlights:', x: 72, y: 192 },
+    { text: '•', x: 80, y: 212 },
+    { text: 'Revenue grew in all regions', x: 95, y: 212 },
+    { text: '•', x: 80, y: 228 },
+    { text: 'Two new offices opened', x: 95, y: 228 }
+];
+
+test('larger text becomes headings by size', async () => {
+    const { html } = await toHtml([REPORT]);
+    assert.match(html, /<h1>Annual Report<\/h1>/);
+    assert.match(html, /<h2>Overview<\/h2>/);
+});
+
+test('lines of one paragraph are joined', async () => {
+    const { html } = await toHtml([REPORT]);
+    assert.match(html, /<p>The year went well for every team and the budget stayed within the limits we set in January\.<\/p>/);
+});
+
+test('bulleted lines become a list', async () => {
+    const { html } = await toHtml([REPORT]);
+    assert.match(html, /<ul>\s*<li>Revenue grew in all regions<\/li>\s*<li>Two new offices opened<\/li>\s*<\/ul>/);
+});
+
+test('numbered lines become an ordered list', async () => {
+    const { html } = await toHtml([[
+        { text: 'Steps:', x: 72, y: 72 },
+        { text: '1.', x: 80, y: 100 },
+        { text: 'Open the file', x: 95, y: 100 },
+        { text: '2.', x: 80, y: 116 },
+        { text: 'Convert it', x: 95, y: 116 }
+    ]]);
+    assert.match(html, /<ol>\s*<li>Open the file<\/li>\s*<li>Convert it<\/li>\s*<\/ol>/);
+});
+
+test('text is escaped', async () => {
+    const { html } = await toHtml([[{ text: 'Use <b> & "quotes"', x: 72, y: 72 }]]);
+    assert.match(html, /Use &lt;b&gt; &amp; &quot;quotes&quot;/);
+});
+
+test('a PDF without text says so', async () => {
+    const { html, textLength } = await toHtml([[]]);
+    assert.equal(html, '<p>No text content found in the PDF.</p>');
+    assert.equal(textLength, 0);
+});
+
+test('page mode gives every PDF page its own section', async () => {
+    const { html, numPages } = await toHtml([
+        [{ text: 'A paragraph that carries on over the page', x: 72, y: 700 }],
+        [{ text: 'break and ends here.', x: 72, y: 72 }]
+    ], { pages: true });
+    assert.equal(numPages, 2);
+    assert.match(html, /^<section class="pdf-page" id="page-1" data-page-number="1">/);
+    assert.match(html, /<section class="pdf-page page-break" id="page-2" data-page-number="2">\n<p>break and ends here\.<\/p>/);
+    assert.match(html, /<div class="page-number">2<\/div>\n<\/section>$/);
+});
+
+test('without page mode a paragraph runs on over the page break', async () => {
+    const { html } = await toHtml([
+        [{ text: 'A paragraph that carries on over the page', x: 72, y: 700 }],
+        [{ text: 'break and ends here.', x: 72, y: 72 }]
+    ]);
+    assert.equal(html, '<p>A paragraph that carries on over the page break and ends here.</p>');
+});
+
+test('parseHtmlOptions reads pages as a boolean', () => {
+    assert.equal(parseHtmlOptions({ pages: 'true' }).options.pages, true);
+    assert.equal(parseHtmlOptions({}).options.pages, false);
+    assert.deepEqual(parseHtmlOptions({ pages: 'maybe' }).errors, ['pages must be true or false']);
+});
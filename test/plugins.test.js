@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkSchema, parseSchemaOptions, discoverPlugins, loadPlugins } = require('../lib/plugins');
+const { createConverter } = require('../lib/converter');
+
+const SCHEMA = {
+    title: { type: 'string', required: true },
+    width: { type: 'integer', min: 10, max: 100, default: 50 },
+    scale: { type: 'number' },
+    draft: { type: 'boolean', default: false },
+    style: { type: 'string', enum: ['plain', 'fancy'] },
+    meta: { type: 'json' }
+};
+
+// A plugin turning text files into upper case text, as a module's source
+const SHOUT_PLUGIN = `module.exports = {
+    name: 'shout',
+    version: '1.0.0',
+    conversions: [{
+        id: 'text-to-shout',
+        from: 'text',
+        to: 'shout',
+        extensions: ['.txt'],
+        inputTypes: ['text/plain'],
+        outputType: 'text/plain',
+        options: { bang: { type: 'boolean', default: false } },
+        async run({ file, options }) {
+            const text = file.buffer.toString('utf-8').toUpperCase() + (options.bang ? '!' : '');
+            return { data: Buffer.from(text), contentType: 'text/plain', filename: 'shout.txt' };
+        }
+    }]
+};
+`;
+
+// Helper function to lay out an app folder with plugins for one test
+function app(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'udc-plugins-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    }
+    return root;
+}
+
+test('schema options are converted, defaulted and checked', () => {
+    assert.deepEqual(parseSchemaOptions(SCHEMA, { title: 'Report', width: '20', scale: '1.5', draft: 'yes', style: 'fancy', meta: '{"a":1}', other: 'ignored' }), {
+        options: { title: 'Report', width: 20, scale: 1.5, draft: true, style: 'fancy', meta: { a: 1 } }
+    });
+    assert.deepEqual(parseSchemaOptions(SCHEMA, { title: 'Report' }), { options: { title: 'Report', width: 50, draft: false } });
+});
+
+test('every invalid schema option is reported', () => {
+    assert.deepEqual(parseSchemaOptions(SCHEMA, { width: '5.5', scale: 'big', draft: 'maybe', style: 'loud', meta: '{' }).errors, [
+        'title is required',
+        'width must be a whole number',
+        'scale must be a number',
+        'draft must be true or false',
+        'style must be one of: plain, fancy',
+        'meta must be valid JSON'
+    ]);
+    assert.deepEqual(parseSchemaOptions(SCHEMA, { title: 'x', width: 500 }).errors, ['width must be between 10 and 100']);
+});
+
+test('schemas need a known type for every option', () => {
+    assert.deepEqual(checkSchema(SCHEMA), []);
+    assert.deepEqual(checkSchema({ size: { type: 'colour' }, name: null }), [
+        'option "size" needs a type: string, number, integer, boolean, json',
+        'option "name" needs a type: string, number, integer, boolean, json'
+    ]);
+    assert.equal(checkSchema([]).length, 1);
+});
+
+test('plugins are found in the plugin folder, package.json and UDC_PLUGINS', (t) => {
+    const root = app({
+        'plugins/b-shout.js': SHOUT_PLUGIN,
+        'plugins/a-folder/index.js': SHOUT_PLUGIN,
+        'plugins/_disabled.js': SHOUT_PLUGIN,
+        'plugins/notes.txt': 'not a plugin',
+        'package.json': JSON.stringify({ dependencies: { express: '*', 'udc-plugin-epub': '*', '@acme/udc-plugin-rtf': '*' } })
+    });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    assert.deepEqual(discoverPlugins({ root, packages: ['extra-plugin'] }), [
+        path.join(root, 'plugins', 'a-folder'),
+        path.join(root, 'plugins', 'b-shout.js'),
+        'extra-plugin',
+        'udc-plugin-epub',
+        '@acme/udc-plugin-rtf'
+    ]);
+});
+
+test('loaded plugins convert, and a broken one is skipped', async (t) => {
+    const root = app({
+        'plugins/shout.js': SHOUT_PLUGIN,
+        'plugins/broken.js': 'throw new Error("missing dependency");',
+        'plugins/nameless.js': 'module.exports = { conversions: [] };'
+    });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const converter = createConverter({ builtins: false });
+    const { loaded, errors } = loadPlugins(converter, { root, packages: [] });
+    assert.deepEqual(loaded, ['shout']);
+    assert.deepEqual(errors.map(({ source, error }) => [path.basename(source), error]), [
+        ['broken.js', 'missing dependency'],
+        ['nameless.js', 'A plugin needs a name and a list of conversions']
+    ]);
+    assert.deepEqual(converter.plugins(), [{ name: 'shout', version: '1.0.0', source: path.join(root, 'plugins', 'shout.js'), conversions: ['text-to-shout'] }]);
+
+    // Uploads of the plugin's format are recognised by its extension
+    const result = await converter.convert({ text: 'hello', filename: 'note.txt' }, { to: 'shout', options: { bang: 'true' } });
+    assert.equal(result.data.toString(), 'HELLO!');
+    assert.equal(result.detected.format, 'text');
+    await assert.rejects(converter.convert({ text: 'hello', filename: 'note.txt' }, { to: 'shout', options: { bang: 'loud' } }),
+        { statusCode: 400, details: ['bang must be true or false'] });
+});
+
+test('a converter keeps its plugins\' load errors for the app to report', (t) => {
+    const root = app({ 'plugins/broken.js': 'throw new Error("missing dependency");' });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const converter = createConverter({ builtins: false, plugins: { root, packages: [] } });
+    assert.deepEqual(converter.pluginErrors(), [{ source: path.join(root, 'plugins', 'broken.js'), error: 'missing dependency' }]);
+    assert.deepEqual(createConverter({ builtins: false }).pluginErrors(), []);
+});
+
+test('plugins given as a function get the shared PDF generator', () => {
+    const generatePDF = async () => Buffer.from('%PDF');
+    let received = null;
+    const converter = createConverter({ builtins: false, generatePDF });
+    converter.use({
+        name: 'printer',
+        conversions: (shared) => {
+            received = shared;
+            return [{ id: 'text-to-pdf', from: 'text', to: 'pdf', options: {}, run: async () => ({}) }];
+        }
+    });
+    assert.equal(typeof received.generatePDF, 'function');
+    assert.equal(converter.get('text-to-pdf').plugin, 'printer');
+});
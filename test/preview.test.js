@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePreviewOptions, createPreviewHandler, DEFAULT_PREVIEW_OPTIONS } = require('../lib/preview');
+
+// Helper function to capture what a handler sends
+function fakeResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.end = body => { res.body = body; };
+    return res;
+}
+
+test('preview options default and validate', () => {
+    assert.deepEqual(parsePreviewOptions(), { options: DEFAULT_PREVIEW_OPTIONS });
+    assert.deepEqual(parsePreviewOptions({ width: '640', format: 'jpg', quality: '60' }).options,
+        { width: 640, format: 'jpeg', quality: 60 });
+});
+
+test('a height on its own replaces the default width', () => {
+    const { options } = parsePreviewOptions({ height: 400 });
+    assert.equal(options.height, 400);
+    assert.equal(options.width, undefined);
+});
+
+test('every invalid preview option is reported', () => {
+    assert.deepEqual(parsePreviewOptions({ width: 8, height: 5000, format: 'gif', quality: 0 }).errors, [
+        'width must be a whole number of pixels between 16 and 2000',
+        'height must be a whole number of pixels between 16 and 2000',
+        'format must be png, jpeg or webp',
+        'quality must be a whole number between 1 and 100'
+    ]);
+});
+
+test('the preview handler rejects missing files, unsupported content and bad options', async () => {
+    const generatePDF = async () => assert.fail('no PDF should be generated');
+    const handler = createPreviewHandler(generatePDF, null);
+
+    let res = fakeResponse();
+    await handler({ query: {}, body: {} }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'No file uploaded');
+
+    res = fakeResponse();
+    const zip = { originalname: 'archive.zip', mimetype: 'application/zip', buffer: Buffer.from('PK\x03\x04rest of a zip') };
+    await handler({ file: zip, query: {}, body: {} }, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /^Unsupported file type/);
+
+    res = fakeResponse();
+    const page = { originalname: 'page.html', mimetype: 'text/html', buffer: Buffer.from('<!DOCTYPE html><p>Hi</p>') };
+    await handler({ file: page, query: { width: 'wide' }, body: {} }, res);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.details, ['width must be a whole number of pixels between 16 and 2000']);
+});
+
+test('browser pool overload is passed on as 503 with Retry-After', async () => {
+    const busy = Object.assign(new Error('Render queue is full'), { statusCode: 503 });
+    const handler = createPreviewHandler(async () => { throw busy; }, null);
+    const res = fakeResponse();
+    const page = { originalname: 'page.html', mimetype: 'text/html', buffer: Buffer.from('<!DOCTYPE html><p>Hi</p>') };
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await handler({ file: page, query: {}, body: {} }, res);
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers['retry-after'], '5');
+    assert.equal(res.body.error, 'Failed to create preview: Render queue is full');
+});
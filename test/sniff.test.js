@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sniffContent, setDetectionHeaders } = require('../lib/sniff');
+const { sniffFormat, createConverter } = require('../lib/converter');
+
+// Helper function to sniff a string or bytes and keep just the format
+function formatOf(content, hint) {
+    return sniffContent(Buffer.from(content), hint).format;
+}
+
+// Helper function to sniff an upload by name as the routes do
+function uploadFormat(originalname, content, mimetype = '') {
+    return sniffFormat({ originalname, mimetype, buffer: Buffer.from(content) }).format;
+}
+
+test('binary formats are recognised by their signatures', () => {
+    assert.deepEqual(sniffContent(Buffer.from('%PDF-1.7\n...')), { format: 'pdf', mimeType: 'application/pdf', confidence: 1, source: 'signature' });
+    assert.equal(sniffContent(Buffer.from('junk\n%PDF-1.4')).confidence, 0.9);
+    assert.equal(sniffContent(Buffer.from([0xff, 0xd8, 0xff, 0xe0])).mimeType, 'image/jpeg');
+    assert.equal(sniffContent(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')).mimeType, 'image/webp');
+    assert.equal(sniffContent(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')).mimeType, 'image/svg+xml');
+
+    const docx = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from('....word/document.xml')]);
+    assert.equal(formatOf(docx), 'docx');
+    const zip = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from('....data.csv')]);
+    assert.deepEqual(sniffContent(zip), { format: null, mimeType: 'application/zip', confidence: 0.9, source: 'signature' });
+});
+
+test('binary files without a known signature have no format', () => {
+    assert.deepEqual(sniffContent(Buffer.from([0x42, 0x4d, 0x00, 0x01, 0x02])), { format: null, mimeType: 'application/octet-stream', confidence: 0.8, source: 'content' });
+});
+
+test('HTML and Markdown are told apart by their markup', () => {
+    assert.equal(formatOf('<!-- saved page -->\n<!DOCTYPE html><html></html>'), 'html');
+    assert.equal(formatOf('<div><p>One</p><p>Two</p></div>'), 'html');
+    assert.equal(formatOf('# Title\n\nSome **bold** text with <br> in it.\n'), 'markdown');
+    assert.equal(formatOf('Intro\n\n- one\n- two\n'), 'markdown');
+    // A name that agrees makes it more certain
+    assert.ok(sniffContent(Buffer.from('# Title\n'), 'markdown').confidence > sniffContent(Buffer.from('# Title\n')).confidence);
+});
+
+test('text without markup is plain text unless the name says HTML or Markdown', () => {
+    assert.deepEqual(sniffContent(Buffer.from('id,name\n1,Ada\n')), { format: 'text', mimeType: 'text/plain', confidence: 0.5, source: 'content' });
+    assert.equal(formatOf('{ "name": "Ada" }'), 'text');
+    assert.equal(formatOf('Just a sentence.', 'markdown'), 'markdown');
+    assert.equal(formatOf('Just a sentence.', 'html'), 'html');
+    assert.equal(formatOf('\uFEFF# Title with a byte order mark\n'), 'markdown');
+});
+
+test('files named as other kinds of text are plain text, whatever they look like', () => {
+    assert.equal(uploadFormat('data.csv', 'a,b\n1,2\n'), 'text');
+    assert.equal(uploadFormat('notes.txt', '# Title\n\n- a list\n'), 'markdown');
+    assert.equal(uploadFormat('app.py', '# A comment\nimport os\n'), 'text');
+    assert.equal(uploadFormat('config.yml', '- name: build\n  run: make\n'), 'text');
+    assert.equal(uploadFormat('notes.md', 'Just a sentence.'), 'markdown');
+    assert.equal(uploadFormat('notes.txt', 'Just a sentence.'), 'markdown');
+    assert.equal(uploadFormat('notes', '# Title\n'), 'markdown');
+    // The MIME type counts when the extension doesn't
+    assert.equal(uploadFormat('data.csv', '# Title\n', 'text/markdown'), 'markdown');
+    // Complete documents and signatures still win over the name
+    assert.equal(uploadFormat('page.txt', '<!DOCTYPE html><p>Hi</p>'), 'html');
+    assert.equal(uploadFormat('report.txt', '%PDF-1.4\n'), 'pdf');
+});
+
+test('plain text can\'t be converted by the built-in conversions', () => {
+    const converter = createConverter();
+    const csv = { buffer: Buffer.from('a,b\n1,2\n'), originalname: 'data.csv', mimetype: 'text/csv' };
+    assert.equal(converter.detect(csv), 'text');
+    assert.throws(() => converter.prepare(csv, { to: 'pdf' }), { message: 'Cannot convert text to pdf', statusCode: 400 });
+    // Unless it is converted as Markdown on purpose
+    assert.equal(converter.prepare(csv, { from: 'markdown', to: 'html' }).conversion.id, 'markdown-to-html');
+});
+
+test('.txt uploads convert as Markdown, as the page offers them', () => {
+    const converter = createConverter();
+    const notes = { buffer: Buffer.from('# Title\n\n- a list\n'), originalname: 'notes.txt', mimetype: 'text/plain' };
+    assert.equal(converter.detect(notes), 'markdown');
+    assert.equal(converter.prepare(notes, { to: 'html' }).conversion.id, 'markdown-to-html');
+});
+
+test('detections are reported in headers', () => {
+    const headers = {};
+    setDetectionHeaders({ setHeader: (name, value) => { headers[name] = value; } }, { format: null, mimeType: 'application/zip', confidence: 0.9 });
+    assert.deepEqual(headers, { 'X-Detected-Type': 'application/zip', 'X-Detected-Format': 'unknown', 'X-Detected-Confidence': '0.9' });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listThemes, loadTheme, parseTheme, renderTheme, applyTheme } = require('../lib/themes');
+
+// Helper function to point THEMES_DIR at a folder of custom themes for one test
+function customThemes(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udc-themes-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+    const previous = process.env.THEMES_DIR;
+    process.env.THEMES_DIR = dir;
+    t.after(() => {
+        if (previous === undefined) {
+            delete process.env.THEMES_DIR;
+        } else {
+            process.env.THEMES_DIR = previous;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+}
+
+test('the built-in themes are listed', (t) => {
+    customThemes(t, {});
+    assert.deepEqual(listThemes(), [
+        { name: 'academic', source: 'built-in' },
+        { name: 'default', source: 'built-in' },
+        { name: 'github', source: 'built-in' },
+        { name: 'print-minimal', source: 'built-in' }
+    ]);
+});
+
+test('theme names are checked', (t) => {
+    customThemes(t, {});
+    assert.deepEqual(parseTheme(''), { theme: null });
+    assert.deepEqual(parseTheme(' github '), { theme: 'github' });
+    assert.match(parseTheme('neon').error, /^Unknown theme "neon". Use one of: academic, default, github, print-minimal$/);
+    // Names can't reach outside the theme folders
+    assert.match(parseTheme('../themes/default').error, /^Unknown theme/);
+});
+
+test('layouts are filled in one pass, with the title escaped', (t) => {
+    customThemes(t, {});
+    const html = renderTheme('github', { content: '<p>Use {{title}} in templates</p>', title: 'Q&A <draft>', head: '<meta name="x">' });
+    assert.match(html, /<title>Q&amp;A &lt;draft&gt;<\/title>/);
+    assert.ok(html.includes('<p>Use {{title}} in templates</p>'));
+    assert.ok(html.includes('<meta name="x">'));
+    assert.ok(html.includes(loadTheme('github').css));
+    assert.throws(() => renderTheme('neon'), { statusCode: 400 });
+});
+
+test('custom themes are added, replace built-in ones and borrow the default layout', (t) => {
+    customThemes(t, {
+        'brand/theme.css': 'body { color: rebeccapurple; }',
+        'github/theme.css': 'body { color: black; }',
+        'github/layout.html': '<main>{{content}}</main><style>{{styles}}</style>',
+        'broken/layout.html': '<p>no styles</p>'
+    });
+
+    assert.deepEqual(listThemes().filter(theme => theme.source === 'custom').map(theme => theme.name), ['brand', 'github']);
+    assert.equal(renderTheme('github', { content: '<p>x</p>' }), '<main><p>x</p></main><style>body { color: black; }</style>');
+    assert.equal(loadTheme('brand').layout, loadTheme('default').layout);
+    assert.equal(loadTheme('broken'), null);
+});
+
+test('applyTheme adds the CSS after a document\'s own styles', (t) => {
+    customThemes(t, { 'plain/theme.css': 'p { margin: 0; }' });
+    assert.equal(applyTheme('<html><head><style>p{}</style></head><body></body></html>', 'plain'),
+        '<html><head><style>p{}</style><style>\np { margin: 0; }\n</style>\n</head><body></body></html>');
+    assert.equal(applyTheme('<html><body class="a"></body></html>', 'plain'),
+        '<html><head>\n<style>\np { margin: 0; }\n</style>\n</head>\n<body class="a"></body></html>');
+    assert.equal(applyTheme('<p>x</p>', 'plain'), '<style>\np { margin: 0; }\n</style>\n<p>x</p>');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { slugify, parseTocOptions, addHeadingIds, insertToc, findHeadingPages } = require('../lib/toc');
+const { parsePdfOptions } = require('../lib/pdf-options');
+const { makePdf } = require('./pdf-fixtures');
+
+test('slugify makes GitHub-style anchors', () => {
+    assert.equal(slugify('Getting Started!'), 'getting-started');
+    assert.equal(slugify('Café & Crème'), 'café-crème');
+    assert.equal(slugify('!!!'), 'section');
+});
+
+test('parseTocOptions accepts booleans and { depth, title }', () => {
+    const errors = [];
+    assert.equal(parseTocOptions(false, errors), undefined);
+    assert.deepEqual(parseTocOptions('true', errors), { depth: 3, title: 'Contents' });
+    assert.deepEqual(parseTocOptions({ depth: '2', title: 'Inhalt' }, errors), { depth: 2, title: 'Inhalt' });
+    assert.deepEqual(errors, []);
+
+    parseTocOptions({ depth: 9 }, errors);
+    parseTocOptions('yes please', errors);
+    assert.deepEqual(errors, ['toc.depth must be a whole number from 1 to 6', 'toc must be true, false or an object like { "depth": 3 }']);
+});
+
+test('a table of contents turns on bookmarks unless told otherwise', () => {
+    assert.equal(parsePdfOptions({ toc: true }).options.outline, true);
+    assert.equal(parsePdfOptions({ toc: true }).options.tagged, true);
+    assert.equal(parsePdfOptions({ toc: true, outline: false }).options.outline, false);
+});
+
+test('headings get unique ids and keep their own', () => {
+    const { html, headings } = addHeadingIds('<h2>Setup</h2><h2>Setup</h2><h3 id="own">Mine</h3>');
+    assert.equal(html, '<h2 id="setup">Setup</h2><h2 id="setup-1">Setup</h2><h3 id="own">Mine</h3>');
+    assert.deepEqual(headings.map(heading => heading.id), ['setup', 'setup-1', 'own']);
+});
+
+test('made-up ids step around the ones the author set', () => {
+    const { html, headings } = addHeadingIds('<h2>Own</h2><h2>Own</h2><p id="own-1">Note</p><h3 id="own">Mine</h3>');
+    assert.equal(html, '<h2 id="own-2">Own</h2><h2 id="own-3">Own</h2><p id="own-1">Note</p><h3 id="own">Mine</h3>');
+    assert.deepEqual(headings.map(heading => heading.id), ['own-2', 'own-3', 'own']);
+});
+
+test('the table of contents goes after a leading title and respects depth', () => {
+    const html = insertToc('<h1>Report</h1><h2>Intro</h2><h3>Detail</h3><h4>Too deep</h4>', { depth: 3, title: 'Contents' });
+    assert.match(html, /^<h1 id="report">Report<\/h1><nav class="toc">/);
+    assert.match(html, /<ol><li><a href="#intro"><span class="toc-text">Intro<\/span>.*<ol><li><a href="#detail">/s);
+    assert.doesNotMatch(html, /href="#too-deep"/);
+    assert.doesNotMatch(html, /href="#report"/);
+});
+
+test('a document without headings is left alone', () => {
+    assert.equal(insertToc('<p>Just text</p>'), '<p>Just text</p>');
+});
+
+test('heading pages are found from the text when there are no destinations', async () => {
+    const pdf = await makePdf([
+        [{ text: 'Contents', x: 72, y: 72 }, { text: 'Intro', x: 72, y: 100 }, { text: 'Usage', x: 72, y: 120 }],
+        [{ text: 'Intro', x: 72, y: 72 }],
+        [{ text: 'Usage', x: 72, y: 72 }]
+    ]);
+    const pages = await findHeadingPages(pdf, [{ id: 'intro', text: 'Intro' }, { id: 'usage', text: 'Usage' }, { id: 'gone', text: 'Gone' }]);
+    assert.deepEqual(pages, { intro: 2, usage: 3 });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const UDC = path.join(__dirname, '..', 'udc.js');
+
+// Helper function to run udc in `cwd`, resolving to { code, stdout, stderr }
+function udc(cwd, args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [UDC, ...args], { cwd, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// Helper function to make a folder of Markdown files for one test
+function project(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'udc-test-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+    return dir;
+}
+
+test('globs convert into --out, keeping the folders below the glob\'s base', async (t) => {
+    const dir = project({
+        'docs/intro.md': '# Intro\n\nHello *there*.\n',
+        'docs/guide/setup.md': '# Setup\n'
+    });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const { code, stdout } = await udc(dir, ['html', 'docs/**/*.md', '--out', 'site', '--json']);
+    assert.equal(code, 0);
+    const report = JSON.parse(stdout);
+    assert.equal(report.converted, 2);
+    assert.deepEqual(report.files.map(file => [file.input, file.output, file.type]), [
+        ['docs/guide/setup.md', 'site/guide/setup.html', 'markdown-to-html'],
+        ['docs/intro.md', 'site/intro.html', 'markdown-to-html']
+    ]);
+    assert.match(fs.readFileSync(path.join(dir, 'site/intro.html'), 'utf8'), /<em>there<\/em>/);
+});
+
+test('outputs go next to their inputs without --out', async (t) => {
+    const dir = project({ 'notes.md': '# Notes\n' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const { code } = await udc(dir, ['html', 'notes.md']);
+    assert.equal(code, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'notes.html')));
+});
+
+test('bad arguments and globs matching nothing exit with 2', async (t) => {
+    const dir = project({ 'notes.md': '# Notes\n' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let { code, stderr } = await udc(dir, ['bogus', 'notes.md']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Unknown command "bogus"/);
+
+    ({ code, stderr } = await udc(dir, ['html', 'notes.md', '--jobs', '0']));
+    assert.equal(code, 2);
+    assert.match(stderr, /--jobs must be a whole number/);
+
+    ({ code, stderr } = await udc(dir, ['html', 'missing/*.md']));
+    assert.equal(code, 2);
+    assert.match(stderr, /No files to convert/);
+});
+
+test('invalid options fail the file and exit with 1', async (t) => {
+    const dir = project({ 'notes.md': '# Notes\n' });
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const { code, stdout } = await udc(dir, ['html', 'notes.md', '-O', 'options={"scale":5}', '--json']);
+    assert.equal(code, 1);
+    const [file] = JSON.parse(stdout).files;
+    assert.equal(file.status, 'failed');
+    assert.match(file.error, /scale must be a number/);
+});
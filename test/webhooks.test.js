@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { signPayload, verifySignature, isPrivateAddress, parseCallbackUrl, createWebhookSender } = require('../lib/webhooks');
+
+test('signatures cover the timestamp and body and are checked against the clock', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const body = '{"event":"job.completed"}';
+    const signature = signPayload('s3cret', now, body);
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature('s3cret', now, body, signature), true);
+    assert.equal(verifySignature('other', now, body, signature), false);
+    assert.equal(verifySignature('s3cret', now, body + ' ', signature), false);
+    assert.equal(verifySignature('s3cret', now + 1, body, signature), false);
+    assert.equal(verifySignature('s3cret', now - 600, body, signPayload('s3cret', now - 600, body)), false);
+    assert.equal(verifySignature('s3cret', now, body, undefined), false);
+});
+
+test('loopback, private, link-local and unique-local addresses are private', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+});
+
+test('callback URLs must be http(s) without credentials', async () => {
+    assert.deepEqual(await parseCallbackUrl('ftp://93.184.216.34/hook', { allowedHosts: [] }), { error: 'callbackUrl must be an absolute http(s) URL' });
+    assert.deepEqual(await parseCallbackUrl('/hook', { allowedHosts: [] }), { error: 'callbackUrl must be an absolute http(s) URL' });
+    assert.deepEqual(await parseCallbackUrl('https://user:pw@93.184.216.34/hook', { allowedHosts: [] }), { error: 'callbackUrl must not contain credentials' });
+    assert.deepEqual(await parseCallbackUrl('https://93.184.216.34/hook', { allowedHosts: [] }), { url: 'https://93.184.216.34/hook' });
+});
+
+test('callback URLs pointing at the server\'s own network are refused', async () => {
+    for (const url of ['http://127.0.0.1:3000/', 'http://localhost/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data/', 'http://0x7f.1/', 'http://10.0.0.5/']) {
+        const { error } = await parseCallbackUrl(url, { allowedHosts: [] });
+        assert.match(error, /^callbackUrl is not allowed: .* is a private or local address$/, url);
+    }
+    // Names are shown with the address they resolved to
+    const { error } = await parseCallbackUrl('http://localhost/', { allowedHosts: [] });
+    assert.match(error, /localhost \((127\.0\.0\.1|::1)\) is a private or local address$/);
+});
+
+test('an allowlist limits callbacks to its hosts, which may be local', async () => {
+    const allowedHosts = ['localhost', '*.example.com'];
+    assert.deepEqual(await parseCallbackUrl('http://localhost:4000/callback', { allowedHosts }), { url: 'http://localhost:4000/callback' });
+    assert.deepEqual(await parseCallbackUrl('http://93.184.216.34/', { allowedHosts }),
+        { error: 'callbackUrl is not allowed: 93.184.216.34 is not in WEBHOOK_ALLOWED_HOSTS' });
+    assert.match((await parseCallbackUrl('http://example.com/', { allowedHosts })).error, /not in WEBHOOK_ALLOWED_HOSTS/);
+});
+
+// Helper function to wait for the sender's first logged attempt
+async function firstAttempt(sender) {
+    for (let tries = 0; tries < 200 && sender.deliveries().length === 0; tries++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return sender.deliveries()[0];
+}
+
+test('deliveries are signed and sent to allowed hosts', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const sender = createWebhookSender({ secret: 's3cret', allowedHosts: ['127.0.0.1'] });
+    try {
+        sender.send(`http://127.0.0.1:${server.address().port}/hook`, 'job.completed', { job: { id: 'abc' } }, 'abc');
+        const attempt = await firstAttempt(sender);
+
+        assert.equal(attempt.ok, true);
+        assert.equal(attempt.statusCode, 200);
+        const [{ headers, body }] = received;
+        assert.equal(headers['x-webhook-event'], 'job.completed');
+        assert.equal(verifySignature('s3cret', headers['x-webhook-timestamp'], body, headers['x-webhook-signature']), true);
+        assert.deepEqual(JSON.parse(body).data, { job: { id: 'abc' } });
+    } finally {
+        sender.close();
+        server.close();
+    }
+});
+
+test('deliveries to private addresses are refused when sent, without retrying', async () => {
+    const sender = createWebhookSender({ secret: 's3cret', allowedHosts: [], retryDelay: 1 });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        sender.send('http://127.0.0.1:9/hook', 'job.completed', {}, 'abc');
+        const attempt = await firstAttempt(sender);
+        assert.equal(attempt.ok, false);
+        assert.equal(attempt.nextAttemptAt, null);
+        assert.equal(attempt.error, '127.0.0.1 is a private or local address');
+        assert.equal(sender.stats().failed, 1);
+    } finally {
+        console.error = originalError;
+        sender.close();
+    }
+});
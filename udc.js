@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+
+// udc: convert many documents at once from the command line.
+// Non-interactive, so it can run in CI: globs in, files out, exit code says how it went.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fg = require('fast-glob');
+const chokidar = require('chokidar');
+const { getConverter, close } = require('./lib');
+const { batchTarget, prepareBatchFile, forEachLimit } = require('./lib/batch');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;   // at least one file failed to convert
+const EXIT_USAGE = 2;    // bad arguments, or nothing to convert
+
+// Keep our own output; library logging is silenced unless --verbose
+const print = console.log.bind(console);
+const printError = console.error.bind(console);
+
+function usage() {
+    print('📦 udc - Universal Document Converter');
+    print('');
+    print('Usage: udc <command> <files or globs...> [options]');
+    print('');
+    print('Commands (one per target format, plugins included):');
+    const converter = getConverter();
+    const formats = [...new Set(converter.list().map(conversion => conversion.from))];
+    for (const to of converter.targets()) {
+        // Formats with no single conversion to the target are converted in several steps
+        const sources = formats.filter(from => converter.route(from, to));
+        print(`  ${to.padEnd(8)} ${sources.join(', ')} → ${to}`);
+    }
+    print('  list     Show every conversion and its options (-O names)');
+    print('');
+    print('Options:');
+    print('  -o, --out <dir>          Write outputs here, keeping the folders below each glob\'s base');
+    print('                           (default: next to each input)');
+    print(`  -j, --jobs <n>           Conversions to run at once (default: ${defaultJobs()})`);
+    print('  -O, --option <name=value> Conversion option, the same names as the API fields; repeatable');
+    print('      --json               Print a JSON report (one JSON line per file with --watch)');
+    print('  -w, --watch              Convert again whenever a matching file is added or changed');
+    print('  -v, --verbose            Show conversion logs on stderr');
+    print('  -h, --help               Show this help');
+    print('');
+    print('Exit codes: 0 everything converted, 1 some files failed, 2 bad arguments or no files to convert.');
+    print('');
+    print('Examples:');
+    print('  udc pdf "docs/**/*.md" --out dist/');
+    print('  udc docx report.pdf notes.md --json');
+    print('  udc images "scans/*.pdf" -O dpi=200 -O format=jpeg --out pages/');
+    print('  udc png slides.md -O pages=1 -O via=html');
+    print('  udc list --json');
+    print('  udc pdf "docs/**/*.md" -O options=\'{"format":"A4","toc":true}\' --out dist/ --watch');
+    print('  udc html "notes/*.md" -O theme=github --out site/');
+}
+
+function defaultJobs() {
+    return Math.max(1, Math.min(4, os.cpus().length));
+}
+
+function usageError(message) {
+    printError(`❌ ${message}`);
+    printError('Run "udc --help" for usage.');
+    process.exit(EXIT_USAGE);
+}
+
+// Parse arguments
+function parseArgs(args) {
+    const settings = { command: '', patterns: [], outDir: '', jobs: defaultJobs(), fields: {}, json: false, watch: false, verbose: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            usage();
+            process.exit(EXIT_OK);
+        } else if (arg === '--out' || arg === '-o') {
+            settings.outDir = args[++i] || '';
+        } else if (arg === '--jobs' || arg === '-j') {
+            settings.jobs = Number(args[++i]);
+            if (!Number.isInteger(settings.jobs) || settings.jobs < 1) {
+                usageError('--jobs must be a whole number of at least 1');
+            }
+        } else if (arg === '--option' || arg === '-O') {
+            const option = args[++i] || '';
+            const separator = option.indexOf('=');
+            if (separator < 1) {
+                usageError(`--option needs name=value, got "${option}"`);
+            }
+            settings.fields[option.slice(0, separator)] = option.slice(separator + 1);
+        } else if (arg === '--json') {
+            settings.json = true;
+        } else if (arg === '--watch' || arg === '-w') {
+            settings.watch = true;
+        } else if (arg === '--verbose' || arg === '-v') {
+            settings.verbose = true;
+        } else if (arg.startsWith('-')) {
+            usageError(`Unknown option: ${arg}`);
+        } else if (!settings.command) {
+            settings.command = arg;
+        } else {
+            settings.patterns.push(arg);
+        }
+    }
+
+    return settings;
+}
+
+// Helper function to find the fixed directory a glob starts from ("docs/**/*.md" → "docs")
+function globBase(pattern) {
+    const posixPattern = pattern.replace(/\\/g, '/');
+    if (!fg.isDynamicPattern(posixPattern)) {
+        return path.dirname(pattern);
+    }
+    const segments = [];
+    for (const segment of posixPattern.split('/')) {
+        if (fg.isDynamicPattern(segment)) {
+            break;
+        }
+        segments.push(segment);
+    }
+    return segments.join('/') || '.';
+}
+
+// Expand the patterns into a Map of absolute input path → absolute base directory.
+// The first pattern to match a file decides its base.
+async function findInputs(patterns) {
+    const inputs = new Map();
+    const unmatched = [];
+    for (const pattern of patterns) {
+        const base = path.resolve(globBase(pattern));
+        const matches = await fg(pattern.replace(/\\/g, '/'), { onlyFiles: true, absolute: true });
+        if (matches.length === 0) {
+            unmatched.push(pattern);
+        }
+        for (const match of matches.sort()) {
+            const file = path.normalize(match);
+            if (!inputs.has(file)) {
+                inputs.set(file, base);
+            }
+        }
+    }
+    return { inputs, unmatched };
+}
+
+// Helper function to pick the output path for a converted input
+function outputPath(settings, input, base, conversion, resultFilename) {
+    // Conversions of PDFs name their output after the input; keep their suffixes (e.g. "-page-1.png")
+    const stem = path.parse(input).name;
+    const name = conversion.from === 'pdf' ? resultFilename : stem + path.extname(resultFilename);
+    const dir = settings.outDir
+        ? path.join(path.resolve(settings.outDir), path.relative(base, path.dirname(input)))
+        : path.dirname(input);
+    return path.join(dir, name);
+}
+
+// Convert one file. Returns a report entry; never throws.
+async function convertFile(settings, converter, input, base) {
+    const entry = {
+        input: path.relative(process.cwd(), input),
+        output: null,
+        type: null,
+        detected: null,
+        status: 'failed',
+        size: null,
+        error: null,
+        durationMs: 0
+    };
+    const startedAt = Date.now();
+
+    let file;
+    try {
+        file = { buffer: await fs.promises.readFile(input), originalname: path.basename(input), mimetype: '' };
+    } catch (error) {
+        entry.error = error.message;
+        entry.durationMs = Date.now() - startedAt;
+        return entry;
+    }
+
+    // Files the command can't take (e.g. images matched by "docs/**") are skipped, not failed.
+    // What a file is comes from its content, so misnamed files still convert.
+    entry.detected = converter.sniff(file);
+    const kind = entry.detected.format;
+    if (!kind || !converter.route(kind, settings.to)) {
+        entry.status = 'skipped';
+        entry.error = `Cannot convert ${kind || 'this file type'} to ${settings.to}`;
+        entry.durationMs = Date.now() - startedAt;
+        return entry;
+    }
+
+    try {
+        const { conversion, input: job, error } = prepareBatchFile(converter, settings.to, settings.fields, file);
+        entry.type = conversion ? conversion.id : null;
+        if (error) {
+            entry.error = error;
+        } else {
+            const result = await conversion.run(job);
+            const output = outputPath(settings, input, base, conversion, result.filename);
+            await fs.promises.mkdir(path.dirname(output), { recursive: true });
+            await fs.promises.writeFile(output, result.data);
+            Object.assign(entry, { output: path.relative(process.cwd(), output), status: 'converted', size: result.data.length });
+        }
+    } catch (error) {
+        entry.error = error.message;
+    }
+
+    entry.durationMs = Date.now() - startedAt;
+    return entry;
+}
+
+// Print one file's outcome as text
+function printEntry(entry) {
+    if (entry.status === 'converted') {
+        print(`✅ ${entry.input} → ${entry.output} (${(entry.size / 1024).toFixed(2)} KB, ${entry.durationMs} ms)`);
+    } else if (entry.status === 'skipped') {
+        print(`⏭️  ${entry.input}: ${entry.error}`);
+    } else {
+        print(`❌ ${entry.input}: ${entry.error}`);
+    }
+}
+
+function summarize(to, entries, unmatched) {
+    const count = status => entries.filter(entry => entry.status === status).length;
+    return {
+        command: to,
+        unmatched,
+        total: entries.length,
+        converted: count('converted'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        files: entries
+    };
+}
+
+// Convert everything the patterns match once; resolves to the report
+async function convertAll(settings, converter) {
+    const { inputs, unmatched } = await findInputs(settings.patterns);
+    if (!settings.json) {
+        unmatched.forEach(pattern => print(`⚠️  No files match ${pattern}`));
+    }
+
+    const entries = [];
+    await forEachLimit([...inputs], settings.jobs, async ([input, base]) => {
+        const entry = await convertFile(settings, converter, input, base);
+        entries.push(entry);
+        if (settings.watch && settings.json) {
+            print(JSON.stringify(entry));
+        } else if (!settings.json) {
+            printEntry(entry);
+        }
+    });
+
+    // Report in input order, whatever order the conversions finished in
+    const order = [...inputs.keys()].map(input => path.relative(process.cwd(), input));
+    entries.sort((a, b) => order.indexOf(a.input) - order.indexOf(b.input));
+    return summarize(settings.to, entries, unmatched);
+}
+
+// Keep converting files as they change, `settings.jobs` at a time.
+// A file that changes while it is converting is converted again afterwards.
+function watch(settings, converter) {
+    const waiting = [];
+    const running = new Set();
+    const changedAgain = new Set();
+
+    async function pump() {
+        while (running.size < settings.jobs && waiting.length > 0) {
+            const file = waiting.shift();
+            running.add(file);
+            convertChanged(file).finally(() => {
+                running.delete(file);
+                if (changedAgain.delete(file)) {
+                    schedule(file);
+                }
+                pump();
+            });
+        }
+    }
+
+    async function convertChanged(file) {
+        // Find the file's base again; the patterns decide whether it counts at all
+        const { inputs } = await findInputs(settings.patterns);
+        if (!inputs.has(file)) {
+            return;
+        }
+        const entry = await convertFile(settings, converter, file, inputs.get(file));
+        if (settings.json) {
+            print(JSON.stringify(entry));
+        } else if (entry.status !== 'skipped') {
+            printEntry(entry);
+        }
+    }
+
+    function schedule(changed) {
+        const file = path.resolve(changed);
+        if (running.has(file)) {
+            changedAgain.add(file);
+        } else if (!waiting.includes(file)) {
+            waiting.push(file);
+            pump();
+        }
+    }
+
+    const watcher = chokidar.watch(settings.patterns, {
+        ignoreInitial: true,
+        // Wait for editors and build steps to finish writing
+        awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 }
+    });
+    watcher.on('add', schedule).on('change', schedule);
+    watcher.on('error', error => printError('❌ Watch error:', error.message));
+    watcher.on('ready', () => {
+        if (!settings.json) {
+            print('👀 Watching for changes (Ctrl+C to stop)...');
+        }
+    });
+    return watcher;
+}
+
+// Print every registered conversion with the options it takes
+function listConversions(converter, json) {
+    const conversions = converter.list();
+    if (json) {
+        print(JSON.stringify({ conversions, plugins: converter.plugins() }, null, 2));
+        return;
+    }
+    for (const conversion of conversions) {
+        print(`${conversion.id}: ${conversion.from} → ${conversion.to}${conversion.plugin ? ` (plugin ${conversion.plugin})` : ''}`);
+        for (const [name, spec] of Object.entries(conversion.options)) {
+            const values = spec.enum ? spec.enum.join('|') : spec.type;
+            const fallback = spec.default !== undefined ? ` (default: ${spec.default})` : '';
+            print(`    -O ${`${name}=<${values}>`.padEnd(28)} ${spec.description || ''}${fallback}`);
+        }
+    }
+}
+
+async function main() {
+    const settings = parseArgs(process.argv.slice(2));
+    if (!settings.command || settings.command === 'help') {
+        usage();
+        process.exit(settings.command ? EXIT_OK : EXIT_USAGE);
+    }
+
+    const converter = getConverter();
+    // Broken plugins are skipped; say so on stderr, where it can't spoil --json output
+    converter.pluginErrors().forEach(({ source, error }) => printError(`⚠️  Could not load plugin ${source}: ${error}`));
+    if (settings.command === 'list') {
+        listConversions(converter, settings.json);
+        process.exit(EXIT_OK);
+    }
+
+    settings.to = batchTarget(converter, settings.command);
+    if (!settings.to) {
+        usageError(`Unknown command "${settings.command}". Use one of: ${converter.targets().join(', ')}`);
+    }
+    if (settings.patterns.length === 0) {
+        usageError('No input files or globs given');
+    }
+
+    // Library progress messages go to stderr with --verbose, so stdout stays parseable
+    console.log = settings.verbose ? printError : () => {};
+    console.warn = settings.verbose ? printError : () => {};
+    console.error = settings.verbose ? printError : () => {};
+
+    const report = await convertAll(settings, converter);
+    if (settings.json && !settings.watch) {
+        print(JSON.stringify(report, null, 2));
+    } else if (!settings.json) {
+        print(`📊 ${report.converted} converted, ${report.failed} failed, ${report.skipped} skipped`);
+    }
+
+    if (!settings.watch) {
+        await close();
+        if (report.converted + report.failed === 0) {
+            if (!settings.json) {
+                printError('❌ No files to convert');
+            }
+            process.exit(EXIT_USAGE);
+        }
+        process.exit(report.failed > 0 ? EXIT_FAILED : EXIT_OK);
+    }
+
+    const watcher = watch(settings, converter);
+    const stop = async () => {
+        await watcher.close();
+        await close();
+        process.exit(EXIT_OK);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch((error) => {
+    printError('❌ Error:', error.message);
+    process.exit(EXIT_FAILED);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// Stand-in webhook receiver for trying out job callbacks locally.
+// Checks each callback's signature and prints what arrived.
+
+const http = require('http');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySignature } = require('./lib/webhooks');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+
+if (args.includes('--help') || args.includes('-h')) {
+    console.log('📬 Webhook Receiver');
+    console.log('');
+    console.log('Usage: node webhook-receiver.js [--port <port>] [--secret <secret>] [--fail <count>]');
+    console.log('');
+    console.log('Listens for job callbacks and checks their signatures. The secret defaults to');
+    console.log('WEBHOOK_SECRET; --fail answers 500 to the first <count> callbacks to try out retries.');
+    console.log('');
+    console.log('Example:');
+    console.log('  WEBHOOK_SECRET=s3cret node webhook-receiver.js --port 4000');
+    console.log('  # the converter only calls back to local hosts listed in WEBHOOK_ALLOWED_HOSTS');
+    console.log('  WEBHOOK_SECRET=s3cret WEBHOOK_ALLOWED_HOSTS=localhost npm start');
+    console.log('  curl -X POST http://localhost:3000/jobs -F type=pdf-to-word -F file=@report.pdf \\');
+    console.log('       -F callbackUrl=http://localhost:4000/callback');
+    console.log('');
+    process.exit(0);
+}
+
+let port = 4000;
+let secret = process.env.WEBHOOK_SECRET || '';
+let failCount = 0;
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--port' || arg === '-p') {
+        port = parseInt(args[++i], 10);
+    } else if (arg === '--secret' || arg === '-s') {
+        secret = args[++i] || '';
+    } else if (arg === '--fail') {
+        failCount = parseInt(args[++i], 10) || 0;
+    } else {
+        console.error(`❌ Unknown option: ${arg}`);
+        process.exit(1);
+    }
+}
+
+if (!secret) {
+    console.error('❌ Set WEBHOOK_SECRET or pass --secret, matching the converter\'s WEBHOOK_SECRET');
+    process.exit(1);
+}
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        received++;
+        const body = Buffer.concat(chunks).toString('utf-8');
+        const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+        const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+
+        if (req.method !== 'POST') {
+            res.writeHead(405).end();
+            return;
+        }
+        if (!verifySignature(secret, timestamp, body, signature)) {
+            console.log(`❌ #${received} rejected: bad or missing signature`);
+            res.writeHead(401).end();
+            return;
+        }
+        if (received <= failCount) {
+            console.log(`⚠️  #${received} valid, answering 500 as asked (--fail ${failCount})`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        const { event, data } = JSON.parse(body);
+        console.log(`✅ #${received} ${event} for job ${data.job.id}`);
+        if (data.downloadUrl) {
+            console.log(`   📥 ${data.downloadUrl} (${data.job.result.filename}, ${data.job.result.size} bytes)`);
+        } else if (data.job.error) {
+            console.log(`   💥 ${data.job.error}`);
+        }
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`📬 Waiting for callbacks on http://localhost:${port}/`);
+});